@@ -3,13 +3,32 @@ const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
 
 /**
  * 初始化FFmpeg配置
+ * 默认使用 @ffmpeg-installer 自带的 FFmpeg，可通过 FFMPEG_PATH 指定其他版本（如需要 xfade 等新滤镜）
  */
 function initFFmpeg() {
-  ffmpeg.setFfmpegPath(ffmpegInstaller.path);
-  console.log('✓ FFmpeg initialized');
+  const ffmpegPath = process.env.FFMPEG_PATH || ffmpegInstaller.path;
+  ffmpeg.setFfmpegPath(ffmpegPath);
+  console.log(`✓ FFmpeg initialized: ${ffmpegPath}`);
+}
+
+/**
+ * 检查当前 FFmpeg 是否支持指定滤镜（滤镜列表由 fluent-ffmpeg 缓存）
+ * @param {string} name - 滤镜名称
+ * @returns {Promise<boolean>} 是否支持
+ */
+function hasFilter(name) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.getAvailableFilters((err, filters) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(Object.prototype.hasOwnProperty.call(filters, name));
+    });
+  });
 }
 
 module.exports = {
   initFFmpeg,
+  hasFilter,
 };
-
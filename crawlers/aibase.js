@@ -0,0 +1,153 @@
+const { parseCount, parseRelativeTime } = require('../utils/crawler');
+
+/**
+ * AIBase AI 新闻资讯
+ * 列表页没有分页地址，向下滚动时加载更多新闻：第 N 页为第 N 次加载出的新闻（需要浏览器）
+ */
+module.exports = {
+  name: 'aibase',
+  label: 'AIBase AI 新闻',
+  listUrl: 'https://news.aibase.com/zh/news',
+  table: 'aibase_news',
+  scrollPages: true,
+  itemSelector: 'a[href*="/zh/news/"], a[href*="/news/"]',
+
+  /**
+   * 获取列表页地址
+   * 各页都在同一个列表页中滚动加载，地址相同
+   * @param {number} page - 页码（从 1 开始）
+   * @returns {string} 页面地址
+   */
+  pageUrl() {
+    return this.listUrl;
+  },
+
+  /**
+   * 从列表页提取新闻
+   * @param {Object} $ - cheerio 实例
+   * @param {Object} options - { url, limit }
+   * @returns {Array} [{ title, summary, published_at, view_count, url }]
+   */
+  parse($, { url: pageUrl, limit }) {
+    const newsItems = [];
+    const urlSet = new Set(); // 用于去重
+
+    // 查找所有新闻链接（href包含 /zh/news/ 或 /news/）
+    $(this.itemSelector).each((index, element) => {
+      if (newsItems.length >= limit) return false;
+
+      const $link = $(element);
+      let url = $link.attr('href');
+
+      // 跳过无效链接
+      if (!url || url.includes('#') || url.includes('javascript:')) return;
+
+      // 处理相对URL
+      if (!url.startsWith('http')) {
+        url = new URL(url, pageUrl).href;
+      }
+
+      // 去重检查
+      if (urlSet.has(url)) return;
+
+      // 查找标题
+      const $titleEl = $link.find('div.font600, div[class*="font600"], div.md\\:text-\\[18px\\]').first();
+      let title = $titleEl.text().trim();
+
+      // 如果没找到，尝试查找所有div中的文本（排除摘要和时间）
+      if (!title || title.length < 5) {
+        const $allTexts = $link.find('div').not('.tipColor').not('[class*="tipColor"]');
+        for (let i = 0; i < $allTexts.length; i++) {
+          const text = $($allTexts[i]).text().trim();
+          if (text.length > 10 && text.length < 200 && !text.match(/[\d.]+[KMB]/i) && !text.match(/(刚刚|小时前|天前)/)) {
+            title = text;
+            break;
+          }
+        }
+      }
+
+      if (!title || title.length < 5) return;
+
+      // 提取摘要
+      let summary = '';
+
+      // 方法1: 查找包含 "truncate2" 且包含较长文本的tipColor元素
+      $link.find('div[class*="truncate2"]').each((i, el) => {
+        const $el = $(el);
+        const text = $el.text().trim();
+        if (text.length > 30 &&
+            !text.match(/[\d.]+[KMB]/i) &&
+            !text.match(/(刚刚|\d+\s*小时前|\d+\s*天前)/) &&
+            !$el.find('i.iconfont').length) {
+          summary = text;
+          return false;
+        }
+      });
+
+      // 方法2: 如果还没找到，查找所有包含较长文本的tipColor元素
+      if (!summary || summary.length < 10) {
+        $link.find('div[class*="tipColor"]').each((i, el) => {
+          const $el = $(el);
+          if ($el.find('i.iconfont, i[class*="icon-"]').length > 0) return;
+          const text = $el.text().trim();
+          if (text.length > 30 &&
+              !text.match(/[\d.]+[KMB]/i) &&
+              !text.match(/(刚刚|\d+\s*小时前|\d+\s*天前)/) &&
+              text !== title) {
+            summary = text;
+            return false;
+          }
+        });
+      }
+
+      // 方法3: 如果还是没找到，尝试从链接内的所有文本中提取
+      if (!summary || summary.length < 10) {
+        const allText = $link.clone().children('img').remove().end().text().trim();
+        const cleanedText = allText
+          .replace(new RegExp(title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), '')
+          .replace(/[\d.]+[KMB]/gi, '')
+          .replace(/(刚刚|\d+\s*小时前|\d+\s*天前)/g, '')
+          .trim();
+        if (cleanedText.length > 30) {
+          summary = cleanedText;
+        }
+      }
+
+      // 提取时间
+      let timeText = '';
+      $link.find('i[class*="icon-rili"], i.icon-rili').closest('div').each((i, el) => {
+        const text = $(el).text().trim();
+        const timeMatch = text.match(/(刚刚|\d+\s*小时前|\d+\s*天前)/);
+        if (timeMatch) {
+          timeText = timeMatch[1].trim();
+          return false;
+        }
+      });
+
+      // 提取观看次数
+      let viewText = '';
+      $link.find('i.icon-fangwenliang1, i[class*="icon-fangwenliang1"]').closest('div').each((i, el) => {
+        const text = $(el).text().trim();
+        const match = text.match(/([\d.]+[KMB]?)/i);
+        if (match) {
+          viewText = match[1];
+          return false;
+        }
+      });
+
+      const publishedAt = parseRelativeTime(timeText);
+
+      // 保存新闻项
+      urlSet.add(url);
+      newsItems.push({
+        title: title.trim(),
+        summary: summary && summary.length > 10 ? summary.trim() : null,
+        published_at: publishedAt ? publishedAt.toISOString() : null,
+        view_count: parseCount(viewText),
+        url,
+      });
+    });
+
+    return newsItems;
+  },
+};
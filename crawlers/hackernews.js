@@ -0,0 +1,69 @@
+/**
+ * Hacker News 首页
+ * 分页地址为 /news?p=2，每页 30 条，view_count 记录得分（points）
+ */
+module.exports = {
+  name: 'hackernews',
+  label: 'Hacker News',
+  listUrl: 'https://news.ycombinator.com/news',
+  table: 'hackernews_news',
+
+  /**
+   * 获取列表页地址
+   * @param {number} page - 页码（从 1 开始）
+   * @returns {string} 页面地址
+   */
+  pageUrl(page) {
+    return page === 1 ? this.listUrl : `${this.listUrl}?p=${page}`;
+  },
+
+  /**
+   * 从列表页提取新闻
+   * @param {Object} $ - cheerio 实例
+   * @param {Object} options - { url, limit }
+   * @returns {Array} [{ title, summary, published_at, view_count, url }]
+   */
+  parse($, { url: pageUrl, limit }) {
+    const items = [];
+
+    $('tr.athing').each((index, element) => {
+      if (items.length >= limit) return false;
+
+      const $row = $(element);
+      const $link = $row.find('span.titleline > a').first();
+      const title = $link.text().trim();
+      let url = $link.attr('href');
+      if (!title || !url) return;
+
+      // Ask HN 等站内帖子为相对地址
+      if (!url.startsWith('http')) {
+        url = new URL(url, pageUrl).href;
+      }
+
+      // 得分与时间在下一行
+      const $subtext = $row.next().find('td.subtext');
+      const points = parseInt($subtext.find('.score').text(), 10) || 0;
+
+      // .age 的 title 形如 "2025-11-22T03:00:00 1763780400"，优先使用 Unix 时间戳
+      let publishedAt = null;
+      const ageTitle = $subtext.find('.age').attr('title') || '';
+      const [isoText, unixText] = ageTitle.split(' ');
+      if (unixText && /^\d+$/.test(unixText)) {
+        publishedAt = new Date(parseInt(unixText, 10) * 1000);
+      } else if (isoText) {
+        const date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(isoText) ? isoText : `${isoText}Z`);
+        publishedAt = Number.isNaN(date.getTime()) ? null : date;
+      }
+
+      items.push({
+        title,
+        summary: null,
+        published_at: publishedAt ? publishedAt.toISOString() : null,
+        view_count: points,
+        url,
+      });
+    });
+
+    return items;
+  },
+};
@@ -0,0 +1,39 @@
+const aibase = require('./aibase');
+const hackernews = require('./hackernews');
+
+/**
+ * 爬虫数据源注册表
+ * 每个数据源是一个模块，包含：
+ * - name: 数据源标识（用于 POST /crawl/:source）
+ * - label: 显示名称
+ * - listUrl: 列表页地址
+ * - table: Supabase 表名
+ * - pageUrl(page): 返回第 page 页的地址，不支持时返回 null
+ * - parse($, { url, limit }): 从 cheerio 实例中提取 [{ title, summary, published_at, view_count, url }]
+ * - scrollPages: 可选，列表通过滚动加载更多（而不是分页地址）时为 true，此时 pageUrl 对每一页都返回列表页地址
+ * - itemSelector: scrollPages 时必填，列表条目的 CSS 选择器（用于判断滚动后是否加载出新条目）
+ * 新增数据源时在此注册即可
+ */
+const SOURCES = [aibase, hackernews];
+
+/**
+ * 获取数据源
+ * @param {string} name - 数据源标识
+ * @returns {Object|null} 数据源模块
+ */
+function getSource(name) {
+  return SOURCES.find(source => source.name === name) || null;
+}
+
+/**
+ * 列出全部数据源
+ * @returns {Array} [{ name, label, listUrl, table }]
+ */
+function listSources() {
+  return SOURCES.map(({ name, label, listUrl, table }) => ({ name, label, listUrl, table }));
+}
+
+module.exports = {
+  getSource,
+  listSources,
+};
@@ -18,12 +18,23 @@ const videoRouter = require('./routes/video');
 const loginRouter = require('./routes/login');
 const publishRouter = require('./routes/publish');
 const satoriRouter = require('./routes/satori');
+const jobsRouter = require('./routes/jobs');
+const fontsRouter = require('./routes/fonts');
+const templatesRouter = require('./routes/templates');
+const schedulesRouter = require('./routes/schedules');
+const pipelinesRouter = require('./routes/pipelines');
+const subtitlesRouter = require('./routes/subtitles');
+const { jobQueue } = require('./utils/jobQueue');
+const { fontRegistry } = require('./utils/fontRegistry');
+const { scheduler } = require('./utils/scheduler');
+const { podcastPipeline } = require('./utils/podcastPipeline');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
 // 初始化配置
 initFFmpeg();
+fontRegistry.init();
 const supabase = initSupabase();
 
 // 将supabase实例存储到app中，供路由使用
@@ -42,9 +53,16 @@ app.get('/', (req, res) => {
     endpoints: {
       render: 'POST /render',
       urlScreenshot: 'POST /render/url-screenshot',
-      crawl: 'POST /crawl/aibase',
+      renderBatch: 'POST /render/batch',
+      renderAnimate: 'POST /render/animate',
+      renderPool: 'GET /render/pool',
+      crawl: 'POST /crawl/:source',
+      crawlSources: 'GET /crawl/sources',
+      crawlContent: 'POST /crawl/:source/:id/content',
       mergeAudio: 'POST /merge/audio',
       audioToVideo: 'POST /convert/audio-to-video',
+      transformSubtitles: 'POST /subtitles/transform',
+      generateVideo: 'POST /generate/video',
       generateVideo916: 'POST /generate/video-9-16',
       loginValidate: 'POST /login/validate',
       loginPlatforms: 'GET /login/platforms',
@@ -53,6 +71,25 @@ app.get('/', (req, res) => {
       publishDouyin: 'POST /publish/douyin',
       satori: 'GET /satori (Satori 代码预览界面)',
       satoriRender: 'POST /satori/render',
+      satoriRenderImage: 'POST /satori/render-image',
+      fonts: 'GET /fonts',
+      uploadFont: 'POST /fonts',
+      templates: 'GET /templates',
+      saveTemplate: 'POST /templates',
+      renderTemplate: 'POST /templates/:name/render',
+      jobs: 'GET /jobs',
+      job: 'GET /jobs/:id',
+      jobEvents: 'GET /jobs/:id/events (SSE)',
+      schedules: 'GET /schedules',
+      createSchedule: 'POST /schedules',
+      schedule: 'GET /schedules/:id',
+      pauseSchedule: 'POST /schedules/:id/pause',
+      resumeSchedule: 'POST /schedules/:id/resume',
+      runSchedule: 'POST /schedules/:id/run',
+      podcastPipeline: 'POST /pipelines/podcast',
+      podcastPipelines: 'GET /pipelines/podcast',
+      podcastPipelineStatus: 'GET /pipelines/podcast/:id',
+      resumePodcastPipeline: 'POST /pipelines/podcast/:id/resume',
       docs: 'GET /api-docs (Swagger UI)',
     },
     usage: 'POST /render with JSON { html: "<html>...</html>", type: "png|jpeg", encoding: "binary|base64", width, height, device: "mobile|pc" } or raw HTML with Content-Type: text/plain',
@@ -69,8 +106,22 @@ app.use('/', videoRouter);
 app.use('/login', loginRouter);
 app.use('/publish', publishRouter);
 app.use('/satori', satoriRouter);
+app.use('/jobs', jobsRouter);
+app.use('/fonts', fontsRouter);
+app.use('/templates', templatesRouter);
+app.use('/schedules', schedulesRouter);
+app.use('/pipelines', pipelinesRouter);
+app.use('/subtitles', subtitlesRouter);
+
+// 初始化异步任务队列（恢复重启前未完成的任务）
+jobQueue.init({ app });
 
 // 启动服务器
 app.listen(port, () => {
   console.log(`HTML -> Image API listening at http://localhost:${port}`);
+
+  // 服务启动后开始调度定时任务、加载播客流水线（两者都通过 HTTP 调用本服务的接口）
+  const localUrl = `http://127.0.0.1:${port}`;
+  scheduler.init({ baseUrl: localUrl });
+  podcastPipeline.init({ app, baseUrl: localUrl });
 });
@@ -6,6 +6,12 @@ const os = require('os');
 const { downloadAudio } = require('../utils/download');
 const { getFileExtension } = require('../utils/fileUtils');
 const { normalizeUrl } = require('../utils/urlUtils');
+const { asyncJob, reportProgress } = require('../utils/jobQueue');
+const { calculateSubtitleTimings, alignSubtitleTimings } = require('../utils/subtitleTiming');
+const { synthesizeToFile, defaultTtsProvider, listTtsProviders } = require('../utils/tts');
+const {
+  SUBTITLE_FORMATS, normalizeSubtitleStyle, generateSubtitleContent, shiftCues, rewrapCues,
+} = require('../utils/subtitles');
 
 const router = express.Router();
 
@@ -27,20 +33,6 @@ function getAudioDuration(filePath) {
   });
 }
 
-/**
- * 将秒数转换为 SRT 时间格式 (HH:MM:SS,mmm)
- * @param {number} seconds - 秒数
- * @returns {string} SRT 时间格式字符串
- */
-function formatSrtTime(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-  const milliseconds = Math.floor((seconds % 1) * 1000);
-  
-  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')},${String(milliseconds).padStart(3, '0')}`;
-}
-
 /**
  * 按标点符号分割文本
  * @param {string} text - 原始文本
@@ -97,118 +89,418 @@ function splitTextByPunctuation(text) {
 }
 
 /**
- * 根据字数和总时长计算每个文本片段的时间戳
- * @param {Array<string>} segments - 文本片段数组
- * @param {number} totalDuration - 总时长（秒）
- * @param {number} startTime - 开始时间（秒）
- * @returns {Array<{text: string, startTime: number, endTime: number}>} 带时间戳的字幕数组
+ * 字幕时间计算方式
+ * - estimate: 按字数估算
+ * - silence: 检测音频中的停顿（ffmpeg silencedetect），将分句边界对齐到停顿处
  */
-function calculateSubtitleTimings(segments, totalDuration, startTime = 0) {
-  if (segments.length === 0) {
-    return [];
-  }
+const SUBTITLE_TIMING_MODES = ['estimate', 'silence'];
+
+/**
+ * 检测音频中的静音区间
+ * @param {string} filePath - 音频文件路径
+ * @param {Object} options - { threshold: 静音阈值（dB），minDuration: 最短静音时长（秒） }
+ * @returns {Promise<Array<{start: number, end: number}>>} 静音区间（秒）
+ */
+function detectSilences(filePath, { threshold = -35, minDuration = 0.15 } = {}) {
+  return new Promise((resolve, reject) => {
+    const silences = [];
+    let openStart = null;
+    ffmpeg(filePath)
+      .audioFilters(`silencedetect=noise=${threshold}dB:d=${minDuration}`)
+      .format('null')
+      .on('stderr', (line) => {
+        const start = line.match(/silence_start:\s*(-?[\d.]+)/);
+        if (start) {
+          openStart = Math.max(0, parseFloat(start[1]));
+          return;
+        }
+        const end = line.match(/silence_end:\s*([\d.]+)/);
+        if (end && openStart !== null) {
+          silences.push({ start: openStart, end: parseFloat(end[1]) });
+          openStart = null;
+        }
+      })
+      .on('end', () => {
+        // 静音持续到结尾时 ffmpeg 不输出 silence_end
+        if (openStart !== null) {
+          silences.push({ start: openStart, end: Infinity });
+        }
+        resolve(silences);
+      })
+      .on('error', reject)
+      .save('-');
+  });
+}
 
-  // 计算总字符数（不包括标点符号）
-  const punctuationRegex = /[。！？；：，、\n\s]/g;
-  const totalChars = segments.reduce((sum, seg) => {
-    return sum + seg.replace(punctuationRegex, '').length;
-  }, 0);
+/**
+ * 按句末标点将文本分割为句子（用于逐句语音合成）
+ * @param {string} text - 原始文本
+ * @returns {Array<string>} 句子数组
+ */
+function splitSentences(text) {
+  return (String(text || '').match(/[^。！？；!?;\n]+[。！？；!?;\n]*/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.replace(/[。！？；!?;\s]/g, '').length > 0);
+}
 
-  if (totalChars === 0) {
-    // 如果全是标点符号，平均分配时间
-    const segmentDuration = totalDuration / segments.length;
-    return segments.map((seg, index) => ({
-      text: seg,
-      startTime: startTime + index * segmentDuration,
-      endTime: startTime + (index + 1) * segmentDuration,
-    }));
+/**
+ * 将音频转换为 44.1kHz 双声道 PCM WAV（统一格式后可无损拼接，时长精确）
+ * @param {string} inputPath - 输入文件
+ * @param {string} outputPath - 输出文件
+ * @returns {Promise<void>}
+ */
+function convertToWav(inputPath, outputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .audioCodec('pcm_s16le')
+      .audioFrequency(44100)
+      .audioChannels(2)
+      .format('wav')
+      .on('end', resolve)
+      .on('error', reject)
+      .save(outputPath);
+  });
+}
+
+/**
+ * 逐句合成一段文本并拼接为一个音频文件
+ * 每句单独合成并测量时长，字幕时间只需在句内按字数估算
+ * @param {string} text - 文本
+ * @param {string} tempDir - 临时目录
+ * @param {string} name - 文件名（不含扩展名）
+ * @param {Object} options - { provider, voice }
+ * @returns {Promise<{path: string, units: Array<{text: string, duration: number}>}>} 音频文件与每句的时长
+ */
+async function synthesizeSegment(text, tempDir, name, { provider, voice } = {}) {
+  const sentences = splitSentences(text);
+  const units = [];
+  const sentenceFiles = [];
+
+  for (let i = 0; i < sentences.length; i++) {
+    const synthesized = await synthesizeToFile(sentences[i], tempDir, { provider, voice, name: `${name}-raw-${i}` });
+    const wavPath = path.join(tempDir, `${name}-${i}.wav`);
+    await convertToWav(synthesized.path, wavPath);
+    await fs.promises.unlink(synthesized.path).catch(() => {});
+    sentenceFiles.push(wavPath);
+    units.push({ text: sentences[i], duration: await getAudioDuration(wavPath) });
   }
 
-  // 计算每个字符的平均时长
-  const timePerChar = totalDuration / totalChars;
-  
-  // 先计算每个片段的理想时长
-  const idealDurations = segments.map(segment => {
-    const charCount = segment.replace(punctuationRegex, '').length;
-    // 每个片段至少0.5秒，最多不超过总时长的1/3
-    return Math.max(0.5, Math.min(totalDuration / 3, charCount * timePerChar));
+  if (sentenceFiles.length === 1) {
+    return { path: sentenceFiles[0], units };
+  }
+
+  // PCM 拼接不重新编码，拼接后的时长等于各句时长之和
+  const listPath = path.join(tempDir, `${name}-list.txt`);
+  await fs.promises.writeFile(listPath, sentenceFiles.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n'), 'utf8');
+  const outputPath = path.join(tempDir, `${name}.wav`);
+  await new Promise((resolve, reject) => {
+    ffmpeg()
+      .input(listPath)
+      .inputOptions(['-f', 'concat', '-safe', '0'])
+      .outputOptions(['-c', 'copy'])
+      .on('end', resolve)
+      .on('error', reject)
+      .save(outputPath);
   });
+  return { path: outputPath, units };
+}
 
-  // 计算理想总时长
-  const idealTotal = idealDurations.reduce((sum, dur) => sum + dur, 0);
-  
-  // 如果理想总时长超过实际时长，按比例缩放
-  const scaleFactor = idealTotal > totalDuration ? totalDuration / idealTotal : 1;
-  
-  // 为每个片段分配时间
-  const subtitles = [];
-  let currentTime = startTime;
-  let remainingTime = totalDuration;
-
-  for (let i = 0; i < segments.length; i++) {
-    const segment = segments[i];
-    let segmentDuration = idealDurations[i] * scaleFactor;
-    
-    // 最后一个片段使用剩余的所有时间
-    if (i === segments.length - 1) {
-      segmentDuration = remainingTime;
-    } else {
-      // 确保不会超过剩余时间
-      segmentDuration = Math.min(segmentDuration, remainingTime - 0.5 * (segments.length - i - 1));
-    }
-    
-    // 确保每个片段至少0.3秒（最后一个片段除外）
-    if (i < segments.length - 1) {
-      segmentDuration = Math.max(0.3, segmentDuration);
-    }
-    
-    subtitles.push({
-      text: segment,
-      startTime: currentTime,
-      endTime: currentTime + segmentDuration,
-    });
-    
-    currentTime += segmentDuration;
-    remainingTime -= segmentDuration;
+/**
+ * 输出音频格式：编码器与文件扩展名
+ */
+const OUTPUT_FORMATS = {
+  mp3: { codec: 'libmp3lame', ext: 'mp3' },
+  aac: { codec: 'aac', ext: 'm4a' },
+  opus: { codec: 'libopus', ext: 'opus' },
+};
+
+/**
+ * 统一采样格式（concat、acrossfade、amix 要求各输入格式一致）
+ */
+const AUDIO_FORMAT_FILTER = 'aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo';
+
+/**
+ * 创建混音参数错误
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function mixError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_MIX_OPTIONS';
+  return err;
+}
+
+/**
+ * 读取数值参数
+ * @param {*} value - 参数值
+ * @param {string} name - 参数名（用于错误信息）
+ * @param {number} fallback - 默认值
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @returns {number} 参数值
+ */
+function readNumber(value, name, fallback, min, max) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw mixError(`${name} must be a number between ${min} and ${max}`);
   }
+  return number;
+}
 
-  // 确保最后一个片段的时间准确
-  if (subtitles.length > 0) {
-    subtitles[subtitles.length - 1].endTime = startTime + totalDuration;
+/**
+ * 校验并补全拼接与混音参数
+ * @param {Object} body - 请求体
+ * @returns {Object} 混音参数
+ */
+function normalizeMixOptions(body) {
+  const {
+    leadIn, gap, crossfade, bgVolume, bgFadeIn, bgFadeOut, ducking = false, loudnorm = false,
+    outputFormat = 'mp3', bitrate,
+  } = body;
+
+  const options = {
+    leadIn: readNumber(leadIn, 'leadIn', 1, 0, 60),
+    gap: readNumber(gap, 'gap', 0, 0, 60),
+    crossfade: readNumber(crossfade, 'crossfade', 0, 0, 30),
+    bgVolume: readNumber(bgVolume, 'bgVolume', 1, 0, 10),
+    bgFadeIn: readNumber(bgFadeIn, 'bgFadeIn', 0, 0, 600),
+    bgFadeOut: readNumber(bgFadeOut, 'bgFadeOut', 0, 0, 600),
+    ducking: null,
+    loudnorm: null,
+    outputFormat,
+    bitrate: readNumber(bitrate, 'bitrate', 128, 32, 320),
+  };
+  if (options.gap > 0 && options.crossfade > 0) {
+    throw mixError('gap and crossfade cannot be used together');
+  }
+  // 背景音乐相关参数只在提供 bgUrl 时有效
+  const bgOnlyOptions = { ducking, bgVolume, bgFadeIn, bgFadeOut };
+  const usedBgOptions = Object.keys(bgOnlyOptions)
+    .filter(name => bgOnlyOptions[name] !== undefined && bgOnlyOptions[name] !== null && bgOnlyOptions[name] !== false);
+  if (!body.bgUrl && usedBgOptions.length > 0) {
+    throw mixError(`${usedBgOptions.join(', ')} require bgUrl`);
+  }
+  if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, outputFormat)) {
+    throw mixError(`outputFormat must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+
+  // ducking: true 使用默认参数，或 { threshold, ratio, attack, release }
+  if (ducking) {
+    const duckingOptions = typeof ducking === 'object' ? ducking : {};
+    options.ducking = {
+      threshold: readNumber(duckingOptions.threshold, 'ducking.threshold', 0.05, 0.001, 1),
+      ratio: readNumber(duckingOptions.ratio, 'ducking.ratio', 8, 1, 20),
+      attack: readNumber(duckingOptions.attack, 'ducking.attack', 20, 0.01, 2000),
+      release: readNumber(duckingOptions.release, 'ducking.release', 400, 0.01, 9000),
+    };
   }
 
-  return subtitles;
+  // loudnorm: true 使用 -16 LUFS，或直接传目标响度（LUFS）
+  if (loudnorm) {
+    options.loudnorm = {
+      target: loudnorm === true ? -16 : readNumber(loudnorm, 'loudnorm', -16, -70, -5),
+    };
+  }
+
+  return options;
 }
 
 /**
- * 生成 SRT 字幕文件内容
- * @param {Array<{text: string, startTime: number, endTime: number}>} subtitles - 字幕数组
- * @returns {string} SRT 文件内容
+ * 计算相邻片段之间的实际交叉淡化时长（不超过前后片段时长的一半）
+ * @param {Array<number>} durations - 各片段时长（秒）
+ * @param {number} crossfade - 交叉淡化时长（秒）
+ * @returns {Array<number>} 第 i 项为第 i 段与第 i+1 段之间的交叉淡化时长
  */
-function generateSrtContent(subtitles) {
-  let srtContent = '';
-  subtitles.forEach((subtitle, index) => {
-    const sequence = index + 1;
-    const startTime = formatSrtTime(subtitle.startTime);
-    const endTime = formatSrtTime(subtitle.endTime);
-    srtContent += `${sequence}\n${startTime} --> ${endTime}\n${subtitle.text}\n\n`;
+function pairCrossfades(durations, crossfade) {
+  return durations.slice(0, -1).map((duration, i) => {
+    const value = Math.min(crossfade, duration / 2, durations[i + 1] / 2);
+    return Math.floor(value * 1000) / 1000;
   });
-  return srtContent;
+}
+
+/**
+ * 生成拼接各片段的滤镜：片段间可插入间隔（apad）或交叉淡化（acrossfade）
+ * @param {number} count - 片段数
+ * @param {Object} options - { gap: 间隔秒数, crossfades: pairCrossfades 的结果 }
+ * @returns {Array<string>} 滤镜数组，输出标签为 [voice]
+ */
+function buildConcatFilters(count, { gap, crossfades }) {
+  const filters = [];
+  for (let i = 0; i < count; i++) {
+    const pad = gap > 0 && i < count - 1 ? `,apad=pad_len=${Math.round(gap * 44100)}` : '';
+    filters.push(`[${i}:a]${AUDIO_FORMAT_FILTER}${pad}[s${i}]`);
+  }
+  if (count === 1) {
+    filters.push('[s0]anull[voice]');
+    return filters;
+  }
+  if (!crossfades.some(value => value > 0)) {
+    filters.push(`${Array.from({ length: count }, (_, i) => `[s${i}]`).join('')}concat=n=${count}:v=0:a=1[voice]`);
+    return filters;
+  }
+
+  // 逐段交叉淡化，片段太短无法淡化时直接拼接
+  let previous = '[s0]';
+  for (let i = 1; i < count; i++) {
+    const output = i === count - 1 ? '[voice]' : `[x${i}]`;
+    filters.push(crossfades[i - 1] > 0
+      ? `${previous}[s${i}]acrossfade=d=${crossfades[i - 1]}${output}`
+      : `${previous}[s${i}]concat=n=2:v=0:a=1${output}`);
+    previous = output;
+  }
+  return filters;
+}
+
+/**
+ * 生成混音滤镜：人声延迟 leadIn 秒后与背景音乐混合（背景音乐可调音量、淡入淡出、随人声压低），最后做响度标准化
+ * @param {Object} mix - normalizeMixOptions 返回的参数
+ * @param {Object} inputs - { voiceIndex: 人声输入序号, bgIndex: 背景音乐输入序号（无背景音乐时为 null）, bgDuration: 背景音乐时长 }
+ * @returns {Array<string>} 滤镜数组，输出标签为 [out]
+ */
+function buildMixFilters(mix, { voiceIndex, bgIndex, bgDuration }) {
+  const filters = [];
+  const delayMs = Math.round(mix.leadIn * 1000);
+  filters.push(`[${voiceIndex}:a]${AUDIO_FORMAT_FILTER}${delayMs > 0 ? `,adelay=${delayMs}|${delayMs}` : ''}[voice]`);
+
+  let mixed = '[voice]';
+  if (bgIndex !== null) {
+    const bgChain = [AUDIO_FORMAT_FILTER];
+    if (mix.bgVolume !== 1) {
+      bgChain.push(`volume=${mix.bgVolume}`);
+    }
+    if (mix.bgFadeIn > 0) {
+      bgChain.push(`afade=t=in:st=0:d=${mix.bgFadeIn}`);
+    }
+    if (mix.bgFadeOut > 0 && bgDuration) {
+      bgChain.push(`afade=t=out:st=${Math.max(0, bgDuration - mix.bgFadeOut).toFixed(3)}:d=${mix.bgFadeOut}`);
+    }
+    filters.push(`[${bgIndex}:a]${bgChain.join(',')}[bg]`);
+
+    let voiceForMix = '[voice]';
+    let bgForMix = '[bg]';
+    if (mix.ducking) {
+      // 人声作为侧链压低背景音乐；侧链补静音，避免人声结束后背景音乐被截断
+      const { threshold, ratio, attack, release } = mix.ducking;
+      filters.push('[voice]asplit=2[voicemix][sidechain]');
+      filters.push('[sidechain]apad[sidechainpad]');
+      filters.push(`[bg][sidechainpad]sidechaincompress=threshold=${threshold}:ratio=${ratio}:attack=${attack}:release=${release}[ducked]`);
+      voiceForMix = '[voicemix]';
+      bgForMix = '[ducked]';
+    }
+    filters.push(`${bgForMix}${voiceForMix}amix=inputs=2:duration=longest:dropout_transition=0[mixed]`);
+    mixed = '[mixed]';
+  }
+
+  if (mix.loudnorm) {
+    // loudnorm 输出 192kHz，需要重采样
+    filters.push(`${mixed}loudnorm=I=${mix.loudnorm.target}:TP=-1.5:LRA=11,aresample=44100[out]`);
+  } else {
+    filters.push(`${mixed}anull[out]`);
+  }
+  return filters;
 }
 
 // 音频拼接接口
-router.post('/audio', express.json({ limit: '50mb' }), async (req, res) => {
-  let { bgUrl, introUrl, audioUrls = [], introTxt, audioTxts = [] } = req.body || {};
+router.post('/audio', express.json({ limit: '50mb' }), asyncJob('merge/audio', async (req, res) => {
+  let {
+    bgUrl, introUrl, audioUrls = [], introTxt, audioTxts = [], texts, voice, ttsProvider,
+    subtitleTiming = 'estimate', silenceThreshold = -35, minSilence = 0.15,
+    subtitleFormats = ['srt'], subtitleStyle,
+  } = req.body || {};
+
+  if (!SUBTITLE_TIMING_MODES.includes(subtitleTiming)) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: `subtitleTiming must be one of: ${SUBTITLE_TIMING_MODES.join(', ')}`,
+    });
+  }
+  silenceThreshold = Number(silenceThreshold);
+  minSilence = Number(minSilence);
+  if (!Number.isFinite(silenceThreshold) || silenceThreshold >= 0 || !Number.isFinite(minSilence) || minSilence <= 0) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: 'silenceThreshold must be a negative number (dB) and minSilence a positive number (seconds)',
+    });
+  }
+  if (!Array.isArray(subtitleFormats) || subtitleFormats.length === 0 || !subtitleFormats.every(format => SUBTITLE_FORMATS.includes(format))) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: `subtitleFormats must be a non-empty array of: ${SUBTITLE_FORMATS.join(', ')}`,
+    });
+  }
+  // 片头时长、片段间隔/交叉淡化、背景音乐、响度标准化与输出格式
+  let mix;
+  try {
+    mix = normalizeMixOptions(req.body || {});
+  } catch (err) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: err.message,
+    });
+  }
+  // ASS 字幕的样式，画布默认与 /convert/audio-to-video 的默认视频尺寸一致
+  let assStyle;
+  try {
+    const canvas = subtitleStyle || {};
+    assStyle = normalizeSubtitleStyle(subtitleStyle === undefined ? {} : subtitleStyle, {
+      width: parseInt(canvas.width, 10) || 1080,
+      height: parseInt(canvas.height, 10) || 1920,
+    });
+  } catch (err) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: err.message,
+    });
+  }
+
+  // 传入 texts 时由语音合成生成音频，不需要 audioUrls，introUrl 可选（未提供时合成 introTxt）
+  const useTts = texts !== undefined;
+  if (useTts) {
+    if (!Array.isArray(texts) || texts.length === 0 || !texts.every(txt => typeof txt === 'string' && txt.trim().length > 0)) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: 'texts must be a non-empty array of non-empty strings',
+      });
+    }
+    if (Array.isArray(audioUrls) && audioUrls.length > 0) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: 'Provide either audioUrls or texts, not both',
+      });
+    }
+    if ((introUrl !== undefined && typeof introUrl !== 'string') || (introTxt !== undefined && typeof introTxt !== 'string')) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: 'introUrl and introTxt must be strings if provided',
+      });
+    }
+    if (voice !== undefined && typeof voice !== 'string') {
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: 'voice must be a string if provided',
+      });
+    }
+    const providers = listTtsProviders().map(provider => provider.name);
+    if (ttsProvider !== undefined && !providers.includes(ttsProvider)) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: `ttsProvider must be one of: ${providers.join(', ')}`,
+      });
+    }
+  }
 
   // 参数验证
-  if (!introUrl || typeof introUrl !== 'string') {
+  if (!useTts && (!introUrl || typeof introUrl !== 'string')) {
     return res.status(400).json({
       error: 'invalid_request',
       message: 'introUrl (string) is required in request body',
     });
   }
 
-  if (!Array.isArray(audioUrls) || audioUrls.length === 0) {
+  if (!useTts && (!Array.isArray(audioUrls) || audioUrls.length === 0)) {
     return res.status(400).json({
       error: 'invalid_request',
       message: 'audioUrls (array of strings) is required and must not be empty',
@@ -238,9 +530,9 @@ router.post('/audio', express.json({ limit: '50mb' }), async (req, res) => {
     });
   }
 
-  // 如果提供了字幕，验证数量匹配
-  const hasSubtitles = introTxt !== undefined || audioTxts.length > 0;
-  if (hasSubtitles) {
+  // 如果提供了字幕，验证数量匹配（语音合成时字幕即 texts）
+  const hasSubtitles = useTts || introTxt !== undefined || audioTxts.length > 0;
+  if (hasSubtitles && !useTts) {
     if (introTxt === undefined) {
       return res.status(400).json({
         error: 'invalid_request',
@@ -266,8 +558,10 @@ router.post('/audio', express.json({ limit: '50mb' }), async (req, res) => {
   if (bgUrl) {
     bgUrl = normalizeUrl(bgUrl);
   }
-  introUrl = normalizeUrl(introUrl);
-  audioUrls = audioUrls.map(url => normalizeUrl(url));
+  if (introUrl) {
+    introUrl = normalizeUrl(introUrl);
+  }
+  audioUrls = useTts ? [] : audioUrls.map(url => normalizeUrl(url));
 
   const tempDir = path.join(os.tmpdir(), `audio-merge-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
   const outputDir = path.join(__dirname, '..', 'public', 'audio');
@@ -275,7 +569,7 @@ router.post('/audio', express.json({ limit: '50mb' }), async (req, res) => {
   let bgFilePath = null;
   let mergedAudioPath = null;
   let outputFilePath = null;
-  let srtFilePath = null;
+  const subtitleFiles = {}; // 格式 -> 生成的字幕文件路径
 
   try {
     // 创建临时目录和输出目录
@@ -284,20 +578,58 @@ router.post('/audio', express.json({ limit: '50mb' }), async (req, res) => {
 
     console.log(`[merge/audio] Starting audio merge, introUrl: ${introUrl}, audioUrls count: ${audioUrls.length}, bgUrl: ${bgUrl || 'none'}`);
 
+    // 每个音频对应的字幕：text 为整段文本（按字数估算时间），units 为语音合成时每句的文本与精确时长
+    const subtitleSources = [];
+
+    // 下载进度：背景音乐 + 介绍音频 + 所有音频（或语音合成的片段）
+    const synthesizeIntro = useTts && !introUrl && Boolean(introTxt && introTxt.trim());
+    const totalDownloads = (useTts ? texts.length : audioUrls.length) + (introUrl || synthesizeIntro ? 1 : 0) + (bgUrl ? 1 : 0);
+    let completedDownloads = 0;
+    reportProgress(req, 'download', { percent: 0 });
+
     // 下载背景音乐（如果提供）
     if (bgUrl) {
       const bgFileName = `bg-${Date.now()}.${getFileExtension(bgUrl)}`;
       bgFilePath = path.join(tempDir, bgFileName);
       await downloadAudio(bgUrl, bgFilePath);
       console.log(`[merge/audio] Downloaded background music: ${bgFilePath}`);
+      reportProgress(req, 'download', { percent: (++completedDownloads / totalDownloads) * 100 });
     }
 
     // 下载介绍音频
-    const introFileName = `intro-${Date.now()}.${getFileExtension(introUrl)}`;
-    const introFilePath = path.join(tempDir, introFileName);
-    await downloadAudio(introUrl, introFilePath);
-    downloadedFiles.push(introFilePath);
-    console.log(`[merge/audio] Downloaded intro audio: ${introFilePath}`);
+    if (introUrl) {
+      const introFileName = `intro-${Date.now()}.${getFileExtension(introUrl)}`;
+      const introFilePath = path.join(tempDir, introFileName);
+      await downloadAudio(introUrl, introFilePath);
+      if (useTts) {
+        // 与合成的 WAV 片段统一格式后再拼接
+        const introWavPath = path.join(tempDir, `intro-${Date.now()}.wav`);
+        await convertToWav(introFilePath, introWavPath);
+        downloadedFiles.push(introWavPath);
+      } else {
+        downloadedFiles.push(introFilePath);
+      }
+      subtitleSources.push({ text: introTxt });
+      console.log(`[merge/audio] Downloaded intro audio: ${introFilePath}`);
+      reportProgress(req, 'download', { percent: (++completedDownloads / totalDownloads) * 100 });
+    } else if (synthesizeIntro) {
+      const intro = await synthesizeSegment(introTxt, tempDir, 'intro', { provider: ttsProvider, voice });
+      downloadedFiles.push(intro.path);
+      subtitleSources.push({ units: intro.units });
+      console.log(`[merge/audio] Synthesized intro audio: ${intro.path}`);
+      reportProgress(req, 'tts', { percent: (++completedDownloads / totalDownloads) * 100 });
+    }
+
+    // 语音合成所有文本
+    if (useTts) {
+      for (let i = 0; i < texts.length; i++) {
+        const segment = await synthesizeSegment(texts[i], tempDir, `tts-${i}`, { provider: ttsProvider, voice });
+        downloadedFiles.push(segment.path);
+        subtitleSources.push({ units: segment.units });
+        console.log(`[merge/audio] Synthesized audio ${i + 1}/${texts.length}: ${segment.units.length} sentences`);
+        reportProgress(req, 'tts', { percent: (++completedDownloads / totalDownloads) * 100 });
+      }
+    }
 
     // 下载所有音频文件
     for (let i = 0; i < audioUrls.length; i++) {
@@ -306,32 +638,40 @@ router.post('/audio', express.json({ limit: '50mb' }), async (req, res) => {
       const filePath = path.join(tempDir, fileName);
       await downloadAudio(audioUrl, filePath);
       downloadedFiles.push(filePath);
+      subtitleSources.push({ text: audioTxts[i] });
       console.log(`[merge/audio] Downloaded audio ${i + 1}/${audioUrls.length}: ${filePath}`);
+      reportProgress(req, 'download', { percent: (++completedDownloads / totalDownloads) * 100 });
     }
 
-    // 先拼接所有音频文件（intro + audioUrls）
-    const fileListPath = path.join(tempDir, 'filelist.txt');
-    const fileListContent = downloadedFiles
-      .map(file => `file '${file.replace(/'/g, "'\\''")}'`)
-      .join('\n');
-    await fs.promises.writeFile(fileListPath, fileListContent, 'utf8');
-    console.log(`[merge/audio] Created file list: ${fileListPath}`);
+    // 各片段时长：用于交叉淡化、字幕时间和进度计算
+    const durations = [];
+    for (const filePath of downloadedFiles) {
+      const duration = await getAudioDuration(filePath);
+      durations.push(duration);
+      console.log(`[merge/audio] Audio duration: ${duration.toFixed(2)}s`);
+    }
+    const crossfades = pairCrossfades(durations, mix.crossfade);
+    // 拼接后的人声时长：片段时长 + 间隔 - 交叉淡化重叠部分
+    const concatDuration = durations.reduce((sum, duration) => sum + duration, 0)
+      + mix.gap * (durations.length - 1)
+      - crossfades.reduce((sum, value) => sum + value, 0);
 
-    // 生成临时拼接音频文件路径
-    mergedAudioPath = path.join(tempDir, `merged-temp-${Date.now()}.mp3`);
+    // 生成临时拼接音频文件路径（无损 WAV，最终输出时再编码）
+    mergedAudioPath = path.join(tempDir, `merged-temp-${Date.now()}.wav`);
 
-    // 使用 ffmpeg 拼接音频（intro + audioUrls）
+    // 使用 ffmpeg 拼接音频（intro + audioUrls），片段间可插入间隔或交叉淡化
     await new Promise((resolve, reject) => {
-      ffmpeg()
-        .input(fileListPath)
-        .inputOptions(['-f', 'concat', '-safe', '0'])
-        .audioCodec('libmp3lame')
-        .audioBitrate(128)
+      const command = ffmpeg();
+      downloadedFiles.forEach(file => command.input(file));
+      command
+        .complexFilter(buildConcatFilters(downloadedFiles.length, { gap: mix.gap, crossfades }), 'voice')
+        .audioCodec('pcm_s16le')
         .on('start', (commandLine) => {
           console.log(`[merge/audio] FFmpeg concat command: ${commandLine}`);
         })
         .on('progress', (progress) => {
           console.log(`[merge/audio] Processing concat: ${JSON.stringify(progress)}`);
+          reportProgress(req, 'concat', progress, concatDuration);
         })
         .on('end', () => {
           console.log(`[merge/audio] Audio concat completed: ${mergedAudioPath}`);
@@ -345,72 +685,39 @@ router.post('/audio', express.json({ limit: '50mb' }), async (req, res) => {
     });
 
     // 生成最终输出文件名
-    const outputFileName = `merged-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.mp3`;
+    const outputFormat = OUTPUT_FORMATS[mix.outputFormat];
+    const outputFileName = `merged-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${outputFormat.ext}`;
     outputFilePath = path.join(outputDir, outputFileName);
-    const DELAY_SECONDS = 1;
-
-    // 如果有背景音乐，混合背景音乐和拼接的音频
-    if (bgFilePath) {
-      // 背景音乐从0秒开始，拼接的音频从5秒开始
-      
-      await new Promise((resolve, reject) => {
-        ffmpeg()
-          .input(bgFilePath)
-          .input(mergedAudioPath)
-          .complexFilter([
-            // 延迟拼接的音频5秒
-            `[1:a]adelay=${DELAY_SECONDS * 1000}|${DELAY_SECONDS * 1000}[delayed]`,
-            // 混合背景音乐和延迟后的音频
-            `[0:a][delayed]amix=inputs=2:duration=longest:dropout_transition=0`
-          ])
-          .audioCodec('libmp3lame')
-          .audioBitrate(128)
-          .on('start', (commandLine) => {
-            console.log(`[merge/audio] FFmpeg mix command: ${commandLine}`);
-          })
-          .on('progress', (progress) => {
-            console.log(`[merge/audio] Processing mix: ${JSON.stringify(progress)}`);
-          })
-          .on('end', () => {
-            console.log(`[merge/audio] Audio mix completed: ${outputFilePath}`);
-            resolve();
-          })
-          .on('error', (err) => {
-            console.error(`[merge/audio] FFmpeg mix error:`, err);
-            reject(err);
-          })
-          .save(outputFilePath);
-      });
-    } else {
-      // 没有背景音乐，拼接的音频从5秒开始（在前面添加5秒静音）
-      await new Promise((resolve, reject) => {
-        ffmpeg()
-          .input('anullsrc=channel_layout=stereo:sample_rate=44100')
-          .inputOptions(['-f', 'lavfi', '-t', String(DELAY_SECONDS)])
-          .input(mergedAudioPath)
-          .complexFilter([
-            // 将静音和拼接的音频连接
-            `[0:a][1:a]concat=n=2:v=0:a=1`
-          ])
-          .audioCodec('libmp3lame')
-          .audioBitrate(128)
-          .on('start', (commandLine) => {
-            console.log(`[merge/audio] FFmpeg delay command: ${commandLine}`);
-          })
-          .on('progress', (progress) => {
-            console.log(`[merge/audio] Processing delay: ${JSON.stringify(progress)}`);
-          })
-          .on('end', () => {
-            console.log(`[merge/audio] Audio delay completed: ${outputFilePath}`);
-            resolve();
-          })
-          .on('error', (err) => {
-            console.error(`[merge/audio] FFmpeg delay error:`, err);
-            reject(err);
-          })
-          .save(outputFilePath);
-      });
-    }
+    const bgDuration = bgFilePath ? await getAudioDuration(bgFilePath) : null;
+    const outputDuration = Math.max(bgDuration || 0, mix.leadIn + concatDuration);
+
+    // 人声延迟 leadIn 秒开始；有背景音乐时与背景音乐混合（背景音乐从0秒开始）
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg().input(mergedAudioPath);
+      if (bgFilePath) {
+        command.input(bgFilePath);
+      }
+      command
+        .complexFilter(buildMixFilters(mix, { voiceIndex: 0, bgIndex: bgFilePath ? 1 : null, bgDuration }), 'out')
+        .audioCodec(outputFormat.codec)
+        .audioBitrate(mix.bitrate)
+        .on('start', (commandLine) => {
+          console.log(`[merge/audio] FFmpeg mix command: ${commandLine}`);
+        })
+        .on('progress', (progress) => {
+          console.log(`[merge/audio] Processing mix: ${JSON.stringify(progress)}`);
+          reportProgress(req, 'mix', progress, outputDuration);
+        })
+        .on('end', () => {
+          console.log(`[merge/audio] Audio mix completed: ${outputFilePath}`);
+          resolve();
+        })
+        .on('error', (err) => {
+          console.error(`[merge/audio] FFmpeg mix error:`, err);
+          reject(err);
+        })
+        .save(outputFilePath);
+    });
 
     // 构造可访问的URL
     const baseUrl = `${req.protocol}://${req.get('host')}`;
@@ -420,69 +727,93 @@ router.post('/audio', express.json({ limit: '50mb' }), async (req, res) => {
 
     console.log(`[merge/audio] Audio merge successful, URL: ${audioUrl}`);
 
-    // 如果提供了字幕，生成 SRT 文件
-    let srtUrl = null;
+    // 如果提供了字幕，生成字幕文件（SRT，可选 WebVTT、ASS）
+    const subtitleUrls = {};
     if (hasSubtitles) {
       try {
-        console.log(`[merge/audio] Generating SRT subtitle file...`);
+        console.log(`[merge/audio] Generating subtitle files (${subtitleFormats.join(', ')})...`);
+        reportProgress(req, 'subtitle', { percent: 0 });
         
-        // 获取每个音频文件的时长
-        const durations = [];
-        for (const filePath of downloadedFiles) {
-          const duration = await getAudioDuration(filePath);
-          durations.push(duration);
-          console.log(`[merge/audio] Audio duration: ${duration.toFixed(2)}s`);
-        }
-
         // 计算每个字幕的时间戳（按标点符号分割长文本）
-        // 字幕从5秒开始（拼接的音频从5秒开始播放）
-        const subtitles = [];
-        let currentTime = DELAY_SECONDS;
-
-        // 添加介绍音频的字幕
-        const introDuration = durations[0];
-        if (introTxt && introTxt.trim().length > 0) {
-          // 按标点符号分割文本
-          const introSegments = splitTextByPunctuation(introTxt.trim());
-          if (introSegments.length > 0) {
-            // 根据字数和时长计算每个片段的时间
-            const introSubtitles = calculateSubtitleTimings(introSegments, introDuration, currentTime);
-            subtitles.push(...introSubtitles);
+        // 每段音频的字幕先从0开始计算，再平移到该段在拼接音频中的位置
+        let subtitles = [];
+        let currentTime = 0;
+
+        // silence 模式下按停顿对齐，静音检测失败时退回按字数估算
+        const timeSegments = (segments, duration, start, silences) => (silences
+          ? alignSubtitleTimings(segments, duration, start, silences)
+          : calculateSubtitleTimings(segments, duration, start));
+
+        // 按顺序添加每个音频（intro + audioUrls/texts）的字幕
+        for (let i = 0; i < downloadedFiles.length; i++) {
+          const { text, units } = subtitleSources[i] || {};
+          let silences = null;
+          if (subtitleTiming === 'silence' && (units || (text && text.trim().length > 0))) {
+            try {
+              silences = await detectSilences(downloadedFiles[i], { threshold: silenceThreshold, minDuration: minSilence });
+              console.log(`[merge/audio] Detected ${silences.length} silences in audio ${i + 1}`);
+            } catch (e) {
+              console.warn(`[merge/audio] Silence detection failed for ${downloadedFiles[i]}, falling back to estimate:`, e.message);
+            }
           }
-        }
-        currentTime += introDuration; // 即使没有字幕，也要推进时间
 
-        // 添加其他音频的字幕
-        for (let i = 0; i < audioTxts.length; i++) {
-          const audioTxt = audioTxts[i];
-          const audioDuration = durations[i + 1]; // +1 因为第一个是 intro
-          if (audioTxt && audioTxt.trim().length > 0) {
+          const segmentSubtitles = [];
+          if (units) {
+            // 语音合成的片段：逐句使用实际时长，句内按字数估算或按停顿对齐
+            let offset = 0;
+            for (const unit of units) {
+              const unitSilences = silences && silences
+                .filter(silence => silence.end > offset && silence.start < offset + unit.duration)
+                .map(silence => ({
+                  start: Math.max(0, silence.start - offset),
+                  end: Math.min(unit.duration, silence.end - offset),
+                }));
+              segmentSubtitles.push(...timeSegments(splitTextByPunctuation(unit.text), unit.duration, offset, unitSilences));
+              offset += unit.duration;
+            }
+          } else if (text && text.trim().length > 0) {
             // 按标点符号分割文本
-            const audioSegments = splitTextByPunctuation(audioTxt.trim());
-            if (audioSegments.length > 0) {
-              // 根据字数和时长计算每个片段的时间
-              const audioSubtitles = calculateSubtitleTimings(audioSegments, audioDuration, currentTime);
-              subtitles.push(...audioSubtitles);
+            const segments = splitTextByPunctuation(text.trim());
+            if (segments.length > 0) {
+              // 根据字数或停顿计算每个片段的时间
+              segmentSubtitles.push(...timeSegments(segments, durations[i], 0, silences));
             }
           }
-          currentTime += audioDuration; // 即使没有字幕，也要推进时间
+          const shifted = shiftCues(segmentSubtitles, currentTime);
+          // 交叉淡化时前后两段重叠，字幕在重叠部分的中点切换
+          const previous = subtitles[subtitles.length - 1];
+          if (previous && shifted.length > 0 && previous.endTime > shifted[0].startTime) {
+            const middle = (previous.endTime + shifted[0].startTime) / 2;
+            previous.endTime = middle;
+            shifted[0].startTime = middle;
+          }
+          subtitles.push(...shifted);
+          // 即使没有字幕，也要推进时间（加上间隔，减去与下一段交叉淡化的重叠部分）
+          currentTime += durations[i] + mix.gap - (crossfades[i] || 0);
+        }
+
+        // 拼接的音频延迟 leadIn 秒开始播放，字幕整体后移
+        subtitles = shiftCues(subtitles, mix.leadIn);
+        // 指定了每行最大宽度时，SRT/WebVTT 也按该宽度折行
+        if (assStyle.maxLineWidth) {
+          subtitles = rewrapCues(subtitles, assStyle.maxLineWidth);
         }
 
-        // 生成 SRT 文件
-        const srtContent = generateSrtContent(subtitles);
-        const srtFileName = `merged-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.srt`;
-        srtFilePath = path.join(outputDir, srtFileName);
-        await fs.promises.writeFile(srtFilePath, srtContent, 'utf8');
-        console.log(`[merge/audio] SRT file created: ${srtFilePath}`);
-
-        // 构造 SRT 文件的 URL
-        const srtRelativePath = path.relative(path.join(__dirname, '..', 'public'), srtFilePath);
-        const srtUrlPath = `/static/${srtRelativePath.split(path.sep).join('/')}`;
-        srtUrl = `${baseUrl}${srtUrlPath}`;
-        console.log(`[merge/audio] SRT file URL: ${srtUrl}`);
+        // 生成各格式的字幕文件（同名不同扩展名）
+        const subtitleBaseName = `merged-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        for (const format of subtitleFormats) {
+          const subtitleFilePath = path.join(outputDir, `${subtitleBaseName}.${format}`);
+          await fs.promises.writeFile(subtitleFilePath, generateSubtitleContent(subtitles, format, assStyle), 'utf8');
+          subtitleFiles[format] = subtitleFilePath;
+
+          // 构造字幕文件的 URL
+          const subtitleRelativePath = path.relative(path.join(__dirname, '..', 'public'), subtitleFilePath);
+          subtitleUrls[format] = `${baseUrl}/static/${subtitleRelativePath.split(path.sep).join('/')}`;
+          console.log(`[merge/audio] ${format.toUpperCase()} file created: ${subtitleUrls[format]}`);
+        }
       } catch (srtErr) {
-        console.error('[merge/audio] Failed to generate SRT file:', srtErr);
-        // SRT 生成失败不影响音频合并，继续返回音频结果
+        console.error('[merge/audio] Failed to generate subtitle files:', srtErr);
+        // 字幕生成失败不影响音频合并，继续返回音频结果
       }
     }
 
@@ -494,12 +825,43 @@ router.post('/audio', express.json({ limit: '50mb' }), async (req, res) => {
       path: outputFilePath,
       filename: outputFileName,
       duration: allDuration,
+      format: mix.outputFormat,
+      mix: {
+        leadIn: mix.leadIn,
+        gap: mix.gap,
+        crossfades,
+        bgVolume: mix.bgVolume,
+        ducking: Boolean(bgFilePath && mix.ducking),
+        loudnorm: mix.loudnorm ? mix.loudnorm.target : null,
+        bitrate: mix.bitrate,
+      },
     };
 
-    if (srtUrl) {
-      response.srtUrl = srtUrl;
-      response.srtPath = srtFilePath;
-      response.srtFilename = path.basename(srtFilePath);
+    if (hasSubtitles) {
+      response.subtitleTiming = subtitleTiming;
+    }
+
+    if (useTts) {
+      response.tts = {
+        provider: ttsProvider || defaultTtsProvider(),
+        voice: voice || null,
+        segments: subtitleSources.map(source => ({
+          duration: source.units ? source.units.reduce((sum, unit) => sum + unit.duration, 0) : null,
+          sentences: source.units ? source.units.length : null,
+        })),
+      };
+    }
+
+    if (subtitleUrls.srt) {
+      response.srtUrl = subtitleUrls.srt;
+      response.srtPath = subtitleFiles.srt;
+      response.srtFilename = path.basename(subtitleFiles.srt);
+    }
+    if (subtitleUrls.vtt) {
+      response.vttUrl = subtitleUrls.vtt;
+    }
+    if (subtitleUrls.ass) {
+      response.assUrl = subtitleUrls.ass;
     }
 
     return res.json(response);
@@ -515,15 +877,28 @@ router.post('/audio', express.json({ limit: '50mb' }), async (req, res) => {
       }
     }
 
-    // 如果 SRT 文件已创建但出错，尝试删除
-    if (srtFilePath) {
+    // 如果字幕文件已创建但出错，尝试删除
+    for (const subtitleFilePath of Object.values(subtitleFiles)) {
       try {
-        await fs.promises.unlink(srtFilePath);
+        await fs.promises.unlink(subtitleFilePath);
       } catch (e) {
-        console.warn('[merge/audio] Failed to cleanup SRT file:', e);
+        console.warn('[merge/audio] Failed to cleanup subtitle file:', e);
       }
     }
 
+    if (err && err.code === 'TTS_NOT_CONFIGURED') {
+      return res.status(500).json({
+        error: 'tts_not_configured',
+        message: err.message,
+      });
+    }
+    if (err && err.code === 'TTS_FAILED') {
+      return res.status(502).json({
+        error: 'tts_failed',
+        message: err.message,
+      });
+    }
+
     return res.status(500).json({
       error: 'merge_failed',
       message: err && err.message ? err.message : String(err),
@@ -554,13 +929,6 @@ router.post('/audio', express.json({ limit: '50mb' }), async (req, res) => {
           console.warn(`[merge/audio] Failed to delete merged audio file ${mergedAudioPath}:`, e);
         }
       }
-      // 删除文件列表
-      const fileListPath = path.join(tempDir, 'filelist.txt');
-      try {
-        await fs.promises.unlink(fileListPath);
-      } catch (e) {
-        // 忽略错误
-      }
       // 删除临时目录
       try {
         await fs.promises.rmdir(tempDir);
@@ -581,7 +949,7 @@ router.post('/audio', express.json({ limit: '50mb' }), async (req, res) => {
       console.warn('[merge/audio] Failed to cleanup temp files:', e);
     }
   }
-});
+}));
 
 module.exports = router;
 
@@ -0,0 +1,129 @@
+const express = require('express');
+const { fontRegistry, FONT_FORMATS } = require('../utils/fontRegistry');
+
+const router = express.Router();
+
+/**
+ * 上传字体的大小上限
+ */
+const FONT_UPLOAD_LIMIT = '50mb';
+
+/**
+ * 获取字体列表
+ * GET /fonts
+ * 返回 fonts/ 目录中的本地字体，以及已缓存的远程字体
+ */
+router.get('/', (req, res) => {
+  const { fonts, cached } = fontRegistry.list();
+  return res.json({
+    success: true,
+    fonts,
+    cached,
+  });
+});
+
+/**
+ * 下载本地字体文件
+ * GET /fonts/files/:file
+ */
+router.get('/files/:file', (req, res) => {
+  const filePath = fontRegistry.resolveFile(req.params.file);
+  if (!filePath) {
+    return res.status(404).json({
+      error: 'font_not_found',
+      message: `Font file not found: ${req.params.file}`,
+    });
+  }
+  return res.sendFile(filePath);
+});
+
+/**
+ * 上传字体
+ * POST /fonts
+ *
+ * 两种方式：
+ * - JSON：{ name, weight, style, url | data(base64) }
+ * - 字体文件作为请求体（Content-Type: font/ttf、font/otf、application/octet-stream 等），
+ *   字体信息通过查询参数传入：/fonts?name=思源黑体&weight=700&style=normal
+ */
+router.post('/',
+  express.json({ limit: FONT_UPLOAD_LIMIT }),
+  express.raw({ type: ['font/*', 'application/octet-stream', 'application/font-*', 'application/x-font-*'], limit: FONT_UPLOAD_LIMIT }),
+  async (req, res) => {
+    const isRaw = Buffer.isBuffer(req.body);
+    const { name, weight = 400, style = 'normal', url, data } = isRaw ? req.query : (req.body || {});
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: 'name (string) is required',
+      });
+    }
+    if (style !== 'normal' && style !== 'italic') {
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: 'style must be "normal" or "italic"',
+      });
+    }
+    const fontWeight = parseInt(weight, 10);
+    if (!(fontWeight >= 100 && fontWeight <= 900)) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: 'weight must be a number between 100 and 900',
+      });
+    }
+
+    let buffer;
+    try {
+      if (isRaw) {
+        buffer = req.body;
+      } else if (typeof data === 'string' && data) {
+        buffer = Buffer.from(data, 'base64');
+      } else if (typeof url === 'string' && url) {
+        buffer = await fontRegistry.fetch(url);
+      } else {
+        return res.status(400).json({
+          error: 'invalid_request',
+          message: 'Provide the font file as the request body, or url / data (base64) in JSON',
+        });
+      }
+    } catch (err) {
+      console.error('[fonts] Failed to download font:', err.message);
+      return res.status(400).json({
+        error: 'font_download_failed',
+        message: `Failed to download font from ${url}: ${err.message}`,
+      });
+    }
+
+    try {
+      const font = await fontRegistry.add(buffer, { name, weight: fontWeight, style });
+      return res.status(201).json({
+        success: true,
+        font: {
+          ...font,
+          url: `/fonts/files/${encodeURIComponent(font.file)}`,
+        },
+      });
+    } catch (err) {
+      if (err.code === 'INVALID_FONT') {
+        return res.status(400).json({
+          error: 'invalid_font',
+          message: err.message,
+          supportedFormats: Object.keys(FONT_FORMATS),
+        });
+      }
+      if (err.code === 'FONT_NAME_CONFLICT') {
+        return res.status(409).json({
+          error: 'font_name_conflict',
+          message: err.message,
+        });
+      }
+      console.error('[fonts] Failed to save font:', err);
+      return res.status(500).json({
+        error: 'font_save_failed',
+        message: err.message,
+      });
+    }
+  });
+
+module.exports = router;
@@ -0,0 +1,198 @@
+const express = require('express');
+const { jobQueue, JOB_STATUS, splitSensitiveFields } = require('../utils/jobQueue');
+
+const router = express.Router();
+
+/**
+ * 生成任务摘要（列表接口不返回请求体和结果）
+ * @param {Object} job - 任务记录
+ * @returns {Object} 任务摘要
+ */
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress || null,
+  };
+}
+
+/**
+ * 判断任务是否已结束
+ * @param {Object} job - 任务记录
+ * @returns {boolean} 是否已结束
+ */
+function isFinished(job) {
+  return job.status === JOB_STATUS.SUCCEEDED || job.status === JOB_STATUS.FAILED;
+}
+
+/**
+ * 任务进度订阅者：jobId -> Set<{ onUpdate, onProgress }>
+ * 队列上只注册一组监听器，再分发给对应任务的订阅者，SSE 连接数不影响队列的监听器数量
+ */
+const subscribers = new Map();
+
+jobQueue.on('update', (job) => {
+  const jobSubscribers = subscribers.get(job.id);
+  if (!jobSubscribers) return;
+  // 复制一份，订阅者可能在回调中取消订阅
+  [...jobSubscribers].forEach(subscriber => subscriber.onUpdate(job));
+});
+
+jobQueue.on('progress', (job, progress) => {
+  const jobSubscribers = subscribers.get(job.id);
+  if (!jobSubscribers) return;
+  [...jobSubscribers].forEach(subscriber => subscriber.onProgress(progress));
+});
+
+/**
+ * 订阅任务的状态与进度
+ * @param {string} jobId - 任务 ID
+ * @param {Object} subscriber - { onUpdate(job), onProgress(progress) }
+ * @returns {Function} 取消订阅
+ */
+function subscribe(jobId, subscriber) {
+  if (!subscribers.has(jobId)) {
+    subscribers.set(jobId, new Set());
+  }
+  subscribers.get(jobId).add(subscriber);
+  return () => {
+    const jobSubscribers = subscribers.get(jobId);
+    if (!jobSubscribers) return;
+    jobSubscribers.delete(subscriber);
+    if (jobSubscribers.size === 0) {
+      subscribers.delete(jobId);
+    }
+  };
+}
+
+/**
+ * 获取任务列表
+ * GET /jobs?status=queued|running|succeeded|failed&type=merge/audio&limit=50&offset=0
+ */
+router.get('/', (req, res) => {
+  const { status, type } = req.query;
+  const limit = Math.max(1, Math.min(500, parseInt(req.query.limit, 10) || 50));
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+
+  if (status && !Object.values(JOB_STATUS).includes(status)) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: `status must be one of: ${Object.values(JOB_STATUS).join(', ')}`,
+    });
+  }
+
+  const { total, jobs } = jobQueue.list({ status, type, limit, offset });
+  return res.json({
+    success: true,
+    total,
+    limit,
+    offset,
+    jobs: jobs.map(summarizeJob),
+  });
+});
+
+/**
+ * 获取任务详情
+ * GET /jobs/:id
+ */
+router.get('/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'job_not_found',
+      message: `任务 ${req.params.id} 不存在`,
+    });
+  }
+
+  return res.json({
+    success: true,
+    job: {
+      ...summarizeJob(job),
+      request: job.request ? splitSensitiveFields(job.request.body).body : null,
+      result: job.result,
+      error: job.error,
+    },
+  });
+});
+
+/**
+ * 订阅任务进度（Server-Sent Events）
+ * GET /jobs/:id/events
+ *
+ * 事件类型：
+ * - status: 任务状态变化 { id, type, status, ... }
+ * - progress: 处理进度 { stage, percent, timemark, fps, updatedAt }
+ * - done: 任务结束 { status, result, error }，随后关闭连接
+ */
+router.get('/:id/events', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'job_not_found',
+      message: `任务 ${req.params.id} 不存在`,
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // 禁用 nginx 缓冲，保证事件实时推送
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const sendDone = (finishedJob) => {
+    sendEvent('done', {
+      status: finishedJob.status,
+      result: finishedJob.result,
+      error: finishedJob.error,
+    });
+    cleanup();
+    res.end();
+  };
+
+  const onUpdate = (updatedJob) => {
+    sendEvent('status', summarizeJob(updatedJob));
+    if (isFinished(updatedJob)) {
+      sendDone(updatedJob);
+    }
+  };
+
+  const onProgress = (progress) => {
+    sendEvent('progress', progress);
+  };
+
+  let unsubscribe = () => {};
+
+  // 定期发送注释行，防止代理因连接空闲而断开
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  // 先推送当前快照
+  sendEvent('status', summarizeJob(job));
+  if (job.progress) {
+    sendEvent('progress', job.progress);
+  }
+  if (isFinished(job)) {
+    return sendDone(job);
+  }
+
+  unsubscribe = subscribe(job.id, { onUpdate, onProgress });
+  req.on('close', cleanup);
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const { podcastPipeline } = require('../utils/podcastPipeline');
+
+const router = express.Router();
+
+// 解析 JSON 请求体
+router.use(express.json({ limit: '10mb' }));
+
+/**
+ * 生成流水线摘要（列表接口不返回参数和中间结果）
+ * @param {Object} pipeline - 流水线记录
+ * @returns {Object} 流水线摘要
+ */
+function summarizePipeline(pipeline) {
+  return {
+    id: pipeline.id,
+    type: pipeline.type,
+    status: pipeline.status,
+    createdAt: pipeline.createdAt,
+    startedAt: pipeline.startedAt,
+    finishedAt: pipeline.finishedAt,
+    stages: pipeline.stages.map(stage => ({ name: stage.name, status: stage.status, attempts: stage.attempts })),
+    error: pipeline.error,
+  };
+}
+
+/**
+ * 将流水线错误转换为响应
+ * @param {Object} res - express 响应对象
+ * @param {Error} err - 错误
+ */
+function sendPipelineError(res, err) {
+  if (err.code === 'INVALID_PIPELINE') {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: err.message,
+    });
+  }
+  if (err.code === 'PIPELINE_NOT_FOUND') {
+    return res.status(404).json({
+      error: 'pipeline_not_found',
+      message: err.message,
+    });
+  }
+  if (err.code === 'PIPELINE_BUSY' || err.code === 'PIPELINE_NOT_RESUMABLE' || err.code === 'CREDENTIALS_LOST') {
+    return res.status(409).json({
+      error: err.code.toLowerCase(),
+      message: err.message,
+    });
+  }
+  console.error('[pipelines/podcast] Pipeline error:', err);
+  return res.status(500).json({
+    error: 'pipeline_failed',
+    message: err && err.message ? err.message : String(err),
+  });
+}
+
+/**
+ * 启动播客制作流水线：读取未制作播客的新闻 → 语音合成 → 音频拼接 → 生成视频 → 发布 → 标记已制作
+ * POST /pipelines/podcast
+ *
+ * 参数：
+ * - source: 数据源（默认 aibase）
+ * - limit: 最多读取的新闻数（默认5）
+ * - ids: 可选，指定新闻ID
+ * - items: 可选，直接传入新闻 [{ title, summary }]（不读取数据库）
+ * - introUrl: 可选，预录的开场白音频；未提供时用 introText 合成
+ * - introText: 可选，开场白文本
+ * - bgUrl: 可选，背景音乐
+ * - voice: 可选，语音合成的音色
+ * - ttsProvider: 可选，语音合成服务（http、openai、edge、command，默认 TTS_PROVIDER）
+ * - merge: 可选，/merge/audio 的参数（leadIn、crossfade、ducking、loudnorm、outputFormat 等）
+ * - video: 可选，/convert/audio-to-video 的参数（width、height、backgroundImage 等）
+ * - platforms: 发布平台（默认 ["douyin", "xiaohongshu"]，传 [] 不发布）
+ * - publish: 可选，{ title, description, tags, douyin: {...}, xiaohongshu: {...} }，平台字段覆盖对应平台的参数
+ * - markPodcast: 是否将新闻标记为已制作播客（默认true）
+ * - retries / retryDelay: 可选，每个阶段的重试次数与间隔（毫秒）
+ *
+ * 立即返回 202 与流水线ID，执行状态通过 GET /pipelines/podcast/:id 查询
+ */
+router.post('/podcast', (req, res) => {
+  try {
+    const pipeline = podcastPipeline.start(req.body || {});
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    return res.status(202).json({
+      success: true,
+      pipelineId: pipeline.id,
+      status: pipeline.status,
+      statusUrl: `${baseUrl}/pipelines/podcast/${pipeline.id}`,
+    });
+  } catch (err) {
+    return sendPipelineError(res, err);
+  }
+});
+
+/**
+ * 获取流水线列表
+ * GET /pipelines/podcast?limit=50&offset=0
+ */
+router.get('/podcast', (req, res) => {
+  const limit = Math.max(1, Math.min(500, parseInt(req.query.limit, 10) || 50));
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const { total, pipelines } = podcastPipeline.list({ limit, offset });
+  return res.json({
+    success: true,
+    total,
+    limit,
+    offset,
+    pipelines: pipelines.map(summarizePipeline),
+  });
+});
+
+/**
+ * 获取流水线详情（各阶段状态与中间结果）
+ * GET /pipelines/podcast/:id
+ */
+router.get('/podcast/:id', (req, res) => {
+  const pipeline = podcastPipeline.get(req.params.id);
+  if (!pipeline) {
+    return res.status(404).json({
+      error: 'pipeline_not_found',
+      message: `流水线 ${req.params.id} 不存在`,
+    });
+  }
+  return res.json({
+    success: true,
+    pipeline,
+  });
+});
+
+/**
+ * 从失败的阶段继续执行
+ * POST /pipelines/podcast/:id/resume
+ */
+router.post('/podcast/:id/resume', (req, res) => {
+  try {
+    const pipeline = podcastPipeline.resume(req.params.id);
+    return res.status(202).json({
+      success: true,
+      pipelineId: pipeline.id,
+      status: pipeline.status,
+      stages: summarizePipeline(pipeline).stages,
+    });
+  } catch (err) {
+    return sendPipelineError(res, err);
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const path = require('path');
 const { LoginValidator, PLATFORM_CONFIG } = require('../../utils/loginValidator');
 const axios = require('axios');
 const { normalizeUrl } = require('../../utils/urlUtils');
+const { asyncJob } = require('../../utils/jobQueue');
 
 const router = express.Router();
 
@@ -28,7 +29,7 @@ const router = express.Router();
  *   }
  * }
  */
-router.post('/', express.json({ limit: '100mb' }), async (req, res) => {
+router.post('/', express.json({ limit: '100mb' }), asyncJob('publish/xiaohongshu', async (req, res) => {
   let browser = null;
   let context = null;
   let page = null;
@@ -582,7 +583,7 @@ router.post('/', express.json({ limit: '100mb' }), async (req, res) => {
       console.warn('[publish/xiaohongshu] 清理资源时出错:', e);
     }
   }
-});
+}));
 
 module.exports = router;
 
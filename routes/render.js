@@ -1,7 +1,13 @@
 const express = require('express');
-const nodeHtmlToImage = require('node-html-to-image');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const ffmpeg = require('fluent-ffmpeg');
+const Handlebars = require('handlebars');
+const archiver = require('archiver');
+const { browserPool } = require('../utils/browserPool');
+const { fontRegistry } = require('../utils/fontRegistry');
+const { asyncJob, reportProgress } = require('../utils/jobQueue');
 
 const router = express.Router();
 
@@ -13,6 +19,292 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * 为 HTML 注入 body 尺寸样式（未传入 width/height 时原样返回）
+ * @param {string} html - 原始 HTML
+ * @param {number|string} width - 目标宽度（像素）
+ * @param {number|string} height - 目标高度（像素）
+ * @returns {string} 注入尺寸样式后的 HTML
+ */
+function injectSizeStyles(html, width, height) {
+  if (!width && !height) {
+    return html;
+  }
+
+  try {
+    const w = typeof width === 'number' ? width : parseInt(width, 10);
+    const h = typeof height === 'number' ? height : parseInt(height, 10);
+    const sizeStyle = `body{margin:0;${w ? `width:${w}px;` : ''}${h ? `height:${h}px;` : ''}}`;
+    if (/<head[\s>]/i.test(html) && /<body[\s>]/i.test(html)) {
+      return html.replace(/<head(.*?)>/i, (m) => `${m}\n<style>${sizeStyle}</style>`);
+    }
+    if (/<body[\s>]/i.test(html)) {
+      // 有 body 无 head：在 body 前注入一个 head
+      return html.replace(/<body(.*?)>/i, (m) => `<head><style>${sizeStyle}</style></head>\n${m}`);
+    }
+    // 无完整文档结构，进行包装
+    return `<!DOCTYPE html><html><head><style>${sizeStyle}</style></head><body>${html}</body></html>`;
+  } catch (e) {
+    console.warn('Failed to inject size styles, fallback to original html:', e);
+    return html;
+  }
+}
+
+/**
+ * 为 HTML 注入字体注册表中本地字体的 @font-face（注入在页面自身样式之前，同名字体以页面定义为准）
+ * 字体文件由 fontRegistry.attachToPage 拦截请求后从本地返回，与 Satori 使用同一份字体
+ * @param {string} html - 原始 HTML
+ * @returns {string} 注入字体样式后的 HTML
+ */
+function injectFontFaces(html) {
+  const css = fontRegistry.fontFaceCss();
+  if (!css) {
+    return html;
+  }
+
+  const style = `<style data-h2p-fonts>\n${css}\n</style>`;
+  if (/<head[\s>]/i.test(html)) {
+    return html.replace(/<head(.*?)>/i, (m) => `${m}\n${style}`);
+  }
+  if (/<body[\s>]/i.test(html)) {
+    return html.replace(/<body(.*?)>/i, (m) => `<head>${style}</head>\n${m}`);
+  }
+  return `${style}\n${html}`;
+}
+
+/**
+ * 根据视口参数与 device 预设计算页面视口和 UA
+ * 视口优先级：viewport 参数 > device 预设 > puppeteerArgs.defaultViewport（兼容旧调用）> 默认 800x600
+ * 浏览器由浏览器池统一启动，puppeteerArgs 中的启动参数不再生效
+ * @param {Object} options - { viewportWidth, viewportHeight, deviceScaleFactor, device, puppeteerArgs }
+ * @returns {{viewport: Object, userAgent: string|undefined}} 页面视口与 UA
+ */
+function resolvePageOptions({ viewportWidth, viewportHeight, deviceScaleFactor, device, puppeteerArgs } = {}) {
+  const deviceType = (device || '').toLowerCase();
+  let userAgent;
+  let deviceViewport;
+  if (deviceType === 'mobile') {
+    userAgent = 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1';
+    deviceViewport = { width: 390, height: 844, deviceScaleFactor: 3 };
+  } else if (deviceType === 'pc' || deviceType === 'desktop') {
+    userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Safari/537.36';
+    deviceViewport = { width: 1366, height: 768, deviceScaleFactor: 1 };
+  }
+
+  let viewport;
+  if (viewportWidth || viewportHeight || deviceScaleFactor) {
+    viewport = {
+      width: parseInt(viewportWidth, 10) || 800,
+      height: parseInt(viewportHeight, 10) || 600,
+      deviceScaleFactor: parseInt(deviceScaleFactor, 10) || 1,
+    };
+  } else {
+    viewport = deviceViewport
+      || (puppeteerArgs && puppeteerArgs.defaultViewport)
+      || { width: 800, height: 600, deviceScaleFactor: 1 };
+  }
+
+  return { viewport, userAgent };
+}
+
+/**
+ * 输出格式对应的扩展名与 MIME 类型
+ */
+const OUTPUT_FORMATS = {
+  png: { ext: 'png', mime: 'image/png' },
+  jpeg: { ext: 'jpg', mime: 'image/jpeg' },
+  pdf: { ext: 'pdf', mime: 'application/pdf' },
+};
+
+/**
+ * 支持的 PDF 纸张规格
+ */
+const PDF_FORMATS = ['letter', 'legal', 'tabloid', 'ledger', 'a0', 'a1', 'a2', 'a3', 'a4', 'a5', 'a6'];
+
+/**
+ * 将请求中的 pdf 参数转换为 puppeteer page.pdf 选项
+ * @param {Object} pdf - { format, width, height, margin, landscape, printBackground, headerTemplate, footerTemplate, pageRanges, scale, media }
+ * @returns {Object} page.pdf 选项（media 单独返回，用于切换 CSS 媒体类型）
+ * @throws {Error} 参数不合法时抛出，err.code 为 'INVALID_PDF_OPTIONS'
+ */
+function buildPdfOptions(pdf = {}) {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.code = 'INVALID_PDF_OPTIONS';
+    throw err;
+  };
+
+  if (!pdf || typeof pdf !== 'object') {
+    fail('pdf must be an object');
+  }
+
+  const {
+    format = 'A4',
+    width,
+    height,
+    margin,
+    landscape = false,
+    printBackground = true,
+    headerTemplate,
+    footerTemplate,
+    pageRanges,
+    scale,
+    media = 'print',
+  } = pdf;
+
+  const options = {
+    landscape: landscape === true || landscape === 'true',
+    printBackground: printBackground === true || printBackground === 'true',
+  };
+
+  // 自定义纸张尺寸优先于 format
+  if (width || height) {
+    if (!width || !height) {
+      fail('pdf.width and pdf.height must be provided together');
+    }
+    options.width = width;
+    options.height = height;
+  } else {
+    if (!PDF_FORMATS.includes(String(format).toLowerCase())) {
+      fail(`pdf.format must be one of: ${PDF_FORMATS.join(', ')}`);
+    }
+    options.format = format;
+  }
+
+  // 页眉页脚：传入任一模板即开启，未设置的一侧使用空模板，避免显示 Chromium 默认的日期/标题
+  const hasHeaderFooter = !!(headerTemplate || footerTemplate);
+  if (hasHeaderFooter) {
+    options.displayHeaderFooter = true;
+    options.headerTemplate = headerTemplate || '<span></span>';
+    options.footerTemplate = footerTemplate || '<span></span>';
+  }
+
+  // 页边距：数字/字符串表示四边相同，对象可分别设置 top/right/bottom/left
+  if (margin !== undefined && margin !== null) {
+    if (typeof margin === 'object') {
+      options.margin = margin;
+    } else {
+      options.margin = { top: margin, right: margin, bottom: margin, left: margin };
+    }
+  } else if (hasHeaderFooter) {
+    // 页眉页脚绘制在页边距内，未设置页边距时预留空间
+    options.margin = { top: '15mm', right: '10mm', bottom: '15mm', left: '10mm' };
+  }
+
+  if (pageRanges) {
+    options.pageRanges = String(pageRanges);
+  }
+
+  if (scale !== undefined) {
+    const scaleValue = parseFloat(scale);
+    if (!(scaleValue >= 0.1 && scaleValue <= 2)) {
+      fail('pdf.scale must be between 0.1 and 2');
+    }
+    options.scale = scaleValue;
+  }
+
+  if (!['print', 'screen'].includes(media)) {
+    fail('pdf.media must be one of: print, screen');
+  }
+
+  return { options, media };
+}
+
+/**
+ * 将当前页面打印为 PDF
+ * @param {Object} page - puppeteer Page
+ * @param {Object} pdfOptions - buildPdfOptions 的返回值
+ * @returns {Promise<Buffer>} PDF 数据
+ */
+async function printPdf(page, { options, media }) {
+  await page.emulateMediaType(media);
+  const data = await page.pdf(options);
+  // 新版 puppeteer 返回 Uint8Array
+  return Buffer.from(data);
+}
+
+/**
+ * 统计 PDF 页数
+ * @param {Buffer} buffer - PDF 数据
+ * @returns {number} 页数
+ */
+function countPdfPages(buffer) {
+  const matches = buffer.toString('latin1').match(/\/Type\s*\/Page(?!s)/g);
+  return matches ? matches.length : 0;
+}
+
+/**
+ * 在页面中加载 HTML 并对目标元素截图，type 为 pdf 时打印整个页面
+ * @param {Object} page - puppeteer Page
+ * @param {string} html - 完整 HTML
+ * @param {Object} options - { viewport, userAgent, waitUntil, selector, type, quality, transparent, pdf }，pdf 为 buildPdfOptions 的返回值
+ * @returns {Promise<Buffer>} 图片或 PDF 数据
+ */
+async function renderHtml(page, html, { viewport, userAgent, waitUntil = 'networkidle0', selector, type = 'png', quality = 80, transparent = false, pdf }) {
+  await page.setViewport(viewport);
+  if (userAgent) {
+    await page.setUserAgent(userAgent);
+  }
+  await fontRegistry.attachToPage(page);
+  await page.setContent(injectFontFaces(html), { waitUntil });
+
+  if (type === 'pdf') {
+    return printPdf(page, pdf || buildPdfOptions());
+  }
+
+  const element = await page.$(selector || 'body');
+  if (!element) {
+    throw new Error(`No element matches selector: ${selector || 'body'}`);
+  }
+
+  const data = await element.screenshot({
+    type,
+    quality: type === 'jpeg' ? quality : undefined,
+    omitBackground: transparent === true || transparent === 'true',
+  });
+  // 新版 puppeteer 返回 Uint8Array，统一转换为 Buffer
+  return Buffer.from(data);
+}
+
+/**
+ * 计算输出文件路径（自动创建目录），并生成 /static 访问路径
+ * @param {Object} options - { outputDir, fileName, defaultSubdir }，未传 outputDir 时输出到 public/<defaultSubdir>
+ * @returns {Promise<{filePath: string, urlPath: string}>} 文件路径与访问路径
+ */
+async function resolveOutputPath({ outputDir, fileName, defaultSubdir = 'images' }) {
+  const publicDir = path.join(__dirname, '..', 'public');
+  const finalOutputDir = outputDir
+    ? path.isAbsolute(outputDir) ? outputDir : path.join(__dirname, '..', outputDir)
+    : path.join(publicDir, defaultSubdir);
+  await fs.promises.mkdir(finalOutputDir, { recursive: true });
+
+  const filePath = path.join(finalOutputDir, fileName);
+
+  // 构造可访问的URL（挂载在/static下，public目录为根）
+  let urlPath;
+  if (finalOutputDir.startsWith(publicDir)) {
+    const relativePath = path.relative(publicDir, filePath);
+    urlPath = `/static/${relativePath.split(path.sep).join('/')}`;
+  } else {
+    // 非public目录，仍返回相对文件URL路径，可能不可直接访问
+    urlPath = `/static/${fileName}`;
+  }
+
+  return { filePath, urlPath };
+}
+
+/**
+ * 保存图片到输出目录，并生成 /static 访问路径
+ * @param {Buffer} buffer - 图片数据
+ * @param {Object} options - { outputDir, fileName }
+ * @returns {Promise<{filePath: string, urlPath: string}>} 文件路径与访问路径
+ */
+async function saveImage(buffer, { outputDir, fileName }) {
+  const { filePath, urlPath } = await resolveOutputPath({ outputDir, fileName });
+  await fs.promises.writeFile(filePath, buffer);
+  return { filePath, urlPath };
+}
+
 /**
  * URL 截图接口
  * POST /render/url-screenshot
@@ -21,8 +313,9 @@ function sleep(ms) {
  * - url: 要截图的网页URL（必需）
  * - width: 屏幕宽度（像素，默认1920）
  * - fullPage: 是否长截图（默认true）
- * - type: 图片类型 'png' | 'jpeg'（默认'png'）
+ * - type: 输出类型 'png' | 'jpeg' | 'pdf'（默认'png'）
  * - quality: JPEG质量 0-100（默认80，仅JPEG有效）
+ * - pdf: PDF 选项（type='pdf'时有效）{ format, width, height, margin, landscape, printBackground, headerTemplate, footerTemplate, pageRanges, scale, media }
  * - encoding: 返回格式 'binary' | 'base64' | 'url'（默认'url'）
  * - waitUntil: 等待条件 'load' | 'domcontentloaded' | 'networkidle0' | 'networkidle2'（默认'networkidle0'）
  * - timeout: 超时时间（毫秒，默认30000）
@@ -39,6 +332,7 @@ router.post('/url-screenshot', express.json({ limit: '10mb' }), async (req, res)
     encoding = 'url',
     waitUntil = 'networkidle0',
     timeout = 60000,
+    pdf,
     outputDir,
     outputName,
   } = req.body || {};
@@ -62,9 +356,23 @@ router.post('/url-screenshot', express.json({ limit: '10mb' }), async (req, res)
     });
   }
 
-  // 验证图片类型
-  const validTypes = ['png', 'jpeg'];
+  // 验证输出类型
+  const validTypes = ['png', 'jpeg', 'pdf'];
   const imageType = validTypes.includes(type.toLowerCase()) ? type.toLowerCase() : 'png';
+  const { ext, mime } = OUTPUT_FORMATS[imageType];
+
+  // PDF 选项
+  let pdfOptions;
+  if (imageType === 'pdf') {
+    try {
+      pdfOptions = buildPdfOptions(pdf);
+    } catch (err) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: err.message,
+      });
+    }
+  }
 
   // 验证编码格式
   const validEncodings = ['binary', 'base64', 'url'];
@@ -88,193 +396,10 @@ router.post('/url-screenshot', express.json({ limit: '10mb' }), async (req, res)
     timeout,
   });
 
-  // 尝试使用 puppeteer，如果不可用则使用 playwright
-  let usePlaywright = false;
-  let puppeteer;
-  let playwright;
-
-  try {
-    puppeteer = require('puppeteer');
-  } catch (puppeteerErr) {
-    console.log('[render/url-screenshot] Puppeteer not available, trying Playwright...');
-    try {
-      playwright = require('playwright');
-      usePlaywright = true;
-    } catch (playwrightErr) {
-      console.error('[render/url-screenshot] Neither Puppeteer nor Playwright available');
-      return res.status(500).json({
-        error: 'browser_not_available',
-        message: 'Puppeteer or Playwright is required for URL screenshot. Please install one of them.',
-      });
-    }
-  }
-
-  let browser;
-  let page;
   let screenshot;
 
   try {
-    if (usePlaywright) {
-      // 使用 Playwright
-      browser = await playwright.chromium.launch({
-        args: ['--no-sandbox', '--disable-setuid-sandbox'],
-        headless: true,
-      });
-
-      const context = await browser.newContext({
-        viewport: {
-          width: screenWidth,
-          height: isFullPage ? 1080 : 1920,
-        },
-        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Safari/537.36',
-      });
-
-      page = await context.newPage();
-
-      // 导航到目标URL
-      console.log(`[render/url-screenshot] Navigating to ${targetUrl}...`);
-      await page.goto(targetUrl, {
-        waitUntil: waitCondition,
-        timeout: timeout,
-      });
-
-      // 等待页面稳定并触发懒加载图片
-      if (isFullPage) {
-        console.log('[render/url-screenshot] Scrolling page to trigger lazy-loaded images...');
-        // 获取页面总高度
-        const pageHeight = await page.evaluate(() => {
-          return Math.max(
-            document.body.scrollHeight,
-            document.body.offsetHeight,
-            document.documentElement.clientHeight,
-            document.documentElement.scrollHeight,
-            document.documentElement.offsetHeight
-          );
-        });
-
-        // 逐步滚动页面，触发懒加载
-        const viewportHeight = 1080;
-        const scrollStep = viewportHeight * 0.8; // 每次滚动80%的视口高度
-        let currentScroll = 0;
-
-        while (currentScroll < pageHeight) {
-          // 滚动到当前位置
-          await page.evaluate((scrollY) => {
-            window.scrollTo(0, scrollY);
-          }, currentScroll);
-
-          // 等待一段时间让图片加载
-          if (page.waitForTimeout) {
-            await page.waitForTimeout(500);
-          } else {
-            await sleep(500);
-          }
-
-          // 等待所有图片加载完成（检查当前视口内的图片）
-          try {
-            await page.evaluate(() => {
-              return Promise.all(
-                Array.from(document.images)
-                  .filter(img => {
-                    const rect = img.getBoundingClientRect();
-                    // 只检查当前视口内的图片
-                    return rect.top >= -100 && rect.top <= window.innerHeight + 100;
-                  })
-                  .filter(img => !img.complete)
-                  .map(img => {
-                    return new Promise((resolve, reject) => {
-                      img.onload = resolve;
-                      img.onerror = resolve; // 即使加载失败也继续
-                      // 设置超时，避免无限等待
-                      setTimeout(resolve, 2000);
-                    });
-                  })
-              );
-            });
-          } catch (e) {
-            console.warn('[render/url-screenshot] Error waiting for images:', e);
-          }
-
-          currentScroll += scrollStep;
-        }
-
-        // 滚动回顶部
-        await page.evaluate(() => {
-          window.scrollTo(0, 0);
-        });
-        if (page.waitForTimeout) {
-          await page.waitForTimeout(300);
-        } else {
-          await sleep(300);
-        }
-
-        // 再次等待所有图片加载完成
-        try {
-          await page.evaluate(() => {
-            return Promise.all(
-              Array.from(document.images)
-                .filter(img => !img.complete)
-                .map(img => {
-                  return new Promise((resolve) => {
-                    img.onload = resolve;
-                    img.onerror = resolve;
-                    setTimeout(resolve, 2000);
-                  });
-                })
-            );
-          });
-        } catch (e) {
-          console.warn('[render/url-screenshot] Error waiting for all images:', e);
-        }
-
-        console.log('[render/url-screenshot] Finished scrolling and waiting for images');
-      } else {
-        // 非长截图时，也等待当前视口内的图片加载
-        try {
-          await page.evaluate(() => {
-            return Promise.all(
-              Array.from(document.images)
-                .filter(img => {
-                  const rect = img.getBoundingClientRect();
-                  return rect.top >= 0 && rect.top <= window.innerHeight;
-                })
-                .filter(img => !img.complete)
-                .map(img => {
-                  return new Promise((resolve) => {
-                    img.onload = resolve;
-                    img.onerror = resolve;
-                    setTimeout(resolve, 2000);
-                  });
-                })
-            );
-          });
-        } catch (e) {
-          console.warn('[render/url-screenshot] Error waiting for images:', e);
-        }
-      }
-
-      // 截图选项
-      const screenshotOptions = {
-        type: imageType,
-        fullPage: isFullPage,
-      };
-
-      if (imageType === 'jpeg') {
-        screenshotOptions.quality = Math.max(0, Math.min(100, parseInt(quality, 10) || 80));
-      }
-
-      // 截图
-      console.log(`[render/url-screenshot] Taking screenshot (fullPage: ${isFullPage})...`);
-      screenshot = await page.screenshot(screenshotOptions);
-    } else {
-      // 使用 Puppeteer
-      browser = await puppeteer.launch({
-        args: ['--no-sandbox', '--disable-setuid-sandbox', '--font-render-hinting=medium'],
-        headless: true,
-      });
-
-      page = await browser.newPage();
-
+    screenshot = await browserPool.withPage(async (page) => {
       // 设置视口宽度，高度设为较大值以支持长截图
       await page.setViewport({
         width: screenWidth,
@@ -320,11 +445,7 @@ router.post('/url-screenshot', express.json({ limit: '10mb' }), async (req, res)
           }, currentScroll);
 
           // 等待一段时间让图片加载
-          if (page.waitForTimeout) {
-            await page.waitForTimeout(500);
-          } else {
-            await sleep(500);
-          }
+          await sleep(500);
 
           // 等待所有图片加载完成（检查当前视口内的图片）
           try {
@@ -358,11 +479,7 @@ router.post('/url-screenshot', express.json({ limit: '10mb' }), async (req, res)
         await page.evaluate(() => {
           window.scrollTo(0, 0);
         });
-        if (page.waitForTimeout) {
-          await page.waitForTimeout(300);
-        } else {
-          await sleep(300);
-        }
+        await sleep(300);
 
         // 再次等待所有图片加载完成
         try {
@@ -409,8 +526,14 @@ router.post('/url-screenshot', express.json({ limit: '10mb' }), async (req, res)
         }
       }
 
-      // 如果是长截图，获取页面完整高度
-      let screenshotOptions = {
+      // 打印为 PDF（分页由纸张尺寸决定，不受 fullPage 影响）
+      if (imageType === 'pdf') {
+        console.log('[render/url-screenshot] Printing PDF...');
+        return printPdf(page, pdfOptions);
+      }
+
+      // 截图选项
+      const screenshotOptions = {
         type: imageType,
         fullPage: isFullPage,
       };
@@ -422,10 +545,12 @@ router.post('/url-screenshot', express.json({ limit: '10mb' }), async (req, res)
 
       // 截图
       console.log(`[render/url-screenshot] Taking screenshot (fullPage: ${isFullPage})...`);
-      screenshot = await page.screenshot(screenshotOptions);
-    }
+      // 新版 puppeteer 返回 Uint8Array，统一转换为 Buffer
+      return Buffer.from(await page.screenshot(screenshotOptions));
+    });
 
-    await browser.close();
+    // PDF 额外返回页数
+    const pdfInfo = imageType === 'pdf' ? { pages: countPdfPages(screenshot) } : {};
 
     // 根据编码格式返回结果
     if (imageEncoding === 'base64') {
@@ -437,36 +562,18 @@ router.post('/url-screenshot', express.json({ limit: '10mb' }), async (req, res)
         url: targetUrl,
         width: screenWidth,
         fullPage: isFullPage,
+        ...pdfInfo,
       });
     }
 
     if (imageEncoding === 'url') {
       try {
-        const ext = imageType === 'jpeg' ? 'jpg' : 'png';
-        const finalOutputDir = outputDir
-          ? path.isAbsolute(outputDir)
-            ? outputDir
-            : path.join(__dirname, '..', outputDir)
-          : path.join(__dirname, '..', 'public', 'images');
-        await fs.promises.mkdir(finalOutputDir, { recursive: true });
-
         const baseName = outputName
           ? outputName.replace(/\.[a-zA-Z0-9]+$/, '')
           : `screenshot-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
         const fileName = `${baseName}.${ext}`;
-        const filePath = path.join(finalOutputDir, fileName);
-
-        await fs.promises.writeFile(filePath, screenshot);
-
-        // 构造可访问的URL
+        const { filePath, urlPath } = await saveImage(screenshot, { outputDir, fileName });
         const baseUrl = `${req.protocol}://${req.get('host')}`;
-        let urlPath;
-        if (finalOutputDir.startsWith(path.join(__dirname, '..', 'public'))) {
-          const relativePath = path.relative(path.join(__dirname, '..', 'public'), filePath);
-          urlPath = `/static/${relativePath.split(path.sep).join('/')}`;
-        } else {
-          urlPath = `/static/${fileName}`;
-        }
 
         console.log('[render/url-screenshot] saved image', {
           path: filePath,
@@ -485,6 +592,7 @@ router.post('/url-screenshot', express.json({ limit: '10mb' }), async (req, res)
           sourceUrl: targetUrl,
           width: screenWidth,
           fullPage: isFullPage,
+          ...pdfInfo,
         });
       } catch (saveErr) {
         console.error('[render/url-screenshot] Saving image failed:', saveErr);
@@ -496,20 +604,18 @@ router.post('/url-screenshot', express.json({ limit: '10mb' }), async (req, res)
     }
 
     // binary 格式：直接返回图片数据
-    const mime = imageType === 'jpeg' ? 'image/jpeg' : 'image/png';
-    const ext = imageType === 'jpeg' ? 'jpg' : 'png';
     res.set('Content-Type', mime);
     res.set('Content-Disposition', `inline; filename="screenshot.${ext}"`);
     return res.send(screenshot);
   } catch (err) {
     console.error('[render/url-screenshot] Screenshot error:', err);
 
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (closeErr) {
-        console.warn('[render/url-screenshot] Failed to close browser:', closeErr);
-      }
+    // 浏览器池已满且排队超时
+    if (err && err.code === 'BROWSER_POOL_TIMEOUT') {
+      return res.status(503).json({
+        error: 'browser_pool_busy',
+        message: err.message,
+      });
     }
 
     // 检查是否是超时错误
@@ -592,7 +698,7 @@ router.post('/', express.text({ type: '*/*', limit: '10mb' }), async (req, res)
     encoding = 'binary',
     selector,
     waitUntil = 'networkidle0',
-    puppeteerArgs = { args: ['--no-sandbox', '--disable-setuid-sandbox'] },
+    puppeteerArgs = {},
     // 新增：图片目标尺寸与视口参数
     width,
     height,
@@ -601,6 +707,8 @@ router.post('/', express.text({ type: '*/*', limit: '10mb' }), async (req, res)
     deviceScaleFactor,
     // 新增：设备类型（mobile/pc/desktop）
     device,
+    // type 为 pdf 时的打印选项
+    pdf,
   } = payload || {};
 
   // 调试：打印传入参数（避免输出完整HTML，仅预览片段与长度）
@@ -636,131 +744,627 @@ router.post('/', express.text({ type: '*/*', limit: '10mb' }), async (req, res)
     return res.status(400).json({ error: 'invalid_request', message: 'html (string) is required in request body, or send raw HTML with Content-Type: text/plain' });
   }
 
-  // 组装带有尺寸的 HTML：若传入 width/height，则为 body 注入尺寸样式
-  let finalHtml = html;
-  try {
-    if (width || height) {
-      const w = typeof width === 'number' ? width : parseInt(width, 10);
-      const h = typeof height === 'number' ? height : parseInt(height, 10);
-      const sizeStyle = `body{margin:0;${w ? `width:${w}px;` : ''}${h ? `height:${h}px;` : ''}}`;
-      if (/<head[\s>]/i.test(html) && /<body[\s>]/i.test(html)) {
-        finalHtml = html.replace(/<head(.*?)>/i, (m) => `${m}\n<style>${sizeStyle}</style>`);
-      } else if (/<body[\s>]/i.test(html)) {
-        // 有 body 无 head：在 body 前注入一个 head
-        finalHtml = html.replace(/<html(.*?)>/i, (m) => `${m}`)
-          .replace(/<body(.*?)>/i, (m) => `<head><style>${sizeStyle}</style></head>\n${m}`);
-      } else {
-        // 无完整文档结构，进行包装
-        finalHtml = `<!DOCTYPE html><html><head><style>${sizeStyle}</style></head><body>${html}</body></html>`;
-      }
+  if (!OUTPUT_FORMATS[type]) {
+    return res.status(400).json({ error: 'invalid_request', message: `type must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}` });
+  }
+
+  let pdfOptions;
+  if (type === 'pdf') {
+    try {
+      pdfOptions = buildPdfOptions(pdf);
+    } catch (err) {
+      return res.status(400).json({ error: 'invalid_request', message: err.message });
     }
-  } catch (e) {
-    console.warn('Failed to inject size styles, fallback to original html:', e);
-    finalHtml = html;
   }
+  const { ext, mime } = OUTPUT_FORMATS[type];
 
-  // 组装 puppeteerArgs 的视口参数，防止大尺寸内容被默认视口裁剪
-  const viewport = (viewportWidth || viewportHeight || deviceScaleFactor)
-    ? {
-        width: viewportWidth ? parseInt(viewportWidth, 10) : undefined,
-        height: viewportHeight ? parseInt(viewportHeight, 10) : undefined,
-        deviceScaleFactor: deviceScaleFactor ? parseInt(deviceScaleFactor, 10) : undefined,
-      }
-    : undefined;
-  const puppeteerArgsWithViewport = viewport
-    ? { ...puppeteerArgs, defaultViewport: { width: viewport.width || 800, height: viewport.height || 600, deviceScaleFactor: viewport.deviceScaleFactor || 1 } }
-    : puppeteerArgs;
+  // 组装带有尺寸的 HTML：若传入 width/height，则为 body 注入尺寸样式
+  const finalHtml = injectSizeStyles(html, width, height);
+  // 根据视口参数与 device 设置视口和 UA，防止大尺寸内容被默认视口裁剪
+  const { viewport, userAgent } = resolvePageOptions({ viewportWidth, viewportHeight, deviceScaleFactor, device, puppeteerArgs });
 
-  // 根据 device 参数设置 UA 与视口（如未显式传入 viewport 参数）
-  const deviceType = (device || '').toLowerCase();
-  let ua;
-  let deviceViewport;
-  if (deviceType === 'mobile') {
-    ua = 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1';
-    deviceViewport = { width: 390, height: 844, deviceScaleFactor: 3 };
-  } else if (deviceType === 'pc' || deviceType === 'desktop') {
-    ua = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Safari/537.36';
-    deviceViewport = { width: 1366, height: 768, deviceScaleFactor: 1 };
-  }
-  const finalPuppeteerArgs = (!viewport && deviceViewport)
-    ? { ...puppeteerArgsWithViewport, defaultViewport: { width: deviceViewport.width, height: deviceViewport.height, deviceScaleFactor: deviceViewport.deviceScaleFactor } }
-    : puppeteerArgsWithViewport;
-  finalPuppeteerArgs.args = [ '--no-sandbox', '--disable-setuid-sandbox', '--font-render-hinting=medium' ]
   try {
-    const image = await nodeHtmlToImage({
-      html: finalHtml,
+    const image = await browserPool.withPage(page => renderHtml(page, finalHtml, {
+      viewport,
+      userAgent,
+      waitUntil,
+      selector,
       type,
       quality,
       transparent,
-      encoding,
-      selector,
-      waitUntil,
-      puppeteerArgs: finalPuppeteerArgs,
-      beforeScreenshot: async (page) => {
-        try {
-          if (ua) {
-            await page.setUserAgent(ua);
-          }
-          // 不在此处调整 viewport，避免破坏 DOM 上下文
-        } catch (e) {
-          console.warn('beforeScreenshot adjustments failed:', e);
-        }
-      },
-    });
+      pdf: pdfOptions,
+    }));
+
+    // PDF 额外返回页数
+    const pdfInfo = type === 'pdf' ? { pages: countPdfPages(image) } : {};
 
     if (encoding === 'base64') {
-      return res.json({ encoding: 'base64', data: image, type });
+      return res.json({ encoding: 'base64', data: image.toString('base64'), type, ...pdfInfo });
     }
 
     // 新增：encoding=url 时保存到本地并返回访问地址
     if (encoding === 'url') {
       try {
-        const ext = type === 'jpeg' ? 'jpg' : 'png';
-        const outputDir = payload && payload.outputDir
-          ? path.isAbsolute(payload.outputDir) ? payload.outputDir : path.join(__dirname, '..', payload.outputDir)
-          : path.join(__dirname, '..', 'public', 'images');
-        await fs.promises.mkdir(outputDir, { recursive: true });
-
         const baseName = payload && payload.outputName
           ? payload.outputName.replace(/\.[a-zA-Z0-9]+$/, '')
           : `render-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
         const fileName = `${baseName}.${ext}`;
-        const filePath = path.join(outputDir, fileName);
-
-        const buffer = typeof image === 'string' ? Buffer.from(image, 'base64') : image;
-        await fs.promises.writeFile(filePath, buffer);
-
-        // 构造可访问的URL（挂载在/static下，public目录为根）
+        const { filePath, urlPath } = await saveImage(image, { outputDir: payload && payload.outputDir, fileName });
         const baseUrl = `${req.protocol}://${req.get('host')}`;
-        let urlPath;
-        if (outputDir.startsWith(path.join(__dirname, '..', 'public'))) {
-          const relativePath = path.relative(path.join(__dirname, '..', 'public'), filePath);
-          urlPath = `/static/${relativePath.split(path.sep).join('/')}`;
-        } else {
-          // 非public目录，仍返回相对文件URL路径，可能不可直接访问
-          urlPath = `/static/${fileName}`;
-        }
 
         // 调试：打印保存结果
         console.log('[render] saved image', { path: filePath, url: `${baseUrl}${urlPath}`, type, filename: fileName });
 
-        return res.json({ encoding: 'url', url: `${baseUrl}${urlPath}`, path: filePath, type, filename: fileName });
+        return res.json({ encoding: 'url', url: `${baseUrl}${urlPath}`, path: filePath, type, filename: fileName, ...pdfInfo });
       } catch (e) {
         console.error('Saving image failed:', e);
         return res.status(500).json({ error: 'render_failed', message: `save_failed: ${e && e.message ? e.message : String(e)}` });
       }
     }
 
-    const mime = type === 'jpeg' ? 'image/jpeg' : 'image/png';
-    const ext = type === 'jpeg' ? 'jpg' : 'png';
     res.set('Content-Type', mime);
     res.set('Content-Disposition', `inline; filename="rendered.${ext}"`);
     return res.send(image);
   } catch (err) {
     console.error('Render error:', err);
+    if (err && err.code === 'BROWSER_POOL_TIMEOUT') {
+      return res.status(503).json({ error: 'browser_pool_busy', message: err.message });
+    }
     return res.status(500).json({ error: 'render_failed', message: err && err.message ? err.message : String(err) });
   }
 });
 
+/**
+ * 批量渲染单次最多条目数
+ */
+const BATCH_MAX_ITEMS = 200;
+
+/**
+ * 将图片数据打包为 zip
+ * @param {Array<{name: string, buffer: Buffer}>} files - 文件列表
+ * @returns {Promise<Buffer>} zip 数据
+ */
+function createZip(files) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const chunks = [];
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('warning', err => console.warn('[render/batch] zip warning:', err));
+    archive.on('error', reject);
+    for (const file of files) {
+      archive.append(file.buffer, { name: file.name });
+    }
+    archive.finalize();
+  });
+}
+
+/**
+ * 批量模板渲染接口
+ * POST /render/batch
+ *
+ * 参数：
+ * - template: HTML 模板（必需），使用 Handlebars 语法，如 {{title}}、{{#each tags}}...{{/each}}
+ * - items: 数据数组（必需），每项可为：
+ *   - 数据对象本身，如 { "title": "第一页" }
+ *   - 或 { data: {...}, type, width, height, device, selector, ... } 以单独覆盖渲染参数
+ * - type/quality/transparent/selector/waitUntil/width/height/viewportWidth/viewportHeight/deviceScaleFactor/device:
+ *   默认渲染参数，与 POST /render 一致
+ * - encoding: 返回格式 'url' | 'zip'（默认'url'）
+ * - outputDir: 输出目录（encoding='url'时有效）
+ * - outputName: 输出文件名前缀（不含扩展名），文件按 <outputName>-<序号> 命名
+ * - async: 是否以异步任务执行（默认false）
+ *
+ * 所有条目在同一个浏览器会话中依次渲染
+ */
+router.post('/batch', express.json({ limit: '20mb' }), asyncJob('render/batch', async (req, res) => {
+  const {
+    template,
+    items,
+    encoding = 'url',
+    outputDir,
+    outputName,
+    ...defaults
+  } = req.body || {};
+
+  if (!template || typeof template !== 'string') {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: 'template (string) is required in request body',
+    });
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: 'items (non-empty array) is required in request body',
+    });
+  }
+
+  if (items.length > BATCH_MAX_ITEMS) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: `items cannot exceed ${BATCH_MAX_ITEMS} entries`,
+    });
+  }
+
+  if (!['url', 'zip'].includes(encoding)) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: 'encoding must be one of: url, zip',
+    });
+  }
+
+  let compiled;
+  try {
+    compiled = Handlebars.compile(template);
+    // 预先渲染一次空数据，提前暴露模板语法错误
+    compiled({});
+  } catch (err) {
+    return res.status(400).json({
+      error: 'template_error',
+      message: `Invalid template: ${err.message}`,
+    });
+  }
+
+  // 归一化条目：{ data, ...渲染参数 } 或纯数据对象
+  const entries = items.map((item) => {
+    if (item && typeof item === 'object' && item.data && typeof item.data === 'object') {
+      const { data, ...overrides } = item;
+      return { data, options: { ...defaults, ...overrides } };
+    }
+    return { data: item || {}, options: { ...defaults } };
+  });
+
+  // 预先校验每个条目的输出类型与 PDF 选项，避免渲染到一半才失败
+  for (let i = 0; i < entries.length; i++) {
+    const { type = 'png', pdf } = entries[i].options;
+    if (!OUTPUT_FORMATS[type]) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: `items[${i}].type must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`,
+      });
+    }
+    if (type === 'pdf') {
+      try {
+        entries[i].pdf = buildPdfOptions(pdf);
+      } catch (err) {
+        return res.status(400).json({
+          error: 'invalid_request',
+          message: `items[${i}]: ${err.message}`,
+        });
+      }
+    }
+  }
+
+  const baseName = outputName
+    ? outputName.replace(/\.[a-zA-Z0-9]+$/, '')
+    : `batch-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+  console.log('[render/batch] incoming request', {
+    items: entries.length,
+    encoding,
+    templateLength: Buffer.byteLength(template, 'utf8'),
+    defaults,
+  });
+
+  // 当前渲染的条目序号，用于定位失败的条目
+  let currentIndex = null;
+  try {
+    const images = await browserPool.withContext(async (context) => {
+      const results = [];
+      for (let i = 0; i < entries.length; i++) {
+        currentIndex = i;
+        const { data, options, pdf } = entries[i];
+        const {
+          type = 'png',
+          quality = 80,
+          transparent = false,
+          selector,
+          waitUntil = 'networkidle0',
+          width,
+          height,
+          viewportWidth,
+          viewportHeight,
+          deviceScaleFactor,
+          device,
+        } = options;
+
+        const html = injectSizeStyles(compiled(data), width, height);
+        const { viewport, userAgent } = resolvePageOptions({ viewportWidth, viewportHeight, deviceScaleFactor, device });
+
+        const page = await context.newPage();
+        try {
+          const buffer = await renderHtml(page, html, {
+            viewport,
+            userAgent,
+            waitUntil,
+            selector,
+            type,
+            quality,
+            transparent,
+            pdf,
+          });
+          const { ext } = OUTPUT_FORMATS[type];
+          results.push({ index: i, type, buffer, fileName: `${baseName}-${i + 1}.${ext}` });
+        } finally {
+          await page.close().catch(() => {});
+        }
+
+        reportProgress(req, 'render', { percent: ((i + 1) / entries.length) * 100 });
+      }
+      return results;
+    });
+    currentIndex = null;
+
+    if (encoding === 'zip') {
+      const zip = await createZip(images.map(image => ({ name: image.fileName, buffer: image.buffer })));
+      console.log('[render/batch] created zip', { items: images.length, size: zip.length });
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${baseName}.zip"`);
+      return res.send(zip);
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const results = [];
+    for (const image of images) {
+      const { filePath, urlPath } = await saveImage(image.buffer, { outputDir, fileName: image.fileName });
+      results.push({
+        index: image.index,
+        url: `${baseUrl}${urlPath}`,
+        path: filePath,
+        type: image.type,
+        filename: image.fileName,
+      });
+    }
+
+    console.log('[render/batch] saved images', { items: results.length });
+
+    return res.json({
+      success: true,
+      encoding: 'url',
+      count: results.length,
+      items: results,
+    });
+  } catch (err) {
+    console.error('[render/batch] Render error:', err);
+    if (err && err.code === 'BROWSER_POOL_TIMEOUT') {
+      return res.status(503).json({ error: 'browser_pool_busy', message: err.message });
+    }
+    const message = err && err.message ? err.message : String(err);
+    return res.status(500).json({
+      error: 'render_failed',
+      message: currentIndex !== null ? `item ${currentIndex}: ${message}` : message,
+      index: currentIndex,
+    });
+  }
+}));
+
+/**
+ * 动画输出格式
+ */
+const ANIMATE_FORMATS = {
+  mp4: { ext: 'mp4', mime: 'video/mp4', defaultSubdir: 'videos' },
+  gif: { ext: 'gif', mime: 'image/gif', defaultSubdir: 'images' },
+  webp: { ext: 'webp', mime: 'image/webp', defaultSubdir: 'images' },
+};
+
+/**
+ * 动画单次最多帧数
+ */
+const ANIMATE_MAX_FRAMES = 1800;
+
+/**
+ * 逐帧截取页面动画
+ * 先暂停页面上所有动画，再按帧时间点设置 currentTime 后截图，
+ * 保证帧间隔精确且与截图耗时无关（适用于 CSS 动画/过渡与 Web Animations API）
+ * @param {Object} page - puppeteer Page
+ * @param {Object} options - { fps, totalFrames, framesDir, transparent, onFrame }
+ */
+async function captureFrames(page, { fps, totalFrames, framesDir, transparent = false, onFrame }) {
+  // 等待字体加载完成，避免前几帧字体闪烁
+  await page.evaluate(() => document.fonts && document.fonts.ready);
+
+  for (let i = 0; i < totalFrames; i++) {
+    const time = (i * 1000) / fps;
+    // 每帧都重新获取动画列表，覆盖脚本在播放过程中新建的动画
+    await page.evaluate((t) => {
+      document.getAnimations().forEach((animation) => {
+        animation.pause();
+        animation.currentTime = t;
+      });
+    }, time);
+
+    const data = await page.screenshot({ type: 'png', omitBackground: transparent });
+    await fs.promises.writeFile(path.join(framesDir, `frame-${String(i).padStart(5, '0')}.png`), data);
+
+    if (onFrame) {
+      onFrame(i + 1);
+    }
+  }
+}
+
+/**
+ * 使用 FFmpeg 将帧序列编码为 MP4/GIF/WebP
+ * - mp4: H.264 + 静音 AAC 音轨，可直接作为 /generate/video 的 appendVideoUrls 拼接
+ * - gif: 先生成调色板再编码，减少色带
+ * - webp: 动态 WebP，支持透明背景
+ * @param {string} framesDir - 帧图片目录（frame-00000.png ...）
+ * @param {string} outputPath - 输出文件路径
+ * @param {Object} options - { format, fps, totalFrames, quality, loop, transparent, onProgress }
+ * @returns {Promise<void>}
+ */
+function encodeFrames(framesDir, outputPath, { format, fps, totalFrames, quality = 80, loop = 0, transparent = false, onProgress }) {
+  const duration = totalFrames / fps;
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg()
+      .input(path.join(framesDir, 'frame-%05d.png'))
+      .inputOptions(['-framerate', String(fps)]);
+
+    if (format === 'mp4') {
+      command
+        .input('anullsrc=channel_layout=stereo:sample_rate=44100')
+        .inputOptions(['-f', 'lavfi'])
+        // yuv420p 要求宽高为偶数
+        .videoFilters('scale=trunc(iw/2)*2:trunc(ih/2)*2')
+        .videoCodec('libx264')
+        .audioCodec('aac')
+        .outputOptions([
+          '-map', '0:v:0',
+          '-map', '1:a:0',
+          '-pix_fmt', 'yuv420p',
+          '-r', String(fps),
+          '-t', String(duration),
+          '-movflags', '+faststart',
+        ]);
+    } else if (format === 'gif') {
+      command
+        .complexFilter('[0:v]split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer:bayer_scale=5')
+        .outputOptions(['-loop', String(loop)]);
+    } else {
+      command
+        .videoCodec('libwebp_anim')
+        .outputOptions([
+          '-pix_fmt', transparent ? 'yuva420p' : 'yuv420p',
+          '-quality', String(quality),
+          '-loop', String(loop),
+        ]);
+    }
+
+    command
+      .on('start', (commandLine) => {
+        console.log(`[render/animate] Encoding ${format}: ${commandLine}`);
+      })
+      .on('progress', (progress) => {
+        if (onProgress) {
+          onProgress(progress, duration);
+        }
+      })
+      .on('end', () => resolve())
+      .on('error', (err, stdout, stderr) => {
+        console.error('[render/animate] FFmpeg error:', err.message);
+        if (stderr) {
+          console.error('[render/animate] FFmpeg stderr:', stderr);
+        }
+        reject(err);
+      })
+      .save(outputPath);
+  });
+}
+
+/**
+ * HTML 动画录制接口
+ * POST /render/animate
+ *
+ * 参数：
+ * - html: 包含 CSS 动画的 HTML（必需）
+ * - width: 画面宽度（像素，默认1080）
+ * - height: 画面高度（像素，默认1920）
+ * - fps: 帧率（1-60，默认30）
+ * - duration: 录制时长（秒，默认3）
+ * - format: 输出格式 'mp4' | 'gif' | 'webp'（默认'mp4'）
+ * - quality: WebP 质量 0-100（默认80，仅WebP有效）
+ * - loop: 循环次数，0 为无限循环（默认0，仅GIF/WebP有效）
+ * - transparent: 是否透明背景（默认false，仅WebP有效）
+ * - waitUntil: 页面加载等待条件（默认'networkidle0'）
+ * - encoding: 返回格式 'binary' | 'base64' | 'url'（默认'url'）
+ * - outputDir: 输出目录（encoding='url'时有效）
+ * - outputName: 输出文件名（encoding='url'时有效，不含扩展名）
+ * - async: 是否以异步任务执行（默认false）
+ *
+ * format 为 mp4 时输出带静音音轨的 H.264 视频，返回的 url 可直接作为 /generate/video 的 appendVideoUrls 条目
+ */
+router.post('/animate', express.json({ limit: '10mb' }), asyncJob('render/animate', async (req, res) => {
+  const {
+    html,
+    width = 1080,
+    height = 1920,
+    fps = 30,
+    duration = 3,
+    format = 'mp4',
+    quality = 80,
+    loop = 0,
+    transparent = false,
+    waitUntil = 'networkidle0',
+    encoding = 'url',
+    outputDir,
+    outputName,
+  } = req.body || {};
+
+  if (!html || typeof html !== 'string') {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: 'html (string) is required in request body',
+    });
+  }
+
+  if (!ANIMATE_FORMATS[format]) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: `format must be one of: ${Object.keys(ANIMATE_FORMATS).join(', ')}`,
+    });
+  }
+
+  if (!['binary', 'base64', 'url'].includes(encoding)) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: 'encoding must be one of: binary, base64, url',
+    });
+  }
+
+  const frameWidth = parseInt(width, 10);
+  const frameHeight = parseInt(height, 10);
+  if (!(frameWidth > 0 && frameWidth <= 4096) || !(frameHeight > 0 && frameHeight <= 4096)) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: 'width and height must be between 1 and 4096',
+    });
+  }
+
+  const frameRate = parseInt(fps, 10);
+  if (!(frameRate >= 1 && frameRate <= 60)) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: 'fps must be between 1 and 60',
+    });
+  }
+
+  const durationSeconds = parseFloat(duration);
+  const totalFrames = Math.round(frameRate * durationSeconds);
+  if (!(durationSeconds > 0) || totalFrames < 1) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: 'duration (number > 0) is required',
+    });
+  }
+  if (totalFrames > ANIMATE_MAX_FRAMES) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: `fps * duration cannot exceed ${ANIMATE_MAX_FRAMES} frames`,
+    });
+  }
+
+  const isTransparent = format === 'webp' && (transparent === true || transparent === 'true');
+  const { ext, mime, defaultSubdir } = ANIMATE_FORMATS[format];
+  const tempDir = path.join(os.tmpdir(), `render-animate-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+
+  console.log('[render/animate] incoming request', {
+    width: frameWidth,
+    height: frameHeight,
+    fps: frameRate,
+    duration: durationSeconds,
+    frames: totalFrames,
+    format,
+    encoding,
+    htmlLength: Buffer.byteLength(html, 'utf8'),
+  });
+
+  try {
+    const framesDir = path.join(tempDir, 'frames');
+    await fs.promises.mkdir(framesDir, { recursive: true });
+
+    // 步骤1: 逐帧截图
+    const finalHtml = injectSizeStyles(html, frameWidth, frameHeight);
+    await browserPool.withPage(async (page) => {
+      await page.setViewport({ width: frameWidth, height: frameHeight, deviceScaleFactor: 1 });
+      await fontRegistry.attachToPage(page);
+      await page.setContent(injectFontFaces(finalHtml), { waitUntil });
+      await captureFrames(page, {
+        fps: frameRate,
+        totalFrames,
+        framesDir,
+        transparent: isTransparent,
+        onFrame: (captured) => {
+          reportProgress(req, 'capture', { percent: (captured / totalFrames) * 100 });
+        },
+      });
+    });
+    console.log(`[render/animate] Captured ${totalFrames} frames`);
+
+    // 步骤2: 编码
+    const baseName = outputName
+      ? outputName.replace(/\.[a-zA-Z0-9]+$/, '')
+      : `animate-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const fileName = `${baseName}.${ext}`;
+    const output = encoding === 'url'
+      ? await resolveOutputPath({ outputDir, fileName, defaultSubdir })
+      : { filePath: path.join(tempDir, fileName) };
+
+    await encodeFrames(framesDir, output.filePath, {
+      format,
+      fps: frameRate,
+      totalFrames,
+      quality: Math.max(0, Math.min(100, parseInt(quality, 10) || 80)),
+      loop: parseInt(loop, 10) || 0,
+      transparent: isTransparent,
+      onProgress: (progress, expectedDuration) => {
+        reportProgress(req, 'encode', progress, expectedDuration);
+      },
+    });
+
+    const info = {
+      format,
+      width: frameWidth,
+      height: frameHeight,
+      fps: frameRate,
+      duration: totalFrames / frameRate,
+      frames: totalFrames,
+    };
+
+    if (encoding === 'url') {
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      console.log('[render/animate] saved animation', { path: output.filePath, url: `${baseUrl}${output.urlPath}` });
+      return res.json({
+        success: true,
+        encoding: 'url',
+        url: `${baseUrl}${output.urlPath}`,
+        path: output.filePath,
+        filename: fileName,
+        ...info,
+      });
+    }
+
+    const data = await fs.promises.readFile(output.filePath);
+    if (encoding === 'base64') {
+      return res.json({
+        success: true,
+        encoding: 'base64',
+        data: data.toString('base64'),
+        ...info,
+      });
+    }
+
+    res.set('Content-Type', mime);
+    res.set('Content-Disposition', `inline; filename="animation.${ext}"`);
+    return res.send(data);
+  } catch (err) {
+    console.error('[render/animate] Render error:', err);
+    if (err && err.code === 'BROWSER_POOL_TIMEOUT') {
+      return res.status(503).json({ error: 'browser_pool_busy', message: err.message });
+    }
+    return res.status(500).json({
+      error: 'render_failed',
+      message: err && err.message ? err.message : String(err),
+    });
+  } finally {
+    // 清理帧图片等临时文件
+    await fs.promises.rm(tempDir, { recursive: true, force: true }).catch((e) => {
+      console.warn(`[render/animate] Failed to remove temp directory: ${tempDir}`, e);
+    });
+  }
+}));
+
+/**
+ * 浏览器池状态
+ * GET /render/pool
+ */
+router.get('/pool', (req, res) => {
+  return res.json({
+    success: true,
+    pool: browserPool.stats(),
+  });
+});
+
 module.exports = router;
 
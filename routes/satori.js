@@ -1,51 +1,14 @@
 const express = require('express');
-const satoriModule = require('satori');
-const satori = satoriModule.default || satoriModule;
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
+const { fontRegistry, detectFontFormat } = require('../utils/fontRegistry');
+const { satoriRenderer } = require('../utils/satoriRenderer');
 
 const router = express.Router();
 
 // 解析 JSON 请求体
 router.use(express.json({ limit: '10mb' }));
 
-/**
- * 验证字体文件格式
- * @param {Buffer} buffer - 字体文件缓冲区
- * @returns {boolean} 是否为有效的字体格式
- */
-function validateFontFormat(buffer) {
-  if (!buffer || buffer.length < 4) {
-    return false;
-  }
-  
-  // 检查文件头
-  const header = buffer.slice(0, 4);
-  
-  // TTF/OTF: 0x00 01 00 00 或 OTTO
-  if (header[0] === 0x00 && header[1] === 0x01 && header[2] === 0x00 && header[3] === 0x00) {
-    return true;
-  }
-  
-  // OTF: 'OTTO'
-  if (header.toString('ascii', 0, 4) === 'OTTO') {
-    return true;
-  }
-  
-  // WOFF: 'wOFF'
-  if (header.toString('ascii', 0, 4) === 'wOFF') {
-    return true;
-  }
-  
-  // WOFF2: 'wOF2'
-  if (header.toString('ascii', 0, 4) === 'wOF2') {
-    return true;
-  }
-  
-  return false;
-}
-
 /**
  * 解析 CSS @font-face 规则，提取字体信息
  * @param {string} cssText - CSS 文本
@@ -113,332 +76,324 @@ function parseFontFaceFromCSS(cssText) {
 }
 
 /**
- * 渲染 Satori 代码为 SVG
- * POST /satori/render
+ * 图片输出格式
  */
-router.post('/render', async (req, res) => {
-  try {
-    const { code, width = 1080, height = 1920, fonts = [], fontCss } = req.body;
+const IMAGE_FORMATS = {
+  png: { ext: 'png', mime: 'image/png' },
+  jpeg: { ext: 'jpg', mime: 'image/jpeg' },
+  webp: { ext: 'webp', mime: 'image/webp' },
+  avif: { ext: 'avif', mime: 'image/avif' },
+};
 
-    if (!code || typeof code !== 'string') {
-      return res.status(400).json({
-        error: 'invalid_request',
-        message: 'code (string) is required in request body',
-      });
-    }
+/**
+ * 加载渲染所需字体：fontCss 中的 @font-face、fonts 参数中的本地/远程/已注册字体，均未提供时加载默认字体
+ * 远程字体经字体注册表缓存，只有首次使用时下载
+ * @param {Array} fonts - 字体配置 [{ name, path|url, weight, style }]，只有 name 时从字体注册表（fonts/ 目录）查找
+ * @param {string} fontCss - 包含 @font-face 的 CSS
+ * @returns {Promise<Array>} Satori 字体数组 [{ name, data, weight, style }]
+ * @throws {Error} 默认字体加载失败时抛出，err.code 为 'FONT_LOADING_FAILED'
+ */
+async function loadFonts(fonts = [], fontCss) {
+  const fontList = Array.isArray(fonts) ? [...fonts] : [];
+  const fontData = [];
 
-    // 加载字体（如果需要）
-    const fontData = [];
-    
-    // 如果提供了 CSS，先解析 CSS 中的 @font-face
-    if (fontCss && typeof fontCss === 'string') {
-      try {
-        const cssFonts = parseFontFaceFromCSS(fontCss);
-        // 将 CSS 解析的字体添加到 fonts 数组
-        fonts.push(...cssFonts);
-      } catch (cssErr) {
-        console.warn('Failed to parse font CSS:', cssErr.message);
-      }
+  // 如果提供了 CSS，先解析 CSS 中的 @font-face
+  if (fontCss && typeof fontCss === 'string') {
+    try {
+      fontList.push(...parseFontFaceFromCSS(fontCss));
+    } catch (cssErr) {
+      console.warn('Failed to parse font CSS:', cssErr.message);
     }
-    
-    // 加载用户提供的字体
-    for (const font of fonts) {
-      try {
-        if (font.path) {
-          const fontPath = path.isAbsolute(font.path)
-            ? font.path
-            : path.join(__dirname, '..', font.path);
-          
-          if (fs.existsSync(fontPath)) {
-            const fontBuffer = await fs.promises.readFile(fontPath);
-            fontData.push({
-              name: font.name || 'Inter',
-              data: fontBuffer,
-              weight: font.weight || 400,
-              style: font.style || 'normal',
-            });
-          }
-        } else if (font.url) {
-          // 从 URL 加载字体
-          try {
-            const response = await axios.get(font.url, {
-              responseType: 'arraybuffer',
-              timeout: 15000,
-            });
-            
-            const fontBuffer = Buffer.from(response.data);
-            
-            // 验证字体文件格式（检查文件头）
-            const isValidFont = validateFontFormat(fontBuffer);
-            if (!isValidFont) {
-              console.warn(`Font file format may not be supported: ${font.url}. Satori supports TTF, OTF, and WOFF2 formats.`);
-            }
-            
-            // 检查是否是可变字体（文件名包含 VF 或 Variable）
-            const isVariableFont = font.url.toLowerCase().includes('vf') || 
-                                  font.url.toLowerCase().includes('variable');
-            
-            if (isVariableFont) {
-              console.warn(`Warning: Variable font detected: ${font.url}. Satori may have issues parsing variable fonts. Consider using a static font version instead.`);
-            }
-            
-            fontData.push({
-              name: font.name || 'Inter',
-              data: fontBuffer,
-              weight: font.weight || 400,
-              style: font.style || 'normal',
-            });
-          } catch (urlErr) {
-            console.warn(`Failed to load font from URL: ${font.url}`, urlErr.message);
-          }
+  }
+
+  // 加载用户提供的字体
+  for (const font of fontList) {
+    try {
+      if (font.path) {
+        const fontPath = path.isAbsolute(font.path)
+          ? font.path
+          : path.join(__dirname, '..', font.path);
+
+        if (fs.existsSync(fontPath)) {
+          const fontBuffer = await fs.promises.readFile(fontPath);
+          fontData.push({
+            name: font.name || 'Inter',
+            data: fontBuffer,
+            weight: font.weight || 400,
+            style: font.style || 'normal',
+          });
         }
-      } catch (err) {
-        console.warn(`Failed to load font: ${font.name || font.path}`, err.message);
-      }
-    }
+      } else if (font.url) {
+        // 从 URL 加载字体（优先使用缓存）
+        try {
+          const fontBuffer = await fontRegistry.fetch(font.url);
 
-    // 如果没有提供字体，加载默认字体
-    if (fontData.length === 0) {
-      try {
-        // 尝试加载多个备用字体（按优先级）
-        // 注意：避免使用可变字体（Variable Font），使用静态字体
-        const defaultFontUrls = [
-          // 优先使用静态字体（非 VF 版本）
-          'https://cdn.dreamyshare.com/zimeiti/fonts/TaoBaoMaiCaiTi-Regular/TaoBaoMaiCaiTi-Regular.ttf',
-        ];
-        
-        let fontLoaded = false;
-        for (const defaultFontUrl of defaultFontUrls) {
-          try {
-            const response = await axios.get(defaultFontUrl, {
-              responseType: 'arraybuffer',
-              timeout: 15000,
-            });
-            
-            const fontBuffer = Buffer.from(response.data);
-            
-            // 验证字体格式
-            if (!validateFontFormat(fontBuffer)) {
-              console.warn(`Default font format may not be supported: ${defaultFontUrl}`);
-              // 继续尝试下一个字体
-              continue;
-            }
-            
-            // 检查是否是可变字体（文件名包含 VF 或 Variable）
-            const isVariableFont = defaultFontUrl.toLowerCase().includes('vf') || 
-                                   defaultFontUrl.toLowerCase().includes('variable');
-            
-            if (isVariableFont) {
-              console.warn(`Warning: Variable font detected: ${defaultFontUrl}. Satori may have issues with variable fonts.`);
-            }
-            
-            fontData.push({
-              name: 'Noto Sans SC',
-              data: fontBuffer,
-              weight: 400,
-              style: 'normal',
-            });
-            
-            fontLoaded = true;
-            break; // 成功加载，退出循环
-          } catch (fontErr) {
-            console.warn(`Failed to load default font from ${defaultFontUrl}:`, fontErr.message);
-            // 继续尝试下一个字体
+          // 验证字体文件格式（检查文件头）
+          if (!detectFontFormat(fontBuffer)) {
+            console.warn(`Font file format may not be supported: ${font.url}. Satori supports TTF, OTF, and WOFF2 formats.`);
           }
+
+          // 检查是否是可变字体（文件名包含 VF 或 Variable）
+          const isVariableFont = font.url.toLowerCase().includes('vf') ||
+                                font.url.toLowerCase().includes('variable');
+
+          if (isVariableFont) {
+            console.warn(`Warning: Variable font detected: ${font.url}. Satori may have issues parsing variable fonts. Consider using a static font version instead.`);
+          }
+
+          fontData.push({
+            name: font.name || 'Inter',
+            data: fontBuffer,
+            weight: font.weight || 400,
+            style: font.style || 'normal',
+          });
+        } catch (urlErr) {
+          console.warn(`Failed to load font from URL: ${font.url}`, urlErr.message);
         }
-        
-        if (!fontLoaded) {
-          throw new Error('All default fonts failed to load');
+      } else if (font.name) {
+        // 从字体注册表加载（未指定 weight/style 时加载该字体的全部字重）
+        const registered = fontRegistry.find(font.name, { weight: font.weight, style: font.style });
+        if (registered.length === 0) {
+          console.warn(`Font not found in registry: ${font.name}`);
         }
-      } catch (defaultFontErr) {
-        console.error('Failed to load default font:', defaultFontErr.message);
-        return res.status(500).json({
-          error: 'font_loading_failed',
-          message: 'Failed to load default font. Please provide a font using fontCss or fonts parameter. Supported formats: TTF, OTF, WOFF2.',
-        });
+        fontData.push(...await Promise.all(registered.map(f => fontRegistry.load(f))));
       }
+    } catch (err) {
+      console.warn(`Failed to load font: ${font.name || font.path}`, err.message);
     }
+  }
 
-    // 执行用户代码
-    // 注意：这里需要安全地执行代码
-    // 在实际生产环境中，应该使用沙箱环境
-    let jsxElement;
-    try {
-      // 首先尝试解析为 JSON（支持直接传入对象结构）
-      let parsedCode = null;
-      const trimmedCode = code.trim();
-      
-      // 检查是否是 JSON 格式（以 { 或 [ 开头）
-      if ((trimmedCode.startsWith('{') && trimmedCode.endsWith('}')) ||
-          (trimmedCode.startsWith('[') && trimmedCode.endsWith(']'))) {
-        try {
-          parsedCode = JSON.parse(trimmedCode);
-          // 如果成功解析为 JSON，直接使用
-          if (parsedCode && typeof parsedCode === 'object') {
-            // 验证对象结构是否符合 Satori 元素格式
-            if (parsedCode.type && parsedCode.props) {
-              // 标准格式：{ type: 'div', props: { ... } }
-              jsxElement = parsedCode;
-            } else if (parsedCode.type && !parsedCode.props) {
-              // 只有 type，没有 props，将其他属性作为 props
-              const { type, ...rest } = parsedCode;
-              jsxElement = {
-                type,
-                props: rest,
-              };
-            } else if (Array.isArray(parsedCode) && parsedCode.length > 0) {
-              // 如果是数组，取第一个元素
-              if (parsedCode[0].type && parsedCode[0].props) {
-                jsxElement = parsedCode[0];
-              } else if (parsedCode[0].type) {
-                const { type, ...rest } = parsedCode[0];
-                jsxElement = {
-                  type,
-                  props: rest,
-                };
-              } else {
-                // 数组中的对象没有 type，包装为 div
-                jsxElement = {
-                  type: 'div',
-                  props: {
-                    children: parsedCode,
-                  },
-                };
-              }
-            } else {
-              // 如果不是标准格式，尝试包装为 div
-              jsxElement = {
-                type: 'div',
-                props: parsedCode,
-              };
-            }
-          }
-        } catch (jsonError) {
-          // JSON 解析失败，继续使用代码执行方式
-          parsedCode = null;
-        }
-      }
-      
-      // 如果不是 JSON 或 JSON 解析失败，使用代码执行方式
-      if (!jsxElement) {
-        // 模拟 React.createElement（Satori 兼容的 JSX）
-        const React = {
-          createElement: (type, props, ...children) => {
-            // 处理 children
-            let processedChildren;
-            if (children.length === 0) {
-              processedChildren = undefined;
-            } else if (children.length === 1) {
-              processedChildren = children[0];
-            } else {
-              processedChildren = children;
-            }
-
-            // 处理 props
-            const processedProps = { ...props };
-            if (processedChildren !== undefined) {
-              processedProps.children = processedChildren;
-            }
-
-            return {
-              type,
-              props: processedProps,
-            };
-          },
-        };
-
-        // 创建一个安全的执行环境
-        // 支持多种代码格式：
-        // 1. 直接返回 element
-        // 2. 定义 render 函数
-        // 3. 直接写 JSX 代码
-        // 4. 直接返回对象字面量
-        const safeEval = new Function(
-          'React',
-          'satori',
-          `
-          try {
-            ${code}
-            
-            // 尝试获取 element
-            if (typeof element !== 'undefined') {
-              return element;
-            }
-            
-            // 尝试调用 render 函数
-            if (typeof render === 'function') {
-              return render();
-            }
-            
-            // 尝试调用函数表达式
-            if (typeof renderElement === 'function') {
-              return renderElement();
-            }
-            
-            return null;
-          } catch (err) {
-            throw err;
-          }
-          `
-        );
+  if (fontData.length > 0) {
+    return fontData;
+  }
+
+  // 如果没有提供字体，加载默认字体（本地 fonts/ 目录优先，其次为缓存的远程默认字体）
+  const defaultFonts = await fontRegistry.loadDefaultFonts();
+  if (defaultFonts.length > 0) {
+    return defaultFonts;
+  }
+
+  const err = new Error('All default fonts failed to load');
+  err.code = 'FONT_LOADING_FAILED';
+  throw err;
+}
+
+/**
+ * 将 JSON 结构归一化为 Satori 元素
+ * @param {Object|Array} parsedCode - JSON.parse 的结果
+ * @returns {Object} Satori 元素 { type, props }
+ */
+function normalizeJsonElement(parsedCode) {
+  // 标准格式：{ type: 'div', props: { ... } }
+  if (parsedCode.type && parsedCode.props) {
+    return parsedCode;
+  }
+
+  // 只有 type，没有 props，将其他属性作为 props
+  if (parsedCode.type && !parsedCode.props) {
+    const { type, ...rest } = parsedCode;
+    return { type, props: rest };
+  }
 
-        jsxElement = safeEval(React, satori);
+  // 如果是数组，取第一个元素；数组中的对象没有 type 时包装为 div
+  if (Array.isArray(parsedCode) && parsedCode.length > 0) {
+    if (parsedCode[0].type) {
+      return normalizeJsonElement(parsedCode[0]);
+    }
+    return { type: 'div', props: { children: parsedCode } };
+  }
+
+  // 如果不是标准格式，尝试包装为 div
+  return { type: 'div', props: parsedCode };
+}
+
+/**
+ * 尝试将代码解析为 JSON 元素结构（{ type, props } 或数组）
+ * JSX/JS 代码不在主线程执行，交由 worker 中的沙箱处理（见 utils/satoriSandbox.js）
+ * @param {string} code - 用户代码
+ * @returns {Object|null} Satori 元素，不是 JSON 时返回 null
+ */
+function parseJsonElement(code) {
+  const trimmedCode = code.trim();
+  if ((trimmedCode.startsWith('{') && trimmedCode.endsWith('}')) ||
+      (trimmedCode.startsWith('[') && trimmedCode.endsWith(']'))) {
+    try {
+      const parsedCode = JSON.parse(trimmedCode);
+      if (parsedCode && typeof parsedCode === 'object') {
+        return normalizeJsonElement(parsedCode);
       }
-    } catch (evalError) {
-      return res.status(400).json({
-        error: 'code_execution_error',
-        message: evalError.message,
-        stack: process.env.NODE_ENV === 'development' ? evalError.stack : undefined,
-      });
+    } catch (jsonError) {
+      // JSON 解析失败，按代码在沙箱中执行
     }
+  }
+  return null;
+}
 
-    if (!jsxElement) {
-      return res.status(400).json({
-        error: 'invalid_code',
-        message: 'Code must return a JSX element. Use "const element = React.createElement(...)" or define a "render" function that returns an element.',
+/**
+ * 沙箱错误码与响应错误类型的对应关系
+ */
+const SANDBOX_ERRORS = {
+  SYNTAX_ERROR: 'syntax_error',
+  CODE_TIMEOUT: 'code_timeout',
+  DISALLOWED_API: 'disallowed_api',
+  CODE_EXECUTION_ERROR: 'code_execution_error',
+  INVALID_CODE: 'invalid_code',
+  MEMORY_LIMIT_EXCEEDED: 'memory_limit_exceeded',
+};
+
+/**
+ * 将沙箱执行用户代码的错误转换为错误响应
+ * @param {Error} err - worker 返回的错误
+ * @returns {Object|null} { status, body }，非用户代码错误时返回 null
+ */
+function getSandboxErrorResponse(err) {
+  const error = SANDBOX_ERRORS[err.code];
+  if (!error) {
+    return null;
+  }
+  return {
+    status: 400,
+    body: {
+      error,
+      message: err.message,
+      ...(err.details || {}),
+    },
+  };
+}
+
+/**
+ * 将 Satori 渲染中的字体错误转换为错误响应
+ * @param {Error} satoriError - Satori 抛出的错误
+ * @returns {Object|null} { status, body }，非字体错误时返回 null
+ */
+function getFontErrorResponse(satoriError) {
+  const errorMessage = satoriError.message || '';
+  const errorStack = satoriError.stack || '';
+
+  // 检查是否是 fvar（可变字体）相关的错误
+  if (errorMessage.includes('fvar') || errorStack.includes('parseFvarAxis') || errorStack.includes('parseFvarTable')) {
+    return {
+      status: 400,
+      body: {
+        error: 'variable_font_error',
+        message: '可变字体（Variable Font）解析失败。Satori 对某些可变字体的支持有限。',
+        suggestion: '请使用静态字体（Static Font）而非可变字体，或尝试使用字体的静态版本。可变字体通常包含 "VF" 或 "Variable" 在文件名中。',
+        details: errorMessage,
+        workaround: '可以尝试：1) 使用字体的静态版本（非 VF 版本）2) 使用其他字体文件 3) 通过 CSS 加载字体时使用静态字体 URL',
+      },
+    };
+  }
+
+  // 其他字体相关错误
+  if (errorMessage.includes('font') || errorMessage.includes('opentype') || errorStack.includes('opentype')) {
+    return {
+      status: 400,
+      body: {
+        error: 'font_parse_error',
+        message: `字体解析失败: ${errorMessage}`,
+        suggestion: '请确保字体文件格式正确（支持 TTF、OTF、WOFF2），避免使用可变字体（Variable Font）或损坏的字体文件。',
+        details: errorMessage,
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 解析请求中的 Satori 代码与字体，在 worker 中渲染
+ * 参数错误时直接写入错误响应并返回 null
+ * @param {Object} req - express 请求对象
+ * @param {Object} res - express 响应对象
+ * @param {Object} renderOptions - 渲染选项 { format, quality, scale, transparent }
+ * @returns {Promise<Object|null>} 渲染结果
+ */
+async function renderFromRequest(req, res, renderOptions) {
+  const { code, props, width = 1080, height = 1920, fonts = [], fontCss } = req.body || {};
+
+  if (!code || typeof code !== 'string') {
+    res.status(400).json({
+      error: 'invalid_request',
+      message: 'code (string) is required in request body',
+    });
+    return null;
+  }
+  if (props !== undefined && (typeof props !== 'object' || props === null || Array.isArray(props))) {
+    res.status(400).json({
+      error: 'invalid_request',
+      message: 'props must be an object',
+    });
+    return null;
+  }
+
+  // 加载字体
+  let fontData;
+  try {
+    fontData = await loadFonts(fonts, fontCss);
+  } catch (fontErr) {
+    if (fontErr.code !== 'FONT_LOADING_FAILED') throw fontErr;
+    console.error('Failed to load default font:', fontErr.message);
+    res.status(500).json({
+      error: 'font_loading_failed',
+      message: 'Failed to load default font. Please provide a font using fontCss or fonts parameter. Supported formats: TTF, OTF, WOFF2.',
+    });
+    return null;
+  }
+
+  // JSON 结构直接使用，JSX/JS 代码在 worker 的沙箱中执行
+  const jsxElement = parseJsonElement(code);
+
+  try {
+    return await satoriRenderer.render({
+      ...(jsxElement ? { element: jsxElement } : { code, props }),
+      width: parseInt(width, 10),
+      height: parseInt(height, 10),
+      fonts: fontData,
+      ...renderOptions,
+    });
+  } catch (satoriError) {
+    const sandboxErrorResponse = getSandboxErrorResponse(satoriError);
+    if (sandboxErrorResponse) {
+      res.status(sandboxErrorResponse.status).json(sandboxErrorResponse.body);
+      return null;
+    }
+    if (satoriError.code === 'SATORI_TIMEOUT') {
+      res.status(504).json({
+        error: 'render_timeout',
+        message: satoriError.message,
       });
+      return null;
     }
 
-    // 使用 Satori 渲染为 SVG
-    let svg;
-    try {
-      svg = await satori(jsxElement, {
-        width: parseInt(width, 10),
-        height: parseInt(height, 10),
-        fonts: fontData.length > 0 ? fontData : undefined,
-      });
-    } catch (satoriError) {
-      // 检查是否是字体解析错误
-      const errorMessage = satoriError.message || '';
-      const errorStack = satoriError.stack || '';
-      
-      // 检查是否是 fvar（可变字体）相关的错误
-      if (errorMessage.includes('fvar') || errorStack.includes('parseFvarAxis') || errorStack.includes('parseFvarTable')) {
-        return res.status(400).json({
-          error: 'variable_font_error',
-          message: '可变字体（Variable Font）解析失败。Satori 对某些可变字体的支持有限。',
-          suggestion: '请使用静态字体（Static Font）而非可变字体，或尝试使用字体的静态版本。可变字体通常包含 "VF" 或 "Variable" 在文件名中。',
-          details: errorMessage,
-          workaround: '可以尝试：1) 使用字体的静态版本（非 VF 版本）2) 使用其他字体文件 3) 通过 CSS 加载字体时使用静态字体 URL',
-        });
-      }
-      
-      // 其他字体相关错误
-      if (errorMessage.includes('font') || errorMessage.includes('opentype') || errorStack.includes('opentype')) {
-        return res.status(400).json({
-          error: 'font_parse_error',
-          message: `字体解析失败: ${errorMessage}`,
-          suggestion: '请确保字体文件格式正确（支持 TTF、OTF、WOFF2），避免使用可变字体（Variable Font）或损坏的字体文件。',
-          details: errorMessage,
-        });
-      }
-      
-      throw satoriError; // 重新抛出其他错误
+    const fontErrorResponse = getFontErrorResponse(satoriError);
+    if (fontErrorResponse) {
+      res.status(fontErrorResponse.status).json(fontErrorResponse.body);
+      return null;
     }
+    throw satoriError;
+  }
+}
+
+/**
+ * 渲染 Satori 代码为 SVG
+ * POST /satori/render
+ *
+ * 参数：
+ * - code: JSON 元素结构或 JSX/JS 代码
+ * - props: 可选，传给代码的数据，代码中通过只读全局变量 props 读取（如 props.title）
+ * - width/height: 尺寸（默认1080x1920）
+ * - fonts/fontCss: 字体
+ */
+router.post('/render', async (req, res) => {
+  try {
+    const { width = 1080, height = 1920 } = req.body || {};
+
+    const result = await renderFromRequest(req, res, { format: 'svg' });
+    if (!result) return;
 
     return res.json({
       success: true,
-      svg,
+      svg: result.svg,
       width: parseInt(width, 10),
       height: parseInt(height, 10),
     });
@@ -453,418 +408,118 @@ router.post('/render', async (req, res) => {
 });
 
 /**
- * 渲染 Satori 代码为图片并保存
+ * 渲染 Satori 代码为图片并保存（不依赖浏览器）
  * POST /satori/render-image
+ *
+ * 参数：
+ * - code/props/width/height/fonts/fontCss: 同 /satori/render
+ * - type: 图片格式 'png' | 'jpeg' | 'webp' | 'avif'（默认'png'）
+ * - quality: 图片质量 1-100（默认90，png 无效）
+ * - scale: 像素密度（DPR），输出像素尺寸为 width*scale x height*scale（默认1，最大4）
+ * - transparent: 是否透明背景（默认false 为白色背景，jpeg 不支持透明）
+ * - encoding: 返回格式 'url' | 'base64' | 'binary'（默认'url'）
+ * - outputDir: 输出目录（encoding='url'时有效）
+ * - outputName: 输出文件名（encoding='url'时有效，不含扩展名）
  */
 router.post('/render-image', async (req, res) => {
   try {
     const {
-      code,
       width = 1080,
       height = 1920,
-      fonts = [],
-      fontCss,
       type = 'png',
       quality = 90,
+      scale = 1,
+      transparent = false,
       outputDir,
       outputName,
       encoding = 'url', // 'url' | 'base64' | 'binary'
-    } = req.body;
+    } = req.body || {};
 
-    if (!code || typeof code !== 'string') {
+    // 验证图片格式
+    if (!IMAGE_FORMATS[type]) {
       return res.status(400).json({
         error: 'invalid_request',
-        message: 'code (string) is required in request body',
+        message: `type must be one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`,
       });
     }
 
-    // 验证图片格式
-    if (!['png', 'jpeg'].includes(type)) {
+    const scaleValue = parseFloat(scale);
+    if (!(scaleValue > 0 && scaleValue <= 4)) {
       return res.status(400).json({
         error: 'invalid_request',
-        message: 'type must be "png" or "jpeg"',
+        message: 'scale must be a number between 0 and 4',
       });
     }
 
-    // 首先渲染为 SVG（复用现有逻辑）
-    // 加载字体（如果需要）
-    const fontData = [];
-    
-    // 如果提供了 CSS，先解析 CSS 中的 @font-face
-    if (fontCss && typeof fontCss === 'string') {
-      try {
-        const cssFonts = parseFontFaceFromCSS(fontCss);
-        fonts.push(...cssFonts);
-      } catch (cssErr) {
-        console.warn('Failed to parse font CSS:', cssErr.message);
-      }
-    }
-    
-    // 加载用户提供的字体
-    for (const font of fonts) {
-      try {
-        if (font.path) {
-          const fontPath = path.isAbsolute(font.path)
-            ? font.path
-            : path.join(__dirname, '..', font.path);
-          
-          if (fs.existsSync(fontPath)) {
-            const fontBuffer = await fs.promises.readFile(fontPath);
-            fontData.push({
-              name: font.name || 'Inter',
-              data: fontBuffer,
-              weight: font.weight || 400,
-              style: font.style || 'normal',
-            });
-          }
-        } else if (font.url) {
-          try {
-            const response = await axios.get(font.url, {
-              responseType: 'arraybuffer',
-              timeout: 15000,
-            });
-            
-            const fontBuffer = Buffer.from(response.data);
-            
-            if (!validateFontFormat(fontBuffer)) {
-              console.warn(`Font file format may not be supported: ${font.url}`);
-            }
-            
-            fontData.push({
-              name: font.name || 'Inter',
-              data: fontBuffer,
-              weight: font.weight || 400,
-              style: font.style || 'normal',
-            });
-          } catch (urlErr) {
-            console.warn(`Failed to load font from URL: ${font.url}`, urlErr.message);
-          }
-        }
-      } catch (err) {
-        console.warn(`Failed to load font: ${font.name || font.path}`, err.message);
-      }
-    }
-
-    // 如果没有提供字体，加载默认字体
-    if (fontData.length === 0) {
-      try {
-        const defaultFontUrls = [
-          'https://cdn.dreamyshare.com/zimeiti/fonts/TaoBaoMaiCaiTi-Regular/TaoBaoMaiCaiTi-Regular.ttf',
-        ];
-        
-        let fontLoaded = false;
-        for (const defaultFontUrl of defaultFontUrls) {
-          try {
-            const response = await axios.get(defaultFontUrl, {
-              responseType: 'arraybuffer',
-              timeout: 15000,
-            });
-            
-            const fontBuffer = Buffer.from(response.data);
-            
-            if (!validateFontFormat(fontBuffer)) {
-              continue;
-            }
-            
-            fontData.push({
-              name: 'Noto Sans SC',
-              data: fontBuffer,
-              weight: 400,
-              style: 'normal',
-            });
-            
-            fontLoaded = true;
-            break;
-          } catch (fontErr) {
-            console.warn(`Failed to load default font from ${defaultFontUrl}:`, fontErr.message);
-          }
-        }
-        
-        if (!fontLoaded) {
-          throw new Error('All default fonts failed to load');
-        }
-      } catch (defaultFontErr) {
-        console.error('Failed to load default font:', defaultFontErr.message);
-        return res.status(500).json({
-          error: 'font_loading_failed',
-          message: 'Failed to load default font. Please provide a font using fontCss or fonts parameter.',
-        });
-      }
-    }
-
-    // 执行用户代码生成 JSX 元素
-    let jsxElement;
-    try {
-      let parsedCode = null;
-      const trimmedCode = code.trim();
-      
-      if ((trimmedCode.startsWith('{') && trimmedCode.endsWith('}')) ||
-          (trimmedCode.startsWith('[') && trimmedCode.endsWith(']'))) {
-        try {
-          parsedCode = JSON.parse(trimmedCode);
-          if (parsedCode && typeof parsedCode === 'object') {
-            if (parsedCode.type && parsedCode.props) {
-              jsxElement = parsedCode;
-            } else if (parsedCode.type && !parsedCode.props) {
-              const { type, ...rest } = parsedCode;
-              jsxElement = {
-                type,
-                props: rest,
-              };
-            } else if (Array.isArray(parsedCode) && parsedCode.length > 0) {
-              if (parsedCode[0].type && parsedCode[0].props) {
-                jsxElement = parsedCode[0];
-              } else if (parsedCode[0].type) {
-                const { type, ...rest } = parsedCode[0];
-                jsxElement = {
-                  type,
-                  props: rest,
-                };
-              } else {
-                jsxElement = {
-                  type: 'div',
-                  props: {
-                    children: parsedCode,
-                  },
-                };
-              }
-            } else {
-              jsxElement = {
-                type: 'div',
-                props: parsedCode,
-              };
-            }
-          }
-        } catch (jsonError) {
-          parsedCode = null;
-        }
-      }
-      
-      if (!jsxElement) {
-        const React = {
-          createElement: (type, props, ...children) => {
-            let processedChildren;
-            if (children.length === 0) {
-              processedChildren = undefined;
-            } else if (children.length === 1) {
-              processedChildren = children[0];
-            } else {
-              processedChildren = children;
-            }
-
-            const processedProps = { ...props };
-            if (processedChildren !== undefined) {
-              processedProps.children = processedChildren;
-            }
-
-            return {
-              type,
-              props: processedProps,
-            };
-          },
-        };
-
-        const safeEval = new Function(
-          'React',
-          'satori',
-          `
-          try {
-            ${code}
-            
-            if (typeof element !== 'undefined') {
-              return element;
-            }
-            
-            if (typeof render === 'function') {
-              return render();
-            }
-            
-            if (typeof renderElement === 'function') {
-              return renderElement();
-            }
-            
-            return null;
-          } catch (err) {
-            throw err;
-          }
-          `
-        );
+    const result = await renderFromRequest(req, res, {
+      format: type,
+      quality: Math.max(1, Math.min(100, parseInt(quality, 10) || 90)),
+      scale: scaleValue,
+      transparent: type !== 'jpeg' && (transparent === true || transparent === 'true'),
+    });
+    if (!result) return;
 
-        jsxElement = safeEval(React, satori);
-      }
-    } catch (evalError) {
-      return res.status(400).json({
-        error: 'code_execution_error',
-        message: evalError.message,
-        stack: process.env.NODE_ENV === 'development' ? evalError.stack : undefined,
-      });
-    }
+    const imageBuffer = result.data;
+    const { ext, mime } = IMAGE_FORMATS[type];
+    const imageInfo = {
+      type,
+      width: parseInt(width, 10),
+      height: parseInt(height, 10),
+      scale: scaleValue,
+      pixelWidth: result.pixelWidth,
+      pixelHeight: result.pixelHeight,
+    };
 
-    if (!jsxElement) {
-      return res.status(400).json({
-        error: 'invalid_code',
-        message: 'Code must return a JSX element.',
+    // 根据 encoding 参数返回不同格式
+    if (encoding === 'base64') {
+      return res.json({
+        success: true,
+        encoding: 'base64',
+        data: imageBuffer.toString('base64'),
+        ...imageInfo,
       });
     }
 
-    // 使用 Satori 渲染为 SVG
-    let svg;
-    try {
-      svg = await satori(jsxElement, {
-        width: parseInt(width, 10),
-        height: parseInt(height, 10),
-        fonts: fontData.length > 0 ? fontData : undefined,
-      });
-    } catch (satoriError) {
-      const errorMessage = satoriError.message || '';
-      const errorStack = satoriError.stack || '';
-      
-      if (errorMessage.includes('fvar') || errorStack.includes('parseFvarAxis') || errorStack.includes('parseFvarTable')) {
-        return res.status(400).json({
-          error: 'variable_font_error',
-          message: '可变字体（Variable Font）解析失败。',
-        });
-      }
-      
-      if (errorMessage.includes('font') || errorMessage.includes('opentype') || errorStack.includes('opentype')) {
-        return res.status(400).json({
-          error: 'font_parse_error',
-          message: `字体解析失败: ${errorMessage}`,
-        });
+    if (encoding === 'url') {
+      // 保存到本地并返回 URL
+      const finalOutputDir = outputDir
+        ? (path.isAbsolute(outputDir) ? outputDir : path.join(__dirname, '..', outputDir))
+        : path.join(__dirname, '..', 'public', 'images');
+
+      await fs.promises.mkdir(finalOutputDir, { recursive: true });
+
+      const baseName = outputName
+        ? outputName.replace(/\.[a-zA-Z0-9]+$/, '')
+        : `satori-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const fileName = `${baseName}.${ext}`;
+      const filePath = path.join(finalOutputDir, fileName);
+
+      await fs.promises.writeFile(filePath, imageBuffer);
+
+      // 构造可访问的 URL
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      let urlPath;
+      if (finalOutputDir.startsWith(path.join(__dirname, '..', 'public'))) {
+        const relativePath = path.relative(path.join(__dirname, '..', 'public'), filePath);
+        urlPath = `/yuniyouyue/${relativePath.split(path.sep).join('/')}`;
+      } else {
+        urlPath = `/yuniyouyue/${fileName}`;
       }
-      
-      throw satoriError;
-    }
 
-    // 使用 Puppeteer 将 SVG 转换为图片
-    let puppeteer;
-    try {
-      puppeteer = require('puppeteer');
-    } catch (puppeteerErr) {
-      return res.status(500).json({
-        error: 'puppeteer_not_available',
-        message: 'Puppeteer is required to convert SVG to image. Please install puppeteer.',
+      return res.json({
+        success: true,
+        encoding: 'url',
+        url: `${baseUrl}${urlPath}`,
+        path: filePath,
+        filename: fileName,
+        ...imageInfo,
       });
     }
 
-    let browser;
-    try {
-      browser = await puppeteer.launch({
-        args: ['--no-sandbox', '--disable-setuid-sandbox'],
-      });
-
-      const page = await browser.newPage();
-      
-      // 设置视口大小
-      await page.setViewport({
-        width: parseInt(width, 10),
-        height: parseInt(height, 10),
-        deviceScaleFactor: 1,
-      });
-
-      // 创建包含 SVG 的 HTML
-      const htmlContent = `
-        <!DOCTYPE html>
-        <html>
-          <head>
-            <meta charset="UTF-8">
-            <style>
-              body {
-                margin: 0;
-                padding: 0;
-                width: ${parseInt(width, 10)}px;
-                height: ${parseInt(height, 10)}px;
-                overflow: hidden;
-              }
-              svg {
-                width: 100%;
-                height: 100%;
-              }
-            </style>
-          </head>
-          <body>
-            ${svg}
-          </body>
-        </html>
-      `;
-
-      await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-
-      // 截图
-      const screenshotOptions = {
-        type: type,
-        quality: type === 'jpeg' ? quality : undefined,
-        omitBackground: type === 'png' ? false : undefined,
-      };
-
-      const imageBuffer = await page.screenshot(screenshotOptions);
-
-      await browser.close();
-
-      // 根据 encoding 参数返回不同格式
-      if (encoding === 'base64') {
-        return res.json({
-          success: true,
-          encoding: 'base64',
-          data: imageBuffer.toString('base64'),
-          type,
-          width: parseInt(width, 10),
-          height: parseInt(height, 10),
-        });
-      }
-
-      if (encoding === 'url') {
-        // 保存到本地并返回 URL
-        const ext = type === 'jpeg' ? 'jpg' : 'png';
-        const finalOutputDir = outputDir
-          ? (path.isAbsolute(outputDir) ? outputDir : path.join(__dirname, '..', outputDir))
-          : path.join(__dirname, '..', 'public', 'images');
-        
-        await fs.promises.mkdir(finalOutputDir, { recursive: true });
-
-        const baseName = outputName
-          ? outputName.replace(/\.[a-zA-Z0-9]+$/, '')
-          : `satori-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-        const fileName = `${baseName}.${ext}`;
-        const filePath = path.join(finalOutputDir, fileName);
-
-        await fs.promises.writeFile(filePath, imageBuffer);
-
-        // 构造可访问的 URL
-        const baseUrl = `${req.protocol}://${req.get('host')}`;
-        let urlPath;
-        if (finalOutputDir.startsWith(path.join(__dirname, '..', 'public'))) {
-          const relativePath = path.relative(path.join(__dirname, '..', 'public'), filePath);
-          urlPath = `/yuniyouyue/${relativePath.split(path.sep).join('/')}`;
-        } else {
-          urlPath = `/yuniyouyue/${fileName}`;
-        }
-
-        return res.json({
-          success: true,
-          encoding: 'url',
-          url: `${baseUrl}${urlPath}`,
-          path: filePath,
-          filename: fileName,
-          type,
-          width: parseInt(width, 10),
-          height: parseInt(height, 10),
-        });
-      }
-
-      // encoding === 'binary' 或默认
-      const mime = type === 'jpeg' ? 'image/jpeg' : 'image/png';
-      const ext = type === 'jpeg' ? 'jpg' : 'png';
-      res.set('Content-Type', mime);
-      res.set('Content-Disposition', `inline; filename="satori-rendered.${ext}"`);
-      return res.send(imageBuffer);
-
-    } catch (puppeteerError) {
-      if (browser) {
-        await browser.close().catch(() => {});
-      }
-      throw puppeteerError;
-    }
+    // encoding === 'binary' 或默认
+    res.set('Content-Type', mime);
+    res.set('Content-Disposition', `inline; filename="satori-rendered.${ext}"`);
+    return res.send(imageBuffer);
 
   } catch (error) {
     console.error('Satori render-image error:', error);
@@ -0,0 +1,177 @@
+const express = require('express');
+const { scheduler, splitActionSecrets } = require('../utils/scheduler');
+
+const router = express.Router();
+
+// 解析 JSON 请求体
+router.use(express.json());
+
+/**
+ * 生成定时任务摘要（列表接口不返回执行记录，只返回最近一次；动作请求体不包含凭据字段）
+ * @param {Object} schedule - 定时任务
+ * @returns {Object} 定时任务摘要
+ */
+function summarizeSchedule(schedule) {
+  const { runs = [], action, ...rest } = schedule;
+  return {
+    ...rest,
+    action: { ...action, body: splitActionSecrets(action.body).body },
+    running: scheduler.running.has(schedule.id),
+    lastRun: runs[0] || null,
+  };
+}
+
+/**
+ * 返回定时任务不存在的错误
+ * @param {Object} res - express 响应对象
+ * @param {string} id - 定时任务ID
+ */
+function notFound(res, id) {
+  return res.status(404).json({
+    error: 'schedule_not_found',
+    message: `定时任务 ${id} 不存在`,
+  });
+}
+
+/**
+ * 获取定时任务列表
+ * GET /schedules
+ */
+router.get('/', (req, res) => {
+  const schedules = scheduler.list();
+  return res.json({
+    success: true,
+    total: schedules.length,
+    schedules: schedules.map(summarizeSchedule),
+  });
+});
+
+/**
+ * 获取定时任务详情与执行记录（最新的在前）
+ * GET /schedules/:id
+ */
+router.get('/:id', (req, res) => {
+  const schedule = scheduler.get(req.params.id);
+  if (!schedule) {
+    return notFound(res, req.params.id);
+  }
+
+  return res.json({
+    success: true,
+    schedule: {
+      ...summarizeSchedule(schedule),
+      runs: schedule.runs || [],
+    },
+  });
+});
+
+/**
+ * 创建定时任务
+ * POST /schedules
+ *
+ * 参数：
+ * - cron: cron 表达式（如 "0 * * * *" 每小时整点，支持带秒的 6 段格式）
+ * - timezone: 可选，时区（如 Asia/Shanghai，默认服务器时区）
+ * - action: 调用本服务的接口 { method: 'POST', path: '/crawl/aibase', body: { maxPages: 5 } }
+ * - name: 可选，名称
+ * - enabled: 可选，是否立即启用（默认true）
+ */
+router.post('/', (req, res) => {
+  const { name, cron, timezone, action, enabled } = req.body || {};
+  try {
+    const schedule = scheduler.create({ name, cron, timezone, action, enabled });
+    return res.status(201).json({
+      success: true,
+      schedule: summarizeSchedule(schedule),
+    });
+  } catch (err) {
+    if (err.code === 'INVALID_SCHEDULE') {
+      return res.status(400).json({
+        error: 'invalid_schedule',
+        message: err.message,
+      });
+    }
+    console.error('[schedules] Failed to create schedule:', err);
+    return res.status(500).json({
+      error: 'schedule_create_failed',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * 暂停定时任务
+ * POST /schedules/:id/pause
+ */
+router.post('/:id/pause', (req, res) => {
+  const schedule = scheduler.setEnabled(req.params.id, false);
+  if (!schedule) {
+    return notFound(res, req.params.id);
+  }
+  return res.json({
+    success: true,
+    schedule: summarizeSchedule(schedule),
+  });
+});
+
+/**
+ * 恢复定时任务（从当前时间计算下一次执行）
+ * POST /schedules/:id/resume
+ */
+router.post('/:id/resume', (req, res) => {
+  const schedule = scheduler.setEnabled(req.params.id, true);
+  if (!schedule) {
+    return notFound(res, req.params.id);
+  }
+  return res.json({
+    success: true,
+    schedule: summarizeSchedule(schedule),
+  });
+});
+
+/**
+ * 手动触发一次执行（暂停中的任务也可以触发），立即返回 202 与执行记录，
+ * 执行结果通过 GET /schedules/:id 查看
+ * POST /schedules/:id/run
+ */
+router.post('/:id/run', (req, res) => {
+  try {
+    const { run } = scheduler.trigger(req.params.id);
+    return res.status(202).json({
+      success: true,
+      scheduleId: req.params.id,
+      run,
+    });
+  } catch (err) {
+    if (err.code === 'SCHEDULE_NOT_FOUND') {
+      return notFound(res, req.params.id);
+    }
+    if (err.code === 'SCHEDULE_BUSY') {
+      return res.status(409).json({
+        error: 'schedule_busy',
+        message: err.message,
+      });
+    }
+    console.error('[schedules] Failed to run schedule:', err);
+    return res.status(500).json({
+      error: 'schedule_run_failed',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * 删除定时任务
+ * DELETE /schedules/:id
+ */
+router.delete('/:id', (req, res) => {
+  if (!scheduler.remove(req.params.id)) {
+    return notFound(res, req.params.id);
+  }
+  return res.json({
+    success: true,
+    id: req.params.id,
+  });
+});
+
+module.exports = router;
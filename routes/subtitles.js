@@ -0,0 +1,86 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { fetchSubtitle } = require('../utils/download');
+const { normalizeSubtitleOperations, transformSubtitles } = require('../utils/subtitles');
+
+const router = express.Router();
+
+// 解析 JSON 请求体
+router.use(express.json({ limit: '10mb' }));
+
+/**
+ * 处理字幕：平移、合并、重新折行、格式转换
+ * POST /subtitles/transform
+ *
+ * 参数：
+ * - url / text: 字幕文件地址或字幕内容（SRT、WebVTT、ASS，二选一）
+ * - operations: 按顺序执行的操作
+ *   - { type: 'shift', offset: 5 }：整体平移（秒，可为负数）
+ *   - { type: 'merge', url | text, offset }：合并另一份字幕（可先平移）
+ *   - { type: 'wrap', maxLineWidth: 14 }：重新折行（中文按1个字、英文字母按半个字计算）
+ *   - { type: 'convert', format: 'ass', style: {...} }：输出格式（srt、vtt、ass）与 ASS 样式，未指定时保持原格式
+ *   ASS 输入不带 convert 时只能 shift（保留原样式），merge/wrap 必须同时指定 convert
+ *
+ * 结果保存到 public/subtitles，返回文件地址与内容
+ */
+router.post('/transform', async (req, res) => {
+  const { url, text, operations = [] } = req.body || {};
+
+  const hasUrl = typeof url === 'string' && url.length > 0;
+  const hasText = typeof text === 'string' && text.length > 0;
+  if (hasUrl === hasText) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: 'Provide either url or text (string) in request body',
+    });
+  }
+
+  let normalizedOperations;
+  try {
+    normalizedOperations = normalizeSubtitleOperations(operations);
+  } catch (err) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: err.message,
+    });
+  }
+
+  try {
+    const content = hasUrl ? await fetchSubtitle(url) : text;
+    const result = await transformSubtitles(content, normalizedOperations, { loadSubtitle: fetchSubtitle });
+
+    const outputDir = path.join(__dirname, '..', 'public', 'subtitles');
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    const fileName = `subtitle-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${result.format}`;
+    const filePath = path.join(outputDir, fileName);
+    await fs.promises.writeFile(filePath, result.content, 'utf8');
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    console.log(`[subtitles/transform] ${result.cues.length} cues written to ${filePath}`);
+
+    return res.json({
+      success: true,
+      url: `${baseUrl}/static/subtitles/${fileName}`,
+      path: filePath,
+      filename: fileName,
+      format: result.format,
+      cues: result.cues.length,
+      content: result.content,
+    });
+  } catch (err) {
+    if (err.code === 'INVALID_SUBTITLE') {
+      return res.status(400).json({
+        error: 'invalid_subtitle',
+        message: err.message,
+      });
+    }
+    console.error('[subtitles/transform] Transform error:', err);
+    return res.status(500).json({
+      error: 'transform_failed',
+      message: err && err.message ? err.message : String(err),
+    });
+  }
+});
+
+module.exports = router;
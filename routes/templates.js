@@ -0,0 +1,250 @@
+const express = require('express');
+const { templateStore } = require('../utils/templateStore');
+const renderRouter = require('./render');
+const satoriRouter = require('./satori');
+
+const router = express.Router();
+
+// 解析 JSON 请求体
+router.use(express.json({ limit: '10mb' }));
+
+/**
+ * 将模板版本转换为响应结构
+ * @param {string} name - 模板名称
+ * @param {Object} template - 模板版本
+ * @returns {Object} 模板信息
+ */
+function formatTemplate(name, template) {
+  const { source, ...rest } = template;
+  return {
+    name,
+    ...rest,
+    [template.kind === 'satori' ? 'code' : 'html']: source,
+  };
+}
+
+/**
+ * 为 HTML 模板注入模板自带的字体（fonts 中的远程字体与 fontCss）
+ * fonts/ 目录中的字体由 /render 统一注入，这里只处理模板额外声明的字体
+ * @param {string} html - 填充后的 HTML
+ * @param {Object} template - 模板版本
+ * @returns {string} 注入字体样式后的 HTML
+ */
+function injectTemplateFonts(html, template) {
+  const fontFaces = (template.fonts || [])
+    .filter(font => font && font.name && font.url)
+    .map(font => `@font-face{font-family:"${font.name}";src:url("${font.url}");` +
+      `font-weight:${font.weight || 400};font-style:${font.style || 'normal'};}`);
+  if (template.fontCss) {
+    fontFaces.push(template.fontCss);
+  }
+  if (fontFaces.length === 0) {
+    return html;
+  }
+
+  const style = `<style>\n${fontFaces.join('\n')}\n</style>`;
+  if (/<head[\s>]/i.test(html)) {
+    return html.replace(/<head(.*?)>/i, (m) => `${m}\n${style}`);
+  }
+  return `${style}\n${html}`;
+}
+
+/**
+ * 获取模板列表
+ * GET /templates
+ */
+router.get('/', async (req, res) => {
+  try {
+    const templates = await templateStore.list();
+    return res.json({
+      success: true,
+      templates,
+    });
+  } catch (err) {
+    console.error('[templates] Failed to list templates:', err);
+    return res.status(500).json({
+      error: 'template_list_failed',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * 获取模板详情
+ * GET /templates/:name?version=2
+ * 未指定 version 时返回最新版本，同时返回全部版本号
+ */
+router.get('/:name', async (req, res) => {
+  const { name } = req.params;
+  try {
+    const record = await templateStore.read(name);
+    if (!record) {
+      return res.status(404).json({
+        error: 'template_not_found',
+        message: `Template not found: ${name}`,
+      });
+    }
+
+    const template = await templateStore.get(name, req.query.version);
+    if (!template) {
+      return res.status(404).json({
+        error: 'template_version_not_found',
+        message: `Template ${name} has no version ${req.query.version}`,
+      });
+    }
+
+    return res.json({
+      success: true,
+      template: formatTemplate(name, template),
+      versions: record.versions.map(v => ({ version: v.version, createdAt: v.createdAt, description: v.description })),
+    });
+  } catch (err) {
+    console.error('[templates] Failed to read template:', err);
+    return res.status(500).json({
+      error: 'template_read_failed',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * 保存模板（同名模板追加新版本，历史版本保持不变）
+ * POST /templates
+ *
+ * 参数：
+ * - name: 模板名称（字母、数字、_、-）
+ * - kind: 'satori' | 'html'
+ * - code: Satori 代码（kind 为 satori 时）
+ * - html: HTML（kind 为 html 时）
+ * - width/height: 默认尺寸
+ * - fonts/fontCss: 字体（同 /satori/render）
+ * - variables: 变量默认值（html 模板用于 Handlebars 填充，satori 模板作为 props 传给代码）
+ * - description: 版本说明
+ */
+router.post('/', async (req, res) => {
+  const { name, kind, code, html, width, height, fonts, fontCss, variables, description } = req.body || {};
+
+  try {
+    const template = await templateStore.save({
+      name,
+      kind,
+      source: kind === 'satori' ? code : html,
+      width,
+      height,
+      fonts,
+      fontCss,
+      variables,
+      description,
+    });
+
+    return res.status(201).json({
+      success: true,
+      template: formatTemplate(name, template),
+    });
+  } catch (err) {
+    if (err.code === 'INVALID_TEMPLATE') {
+      return res.status(400).json({
+        error: 'invalid_template',
+        message: err.message,
+      });
+    }
+    console.error('[templates] Failed to save template:', err);
+    return res.status(500).json({
+      error: 'template_save_failed',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * 使用模板渲染
+ * POST /templates/:name/render
+ *
+ * 参数：
+ * - version: 模板版本（默认最新版本），重新渲染历史结果时传入当时的版本
+ * - variables: 模板变量，覆盖模板中的默认值
+ * - 其他参数原样传给渲染接口，可覆盖模板的 width/height 等默认值：
+ *   satori 模板走 /satori/render-image（type、scale、encoding...），
+ *   html 模板走 /render（type、encoding、pdf...）
+ *
+ * 响应头 X-Template-Name / X-Template-Version 标明实际使用的模板版本，JSON 响应中同时返回 template 字段
+ */
+router.post('/:name/render', async (req, res, next) => {
+  const { name } = req.params;
+  const { version, variables = {}, code, html, ...options } = req.body || {};
+
+  if (typeof variables !== 'object' || variables === null || Array.isArray(variables)) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: 'variables must be an object',
+    });
+  }
+
+  let template;
+  try {
+    template = await templateStore.get(name, version);
+  } catch (err) {
+    console.error('[templates] Failed to read template:', err);
+    return res.status(500).json({
+      error: 'template_read_failed',
+      message: err.message,
+    });
+  }
+  if (!template) {
+    return res.status(404).json({
+      error: version ? 'template_version_not_found' : 'template_not_found',
+      message: version ? `Template ${name} has no version ${version}` : `Template not found: ${name}`,
+    });
+  }
+
+  let filled;
+  if (template.kind === 'html') {
+    try {
+      filled = templateStore.fill(template, variables);
+    } catch (err) {
+      return res.status(400).json({
+        error: 'template_render_failed',
+        message: err.message,
+      });
+    }
+  }
+
+  console.log(`[templates] Rendering ${name} v${template.version} (${template.kind})`);
+
+  // 标记实际使用的模板版本
+  const templateInfo = { name, version: template.version, kind: template.kind };
+  res.set('X-Template-Name', name);
+  res.set('X-Template-Version', String(template.version));
+  const json = res.json.bind(res);
+  res.json = (body) => json(body && typeof body === 'object' && !Array.isArray(body)
+    ? { ...body, template: templateInfo }
+    : body);
+
+  // 交给现有渲染接口处理（请求体已解析，渲染路由不会重复解析）
+  const defaults = {
+    width: template.width || undefined,
+    height: template.height || undefined,
+  };
+  if (template.kind === 'satori') {
+    req.body = {
+      ...defaults,
+      fonts: template.fonts,
+      fontCss: template.fontCss || undefined,
+      ...options,
+      code: template.source,
+      props: templateStore.resolveVariables(template, variables),
+    };
+    req.url = '/render-image';
+    return satoriRouter(req, res, next);
+  }
+
+  req.body = {
+    ...defaults,
+    ...options,
+    html: injectTemplateFonts(filled, template),
+  };
+  req.url = '/';
+  return renderRouter(req, res, next);
+});
+
+module.exports = router;
@@ -7,13 +7,36 @@ const { downloadAudio, downloadImage, downloadSrt } = require('../utils/download
 const { getFileExtension, getImageExtension } = require('../utils/fileUtils');
 const { parseColorForFFmpeg } = require('../utils/colorUtils');
 const { normalizeUrl } = require('../utils/urlUtils');
+const { asyncJob, reportProgress } = require('../utils/jobQueue');
+const { normalizeSubtitleStyle, parseSubtitles, shiftCues, shiftAssContent, generateAssContent } = require('../utils/subtitles');
+const { fontRegistry } = require('../utils/fontRegistry');
+const {
+  normalizeFillMode, buildFillFilter, normalizeMotion, resolveMotion, buildMotionFilter,
+  normalizeTransition, pairTransitions, joinedDuration, transitionOverlap, fitSegmentDuration, buildTransitionFilters, BLEND_TRANSITIONS,
+} = require('../utils/videoFilters');
+const { hasFilter } = require('../config/ffmpeg');
 const axios = require('axios');
 
 const router = express.Router();
 
+/**
+ * 生成 ASS 字幕滤镜（字体优先从 /fonts 上传的字体目录查找）
+ * FFmpeg 滤镜参数需要将路径中的反斜杠转换为正斜杠，使用单引号包裹路径，内部单引号转义为 '\''
+ * @param {string} assFilePath - ASS 字幕文件路径
+ * @returns {string} 滤镜字符串
+ */
+function buildSubtitleFilter(assFilePath) {
+  const escapePath = filePath => filePath.replace(/\\/g, '/').replace(/'/g, "'\\''");
+  let filter = `ass='${escapePath(assFilePath)}'`;
+  if (fs.existsSync(fontRegistry.fontsDir)) {
+    filter += `:fontsdir='${escapePath(fontRegistry.fontsDir)}'`;
+  }
+  return filter;
+}
+
 // 音频转视频接口（使用音频可视化）
-router.post('/convert/audio-to-video', express.json({ limit: '50mb' }), async (req, res) => {
-  let { audioUrl, width = 1080, height = 1920, backgroundColor = '#000000', backgroundImage, waveColor = '#00ffff', mode = 'bar', barWidth = 4, barGap = 2, barSpacing = 2, waveX, waveY, waveWidth, waveHeight, srt } = req.body || {};
+router.post('/convert/audio-to-video', express.json({ limit: '50mb' }), asyncJob('convert/audio-to-video', async (req, res) => {
+  let { audioUrl, width = 1080, height = 1920, backgroundColor = '#000000', backgroundImage, waveColor = '#00ffff', mode = 'bar', barWidth = 4, barGap = 2, barSpacing = 2, waveX, waveY, waveWidth, waveHeight, srt, subtitleStyle, subtitleOffset = 0, fillMode } = req.body || {};
 
   // 参数验证
   if (!audioUrl || typeof audioUrl !== 'string') {
@@ -37,11 +60,45 @@ router.post('/convert/audio-to-video', express.json({ limit: '50mb' }), async (r
     srtUrl = normalizeUrl(srt);
   }
 
+  // 字幕整体平移的秒数（如音频前加了片头）
+  subtitleOffset = Number(subtitleOffset);
+  if (!Number.isFinite(subtitleOffset)) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: 'subtitleOffset must be a number (seconds)',
+    });
+  }
+
+  // 背景图片的填充方式
+  try {
+    fillMode = normalizeFillMode(fillMode);
+  } catch (err) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: err.message,
+    });
+  }
+
+  // 字幕样式（字号、边距等以视频像素为单位）
+  let assStyle;
+  try {
+    assStyle = normalizeSubtitleStyle(subtitleStyle === undefined ? {} : subtitleStyle, {
+      width: parseInt(width, 10),
+      height: parseInt(height, 10),
+    });
+  } catch (err) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: err.message,
+    });
+  }
+
   const tempDir = path.join(os.tmpdir(), `audio-viz-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
   const outputDir = path.join(__dirname, '..', 'public', 'videos');
   let audioFilePath = null;
   let backgroundImagePath = null;
   let srtFilePath = null;
+  let assFilePath = null;
   let outputFilePath = null;
 
   try {
@@ -52,6 +109,7 @@ router.post('/convert/audio-to-video', express.json({ limit: '50mb' }), async (r
     console.log(`[convert/audio-to-video] Starting conversion, audioUrl: ${audioUrl}, backgroundImage: ${backgroundImage || 'none'}, srt: ${srtUrl || 'none'}`);
 
     // 下载音频文件
+    reportProgress(req, 'download', { percent: 0 });
     const audioFileName = `audio-${Date.now()}.${getFileExtension(audioUrl)}`;
     audioFilePath = path.join(tempDir, audioFileName);
     await downloadAudio(audioUrl, audioFilePath);
@@ -72,6 +130,41 @@ router.post('/convert/audio-to-video', express.json({ limit: '50mb' }), async (r
       srtFilePath = path.join(tempDir, srtFileName);
       await downloadSrt(srtUrl, srtFilePath);
       console.log(`[convert/audio-to-video] Downloaded SRT subtitle: ${srtFilePath}`);
+
+      // 字幕统一转换为 ASS 后烧录，样式写在 ASS 文件中；
+      // 传入的已是 ASS 字幕时直接使用其中的样式（平移时只修改对话时间），不能再指定 subtitleStyle
+      const subtitleContent = await fs.promises.readFile(srtFilePath, 'utf8');
+      const { format, cues } = parseSubtitles(subtitleContent);
+      if (format === 'ass') {
+        if (subtitleStyle !== undefined) {
+          return res.status(400).json({
+            error: 'invalid_request',
+            message: 'subtitleStyle cannot be used with an ASS subtitle; the styles in the ASS file are used',
+          });
+        }
+        if (subtitleOffset) {
+          assFilePath = path.join(tempDir, `subtitle-${Date.now()}.ass`);
+          await fs.promises.writeFile(assFilePath, shiftAssContent(subtitleContent, subtitleOffset), 'utf8');
+        } else {
+          assFilePath = srtFilePath;
+          srtFilePath = null;
+        }
+      } else {
+        assFilePath = path.join(tempDir, `subtitle-${Date.now()}.ass`);
+        await fs.promises.writeFile(assFilePath, generateAssContent(shiftCues(cues, subtitleOffset), assStyle), 'utf8');
+      }
+      console.log(`[convert/audio-to-video] ASS subtitle: ${assFilePath}`);
+    }
+    reportProgress(req, 'download', { percent: 100 });
+
+    // 音频时长（仅任务模式下用于计算进度百分比，获取失败不影响转换）
+    let audioDuration = null;
+    if (req.job) {
+      try {
+        audioDuration = await getVideoDuration(audioFilePath);
+      } catch (e) {
+        console.warn('[convert/audio-to-video] Failed to get audio duration for progress:', e.message);
+      }
     }
 
     // 生成输出文件名
@@ -130,27 +223,15 @@ router.post('/convert/audio-to-video', express.json({ limit: '50mb' }), async (r
           // 使用showwaves创建波形
           wavesFilter = `[1:a]showwaves=mode=${waveMode}:colors=${wvColor}:s=${finalWaveWidth}x${finalWaveHeight}:rate=30[waves]`;
         }
-        // 背景图片缩放并填充到视频尺寸
+        // 背景图片按 fillMode 适配到视频尺寸（pad 使用 backgroundColor 填充）
         // 波形图叠加到指定位置
-        let videoFilter = `[0:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${bgColor},setsar=1,fps=30[bg];${wavesFilter};[bg][waves]overlay=${waveXValue}:${waveYValue}:shortest=1[v]`;
+        const fillFilter = buildFillFilter(fillMode, { width, height, color: bgColor, input: '0:v', output: 'filled' });
+        let videoFilter = `${fillFilter};[filled]fps=30[bg];${wavesFilter};[bg][waves]overlay=${waveXValue}:${waveYValue}:shortest=1[v]`;
         
-        // 如果提供了SRT字幕，添加字幕滤镜
-        let finalVideoLabel = '[v]';
-        if (srtFilePath) {
-          // 转义SRT文件路径中的特殊字符
-          // FFmpeg subtitles 滤镜需要将路径中的反斜杠转换为正斜杠
-          // 使用单引号包裹路径，内部单引号需要转义为 '\''
-          const escapedSrtPath = srtFilePath.replace(/\\/g, '/').replace(/'/g, "'\\''");
-          // 字幕样式：白色文字，黑色描边，半透明背景，字体大小根据视频宽度自适应
-          // Alignment=2 表示底部居中
-          // MarginV=60 表示距离底部60像素（往上移动60像素）
-          // const fontSize = Math.max(12, Math.round(width * 0.015)); // 字体大小至少12，为视频宽度的1.5%
-          const fontSize = 11;
-          const marginV = 60; // 字幕距离底部的像素距离
-          console.log(`fontSize: ${fontSize}, marginV: ${marginV}`);
+        // 如果提供了字幕，添加 ASS 字幕滤镜
+        if (assFilePath) {
           // 使用中间标签 [vsub] 避免重复使用 [v]
-          videoFilter = `${videoFilter};[v]subtitles='${escapedSrtPath}':force_style='FontName=Arial,FontSize=${fontSize},PrimaryColour=&Hffffff,OutlineColour=&H000000,BackColour=&H80000000,Bold=1,Alignment=2,MarginV=${marginV}'[vsub]`;
-          finalVideoLabel = '[vsub]';
+          videoFilter = `${videoFilter};[v]${buildSubtitleFilter(assFilePath)}[vsub]`;
         }
         
         filterComplex = videoFilter;
@@ -175,21 +256,10 @@ router.post('/convert/audio-to-video', express.json({ limit: '50mb' }), async (r
         // 使用lavfi创建颜色背景
         let videoFilter = `[0:v]setsar=1,fps=30[bg];${wavesFilter};[bg][waves]overlay=${waveXValue}:${waveYValue}:shortest=1[v]`;
         
-        // 如果提供了SRT字幕，添加字幕滤镜
-        let finalVideoLabel = '[v]';
-        if (srtFilePath) {
-          // 转义SRT文件路径中的特殊字符
-          // FFmpeg subtitles 滤镜需要将路径中的反斜杠转换为正斜杠
-          // 使用单引号包裹路径，内部单引号需要转义为 '\''
-          const escapedSrtPath = srtFilePath.replace(/\\/g, '/').replace(/'/g, "'\\''");
-          // 字幕样式：白色文字，黑色描边，半透明背景，字体大小根据视频高度自适应
-          // Alignment=2 表示底部居中
-          // MarginV=60 表示距离底部60像素（往上移动60像素）
-          const fontSize = Math.max(12, Math.round(height * 0.04)); // 字体大小至少12，为视频高度的4%
-          const marginV = 60; // 字幕距离底部的像素距离
+        // 如果提供了字幕，添加 ASS 字幕滤镜
+        if (assFilePath) {
           // 使用中间标签 [vsub] 避免重复使用 [v]
-          videoFilter = `${videoFilter};[v]subtitles='${escapedSrtPath}':force_style='FontName=Arial,FontSize=${fontSize},PrimaryColour=&Hffffff,OutlineColour=&H000000,BackColour=&H80000000,Bold=1,Alignment=2,MarginV=${marginV}'[vsub]`;
-          finalVideoLabel = '[vsub]';
+          videoFilter = `${videoFilter};[v]${buildSubtitleFilter(assFilePath)}[vsub]`;
         }
         
         filterComplex = videoFilter;
@@ -200,7 +270,7 @@ router.post('/convert/audio-to-video', express.json({ limit: '50mb' }), async (r
       }
 
       // 确定最终使用的视频标签（如果有字幕则使用 [vsub]，否则使用 [v]）
-      const videoOutputLabel = srtFilePath ? '[vsub]' : '[v]';
+      const videoOutputLabel = assFilePath ? '[vsub]' : '[v]';
       
       ffmpegCommand
         .complexFilter(filterComplex)
@@ -216,12 +286,13 @@ router.post('/convert/audio-to-video', express.json({ limit: '50mb' }), async (r
         .on('start', (commandLine) => {
           console.log(`[convert/audio-to-video] FFmpeg command: ${commandLine}`);
           console.log(`[convert/audio-to-video] Background image path: ${backgroundImagePath || 'none'}`);
-          console.log(`[convert/audio-to-video] SRT subtitle path: ${srtFilePath || 'none'}`);
+          console.log(`[convert/audio-to-video] ASS subtitle path: ${assFilePath || 'none'}`);
           console.log(`[convert/audio-to-video] Waveform position: x=${waveXValue}, y=${waveYValue}, width=${finalWaveWidth}, height=${finalWaveHeight}`);
           console.log(`[convert/audio-to-video] Bar spacing: ${barSpacingValue}px, adjusted win_size: ${adjustedWinSize}`);
         })
         .on('progress', (progress) => {
           console.log(`[convert/audio-to-video] Processing: ${JSON.stringify(progress)}`);
+          reportProgress(req, assFilePath ? 'subtitle_burn' : 'encode', progress, audioDuration);
         })
         .on('end', () => {
           console.log(`[convert/audio-to-video] Video conversion completed: ${outputFilePath}`);
@@ -326,6 +397,13 @@ router.post('/convert/audio-to-video', express.json({ limit: '50mb' }), async (r
           console.warn(`[convert/audio-to-video] Failed to delete temp SRT file:`, e);
         }
       }
+      if (assFilePath) {
+        try {
+          await fs.promises.unlink(assFilePath);
+        } catch (e) {
+          console.warn(`[convert/audio-to-video] Failed to delete temp ASS file:`, e);
+        }
+      }
       // 删除临时目录
       try {
         await fs.promises.rmdir(tempDir);
@@ -346,7 +424,7 @@ router.post('/convert/audio-to-video', express.json({ limit: '50mb' }), async (r
       console.warn('[convert/audio-to-video] Failed to cleanup temp files:', e);
     }
   }
-});
+}));
 
 /**
  * 下载视频文件
@@ -397,6 +475,66 @@ function getVideoDuration(filePath) {
   });
 }
 
+/**
+ * 检查媒体文件是否包含音频流
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<boolean>} 是否包含音频流
+ */
+function hasAudioStream(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(metadata.streams.some(stream => stream.codec_type === 'audio'));
+    });
+  });
+}
+
+/**
+ * 使用转场效果拼接视频片段（xfade + acrossfade），片段需为相同尺寸
+ * @param {Object} req - express 请求对象（用于上报进度）
+ * @param {Array<string>} files - 片段文件路径
+ * @param {string} outputPath - 输出文件路径
+ * @param {Object} options - { transition: normalizeTransition 的结果, blend: 用 blend 代替 xfade, fps, label: 日志中的名称 }
+ * @returns {Promise<number>} 拼接后的时长（秒）
+ */
+async function concatWithTransition(req, files, outputPath, { transition, blend = false, fps, label }) {
+  const segments = [];
+  for (const file of files) {
+    segments.push({ duration: await getVideoDuration(file), hasAudio: await hasAudioStream(file) });
+  }
+  const transitions = pairTransitions(segments.map(segment => segment.duration), transition.duration);
+  const totalDuration = joinedDuration(segments.map(segment => segment.duration), transition.duration);
+
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    files.forEach(file => command.input(file));
+    command
+      .complexFilter(buildTransitionFilters(segments, { type: transition.type, transitions, fps, blend }), ['vout', 'aout'])
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .outputOptions(['-pix_fmt', 'yuv420p', '-r', String(fps)])
+      .on('start', (commandLine) => {
+        console.log(`[generate/video] ${label} with ${transition.type} transitions${blend ? ' (blend fallback)' : ''}: ${commandLine}`);
+      })
+      .on('progress', (progress) => {
+        reportProgress(req, 'concat', progress, totalDuration);
+      })
+      .on('end', () => {
+        console.log(`[generate/video] ${label} done: ${outputPath}`);
+        resolve();
+      })
+      .on('error', (err) => {
+        console.error(`[generate/video] Error in ${label.toLowerCase()}:`, err);
+        reject(err);
+      })
+      .save(outputPath);
+  });
+  return totalDuration;
+}
+
 /**
  * 获取图片尺寸
  * @param {string} filePath - 图片文件路径
@@ -423,22 +561,80 @@ function getImageDimensions(filePath) {
 }
 
 /**
- * 生成9:16的指定时长视频
- * POST /generate/video-9-16
+ * 画幅预设（短边 1080）
+ */
+const ASPECT_PRESETS = {
+  '9:16': { width: 1080, height: 1920 },
+  '16:9': { width: 1920, height: 1080 },
+  '1:1': { width: 1080, height: 1080 },
+  '4:5': { width: 1080, height: 1350 },
+  '3:4': { width: 1080, height: 1440 },
+};
+
+/**
+ * 解析视频尺寸：显式 width/height 优先，只传一个时按 aspect 计算另一个
+ * 尺寸取偶数（libx264 + yuv420p 要求）
+ * @param {Object} options - { aspect, width, height }
+ * @returns {{width: number, height: number}} 视频尺寸
+ * @throws {Error} 参数无效时抛出
+ */
+function resolveVideoSize({ aspect, width, height } = {}) {
+  const aspectKey = aspect === undefined ? '9:16' : aspect;
+  if (!Object.prototype.hasOwnProperty.call(ASPECT_PRESETS, aspectKey)) {
+    throw new Error(`aspect must be one of: ${Object.keys(ASPECT_PRESETS).join(', ')}`);
+  }
+  const preset = ASPECT_PRESETS[aspectKey];
+
+  const readSize = (value, name) => {
+    if (value === undefined || value === null) return null;
+    const size = Number(value);
+    if (!Number.isFinite(size) || size < 16 || size > 4096) {
+      throw new Error(`${name} must be a number between 16 and 4096`);
+    }
+    return size;
+  };
+  let w = readSize(width, 'width');
+  let h = readSize(height, 'height');
+
+  if (w === null && h === null) {
+    return { ...preset };
+  }
+  if (w === null) {
+    w = h * preset.width / preset.height;
+  } else if (h === null) {
+    h = w * preset.height / preset.width;
+  }
+  const toEven = value => Math.max(2, Math.round(value / 2) * 2);
+  return { width: toEven(w), height: toEven(h) };
+}
+
+/**
+ * 生成指定画幅与时长的视频
+ * POST /generate/video（/generate/video-9-16 为兼容别名，默认 9:16）
  * 
  * 输入：
  * - targetDuration: 目标时长（秒）
- * - imageUrls: 图片URL数组
+ * - imageUrls: 图片URL数组，元素也可为 { url, motion, duration } 以单独指定该图片的运动效果与时长
  * - videoUrls: 视频URL数组
  * - appendVideoUrls: 追加视频URL数组（当videoUrls和imageUrls生成的时长不够时使用）
+ * - aspect: 画幅（9:16、16:9、1:1、4:5、3:4，默认 9:16）
+ * - width / height: 可选，指定画面尺寸；只传一个时按 aspect 计算另一个
+ * - fps: 帧率（默认30）
+ * - fillMode: 素材与画幅不一致时的填充方式（pad、blur、crop、stretch，默认 pad）
+ * - motion: 图片的运动效果（none、zoom-in、zoom-out、pan、random，或 { type, direction, zoom, easing, seed }，默认 none）
+ * - imageDuration: 每张图片的时长（秒，默认5；长图滚动时长按高度计算）
+ * - transition: 片段间的转场（fade、wipeleft、slideup、circleopen、dissolve 等，或 { type, duration }，默认无转场）
+ *   转场使片段重叠，计算目标时长时会扣除重叠部分；fade、dissolve 以外的转场需要支持 xfade 的 FFmpeg（4.3+，可通过 FFMPEG_PATH 指定），
+ *   不支持 xfade 时 fade、dissolve 改用 blend 交叉淡化
  * 
  * 输出：
  * - url: 视频文件URL
  * - path: 本地路径
  * - duration: 视频实际时长
+ * - width / height / fps: 视频参数
  */
-router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req, res) => {
-  let { targetDuration, imageUrls = [], videoUrls = [], appendVideoUrls = [] } = req.body || {};
+async function generateVideo(req, res) {
+  let { targetDuration, imageUrls = [], videoUrls = [], appendVideoUrls = [], aspect, width, height, fps = 30, fillMode, motion, imageDuration = 5, transition } = req.body || {};
 
   // 参数验证
   if (typeof targetDuration !== 'number' || targetDuration <= 0) {
@@ -476,12 +672,90 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
     });
   }
 
+  let videoSize;
+  try {
+    videoSize = resolveVideoSize({ aspect, width, height });
+  } catch (err) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: err.message,
+    });
+  }
+
+  fps = Number(fps);
+  if (!Number.isInteger(fps) || fps < 1 || fps > 60) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: 'fps must be an integer between 1 and 60',
+    });
+  }
+
+  try {
+    fillMode = normalizeFillMode(fillMode);
+  } catch (err) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: err.message,
+    });
+  }
+
+  if (typeof imageDuration !== 'number' || !Number.isFinite(imageDuration) || imageDuration <= 0) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: 'imageDuration must be a number > 0 (seconds)',
+    });
+  }
+
+  // 图片参数：字符串为 URL，对象可单独指定 motion 与 duration
+  let images;
+  try {
+    motion = normalizeMotion(motion);
+    images = imageUrls.map((item, i) => {
+      const options = typeof item === 'string' ? { url: item } : item;
+      if (!options || typeof options !== 'object' || typeof options.url !== 'string') {
+        throw new Error(`imageUrls[${i}] must be a URL string or an object with url`);
+      }
+      const { duration } = options;
+      if (duration !== undefined && (typeof duration !== 'number' || !Number.isFinite(duration) || duration <= 0)) {
+        throw new Error(`imageUrls[${i}].duration must be a number > 0 (seconds)`);
+      }
+      return {
+        url: normalizeUrl(options.url),
+        motion: options.motion === undefined ? motion : normalizeMotion(options.motion, `imageUrls[${i}].motion`),
+        duration,
+      };
+    }).filter(image => image.url);
+  } catch (err) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: err.message,
+    });
+  }
+
+  try {
+    transition = normalizeTransition(transition);
+  } catch (err) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      message: err.message,
+    });
+  }
+  // 不支持 xfade 的 FFmpeg（如内置的版本）用 blend 交叉淡化实现 fade、dissolve
+  const transitionBlend = Boolean(transition) && !(await hasFilter('xfade'));
+  if (transitionBlend && !BLEND_TRANSITIONS.includes(transition.type)) {
+    return res.status(400).json({
+      error: 'transition_unsupported',
+      message: `The configured FFmpeg does not support the xfade filter (FFmpeg 4.3+ required), only ${BLEND_TRANSITIONS.join(', ')} transitions are available. Set FFMPEG_PATH to a newer FFmpeg build.`,
+    });
+  }
+  // 转场时长，相邻片段实际的重叠按两者时长由 pairTransitions 计算
+  const transitionDuration = transition ? transition.duration : 0;
+
   // URL处理
-  imageUrls = imageUrls.map(url => normalizeUrl(url)).filter(url => url);
   videoUrls = videoUrls.map(url => normalizeUrl(url)).filter(url => url);
   appendVideoUrls = appendVideoUrls.map(url => normalizeUrl(url)).filter(url => url);
 
-  const tempDir = path.join(os.tmpdir(), `video-9-16-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+  const tempDir = path.join(os.tmpdir(), `generate-video-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
   const outputDir = path.join(__dirname, '..', 'public', 'videos');
   let outputFilePath = null;
   const tempFiles = [];
@@ -491,15 +765,16 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
     await fs.promises.mkdir(tempDir, { recursive: true });
     await fs.promises.mkdir(outputDir, { recursive: true });
 
-    console.log(`[generate/video-9-16] Starting generation, targetDuration: ${targetDuration}s, videoUrls: ${videoUrls.length}, imageUrls: ${imageUrls.length}, appendVideoUrls: ${appendVideoUrls.length}`);
+    console.log(`[generate/video] Starting generation, size: ${videoSize.width}x${videoSize.height}@${fps}fps, targetDuration: ${targetDuration}s, videoUrls: ${videoUrls.length}, imageUrls: ${images.length}, appendVideoUrls: ${appendVideoUrls.length}`);
 
-    const VIDEO_WIDTH = 1080;
-    const VIDEO_HEIGHT = 1920;
+    const { width: VIDEO_WIDTH, height: VIDEO_HEIGHT } = videoSize;
+    // 视频、图片适配到画面的滤镜
+    const fillFilter = buildFillFilter(fillMode, { width: VIDEO_WIDTH, height: VIDEO_HEIGHT });
     const processedVideoFiles = [];
 
     // 步骤1: 处理视频URL，拼接视频
     if (videoUrls.length > 0) {
-      console.log(`[generate/video-9-16] Processing ${videoUrls.length} videos...`);
+      console.log(`[generate/video] Processing ${videoUrls.length} videos...`);
       
       // 下载所有视频
       const downloadedVideoFiles = [];
@@ -511,44 +786,44 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
         await downloadVideo(videoUrl, videoFilePath);
         downloadedVideoFiles.push(videoFilePath);
         tempFiles.push(videoFilePath);
-        console.log(`[generate/video-9-16] Downloaded video ${i + 1}/${videoUrls.length}: ${videoFilePath}`);
+        console.log(`[generate/video] Downloaded video ${i + 1}/${videoUrls.length}: ${videoFilePath}`);
+        reportProgress(req, 'download', { percent: ((i + 1) / videoUrls.length) * 100 });
       }
 
-      // 处理每个视频：转换为9:16，并获取时长
+      // 处理每个视频：转换为目标画幅，并获取时长
       const processedVideos = [];
       let totalVideoDuration = 0;
 
       for (let i = 0; i < downloadedVideoFiles.length; i++) {
         const videoPath = downloadedVideoFiles[i];
         const duration = await getVideoDuration(videoPath);
-        console.log(`[generate/video-9-16] Video ${i + 1} duration: ${duration.toFixed(2)}s`);
+        console.log(`[generate/video] Video ${i + 1} duration: ${duration.toFixed(2)}s`);
 
-        // 转换为9:16格式
+        // 转换为目标画幅
         const processedVideoPath = path.join(tempDir, `processed-video-${i}-${Date.now()}.mp4`);
         await new Promise((resolve, reject) => {
           ffmpeg(videoPath)
-            .videoFilters([
-              `scale=${VIDEO_WIDTH}:${VIDEO_HEIGHT}:force_original_aspect_ratio=decrease`,
-              `pad=${VIDEO_WIDTH}:${VIDEO_HEIGHT}:(ow-iw)/2:(oh-ih)/2:color=black`,
-              'setsar=1',
-            ])
+            .videoFilters(fillFilter)
             .videoCodec('libx264')
             .outputOptions([
               '-pix_fmt', 'yuv420p',
-              '-r', '30',
+              '-r', String(fps),
               '-map', '0:v:0', // 映射视频流
               '-map', '0:a?',  // 可选音频流（如果存在）
             ])
             .audioCodec('aac') // 统一使用aac编码，如果原视频没有音频则会被忽略
             .on('start', (commandLine) => {
-              console.log(`[generate/video-9-16] Processing video ${i + 1}: ${commandLine}`);
+              console.log(`[generate/video] Processing video ${i + 1}: ${commandLine}`);
+            })
+            .on('progress', (progress) => {
+              reportProgress(req, 'encode', progress, duration);
             })
             .on('end', () => {
-              console.log(`[generate/video-9-16] Processed video ${i + 1}: ${processedVideoPath}`);
+              console.log(`[generate/video] Processed video ${i + 1}: ${processedVideoPath}`);
               resolve();
             })
             .on('error', (err) => {
-              console.error(`[generate/video-9-16] Error processing video ${i + 1}:`, err);
+              console.error(`[generate/video] Error processing video ${i + 1}:`, err);
               reject(err);
             })
             .save(processedVideoPath);
@@ -561,49 +836,56 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
         tempFiles.push(processedVideoPath);
         totalVideoDuration += duration;
 
-        // 如果累计时长已经达到或超过目标时长，停止处理
-        if (totalVideoDuration >= targetDuration) {
-          console.log(`[generate/video-9-16] Total video duration (${totalVideoDuration.toFixed(2)}s) reached target duration`);
+        // 如果累计时长（扣除转场重叠）已经达到或超过目标时长，停止处理
+        if (joinedDuration(processedVideos.map(video => video.duration), transitionDuration) >= targetDuration) {
+          console.log(`[generate/video] Total video duration (${totalVideoDuration.toFixed(2)}s) reached target duration`);
           break;
         }
       }
 
       // 拼接所有处理后的视频
       if (processedVideos.length > 0) {
-        const fileListPath = path.join(tempDir, 'video-list.txt');
-        const fileListContent = processedVideos
-          .map(v => `file '${v.path.replace(/'/g, "'\\''")}'`)
-          .join('\n');
-        await fs.promises.writeFile(fileListPath, fileListContent, 'utf8');
-        tempFiles.push(fileListPath);
-
         const concatenatedVideoPath = path.join(tempDir, `concatenated-videos-${Date.now()}.mp4`);
-        await new Promise((resolve, reject) => {
-          ffmpeg()
-            .input(fileListPath)
-            .inputOptions(['-f', 'concat', '-safe', '0'])
-            .videoCodec('libx264')
-            .audioCodec('aac')
-            .outputOptions(['-pix_fmt', 'yuv420p', '-r', '30'])
-            .on('start', (commandLine) => {
-              console.log(`[generate/video-9-16] Concatenating videos: ${commandLine}`);
-            })
-            .on('end', () => {
-              console.log(`[generate/video-9-16] Videos concatenated: ${concatenatedVideoPath}`);
-              resolve();
-            })
-            .on('error', (err) => {
-              console.error(`[generate/video-9-16] Error concatenating videos:`, err);
-              reject(err);
-            })
-            .save(concatenatedVideoPath);
-        });
+        if (transition) {
+          await concatWithTransition(req, processedVideos.map(v => v.path), concatenatedVideoPath, { transition, blend: transitionBlend, fps, label: 'Concatenating videos' });
+        } else {
+          const fileListPath = path.join(tempDir, 'video-list.txt');
+          const fileListContent = processedVideos
+            .map(v => `file '${v.path.replace(/'/g, "'\\''")}'`)
+            .join('\n');
+          await fs.promises.writeFile(fileListPath, fileListContent, 'utf8');
+          tempFiles.push(fileListPath);
+
+          await new Promise((resolve, reject) => {
+            ffmpeg()
+              .input(fileListPath)
+              .inputOptions(['-f', 'concat', '-safe', '0'])
+              .videoCodec('libx264')
+              .audioCodec('aac')
+              .outputOptions(['-pix_fmt', 'yuv420p', '-r', String(fps)])
+              .on('start', (commandLine) => {
+                console.log(`[generate/video] Concatenating videos: ${commandLine}`);
+              })
+              .on('progress', (progress) => {
+                reportProgress(req, 'concat', progress, totalVideoDuration);
+              })
+              .on('end', () => {
+                console.log(`[generate/video] Videos concatenated: ${concatenatedVideoPath}`);
+                resolve();
+              })
+              .on('error', (err) => {
+                console.error(`[generate/video] Error concatenating videos:`, err);
+                reject(err);
+              })
+              .save(concatenatedVideoPath);
+          });
+        }
 
         tempFiles.push(concatenatedVideoPath);
 
         // 检查拼接后的视频时长，如果超过目标时长则截取
         const concatenatedDuration = await getVideoDuration(concatenatedVideoPath);
-        console.log(`[generate/video-9-16] Concatenated video duration: ${concatenatedDuration.toFixed(2)}s`);
+        console.log(`[generate/video] Concatenated video duration: ${concatenatedDuration.toFixed(2)}s`);
 
         if (concatenatedDuration > targetDuration) {
           // 截取到目标时长
@@ -615,14 +897,17 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
               .audioCodec('aac')
               .outputOptions(['-pix_fmt', 'yuv420p'])
               .on('start', (commandLine) => {
-                console.log(`[generate/video-9-16] Trimming video: ${commandLine}`);
+                console.log(`[generate/video] Trimming video: ${commandLine}`);
+              })
+              .on('progress', (progress) => {
+                reportProgress(req, 'encode', progress, targetDuration);
               })
               .on('end', () => {
-                console.log(`[generate/video-9-16] Video trimmed: ${trimmedVideoPath}`);
+                console.log(`[generate/video] Video trimmed: ${trimmedVideoPath}`);
                 resolve();
               })
               .on('error', (err) => {
-                console.error(`[generate/video-9-16] Error trimming video:`, err);
+                console.error(`[generate/video] Error trimming video:`, err);
                 reject(err);
               })
               .save(trimmedVideoPath);
@@ -643,52 +928,55 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
     }
 
     const remainingDuration = targetDuration - currentDuration;
-    console.log(`[generate/video-9-16] Current duration: ${currentDuration.toFixed(2)}s, Remaining: ${remainingDuration.toFixed(2)}s`);
+    console.log(`[generate/video] Current duration: ${currentDuration.toFixed(2)}s, Remaining: ${remainingDuration.toFixed(2)}s`);
 
-    if (remainingDuration > 0 && imageUrls.length > 0) {
-      console.log(`[generate/video-9-16] Processing images to fill remaining duration...`);
+    if (remainingDuration > 0 && images.length > 0) {
+      console.log(`[generate/video] Processing images to fill remaining duration...`);
 
       // 下载所有图片
       const downloadedImageFiles = [];
-      for (let i = 0; i < imageUrls.length; i++) {
-        const imageUrl = imageUrls[i];
+      for (let i = 0; i < images.length; i++) {
+        const imageUrl = images[i].url;
         const imageExt = getImageExtension(imageUrl) || 'jpg';
         const imageFileName = `image-${i}-${Date.now()}.${imageExt}`;
         const imageFilePath = path.join(tempDir, imageFileName);
         try {
           await downloadImage(imageUrl, imageFilePath);
-          downloadedImageFiles.push(imageFilePath);
+          downloadedImageFiles.push({ ...images[i], path: imageFilePath });
           tempFiles.push(imageFilePath);
-          console.log(`[generate/video-9-16] Downloaded image ${i + 1}/${imageUrls.length}: ${imageFilePath}`);
+          console.log(`[generate/video] Downloaded image ${i + 1}/${images.length}: ${imageFilePath}`);
+          reportProgress(req, 'download', { percent: ((i + 1) / images.length) * 100 });
         } catch (err) {
-          console.warn(`[generate/video-9-16] Failed to download image ${i + 1}:`, err);
+          console.warn(`[generate/video] Failed to download image ${i + 1}:`, err);
         }
       }
 
       // 过滤图片：丢弃宽度或高度小于500的图片
       const validImages = [];
       for (let i = 0; i < downloadedImageFiles.length; i++) {
-        const imagePath = downloadedImageFiles[i];
+        const imagePath = downloadedImageFiles[i].path;
         try {
           const dimensions = await getImageDimensions(imagePath);
           if (dimensions.width >= 500 && dimensions.height >= 500) {
             validImages.push({
-              path: imagePath,
+              ...downloadedImageFiles[i],
               width: dimensions.width,
               height: dimensions.height,
             });
-            console.log(`[generate/video-9-16] Image ${i + 1} valid: ${dimensions.width}x${dimensions.height}`);
+            console.log(`[generate/video] Image ${i + 1} valid: ${dimensions.width}x${dimensions.height}`);
           } else {
-            console.log(`[generate/video-9-16] Image ${i + 1} discarded: ${dimensions.width}x${dimensions.height} (too small)`);
+            console.log(`[generate/video] Image ${i + 1} discarded: ${dimensions.width}x${dimensions.height} (too small)`);
           }
         } catch (err) {
-          console.warn(`[generate/video-9-16] Failed to get dimensions for image ${i + 1}:`, err);
+          console.warn(`[generate/video] Failed to get dimensions for image ${i + 1}:`, err);
         }
       }
 
-      // 处理每个有效图片：等比缩放为宽度1080，生成视频
+      // 处理每个有效图片：等比缩放为画面宽度，生成视频
       const imageVideoFiles = [];
       let accumulatedDuration = 0;
+      // 已有片段的时长，用于计算与前一片段的转场重叠
+      const segmentDurations = processedVideoFiles.length > 0 ? [currentDuration] : [];
 
       for (let i = 0; i < validImages.length; i++) {
         const image = validImages[i];
@@ -700,17 +988,19 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
 
         let imageVideoPath;
         let imageVideoDuration;
+        // 与前一片段转场时重叠的时长不计入有效时长
+        const previousDuration = segmentDurations[segmentDurations.length - 1];
 
         if (scaledHeight > VIDEO_HEIGHT) {
-          // 高度超过1920，制作向下滚动视频
+          // 高度超过画面高度，制作向下滚动视频
           // 滚动速度：假设滚动到底需要的时间为 (scaledHeight - VIDEO_HEIGHT) / 100 秒（每100像素1秒）
           const scrollDistance = scaledHeight - VIDEO_HEIGHT;
           const scrollDuration = Math.max(3, scrollDistance / 100); // 至少3秒
-          imageVideoDuration = scrollDuration;
+          imageVideoDuration = image.duration || scrollDuration;
 
           // 如果累计时长加上这个视频时长会超过剩余时长，调整滚动时长
-          if (accumulatedDuration + imageVideoDuration > remainingDuration) {
-            imageVideoDuration = Math.max(1, remainingDuration - accumulatedDuration);
+          if (accumulatedDuration + imageVideoDuration - transitionOverlap(previousDuration, imageVideoDuration, transitionDuration) > remainingDuration) {
+            imageVideoDuration = Math.max(1, fitSegmentDuration(remainingDuration - accumulatedDuration, previousDuration, transitionDuration));
           }
 
           // 重新计算滚动速度（因为imageVideoDuration可能被调整了）
@@ -723,10 +1013,10 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
             // 先创建一个黑色背景，然后将图片从顶部移动到底部
             
             ffmpeg()
-              .input('color=c=black:s=' + VIDEO_WIDTH + 'x' + VIDEO_HEIGHT + ':d=' + String(imageVideoDuration))
-              .inputOptions(['-f', 'lavfi', '-framerate', '30'])
+              .input(`color=c=black:s=${VIDEO_WIDTH}x${VIDEO_HEIGHT}:r=${fps}:d=${imageVideoDuration}`)
+              .inputOptions(['-f', 'lavfi'])
               .input(imagePath)
-              .inputOptions(['-loop', '1', '-framerate', '30'])
+              .inputOptions(['-loop', '1', '-framerate', String(fps)])
               .input('anullsrc=channel_layout=stereo:sample_rate=44100')
               .inputOptions(['-f', 'lavfi', '-t', String(imageVideoDuration)])
               .complexFilter([
@@ -736,70 +1026,79 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
                 `[scaled]pad=${VIDEO_WIDTH}:${scaledHeight}:(ow-iw)/2:(oh-ih)/2:color=black[padded]`,
                 // 使用overlay实现滚动：图片从y=0（顶部）移动到y=-scrollDistance（底部）
                 // y坐标公式：从0开始，随时间减少到-scrollDistance
-                // 使用max确保不会超出范围
-                `[0:v][padded]overlay=0:max(${-scrollDistance}\\,-t*${scrollSpeed})[v]`
+                // 使用max确保不会超出范围；shortest=1 使时长跟随背景（图片输入是无限循环的）
+                `[0:v][padded]overlay=0:max(${-scrollDistance}\\,-t*${scrollSpeed}):shortest=1[v]`
               ])
               .videoCodec('libx264')
               .audioCodec('aac')
               .outputOptions([
                 '-pix_fmt', 'yuv420p',
-                '-r', '30',
+                '-r', String(fps),
                 '-map', '[v]',
                 '-map', '2:a:0',
                 '-shortest',
               ])
               .on('start', (commandLine) => {
-                console.log(`[generate/video-9-16] Creating scroll video for image ${i + 1}: ${commandLine}`);
+                console.log(`[generate/video] Creating scroll video for image ${i + 1}: ${commandLine}`);
+              })
+              .on('progress', (progress) => {
+                reportProgress(req, 'encode', progress, imageVideoDuration);
               })
               .on('end', () => {
-                console.log(`[generate/video-9-16] Scroll video created for image ${i + 1}: ${imageVideoPath}`);
+                console.log(`[generate/video] Scroll video created for image ${i + 1}: ${imageVideoPath}`);
                 resolve();
               })
               .on('error', (err) => {
-                console.error(`[generate/video-9-16] Error creating scroll video for image ${i + 1}:`, err);
+                console.error(`[generate/video] Error creating scroll video for image ${i + 1}:`, err);
                 reject(err);
               })
               .save(imageVideoPath);
           });
         } else {
-          // 高度不超过1920，制作停留5秒的视频
-          imageVideoDuration = 5;
+          // 高度不超过画面高度，制作停留 imageDuration 秒的视频（可带运动效果）
+          imageVideoDuration = image.duration || imageDuration;
 
           // 如果累计时长加上这个视频时长会超过剩余时长，调整时长
-          if (accumulatedDuration + imageVideoDuration > remainingDuration) {
-            imageVideoDuration = Math.max(1, remainingDuration - accumulatedDuration);
+          if (accumulatedDuration + imageVideoDuration - transitionOverlap(previousDuration, imageVideoDuration, transitionDuration) > remainingDuration) {
+            imageVideoDuration = Math.max(1, fitSegmentDuration(remainingDuration - accumulatedDuration, previousDuration, transitionDuration));
           }
 
+          // random 按图片在有效图片中的序号选择效果
+          const imageMotion = resolveMotion(image.motion, i);
+          const hasMotion = imageMotion.type !== 'none';
+
           imageVideoPath = path.join(tempDir, `image-video-static-${i}-${Date.now()}.mp4`);
           await new Promise((resolve, reject) => {
             ffmpeg()
               .input(imagePath)
-              .inputOptions(['-loop', '1', '-framerate', '30'])
+              // 运动效果由 zoompan 从单帧生成全部帧，静止画面循环输入
+              .inputOptions(hasMotion ? [] : ['-loop', '1', '-framerate', String(fps), '-t', String(imageVideoDuration)])
               .input('anullsrc=channel_layout=stereo:sample_rate=44100')
               .inputOptions(['-f', 'lavfi', '-t', String(imageVideoDuration)])
-              .videoFilters([
-                `scale=${VIDEO_WIDTH}:${scaledHeight}:force_original_aspect_ratio=decrease`,
-                `pad=${VIDEO_WIDTH}:${VIDEO_HEIGHT}:(ow-iw)/2:(oh-ih)/2:color=black`,
-                'setsar=1',
-              ])
+              .videoFilters(hasMotion
+                ? buildMotionFilter(imageMotion, { width: VIDEO_WIDTH, height: VIDEO_HEIGHT, fps, duration: imageVideoDuration, fillMode })
+                : fillFilter)
               .videoCodec('libx264')
               .audioCodec('aac')
               .outputOptions([
                 '-pix_fmt', 'yuv420p',
-                '-r', '30',
+                '-r', String(fps),
                 '-shortest',
                 '-map', '0:v:0',
                 '-map', '1:a:0',
               ])
               .on('start', (commandLine) => {
-                console.log(`[generate/video-9-16] Creating static video for image ${i + 1}: ${commandLine}`);
+                console.log(`[generate/video] Creating ${hasMotion ? imageMotion.type : 'static'} video for image ${i + 1}: ${commandLine}`);
+              })
+              .on('progress', (progress) => {
+                reportProgress(req, 'encode', progress, imageVideoDuration);
               })
               .on('end', () => {
-                console.log(`[generate/video-9-16] Static video created for image ${i + 1}: ${imageVideoPath}`);
+                console.log(`[generate/video] Static video created for image ${i + 1}: ${imageVideoPath}`);
                 resolve();
               })
               .on('error', (err) => {
-                console.error(`[generate/video-9-16] Error creating static video for image ${i + 1}:`, err);
+                console.error(`[generate/video] Error creating static video for image ${i + 1}:`, err);
                 reject(err);
               })
               .save(imageVideoPath);
@@ -808,13 +1107,14 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
 
         imageVideoFiles.push(imageVideoPath);
         tempFiles.push(imageVideoPath);
-        accumulatedDuration += imageVideoDuration;
+        segmentDurations.push(imageVideoDuration);
+        accumulatedDuration += imageVideoDuration - transitionOverlap(previousDuration, imageVideoDuration, transitionDuration);
 
-        console.log(`[generate/video-9-16] Image ${i + 1} video duration: ${imageVideoDuration.toFixed(2)}s, Total: ${accumulatedDuration.toFixed(2)}s`);
+        console.log(`[generate/video] Image ${i + 1} video duration: ${imageVideoDuration.toFixed(2)}s, Total: ${accumulatedDuration.toFixed(2)}s`);
 
         // 如果累计时长已经达到或超过剩余时长，停止处理
         if (accumulatedDuration >= remainingDuration) {
-          console.log(`[generate/video-9-16] Image videos duration (${accumulatedDuration.toFixed(2)}s) reached remaining duration`);
+          console.log(`[generate/video] Image videos duration (${accumulatedDuration.toFixed(2)}s) reached remaining duration`);
           break;
         }
       }
@@ -823,20 +1123,18 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
     }
 
     // 步骤3: 如果时长还不够，处理追加的视频
-    let currentTotalDuration = 0;
-    if (processedVideoFiles.length > 0) {
-      // 计算当前所有视频的总时长
-      for (const videoFile of processedVideoFiles) {
-        const duration = await getVideoDuration(videoFile);
-        currentTotalDuration += duration;
-      }
+    // 计算当前所有视频的总时长（扣除片段间转场的重叠部分）
+    const currentDurations = [];
+    for (const videoFile of processedVideoFiles) {
+      currentDurations.push(await getVideoDuration(videoFile));
     }
+    const currentTotalDuration = joinedDuration(currentDurations, transitionDuration);
 
     const remainingAfterImages = targetDuration - currentTotalDuration;
-    console.log(`[generate/video-9-16] Current total duration: ${currentTotalDuration.toFixed(2)}s, Remaining after images: ${remainingAfterImages.toFixed(2)}s`);
+    console.log(`[generate/video] Current total duration: ${currentTotalDuration.toFixed(2)}s, Remaining after images: ${remainingAfterImages.toFixed(2)}s`);
 
     if (remainingAfterImages > 0 && appendVideoUrls.length > 0) {
-      console.log(`[generate/video-9-16] Processing append videos to fill remaining duration...`);
+      console.log(`[generate/video] Processing append videos to fill remaining duration...`);
 
       // 下载所有追加视频
       const downloadedAppendVideoFiles = [];
@@ -849,47 +1147,47 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
           await downloadVideo(videoUrl, videoFilePath);
           downloadedAppendVideoFiles.push(videoFilePath);
           tempFiles.push(videoFilePath);
-          console.log(`[generate/video-9-16] Downloaded append video ${i + 1}/${appendVideoUrls.length}: ${videoFilePath}`);
+          console.log(`[generate/video] Downloaded append video ${i + 1}/${appendVideoUrls.length}: ${videoFilePath}`);
+          reportProgress(req, 'download', { percent: ((i + 1) / appendVideoUrls.length) * 100 });
         } catch (err) {
-          console.warn(`[generate/video-9-16] Failed to download append video ${i + 1}:`, err);
+          console.warn(`[generate/video] Failed to download append video ${i + 1}:`, err);
         }
       }
 
-      // 处理每个追加视频：转换为9:16，并获取时长
+      // 处理每个追加视频：转换为目标画幅，并获取时长
       const appendProcessedVideos = [];
       let appendAccumulatedDuration = 0;
 
       for (let i = 0; i < downloadedAppendVideoFiles.length; i++) {
         const videoPath = downloadedAppendVideoFiles[i];
         const duration = await getVideoDuration(videoPath);
-        console.log(`[generate/video-9-16] Append video ${i + 1} duration: ${duration.toFixed(2)}s`);
+        console.log(`[generate/video] Append video ${i + 1} duration: ${duration.toFixed(2)}s`);
 
-        // 转换为9:16格式
+        // 转换为目标画幅
         const processedVideoPath = path.join(tempDir, `append-processed-video-${i}-${Date.now()}.mp4`);
         await new Promise((resolve, reject) => {
           ffmpeg(videoPath)
-            .videoFilters([
-              `scale=${VIDEO_WIDTH}:${VIDEO_HEIGHT}:force_original_aspect_ratio=decrease`,
-              `pad=${VIDEO_WIDTH}:${VIDEO_HEIGHT}:(ow-iw)/2:(oh-ih)/2:color=black`,
-              'setsar=1',
-            ])
+            .videoFilters(fillFilter)
             .videoCodec('libx264')
             .outputOptions([
               '-pix_fmt', 'yuv420p',
-              '-r', '30',
+              '-r', String(fps),
               '-map', '0:v:0',
               '-map', '0:a?',
             ])
             .audioCodec('aac')
             .on('start', (commandLine) => {
-              console.log(`[generate/video-9-16] Processing append video ${i + 1}: ${commandLine}`);
+              console.log(`[generate/video] Processing append video ${i + 1}: ${commandLine}`);
+            })
+            .on('progress', (progress) => {
+              reportProgress(req, 'encode', progress, duration);
             })
             .on('end', () => {
-              console.log(`[generate/video-9-16] Processed append video ${i + 1}: ${processedVideoPath}`);
+              console.log(`[generate/video] Processed append video ${i + 1}: ${processedVideoPath}`);
               resolve();
             })
             .on('error', (err) => {
-              console.error(`[generate/video-9-16] Error processing append video ${i + 1}:`, err);
+              console.error(`[generate/video] Error processing append video ${i + 1}:`, err);
               reject(err);
             })
             .save(processedVideoPath);
@@ -900,11 +1198,15 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
           duration: duration,
         });
         tempFiles.push(processedVideoPath);
-        appendAccumulatedDuration += duration;
+        // 与前一片段转场时重叠的时长不计入有效时长
+        const previousDuration = appendProcessedVideos.length > 1
+          ? appendProcessedVideos[appendProcessedVideos.length - 2].duration
+          : currentDurations[currentDurations.length - 1];
+        appendAccumulatedDuration += duration - transitionOverlap(previousDuration, duration, transitionDuration);
 
         // 如果累计时长已经达到或超过剩余时长，停止处理
         if (appendAccumulatedDuration >= remainingAfterImages) {
-          console.log(`[generate/video-9-16] Append videos duration (${appendAccumulatedDuration.toFixed(2)}s) reached remaining duration`);
+          console.log(`[generate/video] Append videos duration (${appendAccumulatedDuration.toFixed(2)}s) reached remaining duration`);
           break;
         }
       }
@@ -913,8 +1215,13 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
       if (appendProcessedVideos.length > 0 && appendAccumulatedDuration > remainingAfterImages) {
         const lastVideo = appendProcessedVideos[appendProcessedVideos.length - 1];
         const lastVideoDuration = await getVideoDuration(lastVideo.path);
+        const previousDuration = appendProcessedVideos.length > 1
+          ? appendProcessedVideos[appendProcessedVideos.length - 2].duration
+          : currentDurations[currentDurations.length - 1];
         const excessDuration = appendAccumulatedDuration - remainingAfterImages;
-        const trimmedDuration = lastVideoDuration - excessDuration;
+        // 截取后与前一片段的重叠可能变短，按截取后需要保留的有效时长反推片段时长
+        const lastEffectiveDuration = lastVideoDuration - transitionOverlap(previousDuration, lastVideoDuration, transitionDuration);
+        const trimmedDuration = fitSegmentDuration(lastEffectiveDuration - excessDuration, previousDuration, transitionDuration);
 
         if (trimmedDuration > 0) {
           // 截取最后一个视频
@@ -926,14 +1233,17 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
               .audioCodec('aac')
               .outputOptions(['-pix_fmt', 'yuv420p'])
               .on('start', (commandLine) => {
-                console.log(`[generate/video-9-16] Trimming last append video: ${commandLine}`);
+                console.log(`[generate/video] Trimming last append video: ${commandLine}`);
+              })
+              .on('progress', (progress) => {
+                reportProgress(req, 'encode', progress, trimmedDuration);
               })
               .on('end', () => {
-                console.log(`[generate/video-9-16] Last append video trimmed: ${trimmedVideoPath}`);
+                console.log(`[generate/video] Last append video trimmed: ${trimmedVideoPath}`);
                 resolve();
               })
               .on('error', (err) => {
-                console.error(`[generate/video-9-16] Error trimming last append video:`, err);
+                console.error(`[generate/video] Error trimming last append video:`, err);
                 reject(err);
               })
               .save(trimmedVideoPath);
@@ -954,7 +1264,7 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
       // 将追加的视频添加到处理后的视频列表
       const appendVideoPaths = appendProcessedVideos.map(v => v.path);
       processedVideoFiles.push(...appendVideoPaths);
-      console.log(`[generate/video-9-16] Added ${appendVideoPaths.length} append videos to the final list`);
+      console.log(`[generate/video] Added ${appendVideoPaths.length} append videos to the final list`);
     }
 
     // 步骤4: 拼接所有视频（视频拼接的视频 + 图片生成的视频 + 追加的视频）
@@ -965,46 +1275,52 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
       });
     }
 
-    console.log(`[generate/video-9-16] Final concatenating ${processedVideoFiles.length} video segments...`);
-
-    const finalFileListPath = path.join(tempDir, 'final-list.txt');
-    const finalFileListContent = processedVideoFiles
-      .map(v => `file '${v.replace(/'/g, "'\\''")}'`)
-      .join('\n');
-    await fs.promises.writeFile(finalFileListPath, finalFileListContent, 'utf8');
-    tempFiles.push(finalFileListPath);
+    console.log(`[generate/video] Final concatenating ${processedVideoFiles.length} video segments...`);
+    const finalSegmentsDuration = currentTotalDuration + (remainingAfterImages > 0 && appendVideoUrls.length > 0 ? remainingAfterImages : 0);
 
     // 生成输出文件名
-    const outputFileName = `video-9-16-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.mp4`;
+    const outputFileName = `video-${VIDEO_WIDTH}x${VIDEO_HEIGHT}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.mp4`;
     outputFilePath = path.join(outputDir, outputFileName);
 
-    await new Promise((resolve, reject) => {
-      ffmpeg()
-        .input(finalFileListPath)
-        .inputOptions(['-f', 'concat', '-safe', '0'])
-        .videoCodec('libx264')
-        .audioCodec('aac')
-        .outputOptions(['-pix_fmt', 'yuv420p', '-r', '30'])
-        .on('start', (commandLine) => {
-          console.log(`[generate/video-9-16] Final concatenation: ${commandLine}`);
-        })
-        .on('progress', (progress) => {
-          console.log(`[generate/video-9-16] Processing: ${JSON.stringify(progress)}`);
-        })
-        .on('end', () => {
-          console.log(`[generate/video-9-16] Final video created: ${outputFilePath}`);
-          resolve();
-        })
-        .on('error', (err) => {
-          console.error(`[generate/video-9-16] Error in final concatenation:`, err);
-          reject(err);
-        })
-        .save(outputFilePath);
-    });
+    if (transition) {
+      await concatWithTransition(req, processedVideoFiles, outputFilePath, { transition, blend: transitionBlend, fps, label: 'Final concatenation' });
+    } else {
+      const finalFileListPath = path.join(tempDir, 'final-list.txt');
+      const finalFileListContent = processedVideoFiles
+        .map(v => `file '${v.replace(/'/g, "'\\''")}'`)
+        .join('\n');
+      await fs.promises.writeFile(finalFileListPath, finalFileListContent, 'utf8');
+      tempFiles.push(finalFileListPath);
+
+      await new Promise((resolve, reject) => {
+        ffmpeg()
+          .input(finalFileListPath)
+          .inputOptions(['-f', 'concat', '-safe', '0'])
+          .videoCodec('libx264')
+          .audioCodec('aac')
+          .outputOptions(['-pix_fmt', 'yuv420p', '-r', String(fps)])
+          .on('start', (commandLine) => {
+            console.log(`[generate/video] Final concatenation: ${commandLine}`);
+          })
+          .on('progress', (progress) => {
+            console.log(`[generate/video] Processing: ${JSON.stringify(progress)}`);
+            reportProgress(req, 'concat', progress, Math.min(targetDuration, finalSegmentsDuration));
+          })
+          .on('end', () => {
+            console.log(`[generate/video] Final video created: ${outputFilePath}`);
+            resolve();
+          })
+          .on('error', (err) => {
+            console.error(`[generate/video] Error in final concatenation:`, err);
+            reject(err);
+          })
+          .save(outputFilePath);
+      });
+    }
 
     // 获取最终视频的实际时长
     const finalDuration = await getVideoDuration(outputFilePath);
-    console.log(`[generate/video-9-16] Final video duration: ${finalDuration.toFixed(2)}s`);
+    console.log(`[generate/video] Final video duration: ${finalDuration.toFixed(2)}s`);
 
     // 如果最终视频时长超过目标时长，截取到目标时长
     if (finalDuration > targetDuration) {
@@ -1016,14 +1332,17 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
           .audioCodec('aac')
           .outputOptions(['-pix_fmt', 'yuv420p'])
           .on('start', (commandLine) => {
-            console.log(`[generate/video-9-16] Final trimming: ${commandLine}`);
+            console.log(`[generate/video] Final trimming: ${commandLine}`);
+          })
+          .on('progress', (progress) => {
+            reportProgress(req, 'encode', progress, targetDuration);
           })
           .on('end', () => {
-            console.log(`[generate/video-9-16] Final video trimmed: ${trimmedOutputPath}`);
+            console.log(`[generate/video] Final video trimmed: ${trimmedOutputPath}`);
             resolve();
           })
           .on('error', (err) => {
-            console.error(`[generate/video-9-16] Error in final trimming:`, err);
+            console.error(`[generate/video] Error in final trimming:`, err);
             reject(err);
           })
           .save(trimmedOutputPath);
@@ -1044,7 +1363,7 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
     const urlPath = `/static/${relativePath.split(path.sep).join('/')}`;
     const videoUrl = `${baseUrl}${urlPath}`;
 
-    console.log(`[generate/video-9-16] Generation successful, URL: ${videoUrl}, Duration: ${actualDuration.toFixed(2)}s`);
+    console.log(`[generate/video] Generation successful, URL: ${videoUrl}, Duration: ${actualDuration.toFixed(2)}s`);
 
     return res.json({
       success: true,
@@ -1052,15 +1371,21 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
       path: outputFilePath,
       duration: parseFloat(actualDuration.toFixed(2)),
       targetDuration: targetDuration,
+      width: VIDEO_WIDTH,
+      height: VIDEO_HEIGHT,
+      fps,
+      fillMode,
+      motion,
+      transition,
     });
   } catch (err) {
-    console.error('[generate/video-9-16] Generation error:', err);
+    console.error('[generate/video] Generation error:', err);
 
     if (outputFilePath) {
       try {
         await fs.promises.unlink(outputFilePath);
       } catch (e) {
-        console.warn('[generate/video-9-16] Failed to cleanup output file:', e);
+        console.warn('[generate/video] Failed to cleanup output file:', e);
       }
     }
 
@@ -1077,32 +1402,35 @@ router.post('/generate/video-9-16', express.json({ limit: '100mb' }), async (req
             await fs.promises.unlink(file);
           }
         } catch (e) {
-          console.warn(`[generate/video-9-16] Failed to delete temp file ${file}:`, e);
+          console.warn(`[generate/video] Failed to delete temp file ${file}:`, e);
         }
       }
       // 删除临时目录
       try {
         if (fs.existsSync(tempDir)) {
           await fs.promises.rmdir(tempDir);
-          console.log(`[generate/video-9-16] Cleaned up temp directory: ${tempDir}`);
+          console.log(`[generate/video] Cleaned up temp directory: ${tempDir}`);
         }
       } catch (e) {
         if (fs.promises.rm) {
           try {
             await fs.promises.rm(tempDir, { recursive: true, force: true });
-            console.log(`[generate/video-9-16] Cleaned up temp directory (recursive): ${tempDir}`);
+            console.log(`[generate/video] Cleaned up temp directory (recursive): ${tempDir}`);
           } catch (rmErr) {
-            console.warn(`[generate/video-9-16] Failed to remove temp directory: ${tempDir}`, rmErr);
+            console.warn(`[generate/video] Failed to remove temp directory: ${tempDir}`, rmErr);
           }
         } else {
-          console.warn(`[generate/video-9-16] Failed to remove temp directory: ${tempDir}`, e);
+          console.warn(`[generate/video] Failed to remove temp directory: ${tempDir}`, e);
         }
       }
     } catch (e) {
-      console.warn('[generate/video-9-16] Failed to cleanup temp files:', e);
+      console.warn('[generate/video] Failed to cleanup temp files:', e);
     }
   }
-});
+}
+
+router.post('/generate/video', express.json({ limit: '100mb' }), asyncJob('generate/video', generateVideo));
+router.post('/generate/video-9-16', express.json({ limit: '100mb' }), asyncJob('generate/video-9-16', generateVideo));
 
 module.exports = router;
 
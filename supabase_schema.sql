@@ -40,3 +40,45 @@ COMMENT ON COLUMN aibase_news.view_count IS '观看次数';
 COMMENT ON COLUMN aibase_news.url IS '新闻访问地址（唯一）';
 COMMENT ON COLUMN aibase_news.is_podcast IS '是否已制作成播客';
 
+
+-- Hacker News 新闻表（结构与 aibase_news 相同，view_count 记录得分）
+CREATE TABLE IF NOT EXISTS hackernews_news (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  title TEXT NOT NULL,                    -- 标题
+  summary TEXT,                           -- 摘要
+  published_at TIMESTAMP WITH TIME ZONE,  -- 发布时间
+  view_count INTEGER DEFAULT 0,          -- 得分（points）
+  url TEXT NOT NULL UNIQUE,              -- 访问地址（唯一约束，避免重复）
+  is_podcast BOOLEAN DEFAULT FALSE,      -- 是否已制作成播客
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),  -- 创建时间
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()   -- 更新时间
+);
+
+CREATE INDEX IF NOT EXISTS idx_hackernews_news_url ON hackernews_news(url);
+CREATE INDEX IF NOT EXISTS idx_hackernews_news_published_at ON hackernews_news(published_at DESC);
+CREATE INDEX IF NOT EXISTS idx_hackernews_news_is_podcast ON hackernews_news(is_podcast);
+CREATE INDEX IF NOT EXISTS idx_hackernews_news_created_at ON hackernews_news(created_at DESC);
+
+CREATE TRIGGER update_hackernews_news_updated_at
+  BEFORE UPDATE ON hackernews_news
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE hackernews_news IS 'Hacker News新闻表';
+COMMENT ON COLUMN hackernews_news.view_count IS '得分（points）';
+
+-- 文章详情（正文抓取阶段写入）
+ALTER TABLE aibase_news ADD COLUMN IF NOT EXISTS content TEXT;                              -- 正文（纯文本）
+ALTER TABLE aibase_news ADD COLUMN IF NOT EXISTS author TEXT;                               -- 作者
+ALTER TABLE aibase_news ADD COLUMN IF NOT EXISTS lead_image TEXT;                           -- 头图地址
+ALTER TABLE aibase_news ADD COLUMN IF NOT EXISTS content_fetched_at TIMESTAMP WITH TIME ZONE; -- 正文抓取时间
+
+ALTER TABLE hackernews_news ADD COLUMN IF NOT EXISTS content TEXT;
+ALTER TABLE hackernews_news ADD COLUMN IF NOT EXISTS author TEXT;
+ALTER TABLE hackernews_news ADD COLUMN IF NOT EXISTS lead_image TEXT;
+ALTER TABLE hackernews_news ADD COLUMN IF NOT EXISTS content_fetched_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN aibase_news.content IS '正文（纯文本）';
+COMMENT ON COLUMN aibase_news.author IS '作者';
+COMMENT ON COLUMN aibase_news.lead_image IS '头图地址';
+COMMENT ON COLUMN aibase_news.content_fetched_at IS '正文抓取时间';
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractArticle } = require('../utils/articleExtractor');
+
+const PARAGRAPHS = [
+  '人工智能公司今天发布了新一代模型，在推理、编程和多语言理解方面都有明显提升，价格与上一代保持一致。',
+  '据介绍，新模型的上下文窗口扩大到一百万个词元，开发者可以一次性提交完整的代码仓库或长篇文档进行分析。',
+  '公司表示，新模型将首先向企业客户开放，随后在未来几周内逐步向所有用户推出，并提供免费试用额度。',
+];
+
+describe('extractArticle', () => {
+  it('提取正文段落，跳过导航、侧栏、评论与脚本', () => {
+    const html = `<html><head><title>新模型发布</title><script>var tracking = "不应出现在正文中，这是一段很长的脚本内容";</script></head>
+      <body>
+        <nav><a href="/">首页</a><a href="/news">新闻</a></nav>
+        <div class="sidebar"><p>热门推荐：这是侧栏中的一段推荐文字，长度足够参与正文打分，但应该被移除。</p></div>
+        <article class="post-content">
+          <h1>新模型发布</h1>
+          ${PARAGRAPHS.map(text => `<p>${text}</p>`).join('\n')}
+        </article>
+        <div class="comments"><p>网友评论：这是一条很长的评论内容，用来确认评论区不会混入正文之中，逗号，逗号。</p></div>
+      </body></html>`;
+
+    const article = extractArticle(html, { url: 'https://example.com/news/1' });
+
+    assert.equal(article.content, PARAGRAPHS.join('\n\n'));
+    assert.equal(article.title, '新模型发布');
+  });
+
+  it('作者、头图、发布时间优先取 meta 标签，头图转换为绝对地址', () => {
+    const html = `<html><head>
+        <meta name="author" content="张三">
+        <meta property="og:image" content="/images/cover.jpg">
+        <meta property="article:published_time" content="2025-11-22T08:00:00+08:00">
+      </head><body><div class="content">${PARAGRAPHS.map(text => `<p>${text}</p>`).join('')}</div></body></html>`;
+
+    const article = extractArticle(html, { url: 'https://example.com/news/1' });
+
+    assert.equal(article.author, '张三');
+    assert.equal(article.leadImage, 'https://example.com/images/cover.jpg');
+    assert.equal(article.publishedAt, '2025-11-22T00:00:00.000Z');
+  });
+
+  it('没有 meta 时从 JSON-LD 读取作者，头图使用正文中的第一张图片', () => {
+    const jsonLd = JSON.stringify({ '@graph': [{ '@type': 'NewsArticle', author: [{ name: '李四' }], datePublished: '2025-11-21T10:00:00Z' }] });
+    const html = `<html><head><script type="application/ld+json">${jsonLd}</script></head>
+      <body><div class="article-body"><img data-src="img/first.png">${PARAGRAPHS.map(text => `<p>${text}</p>`).join('')}</div></body></html>`;
+
+    const article = extractArticle(html, { url: 'https://example.com/news/2' });
+
+    assert.equal(article.author, '李四');
+    assert.equal(article.publishedAt, '2025-11-21T10:00:00.000Z');
+    assert.equal(article.leadImage, 'https://example.com/news/img/first.png');
+  });
+
+  it('没有正文段落时返回 null', () => {
+    const article = extractArticle('<html><body><nav><a href="/">首页</a></nav></body></html>', { url: 'https://example.com/' });
+
+    assert.equal(article.content, null);
+    assert.equal(article.author, null);
+    assert.equal(article.leadImage, null);
+  });
+});
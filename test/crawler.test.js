@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { browserPool } = require('../utils/browserPool');
+const { crawlPages, crawlSource } = require('../utils/crawler');
+const aibase = require('../crawlers/aibase');
+
+/**
+ * 模拟滚动加载的列表页：每次 evaluate（滚动）加载下一批新闻
+ * @param {Array<Array<number>>} batches - 每批新闻的编号
+ */
+function scrollingPage(batches) {
+  let shown = 1;
+  const count = () => batches.slice(0, shown).flat().length;
+  return {
+    gotoCalls: 0,
+    async setUserAgent() {},
+    async goto() {
+      this.gotoCalls++;
+    },
+    async content() {
+      const links = batches.slice(0, shown).flat()
+        .map(id => `<a href="/zh/news/${id}"><div class="font600">第 ${id} 条新闻的标题</div></a>`);
+      return `<html><body>${links.join('')}</body></html>`;
+    },
+    async evaluate() {
+      const before = count();
+      if (shown < batches.length) {
+        shown++;
+      }
+      return before;
+    },
+    async waitForFunction(fn, options, selector, before) {
+      if (count() > before) {
+        return;
+      }
+      const err = new Error('Waiting failed: timeout exceeded');
+      err.name = 'TimeoutError';
+      throw err;
+    },
+  };
+}
+
+describe('滚动加载的数据源（aibase）', () => {
+  let browserPage;
+  const withPage = browserPool.withPage;
+
+  beforeEach(() => {
+    browserPage = scrollingPage([[1, 2, 3], [4, 5, 6], [7, 8]]);
+    browserPool.withPage = async fn => fn(browserPage);
+  });
+
+  afterEach(() => {
+    browserPool.withPage = withPage;
+  });
+
+  it('多页爬取在同一个页面中逐次滚动，每次加载出的新闻为一页', async () => {
+    const crawl = await crawlPages(aibase, { maxPages: 2 });
+
+    assert.equal(crawl.stopReason, 'max_pages');
+    assert.deepEqual(crawl.pagesVisited.map(({ page, items, fresh }) => ({ page, items, fresh })), [
+      { page: 1, items: 3, fresh: 3 },
+      { page: 2, items: 3, fresh: 3 },
+    ]);
+    assert.deepEqual(crawl.newItems.map(item => item.url), [1, 2, 3, 4, 5, 6].map(id => `https://news.aibase.com/zh/news/${id}`));
+    assert.equal(browserPage.gotoCalls, 1);
+  });
+
+  it('列表不再增长时以 no_more_pages 结束', async () => {
+    const crawl = await crawlPages(aibase, { maxPages: 10 });
+
+    assert.equal(crawl.stopReason, 'no_more_pages');
+    assert.equal(crawl.pagesVisited.length, 3);
+    assert.equal(crawl.newItems.length, 8);
+  });
+
+  it('从第 2 页开始时跳过第一次加载的新闻', async () => {
+    const crawl = await crawlPages(aibase, { page: 2 });
+
+    assert.deepEqual(crawl.newItems.map(item => item.url), [4, 5, 6].map(id => `https://news.aibase.com/zh/news/${id}`));
+  });
+
+  it('limit 限制新增数量', async () => {
+    const crawl = await crawlPages(aibase, { maxPages: 3, limit: 4 });
+
+    assert.equal(crawl.stopReason, 'limit_reached');
+    assert.equal(crawl.newItems.length, 4);
+  });
+
+  it('crawlSource 爬取单页，超出列表时 err.code 为 PAGE_NOT_SUPPORTED', async () => {
+    const items = await crawlSource(aibase, { page: 3 });
+    assert.deepEqual(items.map(item => item.title), ['第 7 条新闻的标题', '第 8 条新闻的标题']);
+
+    browserPage = scrollingPage([[1, 2, 3]]);
+    await assert.rejects(crawlSource(aibase, { page: 2 }), { code: 'PAGE_NOT_SUPPORTED' });
+  });
+});
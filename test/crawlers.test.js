@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { getSource, listSources } = require('../crawlers');
+const { parseCount, parseRelativeTime } = require('../utils/crawler');
+
+describe('数据源注册表', () => {
+  it('按名称获取数据源，未知名称返回 null', () => {
+    assert.equal(getSource('aibase').table, 'aibase_news');
+    assert.equal(getSource('hackernews').table, 'hackernews_news');
+    assert.equal(getSource('unknown'), null);
+  });
+
+  it('listSources 只列出公开字段', () => {
+    assert.deepEqual(listSources(), [
+      { name: 'aibase', label: 'AIBase AI 新闻', listUrl: 'https://news.aibase.com/zh/news', table: 'aibase_news' },
+      { name: 'hackernews', label: 'Hacker News', listUrl: 'https://news.ycombinator.com/news', table: 'hackernews_news' },
+    ]);
+  });
+
+  it('每个数据源都提供 pageUrl 与 parse，第一页为列表页', () => {
+    for (const { name } of listSources()) {
+      const source = getSource(name);
+      assert.equal(typeof source.parse, 'function', name);
+      assert.equal(source.pageUrl(1), source.listUrl, name);
+      if (source.scrollPages) {
+        assert.equal(typeof source.itemSelector, 'string', name);
+      }
+    }
+  });
+});
+
+describe('hackernews', () => {
+  const source = getSource('hackernews');
+  const html = `<table>
+    <tr class="athing"><td><span class="titleline"><a href="https://example.com/a">Show HN: A</a></span></td></tr>
+    <tr><td class="subtext"><span class="score">128 points</span><span class="age" title="2025-11-22T03:00:00 1763780400"></span></td></tr>
+    <tr class="athing"><td><span class="titleline"><a href="item?id=42">Ask HN: B</a></span></td></tr>
+    <tr><td class="subtext"><span class="age" title="2025-11-22T04:00:00"></span></td></tr>
+  </table>`;
+
+  it('分页地址为 ?p=N', () => {
+    assert.equal(source.pageUrl(3), 'https://news.ycombinator.com/news?p=3');
+  });
+
+  it('解析标题、得分、时间，站内帖子补全为绝对地址', () => {
+    const items = source.parse(cheerio.load(html), { url: source.listUrl, limit: 20 });
+    assert.deepEqual(items.map(({ title, url, view_count }) => ({ title, url, view_count })), [
+      { title: 'Show HN: A', url: 'https://example.com/a', view_count: 128 },
+      { title: 'Ask HN: B', url: 'https://news.ycombinator.com/item?id=42', view_count: 0 },
+    ]);
+    assert.equal(items[0].published_at, new Date(1763780400 * 1000).toISOString());
+    assert.equal(items[1].published_at, '2025-11-22T04:00:00.000Z');
+  });
+
+  it('limit 限制解析数量', () => {
+    assert.equal(source.parse(cheerio.load(html), { url: source.listUrl, limit: 1 }).length, 1);
+  });
+});
+
+describe('列表字段解析', () => {
+  it('parseCount 解析带单位的数量', () => {
+    assert.equal(parseCount('5.6K'), 5600);
+    assert.equal(parseCount('1.2M'), 1200000);
+    assert.equal(parseCount('42'), 42);
+    assert.equal(parseCount(''), 0);
+  });
+
+  it('parseRelativeTime 解析中文相对时间', () => {
+    const threeHoursAgo = parseRelativeTime('3 小时前');
+    assert.ok(Math.abs(Date.now() - 3 * 3600 * 1000 - threeHoursAgo.getTime()) < 5000);
+    assert.ok(Math.abs(Date.now() - parseRelativeTime('刚刚').getTime()) < 5000);
+    assert.equal(parseRelativeTime(''), null);
+  });
+});
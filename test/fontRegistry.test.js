@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FontRegistry, detectFontFormat } = require('../utils/fontRegistry');
+
+// 只有文件头的 TTF / OTF（注册表只按文件头识别格式）
+const TTF = Buffer.from([0x00, 0x01, 0x00, 0x00, 0x00, 0x00]);
+const OTF = Buffer.from('OTTO\0\0', 'binary');
+
+describe('detectFontFormat', () => {
+  it('按文件头识别格式', () => {
+    assert.equal(detectFontFormat(TTF), 'ttf');
+    assert.equal(detectFontFormat(OTF), 'otf');
+    assert.equal(detectFontFormat(Buffer.from('wOF2')), 'woff2');
+    assert.equal(detectFontFormat(Buffer.from('<html>')), null);
+  });
+});
+
+describe('FontRegistry', () => {
+  let fontsDir;
+
+  beforeEach(() => {
+    fontsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'font-registry-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fontsDir, { recursive: true, force: true });
+  });
+
+  it('扫描 fonts/ 与 fonts/uploads/，字体信息来自各目录的 fonts.json 或文件名', () => {
+    fs.writeFileSync(path.join(fontsDir, 'Lato-BoldItalic.ttf'), TTF);
+    fs.writeFileSync(path.join(fontsDir, 'brand.otf'), OTF);
+    fs.writeFileSync(path.join(fontsDir, 'fonts.json'), JSON.stringify({ 'brand.otf': { name: '品牌字体', weight: 700 } }));
+    fs.mkdirSync(path.join(fontsDir, 'uploads'));
+    fs.writeFileSync(path.join(fontsDir, 'uploads', 'Custom-400.ttf'), TTF);
+
+    const registry = new FontRegistry({ fontsDir });
+    registry.init();
+    assert.deepEqual(registry.fonts.map(font => [font.file, font.name, font.weight, font.style]), [
+      ['Lato-BoldItalic.ttf', 'Lato', 700, 'italic'],
+      ['brand.otf', '品牌字体', 700, 'normal'],
+      ['uploads/Custom-400.ttf', 'Custom', 400, 'normal'],
+    ]);
+    assert.equal(registry.resolveFile('uploads/Custom-400.ttf'), path.join(fontsDir, 'uploads', 'Custom-400.ttf'));
+    assert.equal(registry.resolveFile('../secret.ttf'), null);
+  });
+
+  it('上传的字体保存到 uploads/，重启后仍能加载', async () => {
+    const registry = new FontRegistry({ fontsDir });
+    registry.init();
+    const font = await registry.add(TTF, { name: '思源黑体', weight: 700 });
+    assert.equal(font.file, 'uploads/思源黑体-700.ttf');
+    assert.ok(fs.existsSync(path.join(fontsDir, 'uploads', '思源黑体-700.ttf')));
+    assert.deepEqual(fs.readdirSync(fontsDir), ['uploads']);
+
+    const restarted = new FontRegistry({ fontsDir });
+    restarted.init();
+    assert.deepEqual(restarted.find('思源黑体').map(f => [f.file, f.weight]), [['uploads/思源黑体-700.ttf', 700]]);
+  });
+
+  it('同名字体覆盖，文件名相同的其他名称返回 FONT_NAME_CONFLICT', async () => {
+    const registry = new FontRegistry({ fontsDir });
+    registry.init();
+    await registry.add(TTF, { name: 'My Font' });
+    await registry.add(OTF, { name: 'My Font' });
+    await registry.add(TTF, { name: 'My Font' });
+    assert.equal(registry.find('My Font').length, 2);
+    await assert.rejects(registry.add(TTF, { name: 'My/Font' }), { code: 'FONT_NAME_CONFLICT' });
+    await assert.rejects(registry.add(Buffer.from('nope'), { name: 'x' }), { code: 'INVALID_FONT' });
+  });
+});
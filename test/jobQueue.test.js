@@ -0,0 +1,83 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue, JOB_STATUS, splitSensitiveFields } = require('../utils/jobQueue');
+
+describe('splitSensitiveFields', () => {
+  it('拆出 cookies、token、密钥等凭据字段', () => {
+    const { body, secrets } = splitSensitiveFields({ title: 't', cookies: 'c', accessToken: 'a', api_key: 'k', tags: ['x'] });
+    assert.deepEqual(body, { title: 't', tags: ['x'] });
+    assert.deepEqual(secrets, { cookies: 'c', accessToken: 'a', api_key: 'k' });
+  });
+});
+
+describe('JobQueue 重启恢复', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  /**
+   * 写入任务文件
+   * @param {Object} job - 任务记录（补全公共字段）
+   */
+  function writeJob(job) {
+    const record = { type: 'test', createdAt: new Date().toISOString(), request: { body: {} }, ...job };
+    fs.writeFileSync(path.join(dataDir, `${record.id}.json`), JSON.stringify(record));
+  }
+
+  /**
+   * 读取任务文件
+   * @param {string} id - 任务 ID
+   * @returns {Object} 任务记录
+   */
+  function readJob(id) {
+    return JSON.parse(fs.readFileSync(path.join(dataDir, `${id}.json`), 'utf-8'));
+  }
+
+  it('凭据只保存在内存中，任务文件只记录字段名', async () => {
+    const queue = new JobQueue({ dataDir });
+    let received;
+    queue.registerHandler('test', async (job, context, secrets) => {
+      received = secrets;
+      return { ok: true };
+    });
+    queue.init();
+    const job = queue.enqueue('test', { body: { title: 't' } }, { cookies: 'c' });
+    assert.deepEqual(readJob(job.id).secretFields, ['cookies']);
+    assert.ok(!JSON.stringify(readJob(job.id)).includes('"c"'));
+
+    await new Promise(resolve => queue.on('update', updated => updated.status === JOB_STATUS.SUCCEEDED && resolve()));
+    assert.deepEqual(received, { cookies: 'c' });
+    assert.equal(queue.secrets.size, 0);
+  });
+
+  it('带凭据的排队任务重启后标记为 credentials_lost，不带凭据的重新入队', async () => {
+    writeJob({ id: 'with-secrets', status: JOB_STATUS.QUEUED, secretFields: ['cookies'] });
+    writeJob({ id: 'legacy', status: JOB_STATUS.QUEUED, request: { body: { title: 't', cookies: 'c' } } });
+    writeJob({ id: 'plain', status: JOB_STATUS.QUEUED });
+    writeJob({ id: 'running', status: JOB_STATUS.RUNNING });
+
+    const queue = new JobQueue({ dataDir });
+    const started = [];
+    queue.registerHandler('test', async (job) => {
+      started.push(job.id);
+      return {};
+    });
+    queue.init();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(queue.get('with-secrets').error.error, 'credentials_lost');
+    assert.equal(queue.get('legacy').error.error, 'credentials_lost');
+    assert.deepEqual(readJob('legacy').request.body, { title: 't' });
+    assert.equal(queue.get('running').error.error, 'job_interrupted');
+    assert.deepEqual(started, ['plain']);
+  });
+});
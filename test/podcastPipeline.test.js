@@ -0,0 +1,189 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerTtsProvider } = require('../utils/tts');
+const { PodcastPipeline, PIPELINE_STATUS, STAGE_STATUS, STAGES } = require('../utils/podcastPipeline');
+
+// 本地 stub 语音合成服务：不生成音频，只返回文件路径
+const synthesized = [];
+registerTtsProvider('stub', {
+  configured: () => true,
+  async synthesize(text, { outputPath }) {
+    synthesized.push(text);
+    return { file: `${outputPath}.mp3`, format: 'mp3' };
+  },
+});
+
+/**
+ * 等待流水线执行结束
+ * @param {Object} pipeline - 流水线记录
+ * @returns {Promise<Object>} 流水线记录
+ */
+async function waitFor(pipeline) {
+  while (pipeline.status === PIPELINE_STATUS.RUNNING) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  return pipeline;
+}
+
+/**
+ * 创建接口调用失败的错误（与 callRoute 抛出的错误一致）
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误
+ */
+function routeError(message) {
+  const err = new Error(message);
+  err.error = 'stage_failed';
+  err.statusCode = 500;
+  return err;
+}
+
+describe('PodcastPipeline', () => {
+  let dataDir;
+  let calls;
+  let marked;
+  let app;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'podcast-pipeline-test-'));
+    calls = [];
+    marked = [];
+    synthesized.length = 0;
+    const supabase = {
+      from: table => ({
+        update: values => ({
+          in: async (column, ids) => {
+            marked.push({ table, values, ids });
+            return { error: null };
+          },
+        }),
+      }),
+    };
+    app = { get: name => (name === 'supabase' ? supabase : undefined) };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  /**
+   * 创建流水线，接口调用由 handlers 按路径模拟
+   * @param {Object} handlers - { [routePath]: async (body, callIndex) => 响应体 }
+   * @returns {PodcastPipeline} 流水线
+   */
+  function createPipeline(handlers) {
+    const pipeline = new PodcastPipeline({ dataDir, retries: 1, retryDelay: 0 });
+    pipeline.init({ app, baseUrl: 'http://127.0.0.1:3000' });
+    pipeline.callRoute = async (routePath, body) => {
+      const index = calls.filter(call => call.path === routePath).length;
+      calls.push({ path: routePath, body });
+      return handlers[routePath](body, index);
+    };
+    return pipeline;
+  }
+
+  const handlers = {
+    '/merge/audio': async () => ({ url: 'http://127.0.0.1:3000/static/audio/merged.mp3', srtUrl: 'http://127.0.0.1:3000/static/subtitles/merged.srt', duration: 12 }),
+    '/convert/audio-to-video': async () => ({ url: 'http://127.0.0.1:3000/static/videos/video.mp4' }),
+    '/publish/douyin': async () => ({ message: 'ok' }),
+    '/publish/xiaohongshu': async () => ({ message: 'ok' }),
+  };
+
+  const body = {
+    source: 'aibase',
+    items: [{ id: 1, title: '新闻一', summary: '摘要一' }, { id: 2, title: '新闻二' }],
+    ttsProvider: 'stub',
+    bgUrl: 'http://example.com/bg.mp3',
+    merge: { crossfade: 0.3 },
+    publish: { title: '今日AI资讯', douyin: { cookies: 'secret-cookie' } },
+  };
+
+  it('依次执行 select → tts → merge → video → publish → mark，失败的阶段自动重试', async () => {
+    const pipelines = createPipeline({
+      ...handlers,
+      '/merge/audio': async (request, index) => {
+        if (index === 0) throw routeError('ffmpeg crashed');
+        return handlers['/merge/audio']();
+      },
+    });
+    const pipeline = await waitFor(pipelines.start(body));
+
+    assert.equal(pipeline.status, PIPELINE_STATUS.SUCCEEDED);
+    assert.deepEqual(pipeline.stages.map(stage => [stage.name, stage.status]), STAGES.map(name => [name, STAGE_STATUS.SUCCEEDED]));
+    assert.equal(pipeline.stages.find(stage => stage.name === 'merge').attempts, 2);
+    assert.deepEqual(calls.map(call => call.path), ['/merge/audio', '/merge/audio', '/convert/audio-to-video', '/publish/douyin', '/publish/xiaohongshu']);
+
+    // 开场白 + 每条新闻各合成一次
+    assert.equal(synthesized.length, 3);
+    assert.deepEqual(synthesized.slice(1), ['新闻一。摘要一', '新闻二']);
+    const merge = calls[1].body;
+    assert.equal(merge.crossfade, 0.3);
+    assert.equal(merge.bgUrl, 'http://example.com/bg.mp3');
+    assert.equal(merge.audioUrls.length, 2);
+    assert.deepEqual(merge.audioTxts, ['新闻一。摘要一', '新闻二']);
+    assert.equal(calls[2].body.audioUrl, 'http://127.0.0.1:3000/static/audio/merged.mp3');
+    assert.equal(calls[2].body.srt, 'http://127.0.0.1:3000/static/subtitles/merged.srt');
+    assert.equal(calls[3].body.title, '今日AI资讯');
+    assert.equal(calls[3].body.videoUrl, 'http://127.0.0.1:3000/static/videos/video.mp4');
+
+    assert.deepEqual(marked.map(mark => [mark.table, mark.ids]), [['aibase_news', [1, 2]]]);
+    assert.deepEqual(pipeline.state.marked, [1, 2]);
+  });
+
+  it('凭据只在调用接口时使用，不写入流水线文件', async () => {
+    const pipelines = createPipeline(handlers);
+    const pipeline = await waitFor(pipelines.start(body));
+
+    assert.equal(calls.find(call => call.path === '/publish/douyin').body.cookies, 'secret-cookie');
+    assert.equal(calls.find(call => call.path === '/publish/xiaohongshu').body.cookies, undefined);
+    assert.deepEqual(pipeline.options.publish, { title: '今日AI资讯', douyin: {} });
+    assert.deepEqual(pipeline.secretFields, ['publish.douyin.cookies']);
+    assert.ok(!fs.readFileSync(path.join(dataDir, `${pipeline.id}.json`), 'utf-8').includes('secret-cookie'));
+  });
+
+  it('从失败的阶段继续执行，已完成的阶段和已发布的平台不重复执行', async () => {
+    let douyinUp = false;
+    const pipelines = createPipeline({
+      ...handlers,
+      '/publish/douyin': async () => {
+        if (!douyinUp) throw routeError('douyin is down');
+        return handlers['/publish/douyin']();
+      },
+    });
+    const pipeline = await waitFor(pipelines.start(body));
+
+    assert.equal(pipeline.status, PIPELINE_STATUS.FAILED);
+    assert.equal(pipeline.error.stage, 'publish');
+    assert.equal(pipeline.stages.find(stage => stage.name === 'publish').attempts, 2);
+    assert.equal(pipeline.stages.find(stage => stage.name === 'mark').status, STAGE_STATUS.PENDING);
+    assert.ok(pipeline.state.published.xiaohongshu);
+    assert.equal(marked.length, 0);
+
+    douyinUp = true;
+    calls = [];
+    await waitFor(pipelines.resume(pipeline.id));
+
+    assert.equal(pipeline.status, PIPELINE_STATUS.SUCCEEDED);
+    assert.deepEqual(calls.map(call => call.path), ['/publish/douyin']);
+    assert.equal(calls[0].body.cookies, 'secret-cookie');
+    assert.equal(synthesized.length, 3);
+    assert.equal(marked.length, 1);
+  });
+
+  it('重启后凭据丢失，需要凭据的阶段未完成时不能继续执行', async () => {
+    const pipelines = createPipeline({
+      ...handlers,
+      '/convert/audio-to-video': async () => {
+        throw routeError('ffmpeg crashed');
+      },
+    });
+    const pipeline = await waitFor(pipelines.start(body));
+    assert.equal(pipeline.error.stage, 'video');
+
+    const restarted = createPipeline(handlers);
+    assert.throws(() => restarted.resume(pipeline.id), { code: 'CREDENTIALS_LOST' });
+    assert.equal(restarted.get(pipeline.id).status, PIPELINE_STATUS.FAILED);
+  });
+});
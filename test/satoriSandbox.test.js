@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { runUserCode } = require('../utils/satoriSandbox');
+
+describe('runUserCode', () => {
+  it('返回 element、render() 或 renderElement() 的结果', () => {
+    assert.deepEqual(
+      runUserCode('const element = React.createElement("div", { style: { color: "red" } }, "你好");'),
+      { type: 'div', props: { style: { color: 'red' }, children: '你好' } }
+    );
+    assert.deepEqual(runUserCode('function render() { return React.createElement("span", null); }'), { type: 'span', props: {} });
+    assert.deepEqual(runUserCode('const renderElement = () => React.createElement("img", { src: "a.png" });'), { type: 'img', props: { src: 'a.png' } });
+  });
+
+  it('展开函数组件与 Fragment', () => {
+    const code = `
+      const Title = ({ text }) => React.createElement('h1', null, text);
+      const element = React.createElement(React.Fragment, null, React.createElement(Title, { text: '标题' }));
+    `;
+    assert.deepEqual(runUserCode(code), { type: 'h1', props: { children: '标题' } });
+  });
+
+  it('访问 require、process、fetch 等 API 时 err.code 为 DISALLOWED_API', () => {
+    for (const api of ['require', 'process', 'fetch', 'setTimeout']) {
+      assert.throws(() => runUserCode(`${api}; const element = null;`), (err) => {
+        assert.equal(err.code, 'DISALLOWED_API');
+        assert.equal(err.details.api, api);
+        return true;
+      });
+    }
+  });
+
+  it('eval 与 new Function 被禁用', () => {
+    for (const code of ['eval("1 + 1");', 'new Function("return 1")();']) {
+      assert.throws(() => runUserCode(code), { code: 'DISALLOWED_API', details: { api: 'eval', line: 1, column: 1 } });
+    }
+  });
+
+  it('不能通过构造器拿到 Function 执行字符串代码', () => {
+    for (const target of ['this.constructor', 'React.createElement']) {
+      const code = `const element = { type: "div", props: { children: String(${target}.constructor("return process")()) } };`;
+      assert.throws(() => runUserCode(code), (err) => {
+        assert.equal(err.code, 'DISALLOWED_API');
+        assert.equal(err.details.api, 'eval');
+        return true;
+      });
+    }
+  });
+
+  it('死循环在 timeout 后返回 CODE_TIMEOUT', () => {
+    assert.throws(() => runUserCode('while (true) {}', { timeout: 50 }), { code: 'CODE_TIMEOUT', details: { timeout: 50 } });
+  });
+
+  it('运行时错误为 CODE_EXECUTION_ERROR，带用户代码中的行号', () => {
+    assert.throws(() => runUserCode('const a = 1;\nnull.foo;'), (err) => {
+      assert.equal(err.code, 'CODE_EXECUTION_ERROR');
+      assert.match(err.message, /^TypeError: /);
+      assert.equal(err.details.line, 2);
+      return true;
+    });
+  });
+
+  it('没有返回元素时 err.code 为 INVALID_CODE', () => {
+    assert.throws(() => runUserCode('const x = 1;'), { code: 'INVALID_CODE' });
+    assert.throws(() => runUserCode('const element = "text";'), { code: 'INVALID_CODE' });
+  });
+});
+
+describe('runUserCode：JSX 与 TypeScript', () => {
+  it('执行前转换 JSX 与类型注解', () => {
+    const code = `
+      interface CardProps { title: string }
+      const Card = ({ title }: CardProps) => <div style={{ display: 'flex' }}>{title}</div>;
+      const element = <><Card title="你好" /></>;
+    `;
+    assert.deepEqual(runUserCode(code), { type: 'div', props: { style: { display: 'flex' }, children: '你好' } });
+  });
+
+  it('语法错误为 SYNTAX_ERROR，行列号对应原始代码', () => {
+    assert.throws(() => runUserCode('const a = 1;\nconst element = <div>;'), (err) => {
+      assert.equal(err.code, 'SYNTAX_ERROR');
+      assert.equal(err.details.line, 2);
+      assert.equal(typeof err.details.column, 'number');
+      return true;
+    });
+  });
+
+  it('运行时错误的列号映射回 JSX 源码', () => {
+    const code = 'const element = <div title="a">{missing.value}</div>;';
+    assert.throws(() => runUserCode(code), (err) => {
+      assert.equal(err.code, 'CODE_EXECUTION_ERROR');
+      assert.match(err.message, /missing is not defined/);
+      assert.deepEqual({ line: err.details.line, column: err.details.column }, { line: 1, column: code.indexOf('missing') + 1 });
+      return true;
+    });
+  });
+});
+
+describe('runUserCode：props', () => {
+  it('变量以只读的 props 传入，内容不会作为代码执行', () => {
+    const code = 'props.title = "改写"; const element = <h1>{props.title}</h1>;';
+    const props = { title: '"); process.exit(1); ("' };
+
+    assert.deepEqual(runUserCode(code, { props }), { type: 'h1', props: { children: props.title } });
+  });
+});
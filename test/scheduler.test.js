@@ -0,0 +1,72 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Scheduler } = require('../utils/scheduler');
+
+describe('Scheduler 动作凭据', () => {
+  let dir;
+  let filePath;
+  let server;
+  let baseUrl;
+  let received;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+    filePath = path.join(dir, 'schedules.json');
+    server = http.createServer((req, res) => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => {
+        received = JSON.parse(data);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ success: true }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('凭据不写入文件，执行时合并到请求体', async () => {
+    const scheduler = new Scheduler({ filePath });
+    scheduler.init({ baseUrl });
+    const schedule = scheduler.create({
+      cron: '0 0 1 1 *',
+      action: { path: '/publish/douyin', body: { title: 't', cookies: 'secret-cookie' } },
+    });
+
+    assert.deepEqual(schedule.action.body, { title: 't' });
+    assert.ok(!fs.readFileSync(filePath, 'utf-8').includes('secret-cookie'));
+
+    const run = await scheduler.trigger(schedule.id).done;
+    assert.equal(run.status, 'succeeded');
+    assert.deepEqual(received, { title: 't', cookies: 'secret-cookie' });
+    scheduler.remove(schedule.id);
+  });
+
+  it('重启后凭据丢失，执行直接失败且不调用接口', async () => {
+    const first = new Scheduler({ filePath });
+    first.init({ baseUrl });
+    const { id } = first.create({
+      cron: '0 0 1 1 *',
+      action: { path: '/publish/douyin', body: { title: 't', cookies: 'secret-cookie' } },
+    });
+
+    const restarted = new Scheduler({ filePath });
+    restarted.init({ baseUrl });
+    received = null;
+    const run = await restarted.trigger(id).done;
+    assert.equal(run.status, 'failed');
+    assert.equal(run.error.error, 'credentials_lost');
+    assert.equal(received, null);
+    first.remove(id);
+    restarted.remove(id);
+  });
+});
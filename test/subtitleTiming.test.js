@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateSubtitleTimings, speechWeight, alignSubtitleTimings } = require('../utils/subtitleTiming');
+
+/**
+ * 时间保留 3 位小数，避免浮点误差
+ * @param {Array<Object>} cues - 字幕数组
+ * @returns {Array<Array>} [text, startTime, endTime]
+ */
+function rounded(cues) {
+  return cues.map(cue => [cue.text, Math.round(cue.startTime * 1000) / 1000, Math.round(cue.endTime * 1000) / 1000]);
+}
+
+describe('speechWeight', () => {
+  it('中文按字计，英文单词按 1.5 个字计', () => {
+    assert.equal(speechWeight('你好 hello world'), 5);
+    assert.equal(speechWeight('，。'), 1);
+  });
+});
+
+describe('calculateSubtitleTimings', () => {
+  it('按字数分配时长，最后一条结束于总时长', () => {
+    const cues = calculateSubtitleTimings(['一二', '三四五六'], 3, 1);
+    assert.equal(cues[0].startTime, 1);
+    assert.equal(cues[cues.length - 1].endTime, 4);
+    assert.equal(cues[0].endTime, cues[1].startTime);
+  });
+});
+
+describe('alignSubtitleTimings', () => {
+  it('分句边界对齐到停顿中点，开头和结尾的静音不显示字幕', () => {
+    const silences = [{ start: 0, end: 0.5 }, { start: 1.8, end: 2.2 }, { start: 3.6, end: Infinity }];
+    assert.deepEqual(rounded(alignSubtitleTimings(['一二三四', '五六七八'], 4, 10, silences)), [
+      ['一二三四', 10.5, 12],
+      ['五六七八', 12, 13.6],
+    ]);
+  });
+
+  it('停顿匹配最近的边界，未匹配的边界在已确定的边界之间按权重分配', () => {
+    assert.deepEqual(rounded(alignSubtitleTimings(['一二', '三四', '五六'], 3, 0, [{ start: 1.2, end: 1.4 }])), [
+      ['一二', 0, 1.3],
+      ['三四', 1.3, 2.15],
+      ['五六', 2.15, 3],
+    ]);
+  });
+
+  it('片段内部多余的停顿不作为边界', () => {
+    const silences = [{ start: 0.4, end: 0.6 }, { start: 1.9, end: 2.1 }, { start: 2.4, end: 2.6 }];
+    assert.deepEqual(rounded(alignSubtitleTimings(['一二三四', '五六七八'], 4, 0, silences)), [
+      ['一二三四', 0, 2],
+      ['五六七八', 2, 4],
+    ]);
+  });
+
+  it('有效语音过短时退回按字数估算', () => {
+    const segments = ['一二', '三四'];
+    assert.deepEqual(alignSubtitleTimings(segments, 0.5, 0, []), calculateSubtitleTimings(segments, 0.5, 0));
+  });
+
+  it('没有片段时返回空数组', () => {
+    assert.deepEqual(alignSubtitleTimings([], 3, 0, []), []);
+  });
+});
@@ -0,0 +1,240 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseSubtitles,
+  shiftCues,
+  shiftAssContent,
+  tokenize,
+  wrapText,
+  rewrapCues,
+  normalizeSubtitleStyle,
+  generateAssContent,
+  normalizeSubtitleOperations,
+  transformSubtitles,
+} = require('../utils/subtitles');
+
+const ASS = [
+  '[Script Info]',
+  'PlayResX: 640',
+  'PlayResY: 360',
+  '',
+  '[V4+ Styles]',
+  'Format: Name, Fontname, Fontsize',
+  'Style: Big,Arial,48',
+  '',
+  '[Events]',
+  'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+  'Dialogue: 0,0:00:00.50,0:00:01.00,Big,,0,0,0,,{\\b1}Hi, there\\Nfriend',
+  'Dialogue: 0,0:00:02.00,0:00:03.50,Big,,0,0,0,,Second',
+  '',
+].join('\n');
+
+/**
+ * 取出 ASS 内容中的对话行
+ * @param {string} content - ASS 内容
+ * @returns {Array<string>} 对话行
+ */
+function dialogues(content) {
+  return content.split(/\r?\n/).filter(line => line.startsWith('Dialogue:'));
+}
+
+describe('parseSubtitles', () => {
+  it('解析 SRT（CRLF、多行文本）', () => {
+    const { format, cues } = parseSubtitles('1\r\n00:00:01,000 --> 00:00:02,000\r\nLine1\r\nLine2\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,500\r\nX\r\n');
+    assert.equal(format, 'srt');
+    assert.deepEqual(cues, [
+      { text: 'Line1\nLine2', startTime: 1, endTime: 2 },
+      { text: 'X', startTime: 3, endTime: 4.5 },
+    ]);
+  });
+
+  it('解析 WebVTT（MM:SS 时间、cue 设置、标签与转义字符）', () => {
+    const { format, cues } = parseSubtitles('WEBVTT\n\nNOTE 备注\n\n00:01.000 --> 00:02.500 align:start\n<v Bob>Hi &amp; bye</v>\n');
+    assert.equal(format, 'vtt');
+    assert.deepEqual(cues, [{ text: 'Hi & bye', startTime: 1, endTime: 2.5 }]);
+  });
+
+  it('解析 ASS（去掉样式标签，\\N 转换为换行，Text 中可以有逗号）', () => {
+    const { format, cues } = parseSubtitles(ASS);
+    assert.equal(format, 'ass');
+    assert.deepEqual(cues, [
+      { text: 'Hi, there\nfriend', startTime: 0.5, endTime: 1 },
+      { text: 'Second', startTime: 2, endTime: 3.5 },
+    ]);
+  });
+});
+
+describe('shiftCues', () => {
+  const cues = [
+    { text: 'a', startTime: 0.5, endTime: 1 },
+    { text: 'b', startTime: 1.5, endTime: 3 },
+    { text: 'c', startTime: 4, endTime: 5 },
+  ];
+
+  it('向后平移', () => {
+    assert.deepEqual(shiftCues(cues, 2).map(cue => [cue.startTime, cue.endTime]), [[2.5, 3], [3.5, 5], [6, 7]]);
+  });
+
+  it('提前时丢弃结束时间不大于0的字幕，开始时间小于0的从0开始', () => {
+    assert.deepEqual(shiftCues(cues, -2), [
+      { text: 'b', startTime: 0, endTime: 1 },
+      { text: 'c', startTime: 2, endTime: 3 },
+    ]);
+    assert.deepEqual(shiftCues(cues, -1).map(cue => cue.text), ['b', 'c']);
+  });
+
+  it('不修改原数组', () => {
+    shiftCues(cues, 10);
+    assert.equal(cues[0].startTime, 0.5);
+  });
+});
+
+describe('shiftAssContent', () => {
+  it('只修改对话时间，保留脚本信息、样式与样式标签', () => {
+    const shifted = shiftAssContent(ASS, 1);
+    assert.deepEqual(dialogues(shifted), [
+      'Dialogue: 0,0:00:01.50,0:00:02.00,Big,,0,0,0,,{\\b1}Hi, there\\Nfriend',
+      'Dialogue: 0,0:00:03.00,0:00:04.50,Big,,0,0,0,,Second',
+    ]);
+    assert.equal(shifted.replace(/^Dialogue:.*$/gm, ''), ASS.replace(/^Dialogue:.*$/gm, ''));
+  });
+
+  it('提前时与 shiftCues 一致地丢弃和截断对话', () => {
+    assert.deepEqual(dialogues(shiftAssContent(ASS, -2.5)), [
+      'Dialogue: 0,0:00:00.00,0:00:01.00,Big,,0,0,0,,Second',
+    ]);
+  });
+
+  it('保留 CRLF 换行', () => {
+    const shifted = shiftAssContent(ASS.replace(/\n/g, '\r\n'), 1);
+    assert.ok(shifted.includes('\r\n'));
+    assert.ok(!/[^\r]\n/.test(shifted));
+  });
+});
+
+describe('tokenize / wrapText', () => {
+  it('中文逐字拆分，英文按单词拆分，标点和空格附在前一个词后', () => {
+    assert.deepEqual(tokenize('你好，world! It\'s 3.5 ok'), ['你', '好，', 'world! ', 'It\'s ', '3.5 ', 'ok']);
+  });
+
+  it('中文按字数折行', () => {
+    assert.equal(wrapText('今天天气很好我们去公园散步吧', 5), '今天天气很\n好我们去公\n园散步吧');
+  });
+
+  it('英文字母按半个字计算，不拆开单词', () => {
+    assert.equal(wrapText('hello world this is a test', 5), 'hello\nworld this\nis a test');
+  });
+
+  it('保留原有换行，不传宽度时不折行', () => {
+    assert.equal(wrapText('第一行\n第二行很长很长', 0), '第一行\n第二行很长很长');
+    assert.equal(wrapText('第一行\n第二行很长很长', 4), '第一行\n第二行很\n长很长');
+  });
+
+  it('rewrapCues 先合并原有换行（英文之间补空格）再折行', () => {
+    const [cue] = rewrapCues([{ text: 'hello\nworld\n你好', startTime: 0, endTime: 1 }], 20);
+    assert.equal(cue.text, 'hello world你好');
+  });
+});
+
+describe('卡拉OK \\k 时长分配', () => {
+  const style = normalizeSubtitleStyle({ karaoke: true });
+  const karaoke = (text, startTime, endTime) => dialogues(generateAssContent([{ text, startTime, endTime }], style))[0].split(',,').pop();
+
+  it('按字数平均分配', () => {
+    assert.equal(karaoke('你好世界', 0, 1), '{\\k25}你{\\k25}好{\\k25}世{\\k25}界');
+  });
+
+  it('英文单词按宽度计权，各词时长之和等于字幕时长', () => {
+    const text = karaoke('ab 你好', 0, 1.01);
+    assert.equal(text, '{\\k34}ab {\\k33}你{\\k34}好');
+  });
+
+  it('折行后 \\k 连续分配，总时长不变', () => {
+    const wrapped = dialogues(generateAssContent(
+      [{ text: '一二三四五六七', startTime: 1, endTime: 2.4 }],
+      normalizeSubtitleStyle({ karaoke: true, maxLineWidth: 4 }),
+    ))[0];
+    const durations = [...wrapped.matchAll(/\\k(\d+)/g)].map(match => Number(match[1]));
+    assert.equal(durations.length, 7);
+    assert.equal(durations.reduce((sum, cs) => sum + cs, 0), 140);
+    assert.ok(wrapped.includes('{\\k20}四\\N{\\k20}五'));
+  });
+});
+
+describe('normalizeSubtitleOperations', () => {
+  it('补全默认值', () => {
+    assert.deepEqual(normalizeSubtitleOperations([
+      { type: 'shift', offset: '1.5' },
+      { type: 'merge', text: '1\n00:00:01,000 --> 00:00:02,000\nx\n' },
+      { type: 'wrap', maxLineWidth: 12 },
+    ]), [
+      { type: 'shift', offset: 1.5 },
+      { type: 'merge', url: undefined, text: '1\n00:00:01,000 --> 00:00:02,000\nx\n', offset: 0 },
+      { type: 'wrap', maxLineWidth: 12 },
+    ]);
+  });
+
+  it('convert 按画布尺寸补全样式', () => {
+    const [operation] = normalizeSubtitleOperations([{ type: 'convert', format: 'ass', style: { width: 1920, height: 1080 } }]);
+    assert.equal(operation.format, 'ass');
+    assert.equal(operation.style.width, 1920);
+    assert.equal(operation.style.height, 1080);
+  });
+
+  it('参数错误时抛出 INVALID_SUBTITLE_OPERATION', () => {
+    const invalid = [
+      'not-an-array',
+      [{ type: 'unknown' }],
+      [{ type: 'shift', offset: 'abc' }],
+      [{ type: 'merge' }],
+      [{ type: 'merge', url: 'http://example.com/a.srt', text: 'x' }],
+      [{ type: 'wrap', maxLineWidth: 0 }],
+      [{ type: 'wrap', maxLineWidth: 1.5 }],
+      [{ type: 'convert', format: 'txt' }],
+      [{ type: 'convert', format: 'ass', style: { fontSize: -1 } }],
+    ];
+    for (const operations of invalid) {
+      assert.throws(() => normalizeSubtitleOperations(operations), { code: 'INVALID_SUBTITLE_OPERATION' }, JSON.stringify(operations));
+    }
+  });
+});
+
+describe('transformSubtitles', () => {
+  it('依次执行平移、合并、折行并转换格式', async () => {
+    const srt = '1\n00:00:01,000 --> 00:00:02,000\n第一句\n\n2\n00:00:05,000 --> 00:00:06,000\n第三句\n';
+    const other = '1\n00:00:00,000 --> 00:00:01,000\n第二句很长很长\n';
+    const result = await transformSubtitles(srt, normalizeSubtitleOperations([
+      { type: 'shift', offset: 1 },
+      { type: 'merge', url: 'http://example.com/other.srt', offset: 3 },
+      { type: 'wrap', maxLineWidth: 4 },
+      { type: 'convert', format: 'vtt' },
+    ]), { loadSubtitle: async () => other });
+    assert.equal(result.format, 'vtt');
+    assert.deepEqual(result.cues.map(cue => [cue.text, cue.startTime]), [['第一句', 2], ['第二句很\n长很长', 3], ['第三句', 6]]);
+    assert.ok(result.content.startsWith('WEBVTT'));
+  });
+
+  it('ASS 输入只平移时保留原有样式', async () => {
+    const result = await transformSubtitles(ASS, normalizeSubtitleOperations([{ type: 'shift', offset: 1 }]));
+    assert.equal(result.format, 'ass');
+    assert.ok(result.content.includes('PlayResX: 640'));
+    assert.ok(result.content.includes('Style: Big,Arial,48'));
+    assert.equal(result.cues.length, 2);
+  });
+
+  it('ASS 输入 merge/wrap 时必须指定 convert', async () => {
+    await assert.rejects(
+      transformSubtitles(ASS, normalizeSubtitleOperations([{ type: 'wrap', maxLineWidth: 4 }])),
+      { code: 'INVALID_SUBTITLE' },
+    );
+    const converted = await transformSubtitles(ASS, normalizeSubtitleOperations([
+      { type: 'wrap', maxLineWidth: 4 },
+      { type: 'convert', format: 'ass' },
+    ]));
+    assert.ok(converted.content.includes('PlayResX: 1080'));
+  });
+
+  it('没有可解析的字幕时抛出 INVALID_SUBTITLE', async () => {
+    await assert.rejects(transformSubtitles('not a subtitle', []), { code: 'INVALID_SUBTITLE' });
+  });
+});
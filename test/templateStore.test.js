@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateStore } = require('../utils/templateStore');
+
+describe('TemplateStore', () => {
+  let dataDir;
+  let store;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-store-test-'));
+    store = new TemplateStore({ dataDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('同名模板每次保存追加新版本，历史版本保持不变', async () => {
+    await store.save({ name: 'card', kind: 'html', source: '<h1>{{title}}</h1>', variables: { title: '默认' } });
+    await store.save({ name: 'card', kind: 'html', source: '<h2>{{title}}</h2>', description: '第二版' });
+
+    assert.equal((await store.get('card', 1)).source, '<h1>{{title}}</h1>');
+    assert.equal((await store.get('card')).version, 2);
+    assert.equal(await store.get('card', 3), null);
+    assert.deepEqual(await store.list(), [
+      { name: 'card', kind: 'html', description: '第二版', latestVersion: 2, versions: 2, updatedAt: (await store.get('card')).createdAt },
+    ]);
+  });
+
+  it('并发保存同名模板时依次执行，不丢失版本', async () => {
+    const saved = await Promise.all(
+      Array.from({ length: 5 }, (_, i) => store.save({ name: 'card', kind: 'html', source: `<p>${i}</p>` }))
+    );
+
+    assert.deepEqual(saved.map(v => v.version), [1, 2, 3, 4, 5]);
+    const record = await store.read('card');
+    assert.deepEqual(record.versions.map(v => v.source), ['<p>0</p>', '<p>1</p>', '<p>2</p>', '<p>3</p>', '<p>4</p>']);
+    assert.equal(store.saveQueues.size, 0);
+  });
+
+  it('一次保存失败不影响同名模板后续的保存', async () => {
+    const results = await Promise.allSettled([
+      store.save({ name: 'card', kind: 'html', source: '<p>1</p>' }),
+      store.save({ name: 'card', kind: 'satori', source: 'const element = null;' }),
+      store.save({ name: 'card', kind: 'html', source: '<p>2</p>' }),
+    ]);
+
+    assert.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected', 'fulfilled']);
+    assert.equal(results[1].reason.code, 'INVALID_TEMPLATE');
+    assert.equal(results[2].value.version, 2);
+  });
+
+  it('先写临时文件再重命名，写入中断时保留原文件', async () => {
+    await store.save({ name: 'card', kind: 'html', source: '<p>1</p>' });
+    assert.deepEqual(fs.readdirSync(dataDir), ['card.json']);
+
+    const rename = fs.promises.rename;
+    fs.promises.rename = async () => {
+      throw new Error('disk full');
+    };
+    try {
+      await assert.rejects(store.save({ name: 'card', kind: 'html', source: '<p>2</p>' }), /disk full/);
+    } finally {
+      fs.promises.rename = rename;
+    }
+
+    const record = await store.read('card');
+    assert.deepEqual(record.versions.map(v => v.source), ['<p>1</p>']);
+  });
+
+  it('参数错误时 err.code 为 INVALID_TEMPLATE', async () => {
+    await assert.rejects(store.save({ name: '../card', kind: 'html', source: '<p></p>' }), { code: 'INVALID_TEMPLATE' });
+    await assert.rejects(store.save({ name: 'card', kind: 'pdf', source: '<p></p>' }), { code: 'INVALID_TEMPLATE' });
+    await assert.rejects(store.save({ name: 'card', kind: 'html', source: '{{#if}}' }), { code: 'INVALID_TEMPLATE' });
+    await assert.rejects(store.save({ name: 'card', kind: 'html', source: '<p></p>', variables: [] }), { code: 'INVALID_TEMPLATE' });
+    assert.deepEqual(fs.readdirSync(dataDir), []);
+  });
+
+  it('HTML 模板填充时转义变量，请求变量覆盖默认值', async () => {
+    const template = await store.save({ name: 'card', kind: 'html', source: '<h1>{{title}}</h1><p>{{{body}}}</p>', variables: { title: '默认', body: '' } });
+
+    assert.equal(store.fill(template), '<h1>默认</h1><p></p>');
+    assert.equal(store.fill(template, { title: '<b>', body: '<i>原样</i>' }), '<h1>&lt;b&gt;</h1><p><i>原样</i></p>');
+  });
+});
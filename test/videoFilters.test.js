@@ -0,0 +1,211 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeFillMode,
+  buildFillFilter,
+  normalizeMotion,
+  resolveMotion,
+  buildMotionFilter,
+  normalizeTransition,
+  pairTransitions,
+  joinedDuration,
+  transitionOverlap,
+  fitSegmentDuration,
+  buildTransitionFilters,
+} = require('../utils/videoFilters');
+
+describe('normalizeFillMode', () => {
+  it('未传时为 pad，不支持的方式抛出 INVALID_FILL_MODE', () => {
+    assert.equal(normalizeFillMode(undefined), 'pad');
+    assert.equal(normalizeFillMode('blur'), 'blur');
+    assert.throws(() => normalizeFillMode('zoom'), { code: 'INVALID_FILL_MODE' });
+  });
+});
+
+describe('buildFillFilter', () => {
+  it('pad：等比缩放后居中填充纯色', () => {
+    assert.equal(
+      buildFillFilter('pad', { width: 1080, height: 1920, color: 'white' }),
+      'scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2:color=white,setsar=1',
+    );
+  });
+
+  it('crop 与 stretch', () => {
+    assert.equal(
+      buildFillFilter('crop', { width: 640, height: 360 }),
+      'scale=640:360:force_original_aspect_ratio=increase,crop=640:360,setsar=1',
+    );
+    assert.equal(buildFillFilter('stretch', { width: 640, height: 360 }), 'scale=640:360,setsar=1');
+  });
+
+  it('blur：带标签时中间标签使用输出名作为前缀，模糊半径随画面尺寸变化', () => {
+    const filter = buildFillFilter('blur', { width: 1080, height: 1920, input: '0:v', output: 'bg' });
+    assert.deepEqual(filter.split(';'), [
+      '[0:v]split=2[fill_bg_bg][fill_bg_fg]',
+      '[fill_bg_bg]scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920,boxblur=27:2[fill_bg_blurred]',
+      '[fill_bg_fg]scale=1080:1920:force_original_aspect_ratio=decrease[fill_bg_fit]',
+      '[fill_bg_blurred][fill_bg_fit]overlay=(W-w)/2:(H-h)/2,setsar=1[bg]',
+    ]);
+  });
+});
+
+describe('buildMotionFilter', () => {
+  it('zoom-in：按帧数线性放大，先放大画面再缩放到输出尺寸', () => {
+    const filter = buildMotionFilter(
+      { type: 'zoom-in', zoom: 1.2, easing: 'linear', direction: 'right' },
+      { width: 1080, height: 1920, fps: 30, duration: 3 },
+    );
+    assert.equal(filter, [
+      'scale=2160:3840:force_original_aspect_ratio=decrease,pad=2160:3840:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1',
+      "zoompan=z='1+0.2*(min(1,on/89))':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':d=90:s=1080x1920:fps=30",
+      'setsar=1',
+    ].join(','));
+  });
+
+  it('zoom-out 与缓动函数', () => {
+    const filter = buildMotionFilter(
+      { type: 'zoom-out', zoom: 1.5, easing: 'ease-in', direction: 'right' },
+      { width: 640, height: 360, fps: 25, duration: 2 },
+    );
+    assert.ok(filter.includes("z='1.5-0.5*(min(1,on/49)*min(1,on/49))'"));
+    assert.ok(filter.includes(':d=50:s=640x360:fps=25'));
+  });
+
+  it('pan 按方向移动，使用指定的填充方式', () => {
+    const filter = buildMotionFilter(
+      { type: 'pan', zoom: 1.5, easing: 'linear', direction: 'left' },
+      { width: 640, height: 360, fps: 25, duration: 2, fillMode: 'crop' },
+    );
+    assert.ok(filter.startsWith('scale=1280:720:force_original_aspect_ratio=increase,crop=1280:720'));
+    assert.ok(filter.includes("z='1.5':x='(iw-iw/zoom)*(1-(min(1,on/49)))':y='ih/2-(ih/zoom/2)'"));
+  });
+
+  it('时长不足一帧时输出单帧', () => {
+    const filter = buildMotionFilter(
+      { type: 'zoom-in', zoom: 1.2, easing: 'linear', direction: 'right' },
+      { width: 100, height: 100, fps: 30, duration: 0.01 },
+    );
+    assert.ok(filter.includes("z='1+0.2*(1)'"));
+    assert.ok(filter.includes(':d=1:'));
+  });
+});
+
+describe('normalizeMotion / resolveMotion', () => {
+  it('字符串简写与默认值', () => {
+    assert.deepEqual(normalizeMotion('zoom-in'), { type: 'zoom-in', direction: 'right', zoom: 1.2, easing: 'linear' });
+    assert.deepEqual(normalizeMotion(undefined), { type: 'none', direction: 'right', zoom: 1.2, easing: 'linear' });
+  });
+
+  it('参数错误时抛出 INVALID_MOTION', () => {
+    for (const motion of ['spin', { type: 'pan', direction: 'diagonal' }, { type: 'zoom-in', zoom: 1 }, { type: 'random', seed: 1.5 }, []]) {
+      assert.throws(() => normalizeMotion(motion), { code: 'INVALID_MOTION' }, JSON.stringify(motion));
+    }
+  });
+
+  it('random 相同 seed 时结果可复现', () => {
+    const motion = normalizeMotion({ type: 'random', seed: 42 });
+    const first = [0, 1, 2, 3, 4].map(index => resolveMotion(motion, index));
+    const second = [0, 1, 2, 3, 4].map(index => resolveMotion(motion, index));
+    assert.deepEqual(first, second);
+    assert.ok(first.every(resolved => ['zoom-in', 'zoom-out', 'pan'].includes(resolved.type)));
+  });
+});
+
+describe('normalizeTransition / pairTransitions / 拼接时长', () => {
+  it('默认时长与 none', () => {
+    assert.deepEqual(normalizeTransition('fade'), { type: 'fade', duration: 0.5 });
+    assert.equal(normalizeTransition('none'), null);
+    assert.equal(normalizeTransition(undefined), null);
+    assert.throws(() => normalizeTransition({ type: 'fade', duration: 6 }), { code: 'INVALID_TRANSITION' });
+    assert.throws(() => normalizeTransition('spin'), { code: 'INVALID_TRANSITION' });
+  });
+
+  it('转场时长不超过相邻片段时长的一半', () => {
+    assert.deepEqual(pairTransitions([4, 0.6, 3], 0.5), [0.3, 0.3]);
+    assert.deepEqual(pairTransitions([4, 4, 4], 1), [1, 1]);
+    assert.deepEqual(pairTransitions([2], 1), []);
+  });
+
+  it('拼接时长按实际转场重叠扣除，转场为 0 时为时长之和', () => {
+    assert.equal(joinedDuration([4, 0.6, 3], 0.5), 7);
+    assert.equal(joinedDuration([4, 0.6, 3], 0), 7.6);
+    assert.equal(transitionOverlap(undefined, 3, 1), 0);
+    assert.equal(transitionOverlap(4, 1, 1), 0.5);
+  });
+
+  it('反推新片段时长，使扣除重叠后恰好增加指定时长', () => {
+    assert.equal(fitSegmentDuration(2, 4, 1), 3);
+    assert.equal(fitSegmentDuration(0.4, 4, 1), 0.8);
+    assert.equal(fitSegmentDuration(2, undefined, 1), 2);
+    for (const [remaining, previous] of [[2, 4], [0.4, 4], [1.2, 1]]) {
+      const duration = fitSegmentDuration(remaining, previous, 1);
+      assert.ok(Math.abs(duration - transitionOverlap(previous, duration, 1) - remaining) < 0.001);
+    }
+  });
+});
+
+describe('buildTransitionFilters', () => {
+  it('xfade 的 offset 为已拼接时长减去转场时长，转场为 0 时直接拼接，没有音轨的片段补静音', () => {
+    const filters = buildTransitionFilters(
+      [{ duration: 2, hasAudio: true }, { duration: 3, hasAudio: false }, { duration: 1.5, hasAudio: true }],
+      { type: 'fade', transitions: [0.5, 0], fps: 30 },
+    );
+    assert.deepEqual(filters, [
+      '[0:v]fps=30,settb=AVTB,format=yuv420p,tpad=stop_mode=clone:stop_duration=1,trim=duration=2.000,setpts=PTS-STARTPTS[v0]',
+      '[0:a]aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo,apad,atrim=duration=2.000,asetpts=PTS-STARTPTS[a0]',
+      '[1:v]fps=30,settb=AVTB,format=yuv420p,tpad=stop_mode=clone:stop_duration=1,trim=duration=3.000,setpts=PTS-STARTPTS[v1]',
+      'anullsrc=channel_layout=stereo:sample_rate=44100,aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo,atrim=duration=3.000[a1]',
+      '[2:v]fps=30,settb=AVTB,format=yuv420p,tpad=stop_mode=clone:stop_duration=1,trim=duration=1.500,setpts=PTS-STARTPTS[v2]',
+      '[2:a]aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo,apad,atrim=duration=1.500,asetpts=PTS-STARTPTS[a2]',
+      '[v0][v1]xfade=transition=fade:duration=0.5:offset=1.500[vx1]',
+      '[a0][a1]acrossfade=d=0.5[ax1]',
+      '[vx1][v2]concat=n=2:v=1:a=0[vout]',
+      '[ax1][a2]concat=n=2:v=0:a=1[aout]',
+    ]);
+  });
+
+  it('连续转场时 offset 扣除之前的重叠', () => {
+    const filters = buildTransitionFilters(
+      [{ duration: 3, hasAudio: true }, { duration: 3, hasAudio: true }, { duration: 3, hasAudio: true }],
+      { type: 'wipeleft', transitions: [1, 0.5], fps: 25 },
+    );
+    assert.ok(filters.includes('[v0][v1]xfade=transition=wipeleft:duration=1:offset=2.000[vx1]'));
+    assert.ok(filters.includes('[vx1][v2]xfade=transition=wipeleft:duration=0.5:offset=4.500[vout]'));
+  });
+
+  it('blend：不使用 xfade，片段按转场切分后用 blend 混合再拼接，音频仍用 acrossfade', () => {
+    const filters = buildTransitionFilters(
+      [{ duration: 2, hasAudio: true }, { duration: 3, hasAudio: true }, { duration: 1.5, hasAudio: true }],
+      { type: 'fade', transitions: [0.5, 0], fps: 30, blend: true },
+    );
+    assert.ok(!filters.some(filter => filter.includes('xfade')));
+    assert.deepEqual(filters.slice(6), [
+      '[v0]split=2[vs0_0][vs0_1]',
+      '[vs0_0]trim=start=0:end=1.500,setpts=PTS-STARTPTS[vb0]',
+      '[vs0_1]trim=start=1.500,setpts=PTS-STARTPTS[vt0]',
+      '[v1]split=2[vs1_0][vs1_1]',
+      '[vs1_0]trim=duration=0.5,setpts=PTS-STARTPTS[vh1]',
+      '[vs1_1]trim=start=0.5:end=3.000,setpts=PTS-STARTPTS[vb1]',
+      "[vh1][vt0]blend=all_expr='A*(T/0.5)+B*(1-T/0.5)':shortest=1[vx1]",
+      '[v2]trim=start=0:end=1.500,setpts=PTS-STARTPTS[vb2]',
+      '[vb0][vx1][vb1][vb2]concat=n=4:v=1:a=0[vout]',
+      '[a0][a1]acrossfade=d=0.5[ax1]',
+      '[ax1][a2]concat=n=2:v=0:a=1[aout]',
+    ]);
+  });
+
+  it('blend：两侧转场各占一半的片段没有中间部分', () => {
+    const filters = buildTransitionFilters(
+      [{ duration: 2, hasAudio: true }, { duration: 1, hasAudio: true }, { duration: 2, hasAudio: true }],
+      { type: 'dissolve', transitions: [0.5, 0.5], fps: 30, blend: true },
+    );
+    assert.ok(filters.includes('[v1]split=2[vs1_0][vs1_1]'));
+    assert.ok(!filters.some(filter => filter.endsWith('[vb1]')));
+    assert.ok(filters.includes('[vb0][vx1][vx2][vb2]concat=n=4:v=1:a=0[vout]'));
+  });
+
+  it('只有一个片段时直接输出', () => {
+    const filters = buildTransitionFilters([{ duration: 2, hasAudio: true }], { type: 'fade', transitions: [], fps: 30 });
+    assert.deepEqual(filters.slice(-2), ['[v0]null[vout]', '[a0]anull[aout]']);
+  });
+});
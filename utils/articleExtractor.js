@@ -0,0 +1,244 @@
+const cheerio = require('cheerio');
+
+/**
+ * 正文提取中直接移除的元素
+ */
+const REMOVE_SELECTORS = 'script, style, noscript, iframe, form, nav, header, footer, aside, svg, canvas, button, input, select, textarea';
+
+/**
+ * class/id 命中时视为非正文（评论、侧栏、分享、推荐等）
+ */
+const UNLIKELY_PATTERN = /comment|sidebar|footer|header|nav|menu|share|social|related|recommend|banner|sponsor|popup|modal|breadcrumb|pagination|toolbar|advert|\bad-|-ad\b|copyright|disclaimer/i;
+
+/**
+ * class/id 命中时视为可能的正文容器
+ */
+const POSITIVE_PATTERN = /article|body|content|entry|main|post|text|detail|story/i;
+
+/**
+ * 参与打分的段落元素
+ */
+const SCORE_SELECTORS = 'p, pre, td, blockquote';
+
+/**
+ * 输出正文时保留的块级元素
+ */
+const BLOCK_SELECTORS = 'p, h2, h3, h4, h5, h6, li, blockquote, pre';
+
+/**
+ * 合并空白字符
+ * @param {string} text - 文本
+ * @returns {string} 处理后的文本
+ */
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 将相对地址转换为绝对地址
+ * @param {string} value - 地址
+ * @param {string} baseUrl - 页面地址
+ * @returns {string|null} 绝对地址
+ */
+function absoluteUrl(value, baseUrl) {
+  if (!value) return null;
+  try {
+    return new URL(value.trim(), baseUrl).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 元素的 class 与 id 权重
+ * @param {Object} $el - cheerio 元素
+ * @returns {number} 权重
+ */
+function classWeight($el) {
+  const names = `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+  let weight = 0;
+  if (UNLIKELY_PATTERN.test(names)) weight -= 25;
+  if (POSITIVE_PATTERN.test(names)) weight += 25;
+  return weight;
+}
+
+/**
+ * 链接文本占比
+ * @param {Object} $ - cheerio 实例
+ * @param {Object} $el - cheerio 元素
+ * @returns {number} 0-1
+ */
+function linkDensity($, $el) {
+  const textLength = normalizeText($el.text()).length;
+  if (textLength === 0) return 0;
+  let linkLength = 0;
+  $el.find('a').each((i, a) => {
+    linkLength += normalizeText($(a).text()).length;
+  });
+  return linkLength / textLength;
+}
+
+/**
+ * 从 JSON-LD 中读取字段
+ * @param {Object} $ - cheerio 实例
+ * @returns {Object} { author, image, datePublished }
+ */
+function readJsonLd($) {
+  const result = {};
+  $('script[type="application/ld+json"]').each((i, el) => {
+    let data;
+    try {
+      data = JSON.parse($(el).contents().text());
+    } catch (e) {
+      return;
+    }
+    const nodes = [].concat(data['@graph'] || data);
+    for (const node of nodes) {
+      if (!node || typeof node !== 'object') continue;
+      if (!result.author && node.author) {
+        const author = [].concat(node.author)[0];
+        result.author = typeof author === 'string' ? author : author && author.name;
+      }
+      if (!result.image && node.image) {
+        const image = [].concat(node.image)[0];
+        result.image = typeof image === 'string' ? image : image && image.url;
+      }
+      if (!result.datePublished && node.datePublished) {
+        result.datePublished = node.datePublished;
+      }
+    }
+  });
+  return result;
+}
+
+/**
+ * 提取元数据：作者、头图、发布时间
+ * 需在移除 script 等元素之前调用
+ * @param {Object} $ - cheerio 实例
+ * @param {string} url - 页面地址
+ * @returns {Object} { title, author, leadImage, publishedAt }
+ */
+function extractMetadata($, url) {
+  const meta = (selector) => normalizeText($(selector).first().attr('content')) || null;
+  const jsonLd = readJsonLd($);
+
+  const author = meta('meta[name="author"]') ||
+    meta('meta[property="article:author"]') ||
+    jsonLd.author ||
+    normalizeText($('[rel="author"], [itemprop="author"], .author').first().text()) ||
+    null;
+
+  const publishedText = meta('meta[property="article:published_time"]') ||
+    jsonLd.datePublished ||
+    $('time[datetime]').first().attr('datetime');
+  const published = publishedText ? new Date(publishedText) : null;
+
+  return {
+    title: meta('meta[property="og:title"]') || normalizeText($('h1').first().text()) || normalizeText($('title').text()) || null,
+    author: author ? author.slice(0, 200) : null,
+    leadImage: absoluteUrl(meta('meta[property="og:image"]') || meta('meta[name="twitter:image"]') || jsonLd.image, url),
+    publishedAt: published && !Number.isNaN(published.getTime()) ? published.toISOString() : null,
+  };
+}
+
+/**
+ * 查找正文容器（Readability 风格打分）：
+ * 段落按长度与逗号数打分，分数累加到父元素和祖父元素，再按 class/id 与链接占比修正
+ * @param {Object} $ - cheerio 实例
+ * @returns {Object|null} cheerio 元素
+ */
+function findContentRoot($) {
+  const scores = new Map();
+  const addScore = (el, score) => {
+    if (!el || el.type !== 'tag') return;
+    if (!scores.has(el)) {
+      const $el = $(el);
+      const tagBonus = el.name === 'article' ? 10 : el.name === 'div' ? 5 : 0;
+      scores.set(el, tagBonus + classWeight($el));
+    }
+    scores.set(el, scores.get(el) + score);
+  };
+
+  $(SCORE_SELECTORS).each((i, el) => {
+    const text = normalizeText($(el).text());
+    if (text.length < 25) return;
+
+    // 中英文逗号越多、文本越长，越像正文段落
+    const commas = (text.match(/[,，、。]/g) || []).length;
+    const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+    addScore(el.parent, score);
+    addScore(el.parent && el.parent.parent, score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const finalScore = score * (1 - linkDensity($, $(el)));
+    if (finalScore > bestScore) {
+      best = el;
+      bestScore = finalScore;
+    }
+  }
+  return best ? $(best) : null;
+}
+
+/**
+ * 将正文容器转换为纯文本（块级元素之间空行分隔）
+ * @param {Object} $ - cheerio 实例
+ * @param {Object} $root - 正文容器
+ * @returns {string} 正文
+ */
+function toText($, $root) {
+  const blocks = [];
+  $root.find(BLOCK_SELECTORS).each((i, el) => {
+    // 嵌套的块（如 li 中的 p）只取最内层
+    if ($(el).find(BLOCK_SELECTORS).length > 0) return;
+    const text = normalizeText($(el).text());
+    if (text && linkDensity($, $(el)) < 0.5) {
+      blocks.push(text);
+    }
+  });
+  return blocks.length > 0 ? blocks.join('\n\n') : normalizeText($root.text());
+}
+
+/**
+ * 从文章页面提取正文、作者、头图
+ * @param {string} html - 页面 HTML
+ * @param {Object} options - { url }
+ * @returns {{title: string|null, content: string|null, author: string|null, leadImage: string|null, publishedAt: string|null}} 提取结果
+ */
+function extractArticle(html, { url } = {}) {
+  const $ = cheerio.load(html);
+  const metadata = extractMetadata($, url);
+
+  // 移除非正文元素
+  $(REMOVE_SELECTORS).remove();
+  $('[class], [id]').each((i, el) => {
+    const $el = $(el);
+    if (el.name === 'body' || el.name === 'html' || el.name === 'article') return;
+    const names = `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+    if (UNLIKELY_PATTERN.test(names) && !POSITIVE_PATTERN.test(names)) {
+      $el.remove();
+    }
+  });
+
+  const $root = findContentRoot($);
+  const content = $root ? toText($, $root) : null;
+
+  // 没有 og:image 时使用正文中的第一张图片
+  let leadImage = metadata.leadImage;
+  if (!leadImage && $root) {
+    const $img = $root.find('img').first();
+    leadImage = absoluteUrl($img.attr('data-src') || $img.attr('src'), url);
+  }
+
+  return {
+    ...metadata,
+    content: content || null,
+    leadImage,
+  };
+}
+
+module.exports = {
+  extractArticle,
+};
@@ -0,0 +1,235 @@
+const puppeteer = require('puppeteer');
+
+/**
+ * 浏览器启动参数
+ */
+const LAUNCH_ARGS = ['--no-sandbox', '--disable-setuid-sandbox', '--font-render-hinting=medium'];
+
+/**
+ * 浏览器池
+ * 维护固定数量的常驻 Chromium 实例，每次使用时创建独立的浏览器上下文（隔离 cookies/缓存），避免每个请求都启动浏览器：
+ * - size: 同时可用的浏览器数量，超出时请求排队等待
+ * - maxPagesPerBrowser: 单个浏览器累计打开页面数达到上限后回收重启，避免内存泄漏
+ * - 定期健康检查，断开或无响应的浏览器会被回收，下次使用时重新启动
+ */
+class BrowserPool {
+  /**
+   * 构造函数
+   * @param {Object} options - 可选配置
+   * @param {number} options.size - 浏览器数量
+   * @param {number} options.maxPagesPerBrowser - 单个浏览器回收前最多打开的页面数
+   * @param {number} options.acquireTimeout - 排队等待超时时间（毫秒）
+   * @param {number} options.healthCheckInterval - 健康检查间隔（毫秒）
+   */
+  constructor(options = {}) {
+    this.size = options.size || parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2;
+    this.maxPagesPerBrowser = options.maxPagesPerBrowser || parseInt(process.env.BROWSER_POOL_MAX_PAGES, 10) || 100;
+    this.acquireTimeout = options.acquireTimeout || parseInt(process.env.BROWSER_POOL_ACQUIRE_TIMEOUT, 10) || 60000;
+    this.healthCheckInterval = options.healthCheckInterval || parseInt(process.env.BROWSER_POOL_HEALTH_CHECK_INTERVAL, 10) || 30000;
+
+    this.slots = Array.from({ length: this.size }, (_, id) => ({
+      id,
+      browser: null,
+      busy: false,
+      pagesServed: 0,
+      launchedAt: null,
+    }));
+    this.waiting = [];
+    this.healthTimer = null;
+  }
+
+  /**
+   * 启动浏览器（如果尚未启动或已断开）
+   * @param {Object} slot - 浏览器槽位
+   */
+  async ensureBrowser(slot) {
+    if (slot.browser && slot.browser.connected) {
+      return slot.browser;
+    }
+
+    slot.browser = null;
+    const browser = await puppeteer.launch({
+      args: LAUNCH_ARGS,
+      headless: true,
+    });
+    browser.on('disconnected', () => {
+      if (slot.browser === browser) {
+        console.warn(`[browserPool] Browser ${slot.id} disconnected`);
+        slot.browser = null;
+      }
+    });
+
+    slot.browser = browser;
+    slot.pagesServed = 0;
+    slot.launchedAt = new Date().toISOString();
+    console.log(`[browserPool] Browser ${slot.id} launched`);
+    this.startHealthCheck();
+    return browser;
+  }
+
+  /**
+   * 关闭并回收浏览器，下次使用时重新启动
+   * @param {Object} slot - 浏览器槽位
+   * @param {string} reason - 回收原因
+   */
+  async recycle(slot, reason) {
+    const browser = slot.browser;
+    slot.browser = null;
+    slot.pagesServed = 0;
+    slot.launchedAt = null;
+    if (browser) {
+      console.log(`[browserPool] Recycling browser ${slot.id}: ${reason}`);
+      await browser.close().catch((err) => {
+        console.warn(`[browserPool] Failed to close browser ${slot.id}:`, err.message);
+      });
+    }
+  }
+
+  /**
+   * 获取空闲槽位，池已满时排队等待
+   * @returns {Promise<Object>} 浏览器槽位
+   */
+  acquire() {
+    const slot = this.slots.find(s => !s.busy);
+    if (slot) {
+      slot.busy = true;
+      return Promise.resolve(slot);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        this.waiting = this.waiting.filter(w => w !== waiter);
+        const err = new Error(`Browser pool is saturated, waited ${this.acquireTimeout}ms for a free browser`);
+        err.code = 'BROWSER_POOL_TIMEOUT';
+        reject(err);
+      }, this.acquireTimeout);
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * 归还槽位，必要时回收浏览器，并唤醒排队中的请求
+   * @param {Object} slot - 浏览器槽位
+   */
+  async release(slot) {
+    if (slot.browser && slot.pagesServed >= this.maxPagesPerBrowser) {
+      await this.recycle(slot, `served ${slot.pagesServed} pages`);
+    }
+
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(slot);
+    } else {
+      slot.busy = false;
+    }
+  }
+
+  /**
+   * 在独立的浏览器上下文中执行操作，完成后关闭上下文并归还浏览器
+   * @param {Function} fn - async (context) => result，context 为 puppeteer BrowserContext
+   * @returns {Promise<*>} fn 的返回值
+   */
+  async withContext(fn) {
+    const slot = await this.acquire();
+    let context = null;
+    try {
+      const browser = await this.ensureBrowser(slot);
+      context = await browser.createBrowserContext();
+      context.on('targetcreated', (target) => {
+        if (target.type() === 'page') {
+          slot.pagesServed++;
+        }
+      });
+      return await fn(context);
+    } finally {
+      if (context) {
+        await context.close().catch((err) => {
+          console.warn(`[browserPool] Failed to close context on browser ${slot.id}:`, err.message);
+        });
+      }
+      await this.release(slot);
+    }
+  }
+
+  /**
+   * 在新页面中执行操作
+   * @param {Function} fn - async (page) => result
+   * @returns {Promise<*>} fn 的返回值
+   */
+  async withPage(fn) {
+    return this.withContext(async (context) => {
+      const page = await context.newPage();
+      return fn(page);
+    });
+  }
+
+  /**
+   * 启动定期健康检查：空闲浏览器无响应时回收
+   */
+  startHealthCheck() {
+    if (this.healthTimer) return;
+    this.healthTimer = setInterval(() => {
+      this.checkHealth().catch((err) => {
+        console.warn('[browserPool] Health check failed:', err.message);
+      });
+    }, this.healthCheckInterval);
+    // 不阻止进程退出
+    this.healthTimer.unref();
+  }
+
+  /**
+   * 检查所有空闲浏览器
+   */
+  async checkHealth() {
+    for (const slot of this.slots) {
+      if (slot.busy || !slot.browser) continue;
+
+      if (!slot.browser.connected) {
+        await this.recycle(slot, 'disconnected');
+        continue;
+      }
+
+      try {
+        await Promise.race([
+          slot.browser.version(),
+          new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 5000)),
+        ]);
+      } catch (err) {
+        // 检查期间槽位可能已被占用，此时交给使用方处理
+        if (!slot.busy) {
+          await this.recycle(slot, `health check failed (${err.message})`);
+        }
+      }
+    }
+  }
+
+  /**
+   * 获取池状态
+   * @returns {Object} 池状态
+   */
+  stats() {
+    return {
+      size: this.size,
+      maxPagesPerBrowser: this.maxPagesPerBrowser,
+      acquireTimeout: this.acquireTimeout,
+      busy: this.slots.filter(s => s.busy).length,
+      waiting: this.waiting.length,
+      browsers: this.slots.map(s => ({
+        id: s.id,
+        busy: s.busy,
+        launched: !!s.browser,
+        launchedAt: s.launchedAt,
+        pagesServed: s.pagesServed,
+      })),
+    };
+  }
+}
+
+const browserPool = new BrowserPool();
+
+module.exports = {
+  BrowserPool,
+  browserPool,
+};
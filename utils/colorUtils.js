@@ -31,7 +31,34 @@ function parseColorForFFmpeg(color) {
   return '0x000000';
 }
 
+/**
+ * 解析颜色值用于ASS字幕（&HAABBGGRR，AA为透明度，00为不透明）
+ * @param {string} color - 颜色值（#RGB、#RRGGBB、#RRGGBBAA 或 rgb(r,g,b)）
+ * @returns {string|null} ASS格式的颜色值，无法解析时返回null
+ */
+function parseColorForAss(color) {
+  if (typeof color !== 'string') return null;
+  let hex = null;
+
+  const hexMatch = color.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+  if (hexMatch) {
+    hex = hexMatch[1].length === 3 ? hexMatch[1].split('').map(c => c + c).join('') : hexMatch[1];
+  }
+
+  const rgbMatch = color.match(/^rgb\((\d+),\s*(\d+),\s*(\d+)\)$/);
+  if (rgbMatch) {
+    hex = rgbMatch.slice(1, 4).map(v => Math.min(255, parseInt(v, 10)).toString(16).padStart(2, '0')).join('');
+  }
+
+  if (!hex) return null;
+  const [r, g, b] = [hex.slice(0, 2), hex.slice(2, 4), hex.slice(4, 6)];
+  // CSS 的透明度（FF 不透明）与 ASS 相反（00 不透明）
+  const alpha = hex.length === 8 ? (255 - parseInt(hex.slice(6, 8), 16)).toString(16).padStart(2, '0') : '00';
+  return `&H${alpha}${b}${g}${r}`.toUpperCase();
+}
+
 module.exports = {
   parseColorForFFmpeg,
+  parseColorForAss,
 };
 
@@ -0,0 +1,525 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { browserPool } = require('./browserPool');
+const { extractArticle } = require('./articleExtractor');
+
+/**
+ * 抓取页面使用的 UA
+ */
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Safari/537.36';
+
+/**
+ * 滚动加载等待新条目出现的超时（毫秒）
+ */
+const SCROLL_TIMEOUT = 10000;
+
+/**
+ * 解析带单位的数量（如 5.6K、1.2M）
+ * @param {string} text - 数量文本
+ * @returns {number} 数量，无法解析时为 0
+ */
+function parseCount(text) {
+  const match = String(text || '').match(/([\d.]+)([KMB]?)/i);
+  if (!match) {
+    return 0;
+  }
+  const num = parseFloat(match[1]);
+  const unit = match[2].toUpperCase();
+  if (unit === 'K') return Math.round(num * 1000);
+  if (unit === 'M') return Math.round(num * 1000000);
+  if (unit === 'B') return Math.round(num * 1000000000);
+  return Math.round(num);
+}
+
+/**
+ * 解析中文相对时间（刚刚、N分钟前、N小时前、N天前）
+ * @param {string} text - 时间文本
+ * @returns {Date|null} 时间，无法解析时为 null
+ */
+function parseRelativeTime(text) {
+  if (!text) {
+    return null;
+  }
+  if (text.includes('刚刚')) {
+    return new Date();
+  }
+  const amount = parseInt(text.match(/(\d+)/)?.[1] || '0', 10);
+  if (text.includes('分钟前')) {
+    return new Date(Date.now() - amount * 60 * 1000);
+  }
+  if (text.includes('小时前')) {
+    return new Date(Date.now() - amount * 60 * 60 * 1000);
+  }
+  if (text.includes('天前')) {
+    return new Date(Date.now() - amount * 24 * 60 * 60 * 1000);
+  }
+  return null;
+}
+
+/**
+ * 使用 axios 获取页面 HTML
+ * @param {string} url - 页面地址
+ * @returns {Promise<string>} HTML
+ */
+async function fetchWithAxios(url) {
+  const response = await axios.get(url, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+      'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
+    },
+    timeout: 30000,
+  });
+  return response.data;
+}
+
+/**
+ * 获取页面 HTML
+ * usePuppeteer 为 true 时通过浏览器池加载（可处理动态内容），失败时回退到 axios
+ * @param {string} url - 页面地址
+ * @param {Object} options - { usePuppeteer, logPrefix }
+ * @returns {Promise<string>} HTML
+ */
+async function fetchHtml(url, { usePuppeteer = false, logPrefix = '[crawl]' } = {}) {
+  if (!usePuppeteer) {
+    return fetchWithAxios(url);
+  }
+
+  try {
+    const html = await browserPool.withPage(async (page) => {
+      await page.setUserAgent(USER_AGENT);
+      await page.goto(url, { waitUntil: 'networkidle0', timeout: 30000 });
+      return page.content();
+    });
+    console.log(`${logPrefix} Successfully fetched page using Puppeteer`);
+    return html;
+  } catch (puppeteerError) {
+    console.warn(`${logPrefix} Puppeteer failed, falling back to axios:`, puppeteerError.message);
+    return fetchWithAxios(url);
+  }
+}
+
+/**
+ * 爬取数据源的一页
+ * 滚动加载的数据源（scrollPages）第 2 页起通过浏览器池打开列表并逐次滚动，不受 usePuppeteer 影响
+ * @param {Object} source - 数据源模块（见 crawlers/index.js）
+ * @param {Object} options - { page, limit, usePuppeteer }
+ * @returns {Promise<Array>} [{ title, summary, published_at, view_count, url }]
+ * @throws {Error} 数据源不支持该页时 err.code 为 'PAGE_NOT_SUPPORTED'
+ */
+async function crawlSource(source, { page = 1, limit = 20, usePuppeteer = false } = {}) {
+  const logPrefix = `[crawl/${source.name}]`;
+  const url = source.pageUrl(page);
+  if (!url) {
+    const err = new Error(`Source ${source.name} does not support page ${page}`);
+    err.code = 'PAGE_NOT_SUPPORTED';
+    throw err;
+  }
+
+  if (source.scrollPages && page > 1) {
+    const items = await browserPool.withPage(browserPage => createScrollLoader(browserPage, source)(page, limit));
+    if (!items) {
+      const err = new Error(`Source ${source.name} has no page ${page}`);
+      err.code = 'PAGE_NOT_SUPPORTED';
+      throw err;
+    }
+    return items;
+  }
+
+  console.log(`${logPrefix} Starting crawl from ${url}, page: ${page}, usePuppeteer: ${usePuppeteer}`);
+  const html = await fetchHtml(url, { usePuppeteer, logPrefix });
+  const items = source.parse(cheerio.load(html), { url, limit });
+  console.log(`${logPrefix} Parsed ${items.length} news items from HTML`);
+  return items;
+}
+
+/**
+ * 滚动到列表底部（有"加载更多"按钮时同时点击），等待列表条目数量增加
+ * @param {Object} browserPage - puppeteer Page
+ * @param {string} selector - 列表条目选择器
+ * @returns {Promise<boolean>} 是否加载出了新条目
+ */
+async function loadMore(browserPage, selector) {
+  const count = await browserPage.evaluate((sel) => {
+    const before = document.querySelectorAll(sel).length;
+    const button = Array.from(document.querySelectorAll('button, div, span'))
+      .find(el => el.children.length === 0 && /加载更多|查看更多|load more/i.test(el.textContent || ''));
+    if (button) {
+      button.click();
+    }
+    window.scrollTo(0, document.body.scrollHeight);
+    return before;
+  }, selector);
+  try {
+    await browserPage.waitForFunction(
+      (sel, before) => document.querySelectorAll(sel).length > before,
+      { timeout: SCROLL_TIMEOUT },
+      selector,
+      count
+    );
+    return true;
+  } catch (err) {
+    if (err.name === 'TimeoutError') {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * 创建滚动加载列表的页面加载函数（用于 scrollPages 数据源）
+ * 首次调用时打开列表页，之后每次滚动加载出的新条目视为一页，页码只能递增
+ * @param {Object} browserPage - puppeteer Page
+ * @param {Object} source - 数据源模块
+ * @returns {Function} async (page, limit) => items，列表没有更多内容时返回 null
+ */
+function createScrollLoader(browserPage, source) {
+  const logPrefix = `[crawl/${source.name}]`;
+  const url = source.pageUrl(1);
+  let loaded = 0;
+
+  const parseAll = async () => source.parse(cheerio.load(await browserPage.content()), { url, limit: Infinity });
+
+  return async function loadPage(page, limit = 20) {
+    if (loaded === 0) {
+      console.log(`${logPrefix} Opening ${url} for scroll loading`);
+      await browserPage.setUserAgent(USER_AGENT);
+      await browserPage.goto(url, { waitUntil: 'networkidle0', timeout: 30000 });
+      loaded = 1;
+    }
+
+    let before = [];
+    while (loaded < page) {
+      before = await parseAll();
+      if (!(await loadMore(browserPage, source.itemSelector))) {
+        console.log(`${logPrefix} No more items after ${loaded} scroll pages`);
+        return null;
+      }
+      loaded++;
+    }
+
+    const known = new Set(before.map(item => item.url));
+    const items = (await parseAll()).filter(item => !known.has(item.url)).slice(0, limit);
+    console.log(`${logPrefix} Parsed ${items.length} news items from scroll page ${page}`);
+    return items;
+  };
+}
+
+/**
+ * 逐条保存到数据源对应的 Supabase 表（url 唯一，重复的条目插入失败并记录在 errors 中）
+ * @param {Object} supabase - Supabase 客户端
+ * @param {Object} source - 数据源模块
+ * @param {Array} items - 新闻条目
+ * @returns {Promise<{results: Array, errors: Array}>} 插入结果与错误
+ */
+async function saveItems(supabase, source, items) {
+  const logPrefix = `[crawl/${source.name}]`;
+  console.log(`${logPrefix} Saving ${items.length} items to ${source.table}...`);
+  const results = [];
+  const errors = [];
+
+  for (const item of items) {
+    try {
+      const { data, error } = await supabase
+        .from(source.table)
+        .insert(
+          {
+            title: item.title,
+            summary: item.summary,
+            published_at: item.published_at,
+            view_count: item.view_count,
+            url: item.url,
+          },
+          {
+            onConflict: 'url',
+            upsert: false,
+          }
+        )
+        .select();
+
+      if (error) {
+        console.error(`${logPrefix} Error inserting item:`, error);
+        errors.push({ item, error: error.message });
+      } else {
+        results.push(data?.[0] || item);
+      }
+    } catch (e) {
+      console.error(`${logPrefix} Exception inserting item:`, e);
+      errors.push({ item, error: e.message });
+    }
+  }
+
+  return { results, errors };
+}
+
+/**
+ * 查询已入库的新闻
+ * @param {Object} supabase - Supabase 客户端
+ * @param {Object} source - 数据源模块
+ * @param {Array<string>} urls - 新闻地址
+ * @returns {Promise<Map>} url -> 数据库记录
+ */
+async function findExisting(supabase, source, urls) {
+  if (urls.length === 0) {
+    return new Map();
+  }
+  const { data, error } = await supabase
+    .from(source.table)
+    .select('id, url, title, summary, view_count')
+    .in('url', urls);
+  if (error) {
+    throw new Error(error.message);
+  }
+  return new Map((data || []).map(row => [row.url, row]));
+}
+
+/**
+ * 比较列表页数据与已入库记录，返回需要更新的字段
+ * @param {Object} row - 数据库记录
+ * @param {Object} item - 列表页数据
+ * @returns {Object|null} 变化的字段，无变化时为 null
+ */
+function diffItem(row, item) {
+  const changes = {};
+  if (item.view_count && item.view_count !== row.view_count) {
+    changes.view_count = item.view_count;
+  }
+  if (item.title && item.title !== row.title) {
+    changes.title = item.title;
+  }
+  if (item.summary && item.summary !== row.summary) {
+    changes.summary = item.summary;
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * 更新已入库新闻的列表页字段（如观看次数）
+ * @param {Object} supabase - Supabase 客户端
+ * @param {Object} source - 数据源模块
+ * @param {Array} updates - [{ row, changes }]
+ * @returns {Promise<{results: Array, errors: Array}>} 更新结果与错误
+ */
+async function updateItems(supabase, source, updates) {
+  const logPrefix = `[crawl/${source.name}]`;
+  const results = [];
+  const errors = [];
+
+  for (const { row, changes } of updates) {
+    try {
+      const { data, error } = await supabase
+        .from(source.table)
+        .update(changes)
+        .eq('id', row.id)
+        .select();
+      if (error) {
+        console.error(`${logPrefix} Error updating item:`, error);
+        errors.push({ item: row, error: error.message });
+      } else {
+        results.push({ ...(data?.[0] || { ...row, ...changes }), changes: Object.keys(changes) });
+      }
+    } catch (e) {
+      console.error(`${logPrefix} Exception updating item:`, e);
+      errors.push({ item: row, error: e.message });
+    }
+  }
+
+  return { results, errors };
+}
+
+/**
+ * 多页增量爬取：从 page 开始逐页爬取，直到满足停止条件
+ * - reached_known: 遇到已入库的新闻（backfill 模式下继续向后翻页）
+ * - reached_since: 遇到早于 since 的新闻
+ * - limit_reached: 新增数量达到 limit
+ * - empty_page / repeated_page / no_more_pages: 列表结束（页面为空、与已爬取的页面重复、数据源没有更多页）
+ * - max_pages: 达到 maxPages
+ * 已入库的新闻只在列表字段（观看次数、标题、摘要）变化时更新，否则计为跳过
+ * 未传 supabase 时（测试模式）不入库，所有新闻计为新增
+ * 滚动加载的数据源（scrollPages）翻页时始终使用浏览器池，整个爬取过程占用同一个页面
+ * @param {Object} source - 数据源模块
+ * @param {Object} options - { supabase, page, maxPages, since, backfill, limit, usePuppeteer }
+ * @returns {Promise<Object>} { pagesVisited, crawled, newItems, updatedItems, skippedItems, errors, stopReason }
+ * @throws {Error} 数据源不支持起始页或不支持翻页（maxPages > 1）时 err.code 为 'PAGE_NOT_SUPPORTED'
+ */
+async function crawlPages(source, options = {}) {
+  const { page = 1, maxPages = 1, usePuppeteer = false } = options;
+
+  // 数据源不支持翻页时，多页爬取直接报错而不是只返回第一页
+  if (maxPages > 1 && !source.pageUrl(2)) {
+    const err = new Error(`Source ${source.name} does not support multi-page crawling (maxPages must be 1)`);
+    err.code = 'PAGE_NOT_SUPPORTED';
+    throw err;
+  }
+
+  // 滚动加载的数据源在同一个浏览器页面中逐页滚动，不为每一页重新打开列表
+  if (source.scrollPages && (page > 1 || maxPages > 1)) {
+    return browserPool.withPage(browserPage => crawlPagesWith(source, createScrollLoader(browserPage, source), options));
+  }
+  const loadPage = (current, limit) => crawlSource(source, { page: current, limit, usePuppeteer });
+  return crawlPagesWith(source, loadPage, options);
+}
+
+/**
+ * 使用指定的页面加载函数执行多页爬取（见 crawlPages）
+ * @param {Object} source - 数据源模块
+ * @param {Function} loadPage - async (page, limit) => items，没有该页时返回 null 或抛出 PAGE_NOT_SUPPORTED
+ * @param {Object} options - 同 crawlPages
+ * @returns {Promise<Object>} 同 crawlPages
+ */
+async function crawlPagesWith(source, loadPage, { supabase = null, page = 1, maxPages = 1, since = null, backfill = false, limit = null } = {}) {
+  const logPrefix = `[crawl/${source.name}]`;
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const seen = new Set();
+  const pagesVisited = [];
+  const newItems = [];
+  const updatedItems = [];
+  const skippedItems = [];
+  const errors = [];
+  let crawled = 0;
+  let stopReason = 'max_pages';
+
+  for (let current = page; current < page + maxPages; current++) {
+    let items;
+    try {
+      items = await loadPage(current, limit ? limit - newItems.length : Infinity);
+    } catch (err) {
+      // 第一页不支持时由调用方处理，之后的页视为列表结束
+      if (err.code === 'PAGE_NOT_SUPPORTED' && current > page) {
+        stopReason = 'no_more_pages';
+        break;
+      }
+      throw err;
+    }
+    if (!items) {
+      stopReason = 'no_more_pages';
+      break;
+    }
+
+    const fresh = items.filter(item => !seen.has(item.url));
+    fresh.forEach(item => seen.add(item.url));
+    pagesVisited.push({ page: current, url: source.pageUrl(current), items: items.length, fresh: fresh.length });
+    crawled += fresh.length;
+
+    if (items.length === 0) {
+      stopReason = 'empty_page';
+      break;
+    }
+    if (fresh.length === 0) {
+      // 数据源忽略了页码（返回与之前相同的列表）时也会走到这里
+      stopReason = 'repeated_page';
+      break;
+    }
+
+    let reachedSince = false;
+    const candidates = [];
+    for (const item of fresh) {
+      if (sinceTime && item.published_at && new Date(item.published_at).getTime() < sinceTime) {
+        skippedItems.push({ url: item.url, title: item.title, reason: 'before_since' });
+        reachedSince = true;
+      } else {
+        candidates.push(item);
+      }
+    }
+
+    const existing = supabase ? await findExisting(supabase, source, candidates.map(item => item.url)) : new Map();
+    const toInsert = [];
+    const toUpdate = [];
+    for (const item of candidates) {
+      const row = existing.get(item.url);
+      if (!row) {
+        toInsert.push(item);
+        continue;
+      }
+      const changes = diffItem(row, item);
+      if (changes) {
+        toUpdate.push({ row, changes });
+      } else {
+        skippedItems.push({ url: item.url, title: item.title, reason: 'unchanged' });
+      }
+    }
+
+    if (supabase) {
+      const inserted = await saveItems(supabase, source, toInsert);
+      const updated = await updateItems(supabase, source, toUpdate);
+      newItems.push(...inserted.results);
+      updatedItems.push(...updated.results);
+      errors.push(...inserted.errors, ...updated.errors);
+    } else {
+      newItems.push(...toInsert);
+    }
+    console.log(`${logPrefix} Page ${current}: ${toInsert.length} new, ${toUpdate.length} updated, ${candidates.length - toInsert.length - toUpdate.length} unchanged`);
+
+    if (limit && newItems.length >= limit) {
+      stopReason = 'limit_reached';
+      break;
+    }
+    if (reachedSince) {
+      stopReason = 'reached_since';
+      break;
+    }
+    if (existing.size > 0 && !backfill) {
+      stopReason = 'reached_known';
+      break;
+    }
+  }
+
+  console.log(`${logPrefix} Crawl finished after ${pagesVisited.length} pages (${stopReason})`);
+  return { pagesVisited, crawled, newItems, updatedItems, skippedItems, errors, stopReason };
+}
+
+/**
+ * 抓取文章详情页并提取正文、作者、头图
+ * 数据源可以提供 parseArticle($, { url }) 覆盖通用提取结果中的字段
+ * @param {Object} source - 数据源模块
+ * @param {string} url - 文章地址
+ * @param {Object} options - { usePuppeteer }
+ * @returns {Promise<Object>} { content, author, lead_image }（与数据库列名一致）
+ */
+async function fetchArticle(source, url, { usePuppeteer = false } = {}) {
+  const logPrefix = `[crawl/${source.name}]`;
+  const html = await fetchHtml(url, { usePuppeteer, logPrefix });
+  let article = extractArticle(html, { url });
+  if (typeof source.parseArticle === 'function') {
+    const custom = source.parseArticle(cheerio.load(html), { url }) || {};
+    article = { ...article, ...Object.fromEntries(Object.entries(custom).filter(([, v]) => v)) };
+  }
+  console.log(`${logPrefix} Extracted article ${url} (${article.content ? article.content.length : 0} chars)`);
+  return {
+    content: article.content,
+    author: article.author,
+    lead_image: article.leadImage,
+  };
+}
+
+/**
+ * 抓取一条已入库新闻的正文并更新到数据库
+ * @param {Object} supabase - Supabase 客户端
+ * @param {Object} source - 数据源模块
+ * @param {Object} row - 数据库记录（需包含 id 与 url）
+ * @param {Object} options - { usePuppeteer }
+ * @returns {Promise<Object>} 更新后的记录
+ */
+async function fetchAndSaveArticle(supabase, source, row, { usePuppeteer = false } = {}) {
+  const article = await fetchArticle(source, row.url, { usePuppeteer });
+  const { data, error } = await supabase
+    .from(source.table)
+    .update({ ...article, content_fetched_at: new Date().toISOString() })
+    .eq('id', row.id)
+    .select();
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data?.[0] || { ...row, ...article };
+}
+
+module.exports = {
+  parseCount,
+  parseRelativeTime,
+  fetchHtml,
+  crawlSource,
+  crawlPages,
+  saveItems,
+  fetchArticle,
+  fetchAndSaveArticle,
+};
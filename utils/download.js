@@ -95,9 +95,33 @@ async function downloadSrt(url, filePath) {
   }
 }
 
+/**
+ * 读取字幕文件内容（SRT、WebVTT、ASS 等文本字幕）
+ * @param {string} url - 字幕文件URL
+ * @returns {Promise<string>} 字幕文件内容
+ */
+async function fetchSubtitle(url) {
+  try {
+    url = normalizeUrl(url);
+    const response = await axios({
+      method: 'GET',
+      url: url,
+      responseType: 'text',
+      timeout: 60000, // 60秒超时
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+      },
+    });
+    return String(response.data);
+  } catch (err) {
+    throw new Error(`Failed to download subtitle from ${url}: ${err.message}`);
+  }
+}
+
 module.exports = {
   downloadAudio,
   downloadImage,
   downloadSrt,
+  fetchSubtitle,
 };
 
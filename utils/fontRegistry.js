@@ -0,0 +1,421 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * 字体格式（根据文件头识别）
+ */
+const FONT_FORMATS = {
+  ttf: { mime: 'font/ttf', css: 'truetype' },
+  otf: { mime: 'font/otf', css: 'opentype' },
+  woff: { mime: 'font/woff', css: 'woff' },
+  woff2: { mime: 'font/woff2', css: 'woff2' },
+};
+
+/**
+ * 文件名中的字重后缀
+ */
+const WEIGHT_NAMES = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  regular: 400,
+  normal: 400,
+  book: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900,
+};
+
+/**
+ * 浏览器渲染时字体文件的虚拟地址，请求由页面拦截后直接返回本地文件
+ */
+const BROWSER_FONT_ORIGIN = 'https://fonts.h2p.local';
+
+/**
+ * 默认字体（避免使用可变字体，使用静态字体）
+ */
+const DEFAULT_FONT_URLS = [
+  'https://cdn.dreamyshare.com/zimeiti/fonts/TaoBaoMaiCaiTi-Regular/TaoBaoMaiCaiTi-Regular.ttf',
+];
+
+/**
+ * 根据文件头识别字体格式
+ * @param {Buffer} buffer - 字体文件缓冲区
+ * @returns {string|null} ttf / otf / woff / woff2，无法识别时返回 null
+ */
+function detectFontFormat(buffer) {
+  if (!buffer || buffer.length < 4) {
+    return null;
+  }
+
+  // TTF: 0x00 01 00 00
+  if (buffer[0] === 0x00 && buffer[1] === 0x01 && buffer[2] === 0x00 && buffer[3] === 0x00) {
+    return 'ttf';
+  }
+
+  const signature = buffer.toString('ascii', 0, 4);
+  if (signature === 'true') return 'ttf';
+  if (signature === 'OTTO') return 'otf';
+  if (signature === 'wOFF') return 'woff';
+  if (signature === 'wOF2') return 'woff2';
+  return null;
+}
+
+/**
+ * 从文件名推断字体信息，格式为 `Family-WeightStyle.ext`，如 `SourceHanSans-BoldItalic.otf`
+ * @param {string} file - 文件名
+ * @returns {{name: string, weight: number, style: string}} 字体信息
+ */
+function parseFontFileName(file) {
+  const base = path.basename(file, path.extname(file));
+  const dashIndex = base.lastIndexOf('-');
+  if (dashIndex <= 0) {
+    return { name: base, weight: 400, style: 'normal' };
+  }
+
+  let suffix = base.slice(dashIndex + 1).toLowerCase();
+  let style = 'normal';
+  if (suffix.endsWith('italic')) {
+    style = 'italic';
+    suffix = suffix.slice(0, -'italic'.length);
+  }
+
+  const weight = suffix === '' ? 400 : (WEIGHT_NAMES[suffix] || parseInt(suffix, 10));
+  if (!weight) {
+    // 后缀不是字重，整个文件名作为字体名
+    return { name: base, weight: 400, style: 'normal' };
+  }
+  return { name: base.slice(0, dashIndex), weight, style };
+}
+
+/**
+ * 上传字体的子目录（不纳入版本库，fonts/ 下的其他字体可以提交）
+ */
+const UPLOADS_DIR = 'uploads';
+
+/**
+ * 字体注册表
+ * - 本地字体：启动时扫描 fonts/ 与 fonts/uploads/ 目录，字体名/字重/样式来自各目录的 fonts.json 或文件名
+ * - 上传的字体保存在 fonts/uploads/，记录的 file 为相对 fonts/ 的路径（如 uploads/思源黑体-700.otf）
+ * - 远程字体：按 URL 缓存到内存与磁盘（data/font-cache），重复请求和服务重启后都不再下载
+ * Satori 与浏览器渲染（/render）共用同一份字体
+ */
+class FontRegistry {
+  /**
+   * 构造函数
+   * @param {Object} options - 可选配置
+   * @param {string} options.fontsDir - 本地字体目录
+   * @param {string} options.cacheDir - 远程字体磁盘缓存目录
+   * @param {number} options.memoryCacheMb - 远程字体内存缓存上限（MB）
+   * @param {string} options.defaultFamily - 默认字体名（本地存在该字体时不再下载默认字体）
+   */
+  constructor(options = {}) {
+    this.fontsDir = options.fontsDir || process.env.FONTS_DIR || path.join(__dirname, '..', 'fonts');
+    this.cacheDir = options.cacheDir || path.join(__dirname, '..', 'data', 'font-cache');
+    this.memoryCacheMb = options.memoryCacheMb || parseInt(process.env.FONT_MEMORY_CACHE_MB, 10) || 200;
+    this.defaultFamily = options.defaultFamily || process.env.DEFAULT_FONT_FAMILY || 'TaoBaoMaiCaiTi';
+    this.fonts = [];
+    this.memoryCache = new Map();
+    this.memoryCacheBytes = 0;
+    this.downloading = new Map();
+    this.attachedPages = new WeakSet();
+  }
+
+  /**
+   * 上传字体的保存目录
+   */
+  get uploadsDir() {
+    return path.join(this.fontsDir, UPLOADS_DIR);
+  }
+
+  /**
+   * 读取目录中的清单 fonts.json（记录字体的名称、字重与样式）
+   * @param {string} dir - 字体目录
+   * @returns {Object} { [文件名]: { name, weight, style } }
+   */
+  readManifest(dir) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, 'fonts.json'), 'utf-8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn('[fonts] Failed to read fonts.json:', err.message);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * 扫描目录中的字体文件
+   * @param {string} dir - 字体目录
+   * @param {string} prefix - 记录的 file 相对 fonts/ 的前缀（如 uploads/）
+   * @returns {Array} 字体记录
+   */
+  scan(dir, prefix = '') {
+    const manifest = this.readManifest(dir);
+    return fs.readdirSync(dir)
+      .filter(file => FONT_FORMATS[path.extname(file).slice(1).toLowerCase()])
+      .sort()
+      .map((file) => {
+        const info = { ...parseFontFileName(file), ...(manifest[file] || {}) };
+        return {
+          name: info.name,
+          weight: parseInt(info.weight, 10) || 400,
+          style: info.style === 'italic' ? 'italic' : 'normal',
+          file: `${prefix}${file}`,
+          format: path.extname(file).slice(1).toLowerCase(),
+          size: fs.statSync(path.join(dir, file)).size,
+        };
+      });
+  }
+
+  /**
+   * 扫描本地字体目录与上传目录
+   */
+  init() {
+    fs.mkdirSync(this.uploadsDir, { recursive: true });
+    this.fonts = [
+      ...this.scan(this.fontsDir),
+      ...this.scan(this.uploadsDir, `${UPLOADS_DIR}/`),
+    ];
+
+    console.log(`✓ Font registry initialized (${this.fonts.length} local fonts in ${this.fontsDir})`);
+  }
+
+  /**
+   * 列出字体
+   * @returns {Object} { fonts, cached }
+   */
+  list() {
+    return {
+      fonts: this.fonts.map(font => ({
+        ...font,
+        url: `/fonts/files/${encodeURIComponent(font.file)}`,
+      })),
+      cached: Array.from(this.memoryCache.entries()).map(([url, buffer]) => ({ url, size: buffer.length })),
+    };
+  }
+
+  /**
+   * 按名称查找本地字体（不区分大小写）
+   * @param {string} name - 字体名
+   * @param {Object} options - { weight, style }，未指定时返回该字体的所有字重与样式
+   * @returns {Array} 字体记录
+   */
+  find(name, { weight, style } = {}) {
+    const lowerName = String(name || '').toLowerCase();
+    return this.fonts.filter(font =>
+      font.name.toLowerCase() === lowerName &&
+      (!weight || font.weight === parseInt(weight, 10)) &&
+      (!style || font.style === style));
+  }
+
+  /**
+   * 获取本地字体文件路径
+   * @param {string} file - 文件名
+   * @returns {string|null} 文件路径，不在注册表中时返回 null
+   */
+  resolveFile(file) {
+    const font = this.fonts.find(f => f.file === file);
+    return font ? path.join(this.fontsDir, font.file) : null;
+  }
+
+  /**
+   * 读取本地字体
+   * @param {Object} font - 字体记录
+   * @returns {Promise<Object>} Satori 字体 { name, data, weight, style }
+   */
+  async load(font) {
+    const data = await fs.promises.readFile(path.join(this.fontsDir, font.file));
+    return { name: font.name, data, weight: font.weight, style: font.style };
+  }
+
+  /**
+   * 添加字体到上传目录与注册表
+   * @param {Buffer} buffer - 字体文件
+   * @param {Object} info - { name, weight, style }
+   * @returns {Promise<Object>} 字体记录
+   * @throws {Error} 字体格式无法识别时抛出，err.code 为 'INVALID_FONT'；
+   *   文件名与其他名称的字体冲突时抛出，err.code 为 'FONT_NAME_CONFLICT'
+   */
+  async add(buffer, { name, weight = 400, style = 'normal' }) {
+    const format = detectFontFormat(buffer);
+    if (!format) {
+      const err = new Error('Unsupported font file. Supported formats: TTF, OTF, WOFF, WOFF2.');
+      err.code = 'INVALID_FONT';
+      throw err;
+    }
+
+    const fontWeight = parseInt(weight, 10) || 400;
+    const fontStyle = style === 'italic' ? 'italic' : 'normal';
+    const safeName = String(name).replace(/[^\w\u4e00-\u9fa5-]+/g, '') || 'font';
+    const fileName = `${safeName}-${fontWeight}${fontStyle === 'italic' ? 'Italic' : ''}.${format}`;
+    const file = `${UPLOADS_DIR}/${fileName}`;
+
+    // 文件名只保留字母、数字、中文与 -，不同的名称可能得到相同的文件名，不能互相覆盖
+    const existing = this.fonts.find(f => f.file === file);
+    if (existing && existing.name !== name) {
+      const err = new Error(`Font "${name}" would overwrite font "${existing.name}" (${file}). Use a different name.`);
+      err.code = 'FONT_NAME_CONFLICT';
+      throw err;
+    }
+
+    await fs.promises.mkdir(this.uploadsDir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.uploadsDir, fileName), buffer);
+
+    const manifest = this.readManifest(this.uploadsDir);
+    manifest[fileName] = { name, weight: fontWeight, style: fontStyle };
+    await fs.promises.writeFile(path.join(this.uploadsDir, 'fonts.json'), JSON.stringify(manifest, null, 2));
+
+    const font = { name, weight: fontWeight, style: fontStyle, file, format, size: buffer.length };
+    // 同名同字重同样式的字体被覆盖
+    this.fonts = this.fonts.filter(f => f.file !== file).concat(font);
+    console.log(`[fonts] Font added: ${name} ${fontWeight} ${fontStyle} (${file})`);
+    return font;
+  }
+
+  /**
+   * 写入内存缓存，超出上限时淘汰最早的条目
+   * @param {string} url - 字体 URL
+   * @param {Buffer} buffer - 字体数据
+   */
+  remember(url, buffer) {
+    if (this.memoryCache.has(url)) return;
+    this.memoryCache.set(url, buffer);
+    this.memoryCacheBytes += buffer.length;
+
+    const limit = this.memoryCacheMb * 1024 * 1024;
+    for (const [key, value] of this.memoryCache) {
+      if (this.memoryCacheBytes <= limit || key === url) break;
+      this.memoryCache.delete(key);
+      this.memoryCacheBytes -= value.length;
+    }
+  }
+
+  /**
+   * 获取远程字体（内存缓存 > 磁盘缓存 > 下载），同一 URL 的并发请求只下载一次
+   * @param {string} url - 字体 URL
+   * @returns {Promise<Buffer>} 字体数据
+   */
+  async fetch(url) {
+    if (this.memoryCache.has(url)) {
+      return this.memoryCache.get(url);
+    }
+    if (this.downloading.has(url)) {
+      return this.downloading.get(url);
+    }
+
+    const cachePath = path.join(this.cacheDir, crypto.createHash('sha1').update(url).digest('hex'));
+    const task = (async () => {
+      let buffer;
+      try {
+        buffer = await fs.promises.readFile(cachePath);
+      } catch (err) {
+        const response = await axios.get(url, {
+          responseType: 'arraybuffer',
+          timeout: 15000,
+        });
+        buffer = Buffer.from(response.data);
+        await fs.promises.mkdir(this.cacheDir, { recursive: true });
+        await fs.promises.writeFile(cachePath, buffer);
+        console.log(`[fonts] Cached remote font: ${url}`);
+      }
+      this.remember(url, buffer);
+      return buffer;
+    })();
+
+    this.downloading.set(url, task);
+    try {
+      return await task;
+    } finally {
+      this.downloading.delete(url);
+    }
+  }
+
+  /**
+   * 获取默认字体：本地存在默认字体名时使用本地字体，否则下载（并缓存）默认字体
+   * @returns {Promise<Array>} Satori 字体数组，全部失败时为空数组
+   */
+  async loadDefaultFonts() {
+    const localFonts = this.find(this.defaultFamily);
+    if (localFonts.length > 0) {
+      return Promise.all(localFonts.map(font => this.load(font)));
+    }
+
+    for (const url of DEFAULT_FONT_URLS) {
+      try {
+        const data = await this.fetch(url);
+        if (!detectFontFormat(data)) {
+          console.warn(`Default font format may not be supported: ${url}`);
+          continue;
+        }
+        return [{ name: 'Noto Sans SC', data, weight: 400, style: 'normal' }];
+      } catch (err) {
+        console.warn(`Failed to load default font from ${url}:`, err.message);
+      }
+    }
+    return [];
+  }
+
+  /**
+   * 生成本地字体的 @font-face 样式，供浏览器渲染使用
+   * 字体文件地址为虚拟地址，需配合 attachToPage 使用
+   * @returns {string} CSS 文本，无本地字体时为空字符串
+   */
+  fontFaceCss() {
+    return this.fonts.map(font => `@font-face{font-family:"${font.name.replace(/"/g, '\\"')}";` +
+      `src:url("${BROWSER_FONT_ORIGIN}/${encodeURIComponent(font.file)}") format("${FONT_FORMATS[font.format].css}");` +
+      `font-weight:${font.weight};font-style:${font.style};font-display:block;}`).join('\n');
+  }
+
+  /**
+   * 拦截页面中对虚拟字体地址的请求，直接返回本地字体文件（离线可用）
+   * 同一页面多次调用（如批量渲染复用页面）只注册一次
+   * @param {Object} page - puppeteer Page
+   */
+  async attachToPage(page) {
+    if (this.fonts.length === 0 || this.attachedPages.has(page)) return;
+    this.attachedPages.add(page);
+
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      const url = request.url();
+      if (!url.startsWith(`${BROWSER_FONT_ORIGIN}/`)) {
+        request.continue();
+        return;
+      }
+
+      const file = decodeURIComponent(url.slice(BROWSER_FONT_ORIGIN.length + 1));
+      const filePath = this.resolveFile(file);
+      if (!filePath) {
+        request.respond({ status: 404, body: '' });
+        return;
+      }
+      fs.promises.readFile(filePath)
+        .then(body => request.respond({
+          status: 200,
+          contentType: FONT_FORMATS[path.extname(file).slice(1).toLowerCase()].mime,
+          headers: { 'Access-Control-Allow-Origin': '*' },
+          body,
+        }))
+        .catch(() => request.respond({ status: 404, body: '' }));
+    });
+  }
+}
+
+const fontRegistry = new FontRegistry();
+
+module.exports = {
+  FONT_FORMATS,
+  FontRegistry,
+  fontRegistry,
+  detectFontFormat,
+};
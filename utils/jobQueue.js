@@ -0,0 +1,438 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * 任务状态
+ */
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+/**
+ * 凭据类字段（cookies、token、密钥、密码等），只保存在内存中，不写入任务文件也不通过接口返回
+ */
+const SENSITIVE_FIELD_PATTERN = /cookie|token|secret|passw(or)?d|api[-_]?key|access[-_]?key|private[-_]?key|authorization|credential/i;
+
+/**
+ * 拆分请求体中的凭据字段
+ * @param {Object} body - 请求体
+ * @returns {{body: Object, secrets: Object}} 去除凭据后的请求体与凭据字段
+ */
+function splitSensitiveFields(body) {
+  const safe = {};
+  const secrets = {};
+  if (!body || typeof body !== 'object') {
+    return { body, secrets };
+  }
+  for (const [key, value] of Object.entries(body)) {
+    if (SENSITIVE_FIELD_PATTERN.test(key)) {
+      secrets[key] = value;
+    } else {
+      safe[key] = value;
+    }
+  }
+  return { body: safe, secrets };
+}
+
+/**
+ * 异步任务队列
+ * 任务状态持久化到 data/jobs/<id>.json，服务重启后：
+ * - queued 状态的任务重新入队
+ * - running 状态的任务标记为 failed（执行中断，无法安全续跑）
+ * - 带有凭据的 queued 任务标记为 failed（凭据只保存在内存中，重启后已丢失）
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * 构造函数
+   * @param {Object} options - 可选配置
+   * @param {string} options.dataDir - 任务持久化目录
+   * @param {number} options.concurrency - 同时执行的任务数
+   */
+  constructor(options = {}) {
+    super();
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'data', 'jobs');
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+    this.jobs = new Map();
+    this.handlers = new Map();
+    this.pending = [];
+    this.running = 0;
+    this.progressPersistedAt = new Map();
+    // 任务凭据（仅内存），任务结束后删除
+    this.secrets = new Map();
+    this.context = {};
+    this.initialized = false;
+  }
+
+  /**
+   * 注册任务处理函数
+   * @param {string} type - 任务类型（如 merge/audio）
+   * @param {Function} handler - async (job, context, secrets) => result
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * 加载已持久化的任务并恢复队列
+   * @param {Object} context - 任务执行上下文（如 express app）
+   */
+  init(context = {}) {
+    this.context = context;
+    if (this.initialized) return;
+    this.initialized = true;
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+
+    const files = fs.readdirSync(this.dataDir).filter(file => file.endsWith('.json'));
+    const requeued = [];
+    for (const file of files) {
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(this.dataDir, file), 'utf-8'));
+        // 旧版本可能把凭据写入了任务文件，加载时清除
+        if (job.request && job.request.body) {
+          const { body, secrets } = splitSensitiveFields(job.request.body);
+          if (Object.keys(secrets).length > 0) {
+            job.request.body = body;
+            job.secretFields = Object.keys(secrets);
+            this.persist(job);
+          }
+        }
+        if (job.status === JOB_STATUS.RUNNING) {
+          job.status = JOB_STATUS.FAILED;
+          job.error = { error: 'job_interrupted', message: 'Job was interrupted by a server restart' };
+          job.finishedAt = new Date().toISOString();
+          this.persist(job);
+        } else if (job.status === JOB_STATUS.QUEUED && job.secretFields && job.secretFields.length > 0) {
+          // 不带凭据执行可能改用其他账号（如发布回退到本地 cookies 文件），直接标记为失败
+          job.status = JOB_STATUS.FAILED;
+          job.error = {
+            error: 'credentials_lost',
+            message: `Credentials (${job.secretFields.join(', ')}) were lost on server restart, resubmit the job`,
+          };
+          job.finishedAt = new Date().toISOString();
+          this.persist(job);
+        }
+        this.jobs.set(job.id, job);
+        if (job.status === JOB_STATUS.QUEUED) {
+          requeued.push(job);
+        }
+      } catch (err) {
+        console.warn(`[jobs] Failed to load job file ${file}:`, err.message);
+      }
+    }
+
+    // 按创建时间恢复排队顺序
+    requeued.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    this.pending.push(...requeued.map(job => job.id));
+
+    console.log(`✓ Job queue initialized (${this.jobs.size} jobs loaded, ${requeued.length} requeued, concurrency: ${this.concurrency})`);
+    this.drain();
+  }
+
+  /**
+   * 创建任务并入队
+   * @param {string} type - 任务类型
+   * @param {Object} request - 任务执行所需的请求数据（会被持久化，不能包含凭据）
+   * @param {Object} secrets - 可选，任务执行所需的凭据，仅保存在内存中，服务重启后丢失
+   * @returns {Object} 任务记录
+   */
+  enqueue(type, request, secrets = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No job handler registered for type: ${type}`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: JOB_STATUS.QUEUED,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      request,
+      result: null,
+      error: null,
+      progress: null,
+    };
+
+    this.jobs.set(job.id, job);
+    if (Object.keys(secrets).length > 0) {
+      // 只记录字段名，重启后据此判断任务的凭据已丢失
+      job.secretFields = Object.keys(secrets);
+      this.secrets.set(job.id, secrets);
+    }
+    this.persist(job);
+    this.pending.push(job.id);
+    console.log(`[jobs] Job queued: ${job.id} (${type})`);
+    this.emit('update', job);
+    this.drain();
+    return job;
+  }
+
+  /**
+   * 获取任务
+   * @param {string} id - 任务ID
+   * @returns {Object|null} 任务记录
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * 列出任务（按创建时间倒序）
+   * @param {Object} filter - 过滤条件 { status, type, limit, offset }
+   * @returns {{total: number, jobs: Array}} 任务列表
+   */
+  list({ status, type, limit = 50, offset = 0 } = {}) {
+    const matched = Array.from(this.jobs.values())
+      .filter(job => !status || job.status === status)
+      .filter(job => !type || job.type === type)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      total: matched.length,
+      jobs: matched.slice(offset, offset + limit),
+    };
+  }
+
+  /**
+   * 更新任务进度并通知订阅者（持久化按阶段切换或每秒最多一次）
+   * @param {Object} job - 任务记录
+   * @param {Object} progress - 进度 { stage, percent, timemark, fps }
+   */
+  updateProgress(job, progress) {
+    const stageChanged = !job.progress || job.progress.stage !== progress.stage;
+    job.progress = {
+      ...progress,
+      updatedAt: new Date().toISOString(),
+    };
+    this.emit('progress', job, job.progress);
+
+    const now = Date.now();
+    const lastPersistedAt = this.progressPersistedAt.get(job.id) || 0;
+    if (stageChanged || now - lastPersistedAt >= 1000) {
+      this.progressPersistedAt.set(job.id, now);
+      this.persist(job);
+    }
+  }
+
+  /**
+   * 持久化任务状态（先写临时文件再重命名，避免写入中断导致文件损坏）
+   * @param {Object} job - 任务记录
+   */
+  persist(job) {
+    try {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+      const filePath = path.join(this.dataDir, `${job.id}.json`);
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(job, null, 2), 'utf-8');
+      fs.renameSync(tempPath, filePath);
+    } catch (err) {
+      console.error(`[jobs] Failed to persist job ${job.id}:`, err);
+    }
+  }
+
+  /**
+   * 在并发限制内启动排队中的任务
+   */
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (!job || job.status !== JOB_STATUS.QUEUED) continue;
+      this.running++;
+      this.run(job).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  /**
+   * 执行任务
+   * @param {Object} job - 任务记录
+   */
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    this.persist(job);
+    this.emit('update', job);
+    console.log(`[jobs] Job started: ${job.id} (${job.type})`);
+
+    try {
+      if (!handler) {
+        throw new Error(`No job handler registered for type: ${job.type}`);
+      }
+      job.result = await handler(job, this.context, this.secrets.get(job.id) || {});
+      job.status = JOB_STATUS.SUCCEEDED;
+      console.log(`[jobs] Job succeeded: ${job.id} (${job.type})`);
+    } catch (err) {
+      job.status = JOB_STATUS.FAILED;
+      job.error = err && err.body
+        ? err.body
+        : { error: 'job_failed', message: err && err.message ? err.message : String(err) };
+      console.error(`[jobs] Job failed: ${job.id} (${job.type})`, job.error);
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      this.progressPersistedAt.delete(job.id);
+      this.secrets.delete(job.id);
+      this.persist(job);
+      this.emit('update', job);
+    }
+  }
+}
+
+const jobQueue = new JobQueue();
+
+/**
+ * 将 FFmpeg 时间标记（HH:MM:SS.ms）转换为秒数
+ * @param {string} timemark - 时间标记
+ * @returns {number|null} 秒数
+ */
+function timemarkToSeconds(timemark) {
+  if (typeof timemark !== 'string') return null;
+  const parts = timemark.split(':').map(Number);
+  if (parts.length !== 3 || parts.some(isNaN)) return null;
+  return parts[0] * 3600 + parts[1] * 60 + parts[2];
+}
+
+/**
+ * 上报当前请求所属任务的进度（同步请求没有任务，直接忽略）
+ * @param {Object} req - express 请求对象（任务模式下带有 req.job）
+ * @param {string} stage - 阶段名称（download、concat、mix、encode、subtitle_burn 等）
+ * @param {Object} progress - fluent-ffmpeg progress 对象或 { percent }
+ * @param {number} expectedDuration - 可选，本阶段输出的预期时长（秒），用于根据 timemark 计算百分比
+ */
+function reportProgress(req, stage, progress = {}, expectedDuration) {
+  if (!req || !req.job) return;
+
+  let percent = null;
+  const seconds = timemarkToSeconds(progress.timemark);
+  if (expectedDuration > 0 && seconds !== null) {
+    percent = (seconds / expectedDuration) * 100;
+  } else if (typeof progress.percent === 'number' && isFinite(progress.percent)) {
+    percent = progress.percent;
+  }
+
+  jobQueue.updateProgress(req.job, {
+    stage,
+    percent: percent !== null ? Math.round(Math.max(0, Math.min(100, percent)) * 10) / 10 : null,
+    timemark: progress.timemark || null,
+    fps: typeof progress.currentFps === 'number' ? progress.currentFps : null,
+  });
+}
+
+/**
+ * 创建用于在任务中执行路由处理函数的 res 对象，收集状态码与响应体
+ * @returns {Object} 模拟的 express res 对象
+ */
+function createJobResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    headersSent: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[String(name).toLowerCase()] = value;
+      return res;
+    },
+    setHeader(name, value) {
+      return res.set(name, value);
+    },
+    json(body) {
+      res.body = body;
+      res.headersSent = true;
+      return res;
+    },
+    send(body) {
+      res.body = Buffer.isBuffer(body) ? body.toString('base64') : body;
+      res.headersSent = true;
+      return res;
+    },
+  };
+  return res;
+}
+
+/**
+ * 包装路由处理函数，支持 async: true 异步任务模式
+ * - 请求体中 async 为 true 时，立即返回 202 与任务ID，由任务队列在后台执行
+ * - 否则按原有方式同步处理请求
+ * @param {string} type - 任务类型
+ * @param {Function} handler - express 路由处理函数 async (req, res) => {}
+ * @returns {Function} express 路由处理函数
+ */
+function asyncJob(type, handler) {
+  jobQueue.registerHandler(type, async (job, context, secrets) => {
+    const { body, protocol, host } = job.request;
+    const req = {
+      body: { ...body, ...secrets },
+      protocol,
+      headers: { host },
+      ip: null,
+      app: context.app,
+      job,
+      get(name) {
+        return String(name).toLowerCase() === 'host' ? host : undefined;
+      },
+    };
+    const res = createJobResponse();
+
+    await handler(req, res);
+
+    const failed = res.statusCode >= 400 || (res.body && typeof res.body === 'object' && res.body.error);
+    if (failed) {
+      const err = new Error(res.body && res.body.message ? res.body.message : `Job failed with status ${res.statusCode}`);
+      err.body = { statusCode: res.statusCode, ...(typeof res.body === 'object' ? res.body : { message: res.body }) };
+      throw err;
+    }
+    return res.body;
+  });
+
+  return async (req, res) => {
+    const isAsync = req.body && (req.body.async === true || req.body.async === 'true');
+    if (!isAsync) {
+      return handler(req, res);
+    }
+
+    const { async: _async, ...rest } = req.body;
+    const { body, secrets } = splitSensitiveFields(rest);
+    try {
+      const job = jobQueue.enqueue(type, {
+        body,
+        protocol: req.protocol,
+        host: req.get('host'),
+      }, secrets);
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        type: job.type,
+        status: job.status,
+        statusUrl: `${baseUrl}/jobs/${job.id}`,
+      });
+    } catch (err) {
+      console.error(`[jobs] Failed to enqueue ${type}:`, err);
+      return res.status(500).json({
+        error: 'enqueue_failed',
+        message: err && err.message ? err.message : String(err),
+      });
+    }
+  };
+}
+
+module.exports = {
+  JOB_STATUS,
+  JobQueue,
+  jobQueue,
+  asyncJob,
+  reportProgress,
+  splitSensitiveFields,
+};
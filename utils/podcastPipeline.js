@@ -0,0 +1,726 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { getSource } = require('../crawlers');
+const { synthesizeSpeech } = require('./tts');
+const { splitSensitiveFields } = require('./jobQueue');
+
+/**
+ * 流水线与阶段状态
+ */
+const PIPELINE_STATUS = {
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+const STAGE_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+};
+
+/**
+ * 播客流水线的阶段（按顺序执行）
+ * - select: 读取未制作播客的新闻（is_podcast = false）
+ * - tts: 逐条合成开场白与新闻语音
+ * - merge: /merge/audio 拼接开场白、新闻语音与背景音乐，生成字幕
+ * - video: /convert/audio-to-video 生成视频
+ * - publish: /publish/<platform> 发布到各平台
+ * - mark: 将新闻标记为已制作播客（is_podcast = true）
+ */
+const STAGES = ['select', 'tts', 'merge', 'video', 'publish', 'mark'];
+
+/**
+ * 默认发布平台
+ */
+const DEFAULT_PLATFORMS = ['douyin', 'xiaohongshu'];
+
+/**
+ * 等待指定毫秒数
+ * @param {number} ms - 毫秒
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 读取非负整数环境变量（允许 0）
+ * @param {string} name - 环境变量名
+ * @param {number} defaultValue - 默认值
+ * @returns {number} 数值
+ */
+function envInt(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+/**
+ * 创建带错误码的错误
+ * @param {string} message - 错误信息
+ * @param {string} code - 错误码
+ * @returns {Error} 错误对象
+ */
+function pipelineError(message, code = 'INVALID_PIPELINE') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * 新闻的播报文本：标题 + 摘要
+ * @param {Object} item - 新闻
+ * @returns {string} 播报文本
+ */
+function itemScript(item) {
+  const title = String(item.title || '').trim();
+  const summary = String(item.summary || '').trim();
+  if (!summary) return title;
+  return /[。！？.!?]$/.test(title) ? `${title}${summary}` : `${title}。${summary}`;
+}
+
+/**
+ * 是否为普通对象（不含数组）
+ * @param {*} value - 值
+ * @returns {boolean} 是否为普通对象
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 逐层拆分参数中的凭据字段（如 publish.douyin.cookies）
+ * @param {Object} value - 参数
+ * @param {Array<string>} fields - 收集凭据字段的路径
+ * @param {string} prefix - 当前路径前缀
+ * @returns {{value: Object, secrets: Object|undefined}} 去除凭据后的参数与同结构的凭据
+ */
+function splitNestedSecrets(value, fields, prefix = '') {
+  if (!isPlainObject(value)) {
+    return { value, secrets: undefined };
+  }
+  const { body, secrets } = splitSensitiveFields(value);
+  const collected = { ...secrets };
+  Object.keys(secrets).forEach(key => fields.push(`${prefix}${key}`));
+  for (const [key, child] of Object.entries(body)) {
+    const split = splitNestedSecrets(child, fields, `${prefix}${key}.`);
+    body[key] = split.value;
+    if (split.secrets) {
+      collected[key] = split.secrets;
+    }
+  }
+  return { value: body, secrets: Object.keys(collected).length > 0 ? collected : undefined };
+}
+
+/**
+ * 将凭据合并回参数（splitNestedSecrets 的逆操作）
+ * @param {Object} value - 去除凭据后的参数
+ * @param {Object|undefined} secrets - 凭据
+ * @returns {Object} 完整参数
+ */
+function mergeSecrets(value, secrets) {
+  if (!secrets) return value;
+  const merged = { ...value };
+  for (const [key, secret] of Object.entries(secrets)) {
+    merged[key] = isPlainObject(secret) && isPlainObject(value[key]) ? mergeSecrets(value[key], secret) : secret;
+  }
+  return merged;
+}
+
+/**
+ * 当天日期（YYYY-MM-DD）
+ * @returns {string} 日期
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * 校验并规范化流水线参数
+ * @param {Object} body - 请求体
+ * @returns {Object} 流水线参数
+ */
+function normalizeOptions(body = {}) {
+  const {
+    source = 'aibase',
+    limit = 5,
+    ids,
+    items,
+    introUrl,
+    introText,
+    bgUrl,
+    voice,
+    ttsProvider,
+    merge = {},
+    video = {},
+    platforms = DEFAULT_PLATFORMS,
+    publish = {},
+    markPodcast = true,
+    retries,
+    retryDelay,
+  } = body;
+
+  const sourceConfig = getSource(source);
+  if (!sourceConfig) {
+    throw pipelineError(`Unknown crawl source: ${source}`);
+  }
+  if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+    throw pipelineError('ids must be a non-empty array');
+  }
+  if (items !== undefined) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw pipelineError('items must be a non-empty array');
+    }
+    if (!items.every(item => item && typeof item.title === 'string' && item.title.trim())) {
+      throw pipelineError('Every item must have a title');
+    }
+  }
+  if (!Array.isArray(platforms) || !platforms.every(p => typeof p === 'string')) {
+    throw pipelineError('platforms must be an array of platform names (e.g. ["douyin", "xiaohongshu"])');
+  }
+  if (introUrl !== undefined && typeof introUrl !== 'string') {
+    throw pipelineError('introUrl must be a string');
+  }
+  if ([merge, video, publish].some(value => typeof value !== 'object' || value === null)) {
+    throw pipelineError('merge, video and publish must be objects');
+  }
+
+  return {
+    source: sourceConfig.name,
+    limit: Math.max(1, Math.min(50, parseInt(limit, 10) || 5)),
+    ids: ids || null,
+    items: items || null,
+    introUrl: introUrl || null,
+    introText: introText || null,
+    bgUrl: bgUrl || null,
+    voice: voice || null,
+    ttsProvider: ttsProvider || null,
+    merge,
+    video,
+    platforms,
+    publish,
+    markPodcast: markPodcast !== false && markPodcast !== 'false',
+    retries: retries !== undefined ? Math.max(0, parseInt(retries, 10) || 0) : null,
+    retryDelay: retryDelay !== undefined ? Math.max(0, parseInt(retryDelay, 10) || 0) : null,
+  };
+}
+
+/**
+ * 播客制作流水线：从新闻到发布视频
+ * 各阶段调用现有接口完成，阶段失败时按配置重试；
+ * 流水线状态（含每个阶段的结果）持久化到 data/pipelines/<id>.json，
+ * 失败或服务重启中断后可以从失败的阶段继续执行（已完成的阶段、已合成的语音、已发布的平台不会重复执行）
+ * 参数中的凭据字段（如 publish.douyin.cookies）只保存在内存中，不写入文件也不通过接口返回；
+ * 重启后凭据丢失，需要凭据的阶段未完成时不能继续执行
+ */
+class PodcastPipeline {
+  /**
+   * 构造函数
+   * @param {Object} options - 可选配置
+   * @param {string} options.dataDir - 状态持久化目录
+   * @param {number} options.retries - 每个阶段失败后的重试次数
+   * @param {number} options.retryDelay - 重试间隔（毫秒，按重试次数递增）
+   * @param {number} options.stageTimeout - 调用单个接口的超时时间（毫秒）
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'data', 'pipelines');
+    this.retries = options.retries !== undefined ? options.retries : envInt('PIPELINE_STAGE_RETRIES', 2);
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : envInt('PIPELINE_RETRY_DELAY', 5000);
+    this.stageTimeout = options.stageTimeout || parseInt(process.env.PIPELINE_STAGE_TIMEOUT, 10) || 30 * 60 * 1000;
+    this.pipelines = new Map();
+    // 流水线凭据（仅内存）：pipelineId -> 与 options 同结构的凭据字段
+    this.secrets = new Map();
+    this.active = null;
+    this.context = {};
+    this.initialized = false;
+  }
+
+  /**
+   * 加载已持久化的流水线，中断的流水线标记为失败（可通过 resume 继续）
+   * @param {Object} context - { app, baseUrl: 本服务地址，如 http://127.0.0.1:3000 }
+   */
+  init(context = {}) {
+    this.context = context;
+    if (this.initialized) return;
+    this.initialized = true;
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    const files = fs.readdirSync(this.dataDir).filter(file => file.endsWith('.json'));
+    for (const file of files) {
+      try {
+        const pipeline = JSON.parse(fs.readFileSync(path.join(this.dataDir, file), 'utf-8'));
+        // 旧版本可能把凭据写入了流水线文件，加载时清除
+        const fields = [];
+        const { value: options } = splitNestedSecrets(pipeline.options, fields);
+        if (fields.length > 0) {
+          pipeline.options = options;
+          pipeline.secretFields = [...(pipeline.secretFields || []), ...fields];
+          this.persist(pipeline);
+        }
+        if (pipeline.status === PIPELINE_STATUS.RUNNING) {
+          const stage = pipeline.stages.find(s => s.status === STAGE_STATUS.RUNNING);
+          if (stage) {
+            stage.status = STAGE_STATUS.FAILED;
+            stage.finishedAt = new Date().toISOString();
+            stage.error = { error: 'stage_interrupted', message: 'Stage was interrupted by a server restart' };
+          }
+          pipeline.status = PIPELINE_STATUS.FAILED;
+          pipeline.error = { error: 'pipeline_interrupted', message: 'Pipeline was interrupted by a server restart' };
+          pipeline.finishedAt = new Date().toISOString();
+          this.persist(pipeline);
+        }
+        this.pipelines.set(pipeline.id, pipeline);
+      } catch (err) {
+        console.warn(`[pipelines/podcast] Failed to load pipeline file ${file}:`, err.message);
+      }
+    }
+    console.log(`✓ Podcast pipeline initialized (${this.pipelines.size} runs loaded)`);
+  }
+
+  /**
+   * 获取流水线
+   * @param {string} id - 流水线ID
+   * @returns {Object|null} 流水线记录
+   */
+  get(id) {
+    return this.pipelines.get(id) || null;
+  }
+
+  /**
+   * 列出流水线（按创建时间倒序）
+   * @param {Object} filter - { limit, offset }
+   * @returns {{total: number, pipelines: Array}} 流水线列表
+   */
+  list({ limit = 50, offset = 0 } = {}) {
+    const all = Array.from(this.pipelines.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return {
+      total: all.length,
+      pipelines: all.slice(offset, offset + limit),
+    };
+  }
+
+  /**
+   * 创建并在后台执行流水线（同一时间只执行一条，避免重复读取同一批新闻）
+   * @param {Object} body - 流水线参数
+   * @returns {Object} 流水线记录
+   */
+  start(body) {
+    const fields = [];
+    const { value: options, secrets } = splitNestedSecrets(normalizeOptions(body), fields);
+    this.assertIdle();
+
+    const now = new Date().toISOString();
+    const pipeline = {
+      id: crypto.randomUUID(),
+      type: 'podcast',
+      status: PIPELINE_STATUS.RUNNING,
+      createdAt: now,
+      startedAt: now,
+      finishedAt: null,
+      options,
+      // 只记录凭据字段的路径，重启后据此判断凭据已丢失
+      secretFields: fields,
+      stages: STAGES.map(name => ({
+        name,
+        status: STAGE_STATUS.PENDING,
+        attempts: 0,
+        startedAt: null,
+        finishedAt: null,
+        error: null,
+      })),
+      state: {},
+      error: null,
+    };
+
+    this.pipelines.set(pipeline.id, pipeline);
+    if (secrets) {
+      this.secrets.set(pipeline.id, secrets);
+    }
+    this.persist(pipeline);
+    console.log(`[pipelines/podcast] Pipeline started: ${pipeline.id}`);
+    this.execute(pipeline);
+    return pipeline;
+  }
+
+  /**
+   * 从失败的阶段继续执行
+   * @param {string} id - 流水线ID
+   * @returns {Object} 流水线记录
+   */
+  resume(id) {
+    const pipeline = this.get(id);
+    if (!pipeline) {
+      throw pipelineError(`Pipeline not found: ${id}`, 'PIPELINE_NOT_FOUND');
+    }
+    if (pipeline.status !== PIPELINE_STATUS.FAILED) {
+      throw pipelineError(`Only failed pipelines can be resumed (current status: ${pipeline.status})`, 'PIPELINE_NOT_RESUMABLE');
+    }
+    this.assertIdle();
+
+    // 凭据所在的参数（merge、video、publish）对应的阶段未完成时需要凭据
+    const lostFields = this.secrets.has(id) ? [] : (pipeline.secretFields || []).filter((field) => {
+      const stage = pipeline.stages.find(s => s.name === field.split('.')[0]);
+      return !stage || stage.status !== STAGE_STATUS.SUCCEEDED;
+    });
+    if (lostFields.length > 0) {
+      throw pipelineError(
+        `Credentials (${lostFields.join(', ')}) were lost on server restart, start a new pipeline instead`,
+        'CREDENTIALS_LOST',
+      );
+    }
+
+    for (const stage of pipeline.stages) {
+      if (stage.status === STAGE_STATUS.FAILED) {
+        stage.status = STAGE_STATUS.PENDING;
+        stage.attempts = 0;
+        stage.error = null;
+      }
+    }
+    pipeline.status = PIPELINE_STATUS.RUNNING;
+    pipeline.error = null;
+    pipeline.finishedAt = null;
+    pipeline.resumedAt = new Date().toISOString();
+    this.persist(pipeline);
+    console.log(`[pipelines/podcast] Pipeline resumed: ${pipeline.id}`);
+    this.execute(pipeline);
+    return pipeline;
+  }
+
+  /**
+   * 已有流水线在执行时抛出 PIPELINE_BUSY
+   */
+  assertIdle() {
+    if (this.active) {
+      throw pipelineError(`Pipeline ${this.active} is already running`, 'PIPELINE_BUSY');
+    }
+  }
+
+  /**
+   * 按顺序执行未完成的阶段
+   * @param {Object} pipeline - 流水线记录
+   */
+  async execute(pipeline) {
+    this.active = pipeline.id;
+    try {
+      for (const stage of pipeline.stages) {
+        if (stage.status === STAGE_STATUS.SUCCEEDED || stage.status === STAGE_STATUS.SKIPPED) continue;
+
+        if (pipeline.state.noItems) {
+          stage.status = STAGE_STATUS.SKIPPED;
+          continue;
+        }
+
+        const ok = await this.runStage(pipeline, stage);
+        if (!ok) {
+          pipeline.status = PIPELINE_STATUS.FAILED;
+          pipeline.error = { stage: stage.name, ...stage.error };
+          console.error(`[pipelines/podcast] Pipeline failed at ${stage.name}: ${pipeline.id}`, stage.error);
+          return;
+        }
+      }
+      pipeline.status = PIPELINE_STATUS.SUCCEEDED;
+      // 成功后不会再继续执行，凭据不再需要
+      this.secrets.delete(pipeline.id);
+      console.log(`[pipelines/podcast] Pipeline succeeded: ${pipeline.id}`);
+    } catch (err) {
+      pipeline.status = PIPELINE_STATUS.FAILED;
+      pipeline.error = { error: 'pipeline_failed', message: err.message };
+      console.error(`[pipelines/podcast] Pipeline error: ${pipeline.id}`, err);
+    } finally {
+      pipeline.finishedAt = new Date().toISOString();
+      this.active = null;
+      this.persist(pipeline);
+    }
+  }
+
+  /**
+   * 执行单个阶段，失败时按配置重试
+   * @param {Object} pipeline - 流水线记录
+   * @param {Object} stage - 阶段记录
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async runStage(pipeline, stage) {
+    const retries = pipeline.options.retries !== null ? pipeline.options.retries : this.retries;
+    const retryDelay = pipeline.options.retryDelay !== null ? pipeline.options.retryDelay : this.retryDelay;
+    const handler = this[`${stage.name}Stage`];
+
+    stage.status = STAGE_STATUS.RUNNING;
+    stage.startedAt = new Date().toISOString();
+    stage.error = null;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        console.warn(`[pipelines/podcast] Retrying ${stage.name} (${attempt}/${retries}): ${pipeline.id}`);
+        await sleep(retryDelay * attempt);
+      }
+      stage.attempts++;
+      this.persist(pipeline);
+      console.log(`[pipelines/podcast] Stage ${stage.name} started: ${pipeline.id}`);
+
+      try {
+        await handler.call(this, pipeline);
+        stage.status = STAGE_STATUS.SUCCEEDED;
+        stage.error = null;
+        stage.finishedAt = new Date().toISOString();
+        this.persist(pipeline);
+        return true;
+      } catch (err) {
+        stage.error = {
+          error: err.error || (err.code ? err.code.toLowerCase() : 'stage_failed'),
+          message: err && err.message ? err.message : String(err),
+          ...(err.statusCode ? { statusCode: err.statusCode } : {}),
+        };
+        console.error(`[pipelines/podcast] Stage ${stage.name} failed (attempt ${stage.attempts}): ${pipeline.id}`, stage.error.message);
+        // 参数错误、未配置语音合成服务时重试也不会成功
+        if (err.statusCode === 400 || err.code === 'TTS_NOT_CONFIGURED') break;
+      }
+    }
+
+    stage.status = STAGE_STATUS.FAILED;
+    stage.finishedAt = new Date().toISOString();
+    this.persist(pipeline);
+    return false;
+  }
+
+  /**
+   * 带凭据的流水线参数（只在调用接口时使用，不能持久化）
+   * @param {Object} pipeline - 流水线记录
+   * @returns {Object} 流水线参数
+   */
+  optionsWithSecrets(pipeline) {
+    return mergeSecrets(pipeline.options, this.secrets.get(pipeline.id));
+  }
+
+  /**
+   * 调用本服务的接口，非 2xx 响应或响应体中带 error 时抛出错误
+   * @param {string} routePath - 接口路径（如 /merge/audio）
+   * @param {Object} body - 请求体
+   * @returns {Promise<Object>} 响应体
+   */
+  async callRoute(routePath, body) {
+    if (!this.context.baseUrl) {
+      throw new Error('Podcast pipeline is not initialized');
+    }
+
+    const response = await axios.post(`${this.context.baseUrl}${routePath}`, body, {
+      timeout: this.stageTimeout,
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      validateStatus: () => true,
+    });
+
+    const data = response.data;
+    if (response.status >= 400 || (data && typeof data === 'object' && data.error)) {
+      const err = new Error(data && data.message ? data.message : `${routePath} responded with status ${response.status}`);
+      err.error = data && data.error ? data.error : 'stage_failed';
+      err.statusCode = response.status;
+      throw err;
+    }
+    return data;
+  }
+
+  /**
+   * 读取要制作的新闻：请求中的 items、指定 ids，或最新的未制作播客的新闻
+   * @param {Object} pipeline - 流水线记录
+   */
+  async selectStage(pipeline) {
+    const { options, state } = pipeline;
+    if (options.items) {
+      state.items = options.items.map(item => ({
+        id: item.id || null,
+        title: item.title,
+        summary: item.summary || '',
+        url: item.url || null,
+      }));
+      return;
+    }
+
+    const supabase = this.context.app && this.context.app.get('supabase');
+    if (!supabase) {
+      const err = new Error('Supabase credentials not configured. Set SUPABASE_URL and SUPABASE_KEY, or pass items in the request body.');
+      err.error = 'supabase_not_configured';
+      err.statusCode = 400;
+      throw err;
+    }
+
+    const source = getSource(options.source);
+    let query = supabase
+      .from(source.table)
+      .select('id, title, summary, url, published_at')
+      .eq('is_podcast', false);
+    query = options.ids
+      ? query.in('id', options.ids)
+      : query.order('published_at', { ascending: false }).limit(options.limit);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to read ${source.table}: ${error.message}`);
+    }
+
+    state.items = (data || []).filter(item => item.title);
+    if (state.items.length === 0) {
+      // 没有待制作的新闻，后续阶段全部跳过
+      state.noItems = true;
+      console.log(`[pipelines/podcast] No unpodcasted items in ${source.table}: ${pipeline.id}`);
+    }
+  }
+
+  /**
+   * 合成开场白与每条新闻的语音（已合成的片段在重试和继续执行时跳过）
+   * @param {Object} pipeline - 流水线记录
+   */
+  async ttsStage(pipeline) {
+    const { options, state } = pipeline;
+    const ttsOptions = { provider: options.ttsProvider, voice: options.voice, baseUrl: this.context.baseUrl };
+
+    state.introText = options.introText ||
+      `欢迎收听今天的 AI 资讯，今天为大家带来 ${state.items.length} 条新闻。`;
+    if (options.introUrl) {
+      state.introUrl = options.introUrl;
+    } else if (!state.introUrl) {
+      state.introUrl = (await synthesizeSpeech(state.introText, ttsOptions)).url;
+      this.persist(pipeline);
+    }
+
+    state.segments = state.segments || [];
+    for (let i = 0; i < state.items.length; i++) {
+      if (state.segments[i] && state.segments[i].url) continue;
+      const text = itemScript(state.items[i]);
+      const { url } = await synthesizeSpeech(text, ttsOptions);
+      state.segments[i] = { text, url };
+      this.persist(pipeline);
+    }
+  }
+
+  /**
+   * 拼接开场白与新闻语音、混入背景音乐并生成字幕
+   * @param {Object} pipeline - 流水线记录
+   */
+  async mergeStage(pipeline) {
+    const { state } = pipeline;
+    const options = this.optionsWithSecrets(pipeline);
+    const result = await this.callRoute('/merge/audio', {
+      ...options.merge,
+      bgUrl: options.bgUrl || undefined,
+      introUrl: state.introUrl,
+      audioUrls: state.segments.map(segment => segment.url),
+      // 开场白为预录音频时没有对应文本，不生成开场白字幕
+      introTxt: options.introUrl ? (options.introText || '') : state.introText,
+      audioTxts: state.segments.map(segment => segment.text),
+    });
+    state.audio = {
+      url: result.url,
+      srtUrl: result.srtUrl || null,
+      duration: result.duration || null,
+    };
+  }
+
+  /**
+   * 生成视频
+   * @param {Object} pipeline - 流水线记录
+   */
+  async videoStage(pipeline) {
+    const { state } = pipeline;
+    const options = this.optionsWithSecrets(pipeline);
+    const result = await this.callRoute('/convert/audio-to-video', {
+      ...options.video,
+      audioUrl: state.audio.url,
+      srt: state.audio.srtUrl || undefined,
+    });
+    state.video = { url: result.url };
+  }
+
+  /**
+   * 发布到各平台（已发布成功的平台在重试和继续执行时跳过）
+   * @param {Object} pipeline - 流水线记录
+   */
+  async publishStage(pipeline) {
+    const { state } = pipeline;
+    const options = this.optionsWithSecrets(pipeline);
+    const { title, description, tags, ...platformOptions } = options.publish;
+    state.published = state.published || {};
+
+    const errors = [];
+    for (const platform of options.platforms) {
+      if (state.published[platform]) continue;
+      const overrides = platformOptions[platform] || {};
+      try {
+        const result = await this.callRoute(`/publish/${platform}`, {
+          videoUrl: state.video.url,
+          title: title || `AI资讯 ${today()}`,
+          description: description || state.items.map((item, i) => `${i + 1}. ${item.title}`).join('\n'),
+          tags: tags || ['AI', '科技资讯'],
+          ...overrides,
+          // 流水线无人值守执行，默认使用无头浏览器
+          options: { headless: true, ...(overrides.options || {}) },
+        });
+        state.published[platform] = {
+          publishedAt: result.publishedAt || new Date().toISOString(),
+          message: result.message || null,
+        };
+        this.persist(pipeline);
+      } catch (err) {
+        errors.push(`${platform}: ${err.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Publish failed for ${errors.join('; ')}`);
+    }
+  }
+
+  /**
+   * 将新闻标记为已制作播客
+   * @param {Object} pipeline - 流水线记录
+   */
+  async markStage(pipeline) {
+    const { options, state } = pipeline;
+    const ids = state.items.map(item => item.id).filter(Boolean);
+    const supabase = this.context.app && this.context.app.get('supabase');
+    if (!options.markPodcast || ids.length === 0 || !supabase) {
+      state.marked = [];
+      return;
+    }
+
+    const { error } = await supabase
+      .from(getSource(options.source).table)
+      .update({ is_podcast: true, updated_at: new Date().toISOString() })
+      .in('id', ids);
+    if (error) {
+      throw new Error(`Failed to mark items as podcast: ${error.message}`);
+    }
+    state.marked = ids;
+  }
+
+  /**
+   * 持久化流水线状态（先写临时文件再重命名，避免写入中断导致文件损坏）
+   * @param {Object} pipeline - 流水线记录
+   */
+  persist(pipeline) {
+    pipeline.updatedAt = new Date().toISOString();
+    try {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+      const filePath = path.join(this.dataDir, `${pipeline.id}.json`);
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(pipeline, null, 2), 'utf-8');
+      fs.renameSync(tempPath, filePath);
+    } catch (err) {
+      console.error(`[pipelines/podcast] Failed to persist pipeline ${pipeline.id}:`, err);
+    }
+  }
+}
+
+const podcastPipeline = new PodcastPipeline();
+
+module.exports = {
+  PIPELINE_STATUS,
+  STAGE_STATUS,
+  STAGES,
+  PodcastPipeline,
+  podcastPipeline,
+};
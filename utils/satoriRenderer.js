@@ -0,0 +1,159 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Satori 渲染线程池
+ * 渲染任务在 worker 线程中执行（见 satoriWorker.js），不阻塞主线程，也不依赖浏览器：
+ * - size: worker 数量，全部繁忙时任务排队
+ * - taskTimeout: 单个任务超时时间，超时后终止该 worker 并重新创建
+ * - codeTimeout: 用户代码在沙箱中的执行超时
+ * - maxMemoryMb: 单个 worker 的堆内存上限，超出时 worker 被终止并重新创建
+ */
+class SatoriRenderer {
+  /**
+   * 构造函数
+   * @param {Object} options - 可选配置
+   * @param {number} options.size - worker 数量
+   * @param {number} options.taskTimeout - 单个任务超时时间（毫秒）
+   * @param {number} options.codeTimeout - 用户代码执行超时时间（毫秒）
+   * @param {number} options.maxMemoryMb - 单个 worker 的堆内存上限（MB）
+   */
+  constructor(options = {}) {
+    this.size = options.size || parseInt(process.env.SATORI_WORKERS, 10) || 1;
+    this.taskTimeout = options.taskTimeout || parseInt(process.env.SATORI_TASK_TIMEOUT, 10) || 30000;
+    this.codeTimeout = options.codeTimeout || parseInt(process.env.SATORI_CODE_TIMEOUT, 10) || 1000;
+    this.maxMemoryMb = options.maxMemoryMb || parseInt(process.env.SATORI_MAX_MEMORY_MB, 10) || 512;
+    this.workerPath = options.workerPath || path.join(__dirname, 'satoriWorker.js');
+    this.slots = Array.from({ length: this.size }, (_, id) => ({ id, worker: null, current: null }));
+    this.pending = [];
+    this.nextTaskId = 1;
+  }
+
+  /**
+   * 创建 worker（首次使用或上一个 worker 退出后）
+   * @param {Object} slot - worker 槽位
+   */
+  ensureWorker(slot) {
+    if (slot.worker) {
+      return slot.worker;
+    }
+
+    const worker = new Worker(this.workerPath, {
+      resourceLimits: { maxOldGenerationSizeMb: this.maxMemoryMb },
+    });
+    worker.on('message', ({ id, result, error }) => {
+      const current = slot.current;
+      if (!current || current.id !== id) return;
+      this.finish(slot, error ? this.toError(error) : null, result);
+    });
+    worker.on('error', (err) => {
+      console.error(`[satoriRenderer] Worker ${slot.id} error:`, err);
+      if (slot.worker === worker) {
+        slot.worker = null;
+        if (err && err.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+          const oom = new Error(`Satori render exceeded the memory limit of ${this.maxMemoryMb}MB`);
+          oom.code = 'MEMORY_LIMIT_EXCEEDED';
+          this.finish(slot, oom);
+        } else {
+          this.finish(slot, err);
+        }
+      }
+    });
+    worker.on('exit', (code) => {
+      if (slot.worker === worker) {
+        console.warn(`[satoriRenderer] Worker ${slot.id} exited with code ${code}`);
+        slot.worker = null;
+        this.finish(slot, new Error(`Satori worker exited with code ${code}`));
+      }
+    });
+    // 空闲时不阻止进程退出
+    worker.unref();
+
+    slot.worker = worker;
+    return worker;
+  }
+
+  /**
+   * 将 worker 返回的错误信息还原为 Error
+   * @param {Object} error - { name, code, details, message, stack }
+   * @returns {Error} 错误对象
+   */
+  toError(error) {
+    const err = new Error(error.message);
+    if (error.name) err.name = error.name;
+    if (error.code) err.code = error.code;
+    if (error.details) err.details = error.details;
+    if (error.stack) err.stack = error.stack;
+    return err;
+  }
+
+  /**
+   * 结束当前任务并调度下一个排队任务
+   * @param {Object} slot - worker 槽位
+   * @param {Error|null} err - 错误
+   * @param {Object} result - 渲染结果
+   */
+  finish(slot, err, result) {
+    const current = slot.current;
+    slot.current = null;
+    if (current) {
+      clearTimeout(current.timer);
+      if (err) {
+        current.reject(err);
+      } else {
+        current.resolve(result);
+      }
+    }
+    this.dispatch();
+  }
+
+  /**
+   * 将排队任务分配给空闲 worker
+   */
+  dispatch() {
+    for (const slot of this.slots) {
+      if (this.pending.length === 0) return;
+      if (slot.current) continue;
+
+      const task = this.pending.shift();
+      slot.current = task;
+      const worker = this.ensureWorker(slot);
+      task.timer = setTimeout(() => {
+        console.warn(`[satoriRenderer] Task ${task.id} timed out after ${this.taskTimeout}ms, restarting worker ${slot.id}`);
+        const err = new Error(`Satori render timed out after ${this.taskTimeout}ms`);
+        err.code = 'SATORI_TIMEOUT';
+        slot.worker = null;
+        worker.terminate().catch(() => {});
+        this.finish(slot, err);
+      }, this.taskTimeout);
+      worker.postMessage({ id: task.id, task: { codeTimeout: this.codeTimeout, ...task.payload } });
+    }
+  }
+
+  /**
+   * 提交渲染任务
+   * @param {Object} payload - { element | code, props, width, height, fonts, format, quality, scale, transparent }
+   *   传入 code 时在 worker 的沙箱中执行用户代码得到元素，props 作为只读全局变量提供给用户代码
+   *   format 为 'svg' 时返回 { svg }，否则返回 { data: Buffer, pixelWidth, pixelHeight }
+   * @returns {Promise<Object>} 渲染结果
+   */
+  render(payload) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ id: this.nextTaskId++, payload, resolve, reject, timer: null });
+      this.dispatch();
+    }).then((result) => {
+      if (result && result.data) {
+        // 结构化克隆后为 Uint8Array，转换为 Buffer
+        result.data = Buffer.from(result.data.buffer, result.data.byteOffset, result.data.byteLength);
+      }
+      return result;
+    });
+  }
+}
+
+const satoriRenderer = new SatoriRenderer();
+
+module.exports = {
+  SatoriRenderer,
+  satoriRenderer,
+};
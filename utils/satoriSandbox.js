@@ -0,0 +1,301 @@
+const vm = require('vm');
+const { transform } = require('sucrase');
+
+/**
+ * 用户代码文件名（用于错误定位）
+ */
+const FILENAME = 'user-code.js';
+
+/**
+ * 沙箱中不提供的 Node/浏览器 API，访问时返回 disallowed_api 错误
+ */
+const DISALLOWED_APIS = [
+  'require', 'process', 'module', 'exports', 'global', 'Buffer', '__dirname', '__filename',
+  'fetch', 'XMLHttpRequest', 'WebSocket', 'setTimeout', 'setInterval', 'setImmediate', 'satori',
+];
+
+/**
+ * 在沙箱上下文中定义的 React.createElement 模拟（Satori 兼容的 JSX）
+ * 在上下文内部定义，避免把宿主对象（及宿主的 Function 构造器）暴露给用户代码
+ */
+const PRELUDE = `
+const console = { log() {}, info() {}, warn() {}, error() {} };
+const React = {
+  Fragment: Symbol('React.Fragment'),
+  createElement(type, props, ...children) {
+    let processedChildren;
+    if (children.length === 0) {
+      processedChildren = undefined;
+    } else if (children.length === 1) {
+      processedChildren = children[0];
+    } else {
+      processedChildren = children;
+    }
+    const processedProps = { ...props };
+    if (processedChildren !== undefined) {
+      processedProps.children = processedChildren;
+    }
+    // 结果会被序列化，片段与函数组件在这里直接展开
+    if (type === React.Fragment) {
+      return processedChildren === undefined ? null : processedChildren;
+    }
+    if (typeof type === 'function') {
+      return type(processedProps);
+    }
+    return { type, props: processedProps };
+  },
+};
+const __deepFreeze = (value) => {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(__deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+const __stringify = JSON.stringify.bind(JSON);
+const __string = String;
+`;
+
+/**
+ * 用户代码前的包装行数（用于修正错误行号）
+ */
+const WRAPPER_LINES = 4;
+
+/**
+ * 包装用户代码：执行后在上下文内部序列化结果与错误，
+ * 宿主只接收字符串，不会触碰用户代码创建的对象（避免 getter/Proxy 在超时控制之外执行）
+ * @param {string} code - 用户代码
+ * @returns {string} 包装后的脚本
+ */
+function wrapCode(code) {
+  return `(function () {
+  let __result;
+  try {
+    __result = (function () {
+${code}
+;
+      if (typeof element !== 'undefined') return element;
+      if (typeof render === 'function') return render();
+      if (typeof renderElement === 'function') return renderElement();
+      return null;
+    })();
+  } catch (e) {
+    return __stringify({ error: { name: __string(e && e.name), message: __string(e && e.message), stack: __string(e && e.stack) } });
+  }
+  return __stringify({ value: __result === undefined ? null : __result });
+})()`;
+}
+
+/**
+ * 创建带错误码的错误
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @param {Object} details - 额外信息（line、column、api 等）
+ * @returns {Error} 错误对象
+ */
+function createError(code, message, details = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.details = details;
+  return err;
+}
+
+/**
+ * 从错误堆栈中提取用户代码的行列号
+ * @param {string} stack - 错误堆栈
+ * @returns {{line: number|null, column: number|null}} 行列号
+ */
+function getLocation(stack) {
+  const match = String(stack || '').match(new RegExp(`${FILENAME.replace('.', '\\.')}:(\\d+):(\\d+)`));
+  if (!match) {
+    return { line: null, column: null };
+  }
+  return { line: parseInt(match[1], 10), column: parseInt(match[2], 10) };
+}
+
+/**
+ * 从语法错误堆栈中提取行列号
+ * 堆栈格式：`user-code.js:3\n<源码行>\n    ^^^\n\nSyntaxError: ...`
+ * @param {SyntaxError} err - 语法错误
+ * @returns {{line: number|null, column: number|null}} 行列号
+ */
+function getSyntaxErrorLocation(err) {
+  const lines = String(err.stack || '').split('\n');
+  const lineMatch = lines[0] && lines[0].match(new RegExp(`${FILENAME.replace('.', '\\.')}:(\\d+)`));
+  if (!lineMatch) {
+    return { line: null, column: null };
+  }
+  const caretIndex = lines[2] ? lines[2].indexOf('^') : -1;
+  return {
+    line: parseInt(lineMatch[1], 10),
+    column: caretIndex >= 0 ? caretIndex + 1 : null,
+  };
+}
+
+/**
+ * Base64 VLQ 字符表（source map 编码）
+ */
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * 解码 source map 的 mappings
+ * @param {string} mappings - mappings 字符串
+ * @returns {Array<Array<Array<number>>>} 每个生成行的片段 [生成列, 原始行, 原始列]（均从0开始）
+ */
+function decodeMappings(mappings) {
+  const lines = [];
+  let sourceLine = 0;
+  let sourceColumn = 0;
+  for (const lineMappings of mappings.split(';')) {
+    const segments = [];
+    let generatedColumn = 0;
+    for (const segment of lineMappings.split(',')) {
+      if (!segment) continue;
+      const values = [];
+      let value = 0;
+      let shift = 0;
+      for (const char of segment) {
+        const digit = BASE64_CHARS.indexOf(char);
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+          shift += 5;
+        } else {
+          values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+      generatedColumn += values[0];
+      if (values.length >= 4) {
+        sourceLine += values[2];
+        sourceColumn += values[3];
+        segments.push([generatedColumn, sourceLine, sourceColumn]);
+      }
+    }
+    lines.push(segments);
+  }
+  return lines;
+}
+
+/**
+ * 将 JSX / TypeScript 转换为调用 React.createElement 的 JS
+ * sucrase 保持行号不变，列号通过 source map 映射回原始代码
+ * @param {string} code - 用户代码
+ * @returns {{code: string, mapLocation: Function}} 转换后的代码与行列号映射函数
+ * @throws {Error} err.code 为 SYNTAX_ERROR
+ */
+function transpile(code) {
+  let result;
+  try {
+    result = transform(code, {
+      transforms: ['jsx', 'typescript'],
+      production: true,
+      filePath: FILENAME,
+      sourceMapOptions: { compiledFilename: FILENAME },
+    });
+  } catch (err) {
+    // sucrase 的错误信息形如 `Error transforming user-code.js: Unexpected token (3:19)`，列从0开始
+    const loc = err && err.loc;
+    const message = String(err && err.message)
+      .replace(/^Error transforming [^:]*: /, '')
+      .replace(/\s*\(\d+:\d+\)$/, '');
+    throw createError('SYNTAX_ERROR', message, {
+      line: loc ? loc.line : null,
+      column: loc ? loc.column + 1 : null,
+    });
+  }
+
+  const lines = decodeMappings(result.sourceMap.mappings);
+  const mapLocation = ({ line, column }) => {
+    if (!line || !column) {
+      return { line, column };
+    }
+    let match = null;
+    for (const segment of lines[line - 1] || []) {
+      if (segment[0] > column - 1) break;
+      match = segment;
+    }
+    if (!match) {
+      return { line, column };
+    }
+    return { line: match[1] + 1, column: match[2] + (column - 1 - match[0]) + 1 };
+  };
+  return { code: result.code, mapLocation };
+}
+
+/**
+ * 在隔离的 VM 上下文中执行用户代码，返回 Satori 元素
+ * - 支持 JSX 与 TypeScript 类型注解（执行前在服务端转换，错误位置映射回原始代码）
+ * - 上下文中没有 require、process、fs、网络等 API
+ * - 禁止 eval / new Function（codeGeneration.strings = false）
+ * - 同步代码与微任务均受 timeout 限制
+ * 内存限制由所在 worker 的 resourceLimits 保证
+ * - 传入的数据以只读全局变量 props 提供给用户代码（以 JSON 传入，不会作为代码拼接）
+ * @param {string} code - 用户代码
+ * @param {Object} options - { timeout, props }
+ * @returns {Object} Satori 元素 { type, props }
+ * @throws {Error} err.code 为 SYNTAX_ERROR / CODE_TIMEOUT / DISALLOWED_API / CODE_EXECUTION_ERROR / INVALID_CODE
+ */
+function runUserCode(code, { timeout = 1000, props = {} } = {}) {
+  const { code: compiled, mapLocation } = transpile(code);
+
+  let script;
+  try {
+    script = new vm.Script(wrapCode(compiled), {
+      filename: FILENAME,
+      lineOffset: -WRAPPER_LINES,
+    });
+  } catch (err) {
+    throw createError('SYNTAX_ERROR', err.message, mapLocation(getSyntaxErrorLocation(err)));
+  }
+
+  // 使用无原型的全局对象，避免通过 this.constructor.constructor 拿到宿主的 Function 构造器
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate',
+  });
+
+  let output;
+  try {
+    vm.runInContext(PRELUDE, context, { timeout });
+    // 在上下文内部解析 JSON，用户代码拿到的是上下文自己的对象
+    vm.runInContext(`const props = __deepFreeze(JSON.parse(${JSON.stringify(JSON.stringify(props || {}))}));`, context, { timeout });
+    output = script.runInContext(context, { timeout });
+  } catch (err) {
+    if (err && err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw createError('CODE_TIMEOUT', `Code execution timed out after ${timeout}ms`, { timeout });
+    }
+    // 序列化阶段之外的异常（如超出调用栈），按执行错误处理
+    throw createError('CODE_EXECUTION_ERROR', String(err && err.message), mapLocation(getLocation(err && err.stack)));
+  }
+
+  if (typeof output !== 'string') {
+    throw createError('INVALID_CODE', 'Code must return a JSX element.');
+  }
+
+  const parsed = JSON.parse(output);
+  if (parsed.error) {
+    const { name, message, stack } = parsed.error;
+    const location = mapLocation(getLocation(stack));
+
+    const notDefined = name === 'ReferenceError' && message.match(/^(\w+) is not defined$/);
+    if (notDefined && DISALLOWED_APIS.includes(notDefined[1])) {
+      throw createError('DISALLOWED_API', `${notDefined[1]} is not available in the sandbox`, { api: notDefined[1], ...location });
+    }
+    if (name === 'EvalError' && /code generation from strings disallowed/i.test(message)) {
+      throw createError('DISALLOWED_API', 'eval and new Function are not available in the sandbox', { api: 'eval', ...location });
+    }
+
+    throw createError('CODE_EXECUTION_ERROR', `${name}: ${message}`, location);
+  }
+
+  if (!parsed.value || typeof parsed.value !== 'object') {
+    throw createError('INVALID_CODE', 'Code must return a JSX element. Use "const element = React.createElement(...)" or define a "render" function that returns an element.');
+  }
+
+  return parsed.value;
+}
+
+module.exports = {
+  runUserCode,
+};
@@ -0,0 +1,91 @@
+const { parentPort } = require('worker_threads');
+const satoriModule = require('satori');
+const satori = satoriModule.default || satoriModule;
+const { Resvg } = require('@resvg/resvg-js');
+const sharp = require('sharp');
+const { runUserCode } = require('./satoriSandbox');
+
+/**
+ * Satori 渲染 Worker
+ * 在独立线程中完成 Satori -> SVG -> 位图的转换，不依赖浏览器：
+ * - SVG 由 resvg 光栅化为 PNG（Satori 已将文字转换为路径，无需系统字体）
+ * - jpeg/webp/avif 由 sharp 从 PNG 转码
+ * - 传入 code 时在沙箱中执行用户代码得到元素（见 satoriSandbox.js），内存由 worker 的 resourceLimits 限制
+ */
+
+/**
+ * 将结构化克隆后的 Uint8Array 还原为 Buffer
+ * @param {Uint8Array} data - 二进制数据
+ * @returns {Buffer} Buffer
+ */
+function toBuffer(data) {
+  return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * 执行渲染任务
+ * @param {Object} task - { element | code, props, codeTimeout, width, height, fonts, format, quality, scale, transparent }
+ * @returns {Promise<Object>} { svg } 或 { data, pixelWidth, pixelHeight }
+ */
+async function render({ element, code, props, codeTimeout, width, height, fonts = [], format = 'svg', quality = 90, scale = 1, transparent = false }) {
+  if (!element) {
+    element = runUserCode(code, { timeout: codeTimeout, props });
+  }
+
+  const svg = await satori(element, {
+    width,
+    height,
+    fonts: fonts.length > 0
+      ? fonts.map(font => ({ ...font, data: toBuffer(font.data) }))
+      : undefined,
+  });
+
+  if (format === 'svg') {
+    return { svg };
+  }
+
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'zoom', value: scale },
+    // 非透明时使用白色背景，与浏览器截图的默认背景一致
+    background: transparent ? undefined : '#ffffff',
+    font: { loadSystemFonts: false },
+  });
+  const rendered = resvg.render();
+  const png = rendered.asPng();
+  const pixelWidth = rendered.width;
+  const pixelHeight = rendered.height;
+
+  let data;
+  if (format === 'png') {
+    data = png;
+  } else if (format === 'jpeg') {
+    // JPEG 不支持透明通道，铺白色背景
+    data = await sharp(png).flatten({ background: '#ffffff' }).jpeg({ quality }).toBuffer();
+  } else if (format === 'webp') {
+    data = await sharp(png).webp({ quality }).toBuffer();
+  } else if (format === 'avif') {
+    data = await sharp(png).avif({ quality }).toBuffer();
+  } else {
+    throw new Error(`Unsupported format: ${format}`);
+  }
+
+  return { data, pixelWidth, pixelHeight };
+}
+
+parentPort.on('message', async ({ id, task }) => {
+  try {
+    const result = await render(task);
+    parentPort.postMessage({ id, result });
+  } catch (err) {
+    parentPort.postMessage({
+      id,
+      error: {
+        name: err && err.name,
+        code: err && err.code,
+        details: err && err.details,
+        message: err && err.message ? err.message : String(err),
+        stack: err && err.stack,
+      },
+    });
+  }
+});
@@ -0,0 +1,532 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const cronParser = require('cron-parser');
+const { splitSensitiveFields } = require('./jobQueue');
+
+/**
+ * 执行记录状态
+ */
+const RUN_STATUS = {
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+};
+
+/**
+ * 允许的动作请求方法
+ */
+const ACTION_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * setTimeout 的最大延迟（约 24.8 天），更远的执行时间分段等待
+ */
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * 执行记录中保留的响应体最大长度（字符）
+ */
+const MAX_RESPONSE_LENGTH = 4000;
+
+/**
+ * 创建带错误码的错误
+ * @param {string} message - 错误信息
+ * @param {string} code - 错误码
+ * @returns {Error} 错误对象
+ */
+function scheduleError(message, code = 'INVALID_SCHEDULE') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * 计算 cron 表达式的下一次执行时间
+ * @param {string} cron - cron 表达式（5 段，或带秒的 6 段）
+ * @param {string} timezone - 时区（如 Asia/Shanghai），为空时使用服务器时区
+ * @param {Date} from - 起始时间
+ * @returns {Date} 下一次执行时间
+ */
+function nextRunDate(cron, timezone, from = new Date()) {
+  return cronParser.parseExpression(cron, {
+    currentDate: from,
+    tz: timezone || undefined,
+  }).next().toDate();
+}
+
+/**
+ * 校验 cron 表达式与时区
+ * @param {string} cron - cron 表达式
+ * @param {string} timezone - 时区
+ */
+function validateCron(cron, timezone) {
+  if (typeof cron !== 'string' || !cron.trim()) {
+    throw scheduleError('cron is required (e.g. "0 * * * *")');
+  }
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (e) {
+      throw scheduleError(`Invalid timezone: ${timezone}`);
+    }
+  }
+  try {
+    nextRunDate(cron, timezone);
+  } catch (e) {
+    throw scheduleError(`Invalid cron expression "${cron}": ${e.message}`);
+  }
+}
+
+/**
+ * 校验并规范化动作：调用本服务的任意接口
+ * @param {Object} action - { method, path, body }
+ * @returns {Object} 规范化后的动作
+ */
+function normalizeAction(action) {
+  if (!action || typeof action !== 'object' || Array.isArray(action)) {
+    throw scheduleError('action is required: { method, path, body }');
+  }
+
+  const method = String(action.method || 'POST').toUpperCase();
+  if (!ACTION_METHODS.includes(method)) {
+    throw scheduleError(`action.method must be one of: ${ACTION_METHODS.join(', ')}`);
+  }
+
+  const actionPath = action.path;
+  if (typeof actionPath !== 'string' || !actionPath.startsWith('/') || actionPath.startsWith('//')) {
+    throw scheduleError('action.path must be a path on this server (e.g. /crawl/aibase)');
+  }
+  // 定时任务不能再去操作定时任务，避免互相触发
+  if (/^\/schedules(\/|\?|$)/.test(actionPath)) {
+    throw scheduleError('action.path cannot target /schedules');
+  }
+
+  const body = action.body === undefined ? undefined : action.body;
+  if (body !== undefined && (body === null || typeof body !== 'object')) {
+    throw scheduleError('action.body must be a JSON object or array');
+  }
+
+  return { method, path: actionPath, body };
+}
+
+/**
+ * 拆分动作请求体中的凭据字段（cookies、token 等），数组请求体不处理
+ * @param {Object|Array|undefined} body - 动作请求体
+ * @returns {{body: Object|Array|undefined, secrets: Object}} 去除凭据后的请求体与凭据字段
+ */
+function splitActionSecrets(body) {
+  if (!body || Array.isArray(body)) {
+    return { body, secrets: {} };
+  }
+  return splitSensitiveFields(body);
+}
+
+/**
+ * 将动作的响应转换为执行记录中保存的摘要
+ * JSON 响应保留内容（过长时截断），其他类型（图片、视频等）只记录类型和大小
+ * @param {Buffer} data - 响应体
+ * @param {string} contentType - 响应类型
+ * @returns {Object|string|null} 响应摘要
+ */
+function summarizeResponse(data, contentType = '') {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data || '');
+  if (buffer.length === 0) return null;
+
+  if (/json|text/i.test(contentType)) {
+    const text = buffer.toString('utf-8');
+    if (text.length > MAX_RESPONSE_LENGTH) {
+      return { truncated: true, size: buffer.length, preview: text.slice(0, MAX_RESPONSE_LENGTH) };
+    }
+    if (/json/i.test(contentType)) {
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return text;
+      }
+    }
+    return text;
+  }
+
+  return { contentType: contentType || null, size: buffer.length };
+}
+
+/**
+ * 内置定时任务调度器
+ * 按 cron 表达式定时调用本服务的接口（爬取、合成音频、生成视频、发布等），
+ * 定时任务与执行记录持久化到 data/schedules.json，服务重启后恢复调度：
+ * - 停机期间错过的执行不补跑，从当前时间计算下一次执行
+ * - running 状态的执行记录标记为 failed（执行中断）
+ * 动作请求体中的凭据字段只保存在内存中，不写入文件也不通过接口返回；
+ * 重启后凭据丢失，带凭据的定时任务执行时直接失败（credentials_lost）
+ */
+class Scheduler {
+  /**
+   * 构造函数
+   * @param {Object} options - 可选配置
+   * @param {string} options.filePath - 持久化文件路径
+   * @param {number} options.historyLimit - 每个定时任务保留的执行记录数
+   * @param {number} options.actionTimeout - 单次执行的超时时间（毫秒）
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(__dirname, '..', 'data', 'schedules.json');
+    this.historyLimit = options.historyLimit || parseInt(process.env.SCHEDULE_HISTORY_LIMIT, 10) || 50;
+    this.actionTimeout = options.actionTimeout || parseInt(process.env.SCHEDULE_ACTION_TIMEOUT, 10) || 30 * 60 * 1000;
+    this.schedules = new Map();
+    this.timers = new Map();
+    this.running = new Set();
+    // 动作凭据（仅内存）：scheduleId -> 凭据字段
+    this.secrets = new Map();
+    this.baseUrl = null;
+    this.initialized = false;
+  }
+
+  /**
+   * 加载已持久化的定时任务并开始调度
+   * @param {Object} options - { baseUrl: 本服务地址，如 http://127.0.0.1:3000 }
+   */
+  init({ baseUrl } = {}) {
+    this.baseUrl = baseUrl;
+    if (this.initialized) return;
+    this.initialized = true;
+
+    if (fs.existsSync(this.filePath)) {
+      try {
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        for (const schedule of saved.schedules || []) {
+          // 旧版本可能把凭据写入了文件，加载时清除
+          const { body, secrets } = splitActionSecrets(schedule.action && schedule.action.body);
+          if (Object.keys(secrets).length > 0) {
+            schedule.action.body = body;
+            schedule.action.secretFields = Object.keys(secrets);
+          }
+          for (const run of schedule.runs || []) {
+            if (run.status === RUN_STATUS.RUNNING) {
+              run.status = RUN_STATUS.FAILED;
+              run.error = { error: 'run_interrupted', message: 'Run was interrupted by a server restart' };
+              run.finishedAt = new Date().toISOString();
+            }
+          }
+          this.schedules.set(schedule.id, schedule);
+        }
+      } catch (err) {
+        console.error('[schedules] Failed to load schedules:', err.message);
+      }
+    }
+
+    for (const schedule of this.schedules.values()) {
+      this.arm(schedule);
+    }
+    this.persist();
+
+    const active = Array.from(this.schedules.values()).filter(s => s.enabled).length;
+    console.log(`✓ Scheduler initialized (${this.schedules.size} schedules loaded, ${active} active)`);
+  }
+
+  /**
+   * 列出定时任务（按创建时间排序）
+   * @returns {Array} 定时任务列表
+   */
+  list() {
+    return Array.from(this.schedules.values())
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * 获取定时任务
+   * @param {string} id - 定时任务ID
+   * @returns {Object|null} 定时任务
+   */
+  get(id) {
+    return this.schedules.get(id) || null;
+  }
+
+  /**
+   * 创建定时任务
+   * @param {Object} options - { name, cron, timezone, action: { method, path, body }, enabled }
+   * @returns {Object} 定时任务
+   */
+  create({ name, cron, timezone, action, enabled = true } = {}) {
+    validateCron(cron, timezone);
+    const normalizedAction = normalizeAction(action);
+    const { body, secrets } = splitActionSecrets(normalizedAction.body);
+    normalizedAction.body = body;
+    if (Object.keys(secrets).length > 0) {
+      // 只记录字段名，重启后据此判断凭据已丢失
+      normalizedAction.secretFields = Object.keys(secrets);
+    }
+    if (name !== undefined && typeof name !== 'string') {
+      throw scheduleError('name must be a string');
+    }
+
+    const now = new Date().toISOString();
+    const schedule = {
+      id: crypto.randomUUID(),
+      name: name || `${normalizedAction.method} ${normalizedAction.path}`,
+      cron: cron.trim(),
+      timezone: timezone || null,
+      action: normalizedAction,
+      enabled: enabled !== false && enabled !== 'false',
+      createdAt: now,
+      updatedAt: now,
+      nextRunAt: null,
+      lastRunAt: null,
+      lastStatus: null,
+      runs: [],
+    };
+
+    this.schedules.set(schedule.id, schedule);
+    if (Object.keys(secrets).length > 0) {
+      this.secrets.set(schedule.id, secrets);
+    }
+    this.arm(schedule);
+    this.persist();
+    console.log(`[schedules] Schedule created: ${schedule.id} (${schedule.cron} -> ${normalizedAction.method} ${normalizedAction.path})`);
+    return schedule;
+  }
+
+  /**
+   * 暂停或恢复定时任务
+   * @param {string} id - 定时任务ID
+   * @param {boolean} enabled - 是否启用
+   * @returns {Object|null} 定时任务
+   */
+  setEnabled(id, enabled) {
+    const schedule = this.get(id);
+    if (!schedule) return null;
+
+    schedule.enabled = enabled;
+    schedule.updatedAt = new Date().toISOString();
+    this.arm(schedule);
+    this.persist();
+    console.log(`[schedules] Schedule ${enabled ? 'resumed' : 'paused'}: ${id}`);
+    return schedule;
+  }
+
+  /**
+   * 删除定时任务（执行中的动作不会被中断）
+   * @param {string} id - 定时任务ID
+   * @returns {boolean} 是否删除
+   */
+  remove(id) {
+    if (!this.schedules.has(id)) return false;
+    this.disarm(id);
+    this.schedules.delete(id);
+    this.secrets.delete(id);
+    this.persist();
+    console.log(`[schedules] Schedule deleted: ${id}`);
+    return true;
+  }
+
+  /**
+   * 立即执行一次定时任务（不影响下一次定时执行）
+   * @param {string} id - 定时任务ID
+   * @returns {{run: Object, done: Promise}} 执行记录与执行完成的 Promise
+   */
+  trigger(id) {
+    const schedule = this.get(id);
+    if (!schedule) {
+      throw scheduleError(`Schedule not found: ${id}`, 'SCHEDULE_NOT_FOUND');
+    }
+    if (this.running.has(id)) {
+      throw scheduleError('Schedule is already running', 'SCHEDULE_BUSY');
+    }
+    return this.execute(schedule, 'manual');
+  }
+
+  /**
+   * 清除定时器
+   * @param {string} id - 定时任务ID
+   */
+  disarm(id) {
+    const timer = this.timers.get(id);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(id);
+    }
+  }
+
+  /**
+   * 根据 cron 表达式设置下一次执行的定时器，暂停的任务只清除定时器
+   * @param {Object} schedule - 定时任务
+   */
+  arm(schedule) {
+    this.disarm(schedule.id);
+    if (!schedule.enabled) {
+      schedule.nextRunAt = null;
+      return;
+    }
+
+    let next;
+    try {
+      next = nextRunDate(schedule.cron, schedule.timezone);
+    } catch (err) {
+      console.error(`[schedules] Invalid cron for ${schedule.id}:`, err.message);
+      schedule.nextRunAt = null;
+      return;
+    }
+    schedule.nextRunAt = next.toISOString();
+
+    const wait = () => {
+      const delay = next.getTime() - Date.now();
+      const timer = setTimeout(() => {
+        if (Date.now() < next.getTime()) {
+          wait();
+          return;
+        }
+        this.timers.delete(schedule.id);
+        this.fire(schedule);
+      }, Math.max(0, Math.min(delay, MAX_TIMEOUT)));
+      // 定时器不阻止进程退出
+      timer.unref();
+      this.timers.set(schedule.id, timer);
+    };
+    wait();
+  }
+
+  /**
+   * 定时触发：上一次执行未结束时跳过本次，然后设置下一次执行
+   * @param {Object} schedule - 定时任务
+   */
+  fire(schedule) {
+    if (!this.schedules.has(schedule.id) || !schedule.enabled) return;
+
+    if (this.running.has(schedule.id)) {
+      const now = new Date().toISOString();
+      this.record(schedule, {
+        id: crypto.randomUUID(),
+        trigger: 'cron',
+        status: RUN_STATUS.SKIPPED,
+        startedAt: now,
+        finishedAt: now,
+        error: { error: 'previous_run_in_progress', message: 'Skipped because the previous run has not finished' },
+      });
+      console.warn(`[schedules] Skipped ${schedule.id}: previous run still in progress`);
+    } else {
+      this.execute(schedule, 'cron').done.catch(() => {});
+    }
+
+    this.arm(schedule);
+    this.persist();
+  }
+
+  /**
+   * 追加执行记录（最新的在前，超出上限的丢弃）
+   * @param {Object} schedule - 定时任务
+   * @param {Object} run - 执行记录
+   */
+  record(schedule, run) {
+    schedule.runs = [run, ...(schedule.runs || [])].slice(0, this.historyLimit);
+    schedule.lastRunAt = run.startedAt;
+    schedule.lastStatus = run.status;
+    this.persist();
+  }
+
+  /**
+   * 执行定时任务的动作：以 HTTP 请求调用本服务的接口
+   * @param {Object} schedule - 定时任务
+   * @param {string} trigger - 触发方式 cron | manual
+   * @returns {{run: Object, done: Promise}} 执行记录与执行完成的 Promise
+   */
+  execute(schedule, trigger) {
+    const { method, path: actionPath, body, secretFields = [] } = schedule.action;
+    const secrets = this.secrets.get(schedule.id);
+    const run = {
+      id: crypto.randomUUID(),
+      trigger,
+      status: RUN_STATUS.RUNNING,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      statusCode: null,
+      response: null,
+      error: null,
+    };
+    this.running.add(schedule.id);
+    this.record(schedule, run);
+    console.log(`[schedules] Running ${schedule.id} (${trigger}): ${method} ${actionPath}`);
+
+    const done = (async () => {
+      const startedAt = Date.now();
+      try {
+        if (!this.baseUrl) {
+          throw new Error('Scheduler is not initialized');
+        }
+        // 不带凭据执行可能改用其他账号（如发布回退到本地 cookies 文件），直接失败
+        if (secretFields.length > 0 && !secrets) {
+          throw scheduleError(
+            `Credentials (${secretFields.join(', ')}) were lost on server restart, recreate the schedule`,
+            'CREDENTIALS_LOST',
+          );
+        }
+        const response = await axios.request({
+          method,
+          url: `${this.baseUrl}${actionPath}`,
+          data: secrets ? { ...body, ...secrets } : body,
+          timeout: this.actionTimeout,
+          responseType: 'arraybuffer',
+          maxContentLength: Infinity,
+          validateStatus: () => true,
+          headers: { 'X-Schedule-Id': schedule.id },
+        });
+
+        run.statusCode = response.status;
+        run.response = summarizeResponse(response.data, response.headers['content-type']);
+        if (response.status >= 400) {
+          run.status = RUN_STATUS.FAILED;
+          run.error = run.response && typeof run.response === 'object' && run.response.error
+            ? { error: run.response.error, message: run.response.message }
+            : { error: 'action_failed', message: `Action responded with status ${response.status}` };
+        } else {
+          run.status = RUN_STATUS.SUCCEEDED;
+        }
+      } catch (err) {
+        run.status = RUN_STATUS.FAILED;
+        const errorCodes = { ECONNABORTED: 'action_timeout', CREDENTIALS_LOST: 'credentials_lost' };
+        run.error = {
+          error: errorCodes[err.code] || 'action_failed',
+          message: err && err.message ? err.message : String(err),
+        };
+      } finally {
+        run.finishedAt = new Date().toISOString();
+        run.durationMs = Date.now() - startedAt;
+        this.running.delete(schedule.id);
+        schedule.lastStatus = run.status;
+        this.persist();
+      }
+
+      if (run.status === RUN_STATUS.FAILED) {
+        console.error(`[schedules] Run failed: ${schedule.id} (${run.durationMs}ms)`, run.error);
+      } else {
+        console.log(`[schedules] Run succeeded: ${schedule.id} (${run.durationMs}ms, status ${run.statusCode})`);
+      }
+      return run;
+    })();
+
+    return { run, done };
+  }
+
+  /**
+   * 持久化全部定时任务（先写临时文件再重命名，避免写入中断导致文件损坏）
+   */
+  persist() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ schedules: this.list() }, null, 2), 'utf-8');
+      fs.renameSync(tempPath, this.filePath);
+    } catch (err) {
+      console.error('[schedules] Failed to persist schedules:', err);
+    }
+  }
+}
+
+const scheduler = new Scheduler();
+
+module.exports = {
+  RUN_STATUS,
+  Scheduler,
+  scheduler,
+  splitActionSecrets,
+};
@@ -0,0 +1,211 @@
+/**
+ * 字幕时间轴计算（不依赖 FFmpeg，停顿由调用方检测后传入）
+ */
+
+/**
+ * 根据字数和总时长计算每个文本片段的时间戳
+ * @param {Array<string>} segments - 文本片段数组
+ * @param {number} totalDuration - 总时长（秒）
+ * @param {number} startTime - 开始时间（秒）
+ * @returns {Array<{text: string, startTime: number, endTime: number}>} 带时间戳的字幕数组
+ */
+function calculateSubtitleTimings(segments, totalDuration, startTime = 0) {
+  if (segments.length === 0) {
+    return [];
+  }
+
+  // 计算总字符数（不包括标点符号）
+  const punctuationRegex = /[。！？；：，、\n\s]/g;
+  const totalChars = segments.reduce((sum, seg) => {
+    return sum + seg.replace(punctuationRegex, '').length;
+  }, 0);
+
+  if (totalChars === 0) {
+    // 如果全是标点符号，平均分配时间
+    const segmentDuration = totalDuration / segments.length;
+    return segments.map((seg, index) => ({
+      text: seg,
+      startTime: startTime + index * segmentDuration,
+      endTime: startTime + (index + 1) * segmentDuration,
+    }));
+  }
+
+  // 计算每个字符的平均时长
+  const timePerChar = totalDuration / totalChars;
+  
+  // 先计算每个片段的理想时长
+  const idealDurations = segments.map(segment => {
+    const charCount = segment.replace(punctuationRegex, '').length;
+    // 每个片段至少0.5秒，最多不超过总时长的1/3
+    return Math.max(0.5, Math.min(totalDuration / 3, charCount * timePerChar));
+  });
+
+  // 计算理想总时长
+  const idealTotal = idealDurations.reduce((sum, dur) => sum + dur, 0);
+  
+  // 如果理想总时长超过实际时长，按比例缩放
+  const scaleFactor = idealTotal > totalDuration ? totalDuration / idealTotal : 1;
+  
+  // 为每个片段分配时间
+  const subtitles = [];
+  let currentTime = startTime;
+  let remainingTime = totalDuration;
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    let segmentDuration = idealDurations[i] * scaleFactor;
+    
+    // 最后一个片段使用剩余的所有时间
+    if (i === segments.length - 1) {
+      segmentDuration = remainingTime;
+    } else {
+      // 确保不会超过剩余时间
+      segmentDuration = Math.min(segmentDuration, remainingTime - 0.5 * (segments.length - i - 1));
+    }
+    
+    // 确保每个片段至少0.3秒（最后一个片段除外）
+    if (i < segments.length - 1) {
+      segmentDuration = Math.max(0.3, segmentDuration);
+    }
+    
+    subtitles.push({
+      text: segment,
+      startTime: currentTime,
+      endTime: currentTime + segmentDuration,
+    });
+    
+    currentTime += segmentDuration;
+    remainingTime -= segmentDuration;
+  }
+
+  // 确保最后一个片段的时间准确
+  if (subtitles.length > 0) {
+    subtitles[subtitles.length - 1].endTime = startTime + totalDuration;
+  }
+
+  return subtitles;
+}
+
+/**
+ * 估算文本的朗读长度权重：中文按字计，英文单词和数字按词计（一个单词约等于 1.5 个汉字）
+ * @param {string} text - 文本
+ * @returns {number} 权重
+ */
+function speechWeight(text) {
+  const cjk = (text.match(/[\u3400-\u9fff\uf900-\ufaff]/g) || []).length;
+  const words = (text.match(/[A-Za-z0-9]+(?:['.-][A-Za-z0-9]+)*/g) || []).length;
+  return Math.max(1, cjk + words * 1.5);
+}
+
+/**
+ * 根据音频中的停顿计算每个文本片段的时间戳
+ * 1. 按朗读权重估算每个片段边界的位置
+ * 2. 用动态规划为边界按顺序匹配停顿（中点），代价为与估算位置的偏差（以平均片段时长归一化），
+ *    不匹配停顿的边界代价为 1，片段内部的换气等多余停顿不计代价
+ * 3. 未匹配停顿的边界在前后两个已确定的边界之间按权重分配
+ * @param {Array<string>} segments - 文本片段数组
+ * @param {number} totalDuration - 音频时长（秒）
+ * @param {number} startTime - 开始时间（秒）
+ * @param {Array<{start: number, end: number}>} silences - 音频内的静音区间（相对音频开头，秒）
+ * @returns {Array<{text: string, startTime: number, endTime: number}>} 带时间戳的字幕数组
+ */
+function alignSubtitleTimings(segments, totalDuration, startTime, silences) {
+  if (segments.length === 0) {
+    return [];
+  }
+
+  // 开头和结尾的静音不显示字幕
+  let speechStart = 0;
+  let speechEnd = totalDuration;
+  const leading = silences.find(silence => silence.start <= 0.05);
+  if (leading && leading.end < totalDuration) {
+    speechStart = leading.end;
+  }
+  const trailing = silences.find(silence => silence.end >= totalDuration - 0.05 && silence.start > speechStart);
+  if (trailing) {
+    speechEnd = trailing.start;
+  }
+  if (speechEnd - speechStart < 0.3 * segments.length) {
+    return calculateSubtitleTimings(segments, totalDuration, startTime);
+  }
+
+  const pauses = silences
+    .filter(silence => silence.start > speechStart && silence.end < speechEnd)
+    .map(silence => (silence.start + silence.end) / 2);
+  const weights = segments.map(speechWeight);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const speechDuration = speechEnd - speechStart;
+  const averageSegment = speechDuration / segments.length;
+
+  // 估算的边界位置（第 i 个片段结束处）
+  const estimates = [];
+  let accumulated = 0;
+  for (let i = 0; i < segments.length - 1; i++) {
+    accumulated += weights[i];
+    estimates.push(speechStart + speechDuration * (accumulated / totalWeight));
+  }
+
+  // cost[i][j]：前 i 个边界、只使用前 j 个停顿时的最小代价
+  const n = estimates.length;
+  const m = pauses.length;
+  const cost = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(Infinity));
+  const choice = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(null));
+  cost[0].fill(0);
+  for (let i = 1; i <= n; i++) {
+    for (let j = 0; j <= m; j++) {
+      // 第 i 个边界不匹配停顿
+      cost[i][j] = cost[i - 1][j] + 1;
+      choice[i][j] = 'skip';
+      if (j > 0) {
+        // 第 j 个停顿不作为边界
+        if (cost[i][j - 1] < cost[i][j]) {
+          cost[i][j] = cost[i][j - 1];
+          choice[i][j] = 'unused';
+        }
+        // 第 i 个边界匹配第 j 个停顿
+        const matched = cost[i - 1][j - 1] + Math.abs(pauses[j - 1] - estimates[i - 1]) / averageSegment;
+        if (matched < cost[i][j]) {
+          cost[i][j] = matched;
+          choice[i][j] = 'match';
+        }
+      }
+    }
+  }
+
+  // 回溯得到每个边界匹配的停顿
+  const anchors = new Array(n).fill(null);
+  for (let i = n, j = m; i > 0;) {
+    if (choice[i][j] === 'match') {
+      anchors[i - 1] = pauses[j - 1];
+      i--;
+      j--;
+    } else if (choice[i][j] === 'unused') {
+      j--;
+    } else {
+      i--;
+    }
+  }
+
+  // 未匹配的边界在前后已确定的边界之间按权重分配
+  const boundaries = [speechStart, ...anchors, speechEnd];
+  for (let i = 1; i < boundaries.length - 1; i++) {
+    if (boundaries[i] !== null) continue;
+    let next = i + 1;
+    while (boundaries[next] === null) next++;
+    const span = boundaries[next] - boundaries[i - 1];
+    const spanWeight = weights.slice(i - 1, next).reduce((sum, weight) => sum + weight, 0);
+    boundaries[i] = boundaries[i - 1] + span * (weights[i - 1] / spanWeight);
+  }
+
+  return segments.map((text, i) => ({
+    text,
+    startTime: startTime + boundaries[i],
+    endTime: startTime + boundaries[i + 1],
+  }));
+}
+
+module.exports = {
+  calculateSubtitleTimings,
+  speechWeight,
+  alignSubtitleTimings,
+};
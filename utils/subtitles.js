@@ -0,0 +1,721 @@
+const { parseColorForAss } = require('./colorUtils');
+
+/**
+ * 支持输出的字幕格式
+ */
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass'];
+
+/**
+ * 字幕位置与 ASS 对齐方式（小键盘布局：2 底部居中、5 居中、8 顶部居中）
+ */
+const SUBTITLE_POSITIONS = {
+  bottom: 2,
+  middle: 5,
+  top: 8,
+};
+
+/**
+ * 原先 subtitles 滤镜 + force_style 的默认样式基于 384x288 的画布，
+ * 生成 ASS 时按视频尺寸换算，保持默认效果不变
+ */
+const LEGACY_PLAY_RES = { width: 384, height: 288 };
+
+/**
+ * 创建带错误码的错误
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function styleError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_SUBTITLE_STYLE';
+  return err;
+}
+
+/**
+ * 将秒数转换为 SRT 时间格式 (HH:MM:SS,mmm)
+ * @param {number} seconds - 秒数
+ * @returns {string} SRT 时间格式字符串
+ */
+function formatSrtTime(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const milliseconds = totalMs % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')},${String(milliseconds).padStart(3, '0')}`;
+}
+
+/**
+ * 将秒数转换为 WebVTT 时间格式 (HH:MM:SS.mmm)
+ * @param {number} seconds - 秒数
+ * @returns {string} WebVTT 时间格式字符串
+ */
+function formatVttTime(seconds) {
+  return formatSrtTime(seconds).replace(',', '.');
+}
+
+/**
+ * 将秒数转换为 ASS 时间格式 (H:MM:SS.cc)
+ * @param {number} seconds - 秒数
+ * @returns {string} ASS 时间格式字符串
+ */
+function formatAssTime(seconds) {
+  const centiseconds = Math.round(seconds * 100);
+  const hours = Math.floor(centiseconds / 360000);
+  const minutes = Math.floor((centiseconds % 360000) / 6000);
+  const secs = Math.floor((centiseconds % 6000) / 100);
+  const cs = centiseconds % 100;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+}
+
+/**
+ * 解析 SRT/WebVTT 时间（HH:MM:SS,mmm、HH:MM:SS.mmm 或 MM:SS.mmm）
+ * @param {string} value - 时间字符串
+ * @returns {number} 秒数
+ */
+function parseTimestamp(value) {
+  const parts = value.trim().replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * 解析 SRT 或 WebVTT 字幕
+ * @param {string} content - 字幕文件内容
+ * @returns {Array<{text: string, startTime: number, endTime: number}>} 字幕数组
+ */
+function parseCues(content) {
+  const cues = [];
+  const normalized = String(content).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const isVtt = /^WEBVTT/.test(normalized);
+  const blocks = normalized.split(/\n{2,}/);
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timeIndex = lines.findIndex(line => line.includes('-->'));
+    if (timeIndex === -1) {
+      continue; // 序号缺失的空块、WEBVTT 头、NOTE/STYLE 块
+    }
+    const [start, end] = lines[timeIndex].split('-->');
+    const startTime = parseTimestamp(start);
+    // WebVTT 的时间后面可以跟设置（如 align:start），只取时间部分
+    const endTime = parseTimestamp(end.trim().split(/\s+/)[0]);
+    let text = lines.slice(timeIndex + 1).join('\n').trim();
+    if (isVtt) {
+      // 去掉 WebVTT 的标签（如 <v 说话人>、<b>）并还原转义字符
+      text = text.replace(/<[^>]*>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    }
+    if (Number.isFinite(startTime) && Number.isFinite(endTime) && text) {
+      cues.push({ text, startTime, endTime });
+    }
+  }
+  return cues;
+}
+
+/**
+ * 解析 ASS/SSA 字幕的对话（样式标签会被去掉，\N 转换为换行）
+ * @param {string} content - 字幕文件内容
+ * @returns {Array<{text: string, startTime: number, endTime: number}>} 字幕数组
+ */
+function parseAssCues(content) {
+  const cues = [];
+  let columns = null;
+  let inEvents = false;
+  for (const rawLine of String(content).replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.trim();
+    if (/^\[.*\]$/.test(line)) {
+      inEvents = line.toLowerCase() === '[events]';
+      continue;
+    }
+    if (!inEvents) {
+      continue;
+    }
+    if (line.startsWith('Format:')) {
+      columns = line.slice('Format:'.length).split(',').map(column => column.trim().toLowerCase());
+      continue;
+    }
+    if (!line.startsWith('Dialogue:') || !columns) {
+      continue;
+    }
+    // Text 是最后一列，其中可以包含逗号
+    const values = line.slice('Dialogue:'.length).split(',');
+    const fields = values.slice(0, columns.length - 1).map(value => value.trim());
+    fields.push(values.slice(columns.length - 1).join(','));
+    const field = name => fields[columns.indexOf(name)] || '';
+    const text = field('text')
+      .replace(/\{[^}]*\}/g, '')
+      .replace(/\\[Nn]/g, '\n')
+      .replace(/\\h/g, ' ')
+      .trim();
+    const startTime = parseTimestamp(field('start'));
+    const endTime = parseTimestamp(field('end'));
+    if (Number.isFinite(startTime) && Number.isFinite(endTime) && text) {
+      cues.push({ text, startTime, endTime });
+    }
+  }
+  return cues.sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * 判断字幕格式
+ * @param {string} content - 字幕文件内容
+ * @returns {string} srt、vtt 或 ass
+ */
+function detectSubtitleFormat(content) {
+  if (isAssContent(content)) {
+    return 'ass';
+  }
+  return /^\uFEFF?WEBVTT/.test(String(content)) ? 'vtt' : 'srt';
+}
+
+/**
+ * 解析字幕（自动识别 SRT、WebVTT、ASS）
+ * @param {string} content - 字幕文件内容
+ * @returns {{format: string, cues: Array<{text: string, startTime: number, endTime: number}>}} 格式与字幕数组
+ */
+function parseSubtitles(content) {
+  const format = detectSubtitleFormat(content);
+  return {
+    format,
+    cues: format === 'ass' ? parseAssCues(content) : parseCues(content),
+  };
+}
+
+/**
+ * 整体平移字幕时间，平移后结束时间不大于0的字幕会被丢弃，开始时间小于0的从0开始
+ * @param {Array<Object>} cues - 字幕数组
+ * @param {number} offset - 平移的秒数（负数为提前）
+ * @returns {Array<Object>} 新的字幕数组
+ */
+function shiftCues(cues, offset) {
+  return cues
+    .filter(cue => cue.endTime + offset > 0)
+    .map(cue => ({
+      ...cue,
+      startTime: Math.max(0, cue.startTime + offset),
+      endTime: cue.endTime + offset,
+    }));
+}
+
+/**
+ * 平移 ASS 字幕的对话时间，保留脚本信息、样式、PlayRes 与对话中的样式标签
+ * 与 shiftCues 相同：平移后结束时间不大于0的对话会被删除，开始时间小于0的从0开始
+ * @param {string} content - ASS 字幕文件内容
+ * @param {number} offset - 平移的秒数（负数为提前）
+ * @returns {string} 平移后的 ASS 内容
+ */
+function shiftAssContent(content, offset) {
+  const text = String(content);
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  let columns = null;
+  let inEvents = false;
+  const lines = [];
+  for (const rawLine of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.trim();
+    if (/^\[.*\]$/.test(line)) {
+      inEvents = line.toLowerCase() === '[events]';
+    } else if (inEvents && line.startsWith('Format:')) {
+      columns = line.slice('Format:'.length).split(',').map(column => column.trim().toLowerCase());
+    } else if (inEvents && columns && line.startsWith('Dialogue:')) {
+      const startIndex = columns.indexOf('start');
+      const endIndex = columns.indexOf('end');
+      const prefixLength = rawLine.indexOf('Dialogue:') + 'Dialogue:'.length;
+      // Text 是最后一列，其中可以包含逗号
+      const values = rawLine.slice(prefixLength).split(',');
+      const fields = [...values.slice(0, columns.length - 1), values.slice(columns.length - 1).join(',')];
+      const startTime = parseTimestamp(fields[startIndex] || '');
+      const endTime = parseTimestamp(fields[endIndex] || '');
+      if (Number.isFinite(startTime) && Number.isFinite(endTime)) {
+        if (endTime + offset <= 0) {
+          continue;
+        }
+        const leading = fields[startIndex].match(/^\s*/)[0];
+        fields[startIndex] = `${leading}${formatAssTime(Math.max(0, startTime + offset))}`;
+        fields[endIndex] = formatAssTime(endTime + offset);
+        lines.push(`${rawLine.slice(0, prefixLength)}${fields.join(',')}`);
+        continue;
+      }
+    }
+    lines.push(rawLine);
+  }
+  return lines.join(eol);
+}
+
+/**
+ * 合并多组字幕，按开始时间排序（开始时间相同时保持原有顺序）
+ * @param {...Array<Object>} cueLists - 字幕数组
+ * @returns {Array<Object>} 合并后的字幕数组
+ */
+function mergeCues(...cueLists) {
+  return cueLists.flat().sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * 重新折行：先去掉原有换行（中文直接拼接，英文之间补空格），再按每行最大宽度折行
+ * @param {Array<Object>} cues - 字幕数组
+ * @param {number} maxLineWidth - 每行最大宽度（中文按1个字、英文字母按半个字计算）
+ * @returns {Array<Object>} 新的字幕数组
+ */
+function rewrapCues(cues, maxLineWidth) {
+  return cues.map((cue) => {
+    const text = cue.text.split('\n').map(line => line.trim()).filter(Boolean).reduce((joined, line) => {
+      if (!joined) {
+        return line;
+      }
+      const needsSpace = displayWidth(joined.slice(-1)) < 1 && displayWidth(line[0]) < 1;
+      return `${joined}${needsSpace ? ' ' : ''}${line}`;
+    }, '');
+    return { ...cue, text: wrapText(text, maxLineWidth) };
+  });
+}
+
+/**
+ * 字符的显示宽度：全角字符（中日韩文字、全角标点）为1，其余为0.5
+ * @param {string} text - 文本
+ * @returns {number} 显示宽度
+ */
+function displayWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    width += char.codePointAt(0) >= 0x2e80 ? 1 : 0.5;
+  }
+  return width;
+}
+
+/**
+ * 将一行文本拆分为词：中日韩文字逐字拆分，英文按单词拆分，标点和空格附在前一个词后
+ * @param {string} line - 一行文本
+ * @returns {Array<string>} 词数组
+ */
+function tokenize(line) {
+  const tokens = [];
+  const parts = line.match(/[A-Za-z0-9][A-Za-z0-9'’.-]*|\s+|[^\s]/g) || [];
+  for (const part of parts) {
+    const isWord = /[A-Za-z0-9\u3040-\u30FF\u3400-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]/.test(part);
+    if (!isWord && tokens.length > 0) {
+      tokens[tokens.length - 1] += part;
+    } else {
+      tokens.push(part);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 按每行最大宽度折行（保留原有换行）
+ * @param {string} text - 字幕文本
+ * @param {number} maxLineWidth - 每行最大宽度（中文按1个字、英文字母按半个字计算），不传则不折行
+ * @returns {Array<Array<string>>} 每行的词数组
+ */
+function wrapTokens(text, maxLineWidth) {
+  const lines = [];
+  for (const line of text.split('\n')) {
+    const tokens = tokenize(line.trim());
+    if (!maxLineWidth) {
+      lines.push(tokens);
+      continue;
+    }
+    let current = [];
+    let width = 0;
+    for (const token of tokens) {
+      const tokenWidth = displayWidth(token.trimEnd());
+      if (current.length > 0 && width + tokenWidth > maxLineWidth) {
+        lines.push(current);
+        current = [];
+        width = 0;
+      }
+      current.push(token);
+      width += displayWidth(token);
+    }
+    lines.push(current);
+  }
+  return lines.filter(tokens => tokens.length > 0);
+}
+
+/**
+ * 按每行最大宽度折行
+ * @param {string} text - 字幕文本
+ * @param {number} maxLineWidth - 每行最大宽度
+ * @returns {string} 折行后的文本（换行符分隔）
+ */
+function wrapText(text, maxLineWidth) {
+  return wrapTokens(text, maxLineWidth).map(tokens => tokens.join('').trim()).join('\n');
+}
+
+/**
+ * 读取非负整数样式参数
+ * @param {*} value - 参数值
+ * @param {string} name - 参数名（用于错误信息）
+ * @param {number} min - 最小值
+ * @returns {number|undefined} 参数值
+ */
+function readInteger(value, name, min) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw styleError(`subtitleStyle.${name} must be an integer >= ${min}`);
+  }
+  return number;
+}
+
+/**
+ * 读取颜色样式参数
+ * @param {*} value - 参数值
+ * @param {string} name - 参数名（用于错误信息）
+ * @param {string} fallback - 默认值（ASS 颜色）
+ * @returns {string} ASS 颜色
+ */
+function readColor(value, name, fallback) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  const color = parseColorForAss(value);
+  if (!color) {
+    throw styleError(`subtitleStyle.${name} must be a color like #ffffff or rgb(255,255,255)`);
+  }
+  return color;
+}
+
+/**
+ * 校验并补全字幕样式，尺寸类参数以视频像素为单位
+ * @param {Object} style - 样式参数
+ * @param {string} style.fontName - 字体名称（默认 Arial，可使用 /fonts 上传的字体）
+ * @param {number} style.fontSize - 字号
+ * @param {string} style.primaryColor - 文字颜色（默认 #ffffff）
+ * @param {string} style.outlineColor - 描边颜色（默认 #000000）
+ * @param {number} style.outline - 描边宽度
+ * @param {boolean} style.bold - 是否加粗（默认true）
+ * @param {string} style.position - 位置 bottom、middle、top（默认 bottom）
+ * @param {number} style.marginV - 距离底部/顶部的距离
+ * @param {number} style.maxLineWidth - 每行最大宽度（中文按1个字、英文字母按半个字计算），超出时自动换行
+ * @param {boolean} style.karaoke - 是否逐字高亮（卡拉OK效果）
+ * @param {string} style.highlightColor - 逐字高亮的颜色（默认 #ffff00）
+ * @param {Object} canvas - { width, height } 视频尺寸
+ * @returns {Object} 补全后的样式
+ */
+function normalizeSubtitleStyle(style = {}, { width = 1080, height = 1920 } = {}) {
+  if (style === null || typeof style !== 'object' || Array.isArray(style)) {
+    throw styleError('subtitleStyle must be an object');
+  }
+  const scale = height / LEGACY_PLAY_RES.height;
+
+  if (style.fontName !== undefined && (typeof style.fontName !== 'string' || !style.fontName.trim() || /[,\n]/.test(style.fontName))) {
+    throw styleError('subtitleStyle.fontName must be a non-empty string without commas');
+  }
+  const position = style.position === undefined ? 'bottom' : style.position;
+  if (!Object.prototype.hasOwnProperty.call(SUBTITLE_POSITIONS, position)) {
+    throw styleError(`subtitleStyle.position must be one of: ${Object.keys(SUBTITLE_POSITIONS).join(', ')}`);
+  }
+
+  const fontSize = readInteger(style.fontSize, 'fontSize', 1);
+  const outline = readInteger(style.outline, 'outline', 0);
+  const marginV = readInteger(style.marginV, 'marginV', 0);
+  const maxLineWidth = readInteger(style.maxLineWidth, 'maxLineWidth', 1);
+
+  return {
+    width,
+    height,
+    fontName: style.fontName ? style.fontName.trim() : 'Arial',
+    fontSize: fontSize !== undefined ? fontSize : Math.round(11 * scale),
+    primaryColor: readColor(style.primaryColor, 'primaryColor', '&H00FFFFFF'),
+    outlineColor: readColor(style.outlineColor, 'outlineColor', '&H00000000'),
+    backColor: '&H80000000',
+    outline: outline !== undefined ? outline : Math.max(1, Math.round(scale)),
+    bold: style.bold === undefined ? true : Boolean(style.bold),
+    alignment: SUBTITLE_POSITIONS[position],
+    marginV: marginV !== undefined ? marginV : Math.round(60 * scale),
+    marginH: Math.round(10 * width / LEGACY_PLAY_RES.width),
+    maxLineWidth: maxLineWidth || null,
+    karaoke: Boolean(style.karaoke),
+    highlightColor: readColor(style.highlightColor, 'highlightColor', '&H0000FFFF'),
+  };
+}
+
+/**
+ * 生成 SRT 字幕文件内容
+ * @param {Array<{text: string, startTime: number, endTime: number}>} subtitles - 字幕数组
+ * @returns {string} SRT 文件内容
+ */
+function generateSrtContent(subtitles) {
+  let srtContent = '';
+  subtitles.forEach((subtitle, index) => {
+    const sequence = index + 1;
+    const startTime = formatSrtTime(subtitle.startTime);
+    const endTime = formatSrtTime(subtitle.endTime);
+    srtContent += `${sequence}\n${startTime} --> ${endTime}\n${subtitle.text}\n\n`;
+  });
+  return srtContent;
+}
+
+/**
+ * 生成 WebVTT 字幕文件内容
+ * @param {Array<{text: string, startTime: number, endTime: number}>} subtitles - 字幕数组
+ * @returns {string} WebVTT 文件内容
+ */
+function generateVttContent(subtitles) {
+  let vttContent = 'WEBVTT\n\n';
+  subtitles.forEach((subtitle, index) => {
+    const text = subtitle.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    vttContent += `${index + 1}\n${formatVttTime(subtitle.startTime)} --> ${formatVttTime(subtitle.endTime)}\n${text}\n\n`;
+  });
+  return vttContent;
+}
+
+/**
+ * 转义 ASS 文本中的特殊字符（花括号为样式标签，反斜杠为转义符）
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeAssText(text) {
+  return text.replace(/\\/g, '＼').replace(/\{/g, '（').replace(/\}/g, '）');
+}
+
+/**
+ * 生成一条 ASS 字幕的文本：按最大宽度折行，卡拉OK模式下按字数给每个词分配 \k 时长
+ * @param {Object} subtitle - { text, startTime, endTime }
+ * @param {Object} style - normalizeSubtitleStyle 返回的样式
+ * @returns {string} ASS 文本
+ */
+function buildAssText(subtitle, style) {
+  const lines = wrapTokens(subtitle.text, style.maxLineWidth);
+  if (!style.karaoke) {
+    return lines.map(tokens => escapeAssText(tokens.join('').trim())).join('\\N');
+  }
+
+  const tokens = lines.flat();
+  const weights = tokens.map(token => Math.max(0.5, displayWidth(token.trim())));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const totalCs = Math.max(0, Math.round((subtitle.endTime - subtitle.startTime) * 100));
+  let usedWeight = 0;
+  let usedCs = 0;
+  let index = 0;
+  return lines.map(lineTokens => lineTokens.map((token, i) => {
+    // 按累计权重取整，保证各词时长之和等于字幕时长
+    usedWeight += weights[index++];
+    const cs = Math.round(totalCs * usedWeight / totalWeight) - usedCs;
+    usedCs += cs;
+    const text = i === lineTokens.length - 1 ? token.trimEnd() : token;
+    return `{\\k${cs}}${escapeAssText(text)}`;
+  }).join('')).join('\\N');
+}
+
+/**
+ * 生成 ASS 字幕文件内容
+ * @param {Array<{text: string, startTime: number, endTime: number}>} subtitles - 字幕数组
+ * @param {Object} style - normalizeSubtitleStyle 返回的样式
+ * @returns {string} ASS 文件内容
+ */
+function generateAssContent(subtitles, style = normalizeSubtitleStyle()) {
+  // 卡拉OK模式下未唱到的文字使用 SecondaryColour，唱到的使用 PrimaryColour
+  const primary = style.karaoke ? style.highlightColor : style.primaryColor;
+  const secondary = style.primaryColor;
+  const styleLine = [
+    'Default', style.fontName, style.fontSize, primary, secondary, style.outlineColor, style.backColor,
+    style.bold ? -1 : 0, 0, 0, 0, 100, 100, 0, 0, 1, style.outline, 0,
+    style.alignment, style.marginH, style.marginH, style.marginV, 1,
+  ].join(',');
+
+  const events = subtitles.map(subtitle => (
+    `Dialogue: 0,${formatAssTime(subtitle.startTime)},${formatAssTime(subtitle.endTime)},Default,,0,0,0,,${buildAssText(subtitle, style)}`
+  ));
+
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${style.width}`,
+    `PlayResY: ${style.height}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: ${styleLine}`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...events,
+    '',
+  ].join('\n');
+}
+
+/**
+ * 按格式生成字幕文件内容
+ * @param {Array<{text: string, startTime: number, endTime: number}>} subtitles - 字幕数组
+ * @param {string} format - srt、vtt 或 ass
+ * @param {Object} style - ASS 样式（normalizeSubtitleStyle 返回的样式）
+ * @returns {string} 字幕文件内容
+ */
+function generateSubtitleContent(subtitles, format, style) {
+  if (format === 'vtt') {
+    return generateVttContent(subtitles);
+  }
+  if (format === 'ass') {
+    return generateAssContent(subtitles, style);
+  }
+  return generateSrtContent(subtitles);
+}
+
+/**
+ * 字幕处理操作
+ */
+const SUBTITLE_OPERATIONS = ['shift', 'merge', 'wrap', 'convert'];
+
+/**
+ * 创建操作参数错误
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function operationError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_SUBTITLE_OPERATION';
+  return err;
+}
+
+/**
+ * 校验字幕处理操作，返回补全后的操作（convert 的样式已校验）
+ * - { type: 'shift', offset }: 整体平移（秒，可为负数）
+ * - { type: 'merge', url | text, offset }: 合并另一份字幕，可先平移
+ * - { type: 'wrap', maxLineWidth }: 重新折行
+ * - { type: 'convert', format, style }: 输出格式（srt、vtt、ass），style 为 ASS 样式（含画布 width/height）
+ * @param {Array<Object>} operations - 操作列表
+ * @returns {Array<Object>} 补全后的操作列表
+ */
+function normalizeSubtitleOperations(operations) {
+  if (!Array.isArray(operations)) {
+    throw operationError('operations must be an array');
+  }
+  return operations.map((operation, index) => {
+    const name = `operations[${index}]`;
+    if (!operation || typeof operation !== 'object' || !SUBTITLE_OPERATIONS.includes(operation.type)) {
+      throw operationError(`${name}.type must be one of: ${SUBTITLE_OPERATIONS.join(', ')}`);
+    }
+    const offset = operation.offset === undefined ? 0 : Number(operation.offset);
+    if (!Number.isFinite(offset)) {
+      throw operationError(`${name}.offset must be a number (seconds)`);
+    }
+
+    if (operation.type === 'shift') {
+      return { type: 'shift', offset };
+    }
+    if (operation.type === 'merge') {
+      const hasUrl = typeof operation.url === 'string' && operation.url.length > 0;
+      const hasText = typeof operation.text === 'string' && operation.text.length > 0;
+      if (hasUrl === hasText) {
+        throw operationError(`${name} requires either url or text`);
+      }
+      return { type: 'merge', url: hasUrl ? operation.url : undefined, text: hasText ? operation.text : undefined, offset };
+    }
+    if (operation.type === 'wrap') {
+      const maxLineWidth = Number(operation.maxLineWidth);
+      if (!Number.isInteger(maxLineWidth) || maxLineWidth < 1) {
+        throw operationError(`${name}.maxLineWidth must be a positive integer`);
+      }
+      return { type: 'wrap', maxLineWidth };
+    }
+
+    if (!SUBTITLE_FORMATS.includes(operation.format)) {
+      throw operationError(`${name}.format must be one of: ${SUBTITLE_FORMATS.join(', ')}`);
+    }
+    const canvas = operation.style || {};
+    let style;
+    try {
+      style = normalizeSubtitleStyle(operation.style === undefined ? {} : operation.style, {
+        width: parseInt(canvas.width, 10) || 1080,
+        height: parseInt(canvas.height, 10) || 1920,
+      });
+    } catch (err) {
+      throw operationError(`${name}.style: ${err.message.replace(/^subtitleStyle\.?/, '')}`);
+    }
+    return { type: 'convert', format: operation.format, style };
+  });
+}
+
+/**
+ * 依次执行字幕处理操作
+ * ASS 输入未指定 convert 时只支持 shift，直接平移原文件的对话时间，保留原有的样式与 PlayRes；
+ * merge、wrap 需要把 ASS 解析为纯文本字幕，必须通过 convert 明确指定输出格式与样式
+ * @param {string} content - 原始字幕内容（SRT、WebVTT 或 ASS）
+ * @param {Array<Object>} operations - normalizeSubtitleOperations 返回的操作列表
+ * @param {Object} options - { loadSubtitle: async (url) => content，merge 操作读取 URL 时使用 }
+ * @returns {Promise<{format: string, cues: Array<Object>, content: string}>} 处理结果，未指定 convert 时保持原格式
+ * @throws {Error} 输入无法解析，或 ASS 输入在没有 convert 时使用 merge/wrap，err.code 为 'INVALID_SUBTITLE'
+ */
+async function transformSubtitles(content, operations, { loadSubtitle } = {}) {
+  let { format, cues } = parseSubtitles(content);
+  if (cues.length === 0) {
+    const err = new Error('No subtitle cues found in input (expected SRT, WebVTT or ASS)');
+    err.code = 'INVALID_SUBTITLE';
+    throw err;
+  }
+
+  if (format === 'ass' && !operations.some(operation => operation.type === 'convert')) {
+    if (operations.some(operation => operation.type !== 'shift')) {
+      const err = new Error('merge and wrap on ASS input require a convert operation (ASS styles cannot be kept when cues are merged or rewrapped)');
+      err.code = 'INVALID_SUBTITLE';
+      throw err;
+    }
+    const shifted = operations.reduce((result, operation) => shiftAssContent(result, operation.offset), String(content));
+    return {
+      format,
+      cues: parseAssCues(shifted),
+      content: shifted,
+    };
+  }
+
+  let style = normalizeSubtitleStyle();
+
+  for (const operation of operations) {
+    if (operation.type === 'shift') {
+      cues = shiftCues(cues, operation.offset);
+    } else if (operation.type === 'merge') {
+      const other = operation.url ? await loadSubtitle(operation.url) : operation.text;
+      cues = mergeCues(cues, shiftCues(parseSubtitles(other).cues, operation.offset));
+    } else if (operation.type === 'wrap') {
+      cues = rewrapCues(cues, operation.maxLineWidth);
+    } else if (operation.type === 'convert') {
+      ({ format, style } = operation);
+    }
+  }
+
+  return {
+    format,
+    cues,
+    content: generateSubtitleContent(cues, format, style),
+  };
+}
+
+/**
+ * 判断字幕内容是否为 ASS/SSA 格式
+ * @param {string} content - 字幕文件内容
+ * @returns {boolean} 是否为 ASS
+ */
+function isAssContent(content) {
+  return /^\uFEFF?\s*\[Script Info\]/i.test(String(content));
+}
+
+module.exports = {
+  SUBTITLE_FORMATS,
+  SUBTITLE_POSITIONS,
+  SUBTITLE_OPERATIONS,
+  formatSrtTime,
+  formatVttTime,
+  formatAssTime,
+  parseCues,
+  parseSubtitles,
+  detectSubtitleFormat,
+  shiftCues,
+  shiftAssContent,
+  mergeCues,
+  rewrapCues,
+  tokenize,
+  wrapText,
+  normalizeSubtitleStyle,
+  generateSrtContent,
+  generateVttContent,
+  generateAssContent,
+  generateSubtitleContent,
+  normalizeSubtitleOperations,
+  transformSubtitles,
+  isAssContent,
+};
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+/**
+ * 模板类型
+ */
+const TEMPLATE_KINDS = ['satori', 'html'];
+
+/**
+ * 模板名称格式
+ */
+const TEMPLATE_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * 创建带错误码的错误
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function createError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * 命名模板库
+ * 模板持久化到 data/templates/<name>.json，每次保存同名模板生成新版本，
+ * 历史版本不可修改，渲染时指定 version 即可得到与当时完全一致的输入
+ */
+class TemplateStore {
+  /**
+   * 构造函数
+   * @param {Object} options - 可选配置
+   * @param {string} options.dataDir - 模板持久化目录
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'data', 'templates');
+    // 按模板名称串行保存，避免并发保存同名模板时版本号重复或丢失版本
+    this.saveQueues = new Map();
+  }
+
+  /**
+   * 模板文件路径
+   * @param {string} name - 模板名称
+   * @returns {string} 文件路径
+   */
+  filePath(name) {
+    return path.join(this.dataDir, `${name}.json`);
+  }
+
+  /**
+   * 读取模板记录（包含全部版本）
+   * @param {string} name - 模板名称
+   * @returns {Promise<Object|null>} 模板记录，不存在时返回 null
+   */
+  async read(name) {
+    if (!TEMPLATE_NAME_PATTERN.test(name)) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(name), 'utf-8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * 列出全部模板（只包含最新版本的摘要）
+   * @returns {Promise<Array>} 模板摘要
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dataDir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const templates = [];
+    for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+      try {
+        const record = JSON.parse(await fs.promises.readFile(path.join(this.dataDir, file), 'utf-8'));
+        const latest = record.versions[record.versions.length - 1];
+        templates.push({
+          name: record.name,
+          kind: record.kind,
+          description: latest.description,
+          latestVersion: latest.version,
+          versions: record.versions.length,
+          updatedAt: latest.createdAt,
+        });
+      } catch (err) {
+        console.warn(`[templates] Failed to load template file ${file}:`, err.message);
+      }
+    }
+    return templates;
+  }
+
+  /**
+   * 获取模板的指定版本
+   * @param {string} name - 模板名称
+   * @param {number} version - 版本号，未指定时为最新版本
+   * @returns {Promise<Object|null>} 模板版本，模板或版本不存在时返回 null
+   */
+  async get(name, version) {
+    const record = await this.read(name);
+    if (!record) return null;
+    if (version === undefined || version === null || version === '') {
+      return { kind: record.kind, ...record.versions[record.versions.length - 1] };
+    }
+    const found = record.versions.find(v => v.version === parseInt(version, 10));
+    return found ? { kind: record.kind, ...found } : null;
+  }
+
+  /**
+   * 保存模板，同名模板追加新版本（同名模板的保存依次执行）
+   * @param {Object} template - { name, kind, source, description, width, height, fonts, fontCss, variables }
+   * @returns {Promise<Object>} 新版本
+   * @throws {Error} 参数错误时 err.code 为 'INVALID_TEMPLATE'
+   */
+  async save(template) {
+    const name = template && template.name;
+    const previous = this.saveQueues.get(name) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => this.appendVersion(template));
+    this.saveQueues.set(name, current);
+    try {
+      return await current;
+    } finally {
+      if (this.saveQueues.get(name) === current) {
+        this.saveQueues.delete(name);
+      }
+    }
+  }
+
+  /**
+   * 读取模板记录并追加新版本（由 save 按名称串行调用）
+   * @param {Object} template - { name, kind, source, description, width, height, fonts, fontCss, variables }
+   * @returns {Promise<Object>} 新版本
+   * @throws {Error} 参数错误时 err.code 为 'INVALID_TEMPLATE'
+   */
+  async appendVersion({ name, kind, source, description, width, height, fonts, fontCss, variables }) {
+    if (!TEMPLATE_NAME_PATTERN.test(name || '')) {
+      throw createError('INVALID_TEMPLATE', 'name must be 1-64 characters of letters, numbers, "_" or "-"');
+    }
+    if (!TEMPLATE_KINDS.includes(kind)) {
+      throw createError('INVALID_TEMPLATE', `kind must be one of: ${TEMPLATE_KINDS.join(', ')}`);
+    }
+    if (!source || typeof source !== 'string') {
+      throw createError('INVALID_TEMPLATE', kind === 'satori' ? 'code (string) is required' : 'html (string) is required');
+    }
+    if (fonts !== undefined && !Array.isArray(fonts)) {
+      throw createError('INVALID_TEMPLATE', 'fonts must be an array');
+    }
+    if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+      throw createError('INVALID_TEMPLATE', 'variables must be an object of default values');
+    }
+
+    if (kind === 'html') {
+      try {
+        // 预编译以尽早发现模板语法错误
+        Handlebars.precompile(source);
+      } catch (err) {
+        throw createError('INVALID_TEMPLATE', `Template compile failed: ${err.message}`);
+      }
+    }
+
+    const record = await this.read(name) || { name, kind, versions: [] };
+    if (record.kind !== kind) {
+      throw createError('INVALID_TEMPLATE', `Template "${name}" already exists with kind "${record.kind}"`);
+    }
+
+    const version = {
+      version: record.versions.length + 1,
+      createdAt: new Date().toISOString(),
+      description: description || null,
+      source,
+      width: width ? parseInt(width, 10) : null,
+      height: height ? parseInt(height, 10) : null,
+      fonts: fonts || [],
+      fontCss: fontCss || null,
+      variables: variables || {},
+    };
+    record.versions.push(version);
+
+    // 先写临时文件再重命名，避免写入中断导致模板文件损坏
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+    const filePath = this.filePath(name);
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(record, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+    console.log(`[templates] Template saved: ${name} v${version.version} (${kind})`);
+    return { name, kind, ...version };
+  }
+
+  /**
+   * 合并模板变量（请求变量覆盖模板默认值）
+   * @param {Object} template - 模板版本
+   * @param {Object} variables - 变量
+   * @returns {Object} 合并后的变量
+   */
+  resolveVariables(template, variables = {}) {
+    return { ...template.variables, ...variables };
+  }
+
+  /**
+   * 使用变量填充 HTML 模板（Handlebars 默认的 HTML 转义，{{{var}}} 输出原始内容）
+   * satori 模板不做文本替换，变量作为 props 数据传给沙箱，避免变量内容被当作代码执行
+   * @param {Object} template - 模板版本
+   * @param {Object} variables - 变量
+   * @returns {string} 填充后的 HTML
+   */
+  fill(template, variables = {}) {
+    return Handlebars.compile(template.source)(this.resolveVariables(template, variables));
+  }
+}
+
+const templateStore = new TemplateStore();
+
+module.exports = {
+  TEMPLATE_KINDS,
+  TemplateStore,
+  templateStore,
+};
@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const axios = require('axios');
+const { downloadAudio } = require('./download');
+
+/**
+ * 音频 Content-Type 与文件扩展名的对应关系
+ */
+const AUDIO_EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/opus': 'opus',
+  'audio/aac': 'aac',
+  'audio/mp4': 'm4a',
+  'audio/flac': 'flac',
+};
+
+/**
+ * 合成语音的保存目录（通过 /static/audio 访问）
+ */
+const OUTPUT_DIR = path.join(__dirname, '..', 'public', 'audio');
+
+/**
+ * 创建带错误码的错误
+ * @param {string} message - 错误信息
+ * @param {string} code - 错误码
+ * @returns {Error} 错误对象
+ */
+function ttsError(message, code = 'TTS_FAILED') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * 语音合成超时时间（毫秒）
+ * @returns {number} 超时时间
+ */
+function ttsTimeout() {
+  return parseInt(process.env.TTS_TIMEOUT, 10) || 60000;
+}
+
+/**
+ * 将命令模板拆分为参数（按空白分割，支持单双引号）
+ * @param {string} template - 命令模板，如 espeak-ng -v {voice} -w {output} {text}
+ * @returns {Array<string>} 参数数组
+ */
+function parseCommand(template) {
+  const args = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(template)) !== null) {
+    args.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+  }
+  return args;
+}
+
+/**
+ * 执行本地命令（不经过 shell，文本作为独立参数或标准输入传入，避免注入）
+ * @param {Array<string>} args - 命令及参数
+ * @param {string} input - 写入标准输入的内容
+ * @returns {Promise<void>}
+ */
+function runCommand(args, input) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(args[0], args.slice(1), {
+      timeout: ttsTimeout(),
+      maxBuffer: 10 * 1024 * 1024,
+    }, (err, stdout, stderr) => {
+      if (err) {
+        const detail = String(stderr || '').trim().split('\n').slice(-3).join(' ');
+        reject(ttsError(`TTS command failed (${args[0]}): ${detail || err.message}`));
+        return;
+      }
+      resolve();
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * 语音合成服务
+ * 每个服务提供：
+ * - configured(): 是否已配置
+ * - synthesize(text, { voice, format, outputPath }): 返回 { audio: Buffer, format } | { url } | { file, format }
+ */
+const providers = new Map();
+
+/**
+ * 注册语音合成服务
+ * @param {string} name - 服务名称
+ * @param {Object} provider - { configured, synthesize }
+ */
+function registerTtsProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+/**
+ * 通用 HTTP 服务（TTS_PROVIDER_URL）
+ * - 请求：POST JSON { text, voice, format }，配置了 TTS_PROVIDER_KEY 时带 Authorization: Bearer <key>
+ * - 响应：音频数据（audio/*、application/octet-stream），
+ *   或 JSON { url }（已上传的音频地址）/ { audio }（base64 编码的音频）
+ * 测试时可以将 TTS_PROVIDER_URL 指向本地的模拟服务
+ */
+registerTtsProvider('http', {
+  configured: () => Boolean(process.env.TTS_PROVIDER_URL),
+  async synthesize(text, { voice, format }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.TTS_PROVIDER_KEY) {
+      headers.Authorization = `Bearer ${process.env.TTS_PROVIDER_KEY}`;
+    }
+
+    let response;
+    try {
+      response = await axios.post(process.env.TTS_PROVIDER_URL, { text, voice, format }, {
+        headers,
+        responseType: 'arraybuffer',
+        timeout: ttsTimeout(),
+      });
+    } catch (err) {
+      const status = err.response ? ` (status ${err.response.status})` : '';
+      throw ttsError(`TTS request failed${status}: ${err.message}`);
+    }
+
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const data = Buffer.from(response.data);
+    if (contentType === 'application/json') {
+      const body = JSON.parse(data.toString('utf-8'));
+      if (body.url) {
+        return { url: body.url };
+      }
+      if (!body.audio) {
+        throw ttsError('TTS provider returned JSON without url or audio');
+      }
+      return { audio: Buffer.from(body.audio, 'base64'), format: body.format || format };
+    }
+    if (!contentType.startsWith('audio/') && contentType !== 'application/octet-stream') {
+      throw ttsError(`TTS provider returned unexpected content type: ${contentType || 'unknown'}`);
+    }
+    return { audio: data, format: AUDIO_EXTENSIONS[contentType] || format };
+  },
+});
+
+/**
+ * OpenAI 兼容接口（POST <base>/audio/speech）
+ * TTS_OPENAI_BASE_URL 可指向兼容 OpenAI 的自建服务，TTS_OPENAI_API_KEY 未设置时使用 OPENAI_API_KEY
+ */
+registerTtsProvider('openai', {
+  configured: () => Boolean(process.env.TTS_OPENAI_API_KEY || process.env.OPENAI_API_KEY || process.env.TTS_OPENAI_BASE_URL),
+  async synthesize(text, { voice, format }) {
+    const baseUrl = (process.env.TTS_OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    const apiKey = process.env.TTS_OPENAI_API_KEY || process.env.OPENAI_API_KEY;
+    const responseFormat = ['mp3', 'wav', 'opus', 'aac', 'flac'].includes(format) ? format : 'mp3';
+
+    let response;
+    try {
+      response = await axios.post(`${baseUrl}/audio/speech`, {
+        model: process.env.TTS_OPENAI_MODEL || 'tts-1',
+        input: text,
+        voice: voice || 'alloy',
+        response_format: responseFormat,
+      }, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        responseType: 'arraybuffer',
+        timeout: ttsTimeout(),
+      });
+    } catch (err) {
+      const status = err.response ? ` (status ${err.response.status})` : '';
+      throw ttsError(`OpenAI TTS request failed${status}: ${err.message}`);
+    }
+    return { audio: Buffer.from(response.data), format: responseFormat };
+  },
+});
+
+/**
+ * Edge TTS（通过 edge-tts 命令行，pip install edge-tts）
+ * TTS_EDGE_COMMAND 可指定可执行文件路径
+ */
+registerTtsProvider('edge', {
+  configured: () => true,
+  async synthesize(text, { voice, outputPath }) {
+    const file = `${outputPath}.mp3`;
+    await runCommand([
+      process.env.TTS_EDGE_COMMAND || 'edge-tts',
+      '--voice', voice || 'zh-CN-XiaoxiaoNeural',
+      '--text', text,
+      '--write-media', file,
+    ], '');
+    return { file, format: 'mp3' };
+  },
+});
+
+/**
+ * 本地命令（如 piper、espeak-ng），TTS_COMMAND 为命令模板：
+ * - {text}: 文本（也会写入标准输入，piper 等从标准输入读取文本的命令可以不写）
+ * - {voice}: 音色/模型
+ * - {output}: 输出文件路径
+ * 例如 espeak-ng -v {voice} -w {output} {text}、piper --model /models/{voice}.onnx --output_file {output}
+ * TTS_COMMAND_FORMAT 为输出格式（默认 wav）
+ */
+registerTtsProvider('command', {
+  configured: () => Boolean(process.env.TTS_COMMAND),
+  async synthesize(text, { voice, outputPath }) {
+    const format = process.env.TTS_COMMAND_FORMAT || 'wav';
+    const file = `${outputPath}.${format}`;
+    const values = { text, voice: voice || '', output: file };
+    const args = parseCommand(process.env.TTS_COMMAND)
+      .map(arg => arg.replace(/\{(text|voice|output)\}/g, (m, key) => values[key]));
+    await runCommand(args, text);
+    return { file, format };
+  },
+});
+
+/**
+ * 默认语音合成服务：TTS_PROVIDER，未设置时配置了 TTS_PROVIDER_URL 则使用 http
+ * @returns {string|null} 服务名称
+ */
+function defaultTtsProvider() {
+  return process.env.TTS_PROVIDER || (process.env.TTS_PROVIDER_URL ? 'http' : null);
+}
+
+/**
+ * 列出已注册的语音合成服务
+ * @returns {Array<{name: string, configured: boolean, default: boolean}>} 服务列表
+ */
+function listTtsProviders() {
+  const defaultName = defaultTtsProvider();
+  return Array.from(providers.entries()).map(([name, provider]) => ({
+    name,
+    configured: provider.configured(),
+    default: name === defaultName,
+  }));
+}
+
+/**
+ * 将文本合成为音频文件
+ * @param {string} text - 要合成的文本
+ * @param {string} dir - 输出目录
+ * @param {Object} options - { provider, voice, format, name: 文件名（不含扩展名） }
+ * @returns {Promise<{path: string, format: string, provider: string}>} 音频文件
+ */
+async function synthesizeToFile(text, dir, { provider, voice, format = 'mp3', name } = {}) {
+  const providerName = provider || defaultTtsProvider();
+  if (!providerName) {
+    throw ttsError('TTS provider not configured. Set TTS_PROVIDER (http, openai, edge, command) or TTS_PROVIDER_URL.', 'TTS_NOT_CONFIGURED');
+  }
+  const ttsProvider = providers.get(providerName);
+  if (!ttsProvider) {
+    throw ttsError(`Unknown TTS provider: ${providerName} (available: ${Array.from(providers.keys()).join(', ')})`, 'TTS_NOT_CONFIGURED');
+  }
+  if (!ttsProvider.configured()) {
+    throw ttsError(`TTS provider ${providerName} is not configured`, 'TTS_NOT_CONFIGURED');
+  }
+  if (typeof text !== 'string' || !text.trim()) {
+    throw ttsError('TTS text must be a non-empty string');
+  }
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  const baseName = name || `tts-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const outputPath = path.join(dir, baseName);
+  const result = await ttsProvider.synthesize(text.trim(), {
+    voice: voice || process.env.TTS_DEFAULT_VOICE || undefined,
+    format,
+    outputPath,
+  });
+
+  if (result.file) {
+    return { path: result.file, format: result.format, provider: providerName };
+  }
+  if (result.url) {
+    const filePath = `${outputPath}.${format}`;
+    await downloadAudio(result.url, filePath);
+    return { path: filePath, format, provider: providerName };
+  }
+  if (!result.audio || result.audio.length === 0) {
+    throw ttsError(`TTS provider ${providerName} returned empty audio`);
+  }
+  const filePath = `${outputPath}.${result.format || format}`;
+  await fs.promises.writeFile(filePath, result.audio);
+  return { path: filePath, format: result.format || format, provider: providerName };
+}
+
+/**
+ * 将文本合成为可通过 /static/audio 访问的音频
+ * @param {string} text - 要合成的文本
+ * @param {Object} options - { provider, voice, format, baseUrl: 本服务地址，用于生成音频 URL }
+ * @returns {Promise<{url: string, path: string}>} 音频地址与本地文件路径
+ */
+async function synthesizeSpeech(text, { baseUrl = '', ...options } = {}) {
+  const { path: filePath } = await synthesizeToFile(text, OUTPUT_DIR, options);
+  return {
+    url: `${baseUrl}/static/audio/${path.basename(filePath)}`,
+    path: filePath,
+  };
+}
+
+module.exports = {
+  defaultTtsProvider,
+  listTtsProviders,
+  registerTtsProvider,
+  synthesizeSpeech,
+  synthesizeToFile,
+};
@@ -0,0 +1,441 @@
+/**
+ * 画面填充方式
+ * - pad: 等比缩放到画面内，空白处填充纯色
+ * - blur: 等比缩放到画面内，空白处为放大并模糊的自身画面（竖屏平台常见效果）
+ * - crop: 等比放大铺满画面，裁掉超出部分
+ * - stretch: 拉伸到画面尺寸（不保持比例）
+ */
+const FILL_MODES = ['pad', 'blur', 'crop', 'stretch'];
+
+/**
+ * 创建参数错误
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function createError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * 校验填充方式
+ * @param {string} fillMode - 填充方式（未传时为 pad）
+ * @returns {string} 填充方式
+ * @throws {Error} err.code 为 INVALID_FILL_MODE
+ */
+function normalizeFillMode(fillMode) {
+  if (fillMode === undefined || fillMode === null) {
+    return 'pad';
+  }
+  if (!FILL_MODES.includes(fillMode)) {
+    throw createError('INVALID_FILL_MODE', `fillMode must be one of: ${FILL_MODES.join(', ')}`);
+  }
+  return fillMode;
+}
+
+/**
+ * 生成将画面适配到指定尺寸的滤镜
+ * 未传 input/output 时返回单输入单输出的滤镜图，可直接用于 -vf；
+ * 传入时带上标签，用于 -filter_complex
+ * @param {string} fillMode - 填充方式（pad、blur、crop、stretch）
+ * @param {Object} options - { width, height, color（pad 的填充色，FFmpeg 格式）, input, output（滤镜标签，不含方括号） }
+ * @returns {string} 滤镜字符串
+ */
+function buildFillFilter(fillMode, { width, height, color = 'black', input, output } = {}) {
+  const inputLabel = input ? `[${input}]` : '';
+  const outputLabel = output ? `[${output}]` : '';
+  const fit = `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+  const cover = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+
+  switch (fillMode) {
+    case 'blur': {
+      // 标签带上输出名，避免同一滤镜图中多次使用时冲突
+      const prefix = `fill_${output || 'v'}`;
+      // 模糊半径随画面尺寸变化，色度平面使用相同半径（需小于色度平面尺寸的一半）
+      const radius = Math.max(2, Math.round(Math.min(width, height) / 40));
+      return [
+        `${inputLabel}split=2[${prefix}_bg][${prefix}_fg]`,
+        `[${prefix}_bg]${cover},boxblur=${radius}:2[${prefix}_blurred]`,
+        `[${prefix}_fg]${fit}[${prefix}_fit]`,
+        `[${prefix}_blurred][${prefix}_fit]overlay=(W-w)/2:(H-h)/2,setsar=1${outputLabel}`,
+      ].join(';');
+    }
+    case 'crop':
+      return `${inputLabel}${cover},setsar=1${outputLabel}`;
+    case 'stretch':
+      return `${inputLabel}scale=${width}:${height},setsar=1${outputLabel}`;
+    case 'pad':
+    default:
+      return `${inputLabel}${fit},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${color},setsar=1${outputLabel}`;
+  }
+}
+
+/**
+ * 图片运动效果（Ken Burns）
+ * - none: 静止
+ * - zoom-in / zoom-out: 以画面中心放大 / 缩小
+ * - pan: 在放大后的画面中按 direction 平移
+ * - random: 按 seed 为每张图片随机选择以上效果（同一 seed 结果相同）
+ */
+const MOTION_TYPES = ['none', 'zoom-in', 'zoom-out', 'pan', 'random'];
+
+/**
+ * 平移方向（画面视野移动的方向）
+ */
+const PAN_DIRECTIONS = ['left', 'right', 'up', 'down'];
+
+/**
+ * 缓动曲线（P 为 0~1 的进度）
+ */
+const EASINGS = {
+  linear: 'P',
+  'ease-in': 'P*P',
+  'ease-out': '1-(1-P)*(1-P)',
+  'ease-in-out': 'if(lt(P,0.5),2*P*P,1-2*(1-P)*(1-P))',
+};
+
+/**
+ * 运动时放大画面的倍数（减少 zoompan 取整造成的抖动）
+ */
+const MOTION_SUPERSAMPLE = 2;
+
+/**
+ * 校验并补全运动参数
+ * @param {string|Object} motion - 运动类型，或 { type, direction, zoom, easing, seed }
+ * @param {string} name - 参数名（用于错误信息）
+ * @returns {{type: string, direction: string, zoom: number, easing: string, seed?: number}} 运动参数
+ * @throws {Error} err.code 为 INVALID_MOTION
+ */
+function normalizeMotion(motion, name = 'motion') {
+  if (motion === undefined || motion === null) {
+    motion = 'none';
+  }
+  if (typeof motion === 'string') {
+    motion = { type: motion };
+  }
+  if (typeof motion !== 'object' || Array.isArray(motion)) {
+    throw createError('INVALID_MOTION', `${name} must be a string or an object`);
+  }
+
+  const { type = 'none', direction = 'right', zoom = 1.2, easing = 'linear', seed } = motion;
+  if (!MOTION_TYPES.includes(type)) {
+    throw createError('INVALID_MOTION', `${name}.type must be one of: ${MOTION_TYPES.join(', ')}`);
+  }
+  if (!PAN_DIRECTIONS.includes(direction)) {
+    throw createError('INVALID_MOTION', `${name}.direction must be one of: ${PAN_DIRECTIONS.join(', ')}`);
+  }
+  if (typeof zoom !== 'number' || !Number.isFinite(zoom) || zoom <= 1 || zoom > 3) {
+    throw createError('INVALID_MOTION', `${name}.zoom must be a number greater than 1 and at most 3`);
+  }
+  if (!Object.prototype.hasOwnProperty.call(EASINGS, easing)) {
+    throw createError('INVALID_MOTION', `${name}.easing must be one of: ${Object.keys(EASINGS).join(', ')}`);
+  }
+
+  const normalized = { type, direction, zoom, easing };
+  if (type === 'random') {
+    if (seed !== undefined && !Number.isInteger(seed)) {
+      throw createError('INVALID_MOTION', `${name}.seed must be an integer`);
+    }
+    // 未指定 seed 时随机生成，返回给调用方以便复现
+    normalized.seed = seed === undefined ? Math.floor(Math.random() * 0x7fffffff) : seed;
+  }
+  return normalized;
+}
+
+/**
+ * 基于种子的伪随机数生成器（mulberry32）
+ * @param {number} seed - 种子
+ * @returns {Function} 返回 [0, 1) 随机数的函数
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 确定第 index 张图片的运动效果（random 按 seed 与序号选择具体效果）
+ * @param {Object} motion - normalizeMotion 返回的运动参数
+ * @param {number} index - 图片序号
+ * @returns {{type: string, direction: string, zoom: number, easing: string}} 具体的运动效果
+ */
+function resolveMotion(motion, index) {
+  if (motion.type !== 'random') {
+    return motion;
+  }
+  const random = createRandom(motion.seed + Math.imul(index + 1, 0x9E3779B1));
+  const types = ['zoom-in', 'zoom-out', 'pan'];
+  return {
+    type: types[Math.floor(random() * types.length)],
+    direction: PAN_DIRECTIONS[Math.floor(random() * PAN_DIRECTIONS.length)],
+    zoom: motion.zoom,
+    easing: motion.easing,
+  };
+}
+
+/**
+ * 生成图片运动的滤镜（输入为单帧图片，输出 duration 秒的视频）
+ * 先按 fillMode 适配到放大的画面，再用 zoompan 逐帧裁剪缩放到输出尺寸
+ * @param {Object} motion - resolveMotion 返回的运动效果（type 不为 none）
+ * @param {Object} options - { width, height, fps, duration, fillMode }
+ * @returns {string} 滤镜字符串（单输入单输出）
+ */
+function buildMotionFilter(motion, { width, height, fps, duration, fillMode = 'pad' }) {
+  const frames = Math.max(1, Math.round(duration * fps));
+  const progress = frames > 1 ? `min(1,on/${frames - 1})` : '1';
+  const eased = `(${EASINGS[motion.easing].replace(/P/g, progress)})`;
+  const zoom = motion.zoom;
+  const range = Number((zoom - 1).toFixed(4));
+
+  let z;
+  let x = 'iw/2-(iw/zoom/2)';
+  let y = 'ih/2-(ih/zoom/2)';
+  if (motion.type === 'zoom-in') {
+    z = `1+${range}*${eased}`;
+  } else if (motion.type === 'zoom-out') {
+    z = `${zoom}-${range}*${eased}`;
+  } else {
+    z = String(zoom);
+    if (motion.direction === 'right') x = `(iw-iw/zoom)*${eased}`;
+    if (motion.direction === 'left') x = `(iw-iw/zoom)*(1-${eased})`;
+    if (motion.direction === 'down') y = `(ih-ih/zoom)*${eased}`;
+    if (motion.direction === 'up') y = `(ih-ih/zoom)*(1-${eased})`;
+  }
+
+  const fill = buildFillFilter(fillMode, { width: width * MOTION_SUPERSAMPLE, height: height * MOTION_SUPERSAMPLE });
+  return `${fill},zoompan=z='${z}':x='${x}':y='${y}':d=${frames}:s=${width}x${height}:fps=${fps},setsar=1`;
+}
+
+/**
+ * 片段间的转场效果（FFmpeg xfade 的 transition 参数，需要 FFmpeg 4.3+）
+ */
+const TRANSITIONS = [
+  'fade', 'fadeblack', 'fadewhite', 'dissolve', 'distance', 'pixelize', 'radial',
+  'wipeleft', 'wiperight', 'wipeup', 'wipedown',
+  'slideleft', 'slideright', 'slideup', 'slidedown',
+  'smoothleft', 'smoothright', 'smoothup', 'smoothdown',
+  'circleopen', 'circleclose', 'circlecrop', 'rectcrop',
+  'vertopen', 'vertclose', 'horzopen', 'horzclose',
+  'diagtl', 'diagtr', 'diagbl', 'diagbr',
+  'hlslice', 'hrslice', 'vuslice', 'vdslice',
+];
+
+/**
+ * FFmpeg 不支持 xfade 时可以用 blend 交叉淡化实现的转场（dissolve 以交叉淡化代替）
+ */
+const BLEND_TRANSITIONS = ['fade', 'dissolve'];
+
+/**
+ * 音频统一格式（拼接与交叉淡化要求各片段格式一致）
+ */
+const AUDIO_FORMAT_FILTER = 'aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo';
+
+/**
+ * 校验转场参数
+ * @param {string|Object} transition - 转场类型，或 { type, duration }（duration 默认 0.5 秒）
+ * @returns {{type: string, duration: number}|null} 转场参数，未指定或为 none 时返回 null
+ * @throws {Error} err.code 为 INVALID_TRANSITION
+ */
+function normalizeTransition(transition) {
+  if (transition === undefined || transition === null || transition === 'none') {
+    return null;
+  }
+  if (typeof transition === 'string') {
+    transition = { type: transition };
+  }
+  if (typeof transition !== 'object' || Array.isArray(transition)) {
+    throw createError('INVALID_TRANSITION', 'transition must be a string or an object');
+  }
+
+  const { type, duration = 0.5 } = transition;
+  if (type === 'none') {
+    return null;
+  }
+  if (!TRANSITIONS.includes(type)) {
+    throw createError('INVALID_TRANSITION', `transition.type must be one of: none, ${TRANSITIONS.join(', ')}`);
+  }
+  if (typeof duration !== 'number' || !Number.isFinite(duration) || duration <= 0 || duration > 5) {
+    throw createError('INVALID_TRANSITION', 'transition.duration must be a number between 0 and 5 (seconds)');
+  }
+  return { type, duration };
+}
+
+/**
+ * 计算相邻片段间实际的转场时长：不超过任一相邻片段时长的一半
+ * @param {Array<number>} durations - 各片段时长（秒）
+ * @param {number} duration - 转场时长（秒）
+ * @returns {Array<number>} 长度为 durations.length - 1 的转场时长
+ */
+function pairTransitions(durations, duration) {
+  return durations.slice(0, -1).map((value, i) => {
+    const capped = Math.min(duration, value / 2, durations[i + 1] / 2);
+    return Math.floor(capped * 1000) / 1000;
+  });
+}
+
+/**
+ * 计算片段依次拼接后的总时长：各片段时长之和减去相邻片段转场的重叠
+ * @param {Array<number>} durations - 各片段时长（秒）
+ * @param {number} duration - 转场时长（秒），0 表示直接拼接
+ * @returns {number} 拼接后的时长（秒）
+ */
+function joinedDuration(durations, duration) {
+  const total = durations.reduce((sum, value) => sum + value, 0);
+  return total - pairTransitions(durations, duration).reduce((sum, value) => sum + value, 0);
+}
+
+/**
+ * 计算新片段与前一片段之间实际的转场重叠时长
+ * @param {number|undefined} previousDuration - 前一片段时长（秒），没有前一片段时为 undefined
+ * @param {number} segmentDuration - 新片段时长（秒）
+ * @param {number} duration - 转场时长（秒）
+ * @returns {number} 重叠时长（秒）
+ */
+function transitionOverlap(previousDuration, segmentDuration, duration) {
+  return previousDuration === undefined ? 0 : pairTransitions([previousDuration, segmentDuration], duration)[0];
+}
+
+/**
+ * 计算新片段的时长，使其扣除与前一片段的转场重叠后恰好增加 remaining 秒
+ * 重叠不超过新片段时长的一半，remaining 小于重叠上限时新片段时长为 remaining 的两倍
+ * @param {number} remaining - 需要增加的时长（秒）
+ * @param {number|undefined} previousDuration - 前一片段时长（秒），没有前一片段时为 undefined
+ * @param {number} duration - 转场时长（秒）
+ * @returns {number} 新片段时长（秒）
+ */
+function fitSegmentDuration(remaining, previousDuration, duration) {
+  if (previousDuration === undefined) {
+    return remaining;
+  }
+  const maxOverlap = Math.min(duration, previousDuration / 2);
+  return remaining < maxOverlap ? remaining * 2 : remaining + maxOverlap;
+}
+
+/**
+ * 不使用 xfade 的交叉淡化：每个片段按转场切成开头、中间、结尾，
+ * 前一片段的结尾与后一片段的开头用 blend 按时间混合，再与各片段中间部分依次拼接
+ * @param {Array<{duration: number}>} segments - 各片段，视频标签为 [v0]、[v1]...
+ * @param {Array<number>} transitions - pairTransitions 的结果
+ * @returns {Array<string>} 滤镜数组，输出标签为 [vout]
+ */
+function buildBlendTransitionFilters(segments, transitions) {
+  const filters = [];
+  const parts = [];
+  segments.forEach((segment, i) => {
+    const fadeIn = i > 0 ? transitions[i - 1] : 0;
+    const fadeOut = i < segments.length - 1 ? transitions[i] : 0;
+    const bodyEnd = (segment.duration - fadeOut).toFixed(3);
+    // 两侧转场各占片段一半时没有中间部分
+    const hasBody = segment.duration - fadeOut - fadeIn > 0.001;
+    const pieces = [];
+    if (fadeIn > 0) {
+      pieces.push(`trim=duration=${fadeIn},setpts=PTS-STARTPTS[vh${i}]`);
+    }
+    if (hasBody) {
+      pieces.push(`trim=start=${fadeIn}:end=${bodyEnd},setpts=PTS-STARTPTS[vb${i}]`);
+    }
+    if (fadeOut > 0) {
+      pieces.push(`trim=start=${bodyEnd},setpts=PTS-STARTPTS[vt${i}]`);
+    }
+
+    if (pieces.length === 1) {
+      filters.push(`[v${i}]${pieces[0]}`);
+    } else {
+      filters.push(`[v${i}]split=${pieces.length}${pieces.map((piece, k) => `[vs${i}_${k}]`).join('')}`);
+      pieces.forEach((piece, k) => filters.push(`[vs${i}_${k}]${piece}`));
+    }
+
+    if (fadeIn > 0) {
+      // A 为后一片段的开头，T 为转场内的时间（秒）
+      filters.push(`[vh${i}][vt${i - 1}]blend=all_expr='A*(T/${fadeIn})+B*(1-T/${fadeIn})':shortest=1[vx${i}]`);
+      parts.push(`[vx${i}]`);
+    }
+    if (hasBody) {
+      parts.push(`[vb${i}]`);
+    }
+  });
+  filters.push(`${parts.join('')}concat=n=${parts.length}:v=1:a=0[vout]`);
+  return filters;
+}
+
+/**
+ * 生成带转场的拼接滤镜：视频用 xfade，音频用 acrossfade，转场时长为 0 的位置直接拼接
+ * 各片段先统一帧率、时间基并补齐到探测的时长，保证 xfade 的 offset 准确；没有音轨的片段补静音
+ * blend 为 true 时视频改用 buildBlendTransitionFilters（用于不支持 xfade 的 FFmpeg，只支持 BLEND_TRANSITIONS）
+ * @param {Array<{duration: number, hasAudio: boolean}>} segments - 各片段（输入序号与数组下标一致）
+ * @param {Object} options - { type: 转场类型, transitions: pairTransitions 的结果, fps, blend }
+ * @returns {Array<string>} 滤镜数组，输出标签为 [vout]、[aout]
+ */
+function buildTransitionFilters(segments, { type, transitions, fps, blend = false }) {
+  const filters = [];
+  segments.forEach((segment, i) => {
+    const duration = segment.duration.toFixed(3);
+    filters.push(`[${i}:v]fps=${fps},settb=AVTB,format=yuv420p,tpad=stop_mode=clone:stop_duration=1,trim=duration=${duration},setpts=PTS-STARTPTS[v${i}]`);
+    filters.push(segment.hasAudio
+      ? `[${i}:a]${AUDIO_FORMAT_FILTER},apad,atrim=duration=${duration},asetpts=PTS-STARTPTS[a${i}]`
+      : `anullsrc=channel_layout=stereo:sample_rate=44100,${AUDIO_FORMAT_FILTER},atrim=duration=${duration}[a${i}]`);
+  });
+
+  if (segments.length === 1) {
+    filters.push('[v0]null[vout]', '[a0]anull[aout]');
+    return filters;
+  }
+
+  if (blend) {
+    filters.push(...buildBlendTransitionFilters(segments, transitions));
+  }
+
+  // 逐段转场，offset 为已拼接部分的时长减去本次转场时长
+  let length = segments[0].duration;
+  let previousVideo = '[v0]';
+  let previousAudio = '[a0]';
+  for (let i = 1; i < segments.length; i++) {
+    const last = i === segments.length - 1;
+    const videoOutput = last ? '[vout]' : `[vx${i}]`;
+    const audioOutput = last ? '[aout]' : `[ax${i}]`;
+    const overlap = transitions[i - 1];
+    if (overlap > 0) {
+      const offset = (length - overlap).toFixed(3);
+      if (!blend) {
+        filters.push(`${previousVideo}[v${i}]xfade=transition=${type}:duration=${overlap}:offset=${offset}${videoOutput}`);
+      }
+      filters.push(`${previousAudio}[a${i}]acrossfade=d=${overlap}${audioOutput}`);
+    } else {
+      if (!blend) {
+        filters.push(`${previousVideo}[v${i}]concat=n=2:v=1:a=0${videoOutput}`);
+      }
+      filters.push(`${previousAudio}[a${i}]concat=n=2:v=0:a=1${audioOutput}`);
+    }
+    length += segments[i].duration - overlap;
+    previousVideo = videoOutput;
+    previousAudio = audioOutput;
+  }
+  return filters;
+}
+
+module.exports = {
+  FILL_MODES,
+  MOTION_TYPES,
+  PAN_DIRECTIONS,
+  EASINGS,
+  TRANSITIONS,
+  BLEND_TRANSITIONS,
+  normalizeFillMode,
+  buildFillFilter,
+  normalizeMotion,
+  resolveMotion,
+  buildMotionFilter,
+  normalizeTransition,
+  pairTransitions,
+  joinedDuration,
+  transitionOverlap,
+  fitSegmentDuration,
+  buildTransitionFilters,
+};